@@ -3,7 +3,7 @@
  * 统一管理所有配置项
  */
 
-import { AI_DEFAULT_CONFIGS, STORAGE_KEYS } from '../constants.js';
+import { AI_DEFAULT_CONFIGS, AI_PROTOCOLS, STORAGE_KEYS, SUBTITLE_LANGUAGE } from '../constants.js';
 import logger from '../utils/DebugLogger.js';
 import { validateApiKey, validateApiUrl, validateNotionPageId } from '../utils/validators.js';
 
@@ -15,6 +15,7 @@ class ConfigManager {
   getAIConfigs() {
     const configs = GM_getValue(STORAGE_KEYS.AI_CONFIGS, []);
     if (configs.length === 0) {
+      this._markPresetsAdded();
       return [...AI_DEFAULT_CONFIGS]; // 返回默认配置的副本
     }
     
@@ -36,9 +37,57 @@ class ConfigManager {
       this.saveAIConfigs(migratedConfigs);
     }
     
+    // 补充新版本加入的预设配置：每个预设只补充一次，用户删除后不会再出现
+    const addedPresetIds = GM_getValue(STORAGE_KEYS.AI_ADDED_PRESET_IDS, []);
+    const newPresets = AI_DEFAULT_CONFIGS.filter(preset =>
+      !addedPresetIds.includes(preset.id) && !migratedConfigs.some(c => c.id === preset.id)
+    );
+    if (newPresets.length > 0) {
+      migratedConfigs.push(...newPresets);
+      this.saveAIConfigs(migratedConfigs);
+      logger.info('ConfigManager', `已添加新的预设AI配置: ${newPresets.map(preset => preset.name).join(', ')}`);
+    }
+    this._markPresetsAdded();
+    
     return migratedConfigs;
   }
 
+  /**
+   * 记录已补充过的预设配置ID（之后删除的预设不会再被补充）
+   * @private
+   */
+  _markPresetsAdded() {
+    const addedPresetIds = GM_getValue(STORAGE_KEYS.AI_ADDED_PRESET_IDS, []);
+    const ids = [...new Set([...addedPresetIds, ...AI_DEFAULT_CONFIGS.map(preset => preset.id)])];
+    if (ids.length !== addedPresetIds.length) {
+      GM_setValue(STORAGE_KEYS.AI_ADDED_PRESET_IDS, ids);
+    }
+  }
+
+  /**
+   * 获取AI配置使用的协议
+   * @param {Object} aiConfig
+   * @returns {string} AI_PROTOCOLS 中的协议ID
+   */
+  getAIProtocol(aiConfig) {
+    const protocol = aiConfig?.protocol;
+    return AI_PROTOCOLS[protocol] ? protocol : 'openai';
+  }
+
+  /**
+   * 检查AI配置是否具备发起请求的凭证
+   * 本地协议（如Ollama）不需要API Key
+   * @param {Object} aiConfig
+   * @returns {boolean}
+   */
+  hasAICredentials(aiConfig) {
+    if (!aiConfig) return false;
+    if (!AI_PROTOCOLS[this.getAIProtocol(aiConfig)].requiresApiKey) {
+      return true;
+    }
+    return !!(aiConfig.apiKey && aiConfig.apiKey.trim());
+  }
+
   /**
    * 保存AI配置列表
    * @param {Array} configs
@@ -73,14 +122,50 @@ class ConfigManager {
     return configs.find(c => c.id === selectedId) || configs[0] || null;
   }
 
+  /**
+   * 获取备用AI配置ID列表（按尝试顺序）
+   * @returns {Array<string>}
+   */
+  getAIFallbackIds() {
+    return GM_getValue(STORAGE_KEYS.AI_FALLBACK_IDS, []);
+  }
+
+  /**
+   * 保存备用AI配置ID列表
+   * @param {Array<string>} ids
+   */
+  setAIFallbackIds(ids) {
+    GM_setValue(STORAGE_KEYS.AI_FALLBACK_IDS, ids);
+  }
+
+  /**
+   * 获取AI请求的配置链：当前选中的配置在前，之后是已配置凭证的备用配置
+   * @returns {Array<Object>}
+   */
+  getAIFallbackChain() {
+    const selected = this.getSelectedAIConfig();
+    if (!selected) return [];
+
+    const configs = this.getAIConfigs();
+    const fallbacks = this.getAIFallbackIds()
+      .filter(id => id !== selected.id)
+      .map(id => configs.find(c => c.id === id))
+      .filter(cfg => cfg && this.hasAICredentials(cfg));
+
+    return [selected, ...fallbacks];
+  }
+
   /**
    * 添加AI配置
    * @param {Object} config
    * @returns {{success: boolean, error: string|null}}
    */
   addAIConfig(config) {
+    const protocol = this.getAIProtocol(config);
+    const requiresApiKey = AI_PROTOCOLS[protocol].requiresApiKey;
+
     // 验证必填字段
-    if (!config.name || !config.url || !config.apiKey || !config.model) {
+    if (!config.name || !config.url || !config.model || (requiresApiKey && !config.apiKey)) {
       return { success: false, error: '所有字段都是必填的' };
     }
 
@@ -90,10 +175,12 @@ class ConfigManager {
       return { success: false, error: urlValidation.error };
     }
 
-    // 验证API Key
-    const keyValidation = validateApiKey(config.apiKey);
-    if (!keyValidation.valid) {
-      return { success: false, error: keyValidation.error };
+    // 验证API Key（本地协议可留空）
+    if (requiresApiKey || config.apiKey) {
+      const keyValidation = validateApiKey(config.apiKey);
+      if (!keyValidation.valid) {
+        return { success: false, error: keyValidation.error };
+      }
     }
 
     const configs = this.getAIConfigs();
@@ -101,11 +188,12 @@ class ConfigManager {
       id: Date.now().toString(),
       name: config.name.trim(),
       url: config.url.trim(),
-      apiKey: config.apiKey.trim(),
+      apiKey: (config.apiKey || '').trim(),
       model: config.model.trim(),
       prompt1: config.prompt1 || '',
       prompt2: config.prompt2 || '',
-      isOpenRouter: config.isOpenRouter || false
+      isOpenRouter: config.isOpenRouter || false,
+      protocol
     };
 
     configs.push(newConfig);
@@ -129,8 +217,10 @@ class ConfigManager {
       return { success: false, error: '配置不存在' };
     }
 
-    // 验证API Key
-    if (updates.apiKey !== undefined) {
+    // 验证API Key（本地协议可留空）
+    const protocol = this.getAIProtocol({ ...configs[index], ...updates });
+    const requiresApiKey = AI_PROTOCOLS[protocol].requiresApiKey;
+    if (updates.apiKey !== undefined && (requiresApiKey || updates.apiKey)) {
       const keyValidation = validateApiKey(updates.apiKey, configs[index].isOpenRouter);
       if (!keyValidation.valid) {
         return { success: false, error: keyValidation.error };
@@ -172,6 +262,7 @@ class ConfigManager {
     let configs = this.getAIConfigs();
     configs = configs.filter(c => c.id !== id);
     this.saveAIConfigs(configs);
+    this.setAIFallbackIds(this.getAIFallbackIds().filter(fallbackId => fallbackId !== id));
 
     // 如果删除的是当前选中的配置，切换到默认配置
     if (this.getSelectedAIConfigId() === id) {
@@ -268,14 +359,15 @@ class ConfigManager {
 
   /**
    * 获取Notion内容选项配置
-   * @returns {{videoInfo: boolean, summary: boolean, segments: boolean, subtitles: boolean}}
+   * @returns {{videoInfo: boolean, summary: boolean, segments: boolean, subtitles: boolean, commentDigest: boolean}}
    */
   getNotionContentOptions() {
     return {
       videoInfo: GM_getValue(STORAGE_KEYS.NOTION_CONTENT_VIDEO_INFO, true),
       summary: GM_getValue(STORAGE_KEYS.NOTION_CONTENT_SUMMARY, true),
       segments: GM_getValue(STORAGE_KEYS.NOTION_CONTENT_SEGMENTS, true),
-      subtitles: GM_getValue(STORAGE_KEYS.NOTION_CONTENT_SUBTITLES, true)
+      subtitles: GM_getValue(STORAGE_KEYS.NOTION_CONTENT_SUBTITLES, true),
+      commentDigest: GM_getValue(STORAGE_KEYS.NOTION_CONTENT_COMMENT_DIGEST, false)
     };
   }
 
@@ -296,6 +388,9 @@ class ConfigManager {
     if (options.subtitles !== undefined) {
       GM_setValue(STORAGE_KEYS.NOTION_CONTENT_SUBTITLES, options.subtitles);
     }
+    if (options.commentDigest !== undefined) {
+      GM_setValue(STORAGE_KEYS.NOTION_CONTENT_COMMENT_DIGEST, options.commentDigest);
+    }
   }
 
   /**
@@ -330,6 +425,82 @@ class ConfigManager {
     GM_setValue(STORAGE_KEYS.NOTION_NOTES_DATABASE_ID, databaseId);
   }
 
+  /**
+   * 获取自动发送目标（自动发送开关与Notion配置共用）
+   * @returns {'notion'|'markdown'}
+   */
+  getAutoSendTarget() {
+    return GM_getValue(STORAGE_KEYS.AUTO_SEND_TARGET, 'notion');
+  }
+
+  /**
+   * 设置自动发送目标
+   * @param {'notion'|'markdown'} target
+   */
+  setAutoSendTarget(target) {
+    GM_setValue(STORAGE_KEYS.AUTO_SEND_TARGET, target === 'markdown' ? 'markdown' : 'notion');
+  }
+
+  /**
+   * 获取Markdown导出选项
+   * @returns {{includeSubtitles: boolean, tags: Array<string>}}
+   */
+  getMarkdownExportOptions() {
+    return {
+      includeSubtitles: GM_getValue(STORAGE_KEYS.MARKDOWN_EXPORT_SUBTITLES, false),
+      tags: GM_getValue(STORAGE_KEYS.MARKDOWN_EXPORT_TAGS, ['bilibili', '视频笔记'])
+    };
+  }
+
+  /**
+   * 保存Markdown导出选项
+   * @param {{includeSubtitles?: boolean, tags?: Array<string>}} options
+   */
+  saveMarkdownExportOptions(options) {
+    if (options.includeSubtitles !== undefined) {
+      GM_setValue(STORAGE_KEYS.MARKDOWN_EXPORT_SUBTITLES, options.includeSubtitles);
+    }
+    if (options.tags !== undefined) {
+      GM_setValue(STORAGE_KEYS.MARKDOWN_EXPORT_TAGS, options.tags);
+    }
+  }
+
+  /**
+   * 获取进度条弹幕热力图开关状态
+   * @returns {boolean}
+   */
+  getDanmakuHeatmapEnabled() {
+    return GM_getValue(STORAGE_KEYS.DANMAKU_HEATMAP, false);
+  }
+
+  /**
+   * 设置进度条弹幕热力图开关状态
+   * @param {boolean} enabled
+   */
+  setDanmakuHeatmapEnabled(enabled) {
+    GM_setValue(STORAGE_KEYS.DANMAKU_HEATMAP, enabled);
+  }
+
+  /**
+   * 获取字幕语言优先级（按顺序匹配语言代码，ai- 开头表示AI/自动生成的字幕）
+   * @returns {Array<string>}
+   */
+  getSubtitleLanguagePriority() {
+    const priority = GM_getValue(STORAGE_KEYS.SUBTITLE_LANGUAGE_PRIORITY, null);
+    return Array.isArray(priority) && priority.length > 0
+      ? priority
+      : [...SUBTITLE_LANGUAGE.DEFAULT_PRIORITY];
+  }
+
+  /**
+   * 保存字幕语言优先级（为空时恢复默认）
+   * @param {Array<string>} priority
+   */
+  setSubtitleLanguagePriority(priority) {
+    const cleaned = [...new Set((priority || []).map(lan => lan.trim()).filter(Boolean))];
+    GM_setValue(STORAGE_KEYS.SUBTITLE_LANGUAGE_PRIORITY, cleaned.length > 0 ? cleaned : null);
+  }
+
   /**
    * 修复已存在的配置，确保prompt2使用正确的JSON格式
    * @returns {boolean} 是否进行了修复
@@ -52,12 +52,25 @@ const DEFAULT_SHORTCUTS = {
   
   // Option 键加速（长按临时加速，双击永久加速）
   speedBoost: createShortcut('AltRight', { holdMode: true, description: '长按临时加速/双击永久加速' }),
+  
+  // 响度检测（逗号和句号同时按下）
+  loudnessDetection: { keys: ['Comma', 'Period'], description: '响度检测(安静时自动加速)' },
+
+  // 片段提交（B站/YouTube）
+  segmentMarkStart: createShortcut('BracketLeft', { alt: true, description: '标记片段开始' }),
+  segmentMarkEnd: createShortcut('BracketRight', { alt: true, description: '标记片段结束' }),
+  segmentSubmit: createShortcut('Backslash', { alt: true, description: '打开片段提交面板/提交片段' }),
+
+  // 跳转到精彩时刻（B站/YouTube）
+  jumpToHighlight: createShortcut('KeyH', { alt: true, description: '跳转到精彩时刻' }),
 };
 
 // 快捷键说明：
 // toggleSubtitlePanel: Cmd+B (Mac) 或 Ctrl+B (Windows)
 // toggleNotesPanel: Shift+/ (所有平台)
 // takeScreenshot: Cmd+/ (Mac) 或 Ctrl+/ (Windows)
+// segmentMarkStart/segmentMarkEnd/segmentSubmit: Alt+[ / Alt+] / Alt+\ (所有平台)
+// jumpToHighlight: Alt+H (所有平台)
 
 class ShortcutManager {
   constructor() {
@@ -104,7 +117,8 @@ class ShortcutManager {
       // 合并默认配置（确保新增的快捷键也会显示）
       const merged = { ...DEFAULT_SHORTCUTS };
       for (const [key, shortcut] of Object.entries(shortcuts)) {
-        if (shortcut.key && shortcut.key !== '(双击)' && shortcut.key !== '') {
+        const hasKeys = Array.isArray(shortcut.keys) && shortcut.keys.length > 0;
+        if (hasKeys || (shortcut.key && shortcut.key !== '(双击)' && shortcut.key !== '')) {
           merged[key] = this.normalizeShortcut(shortcut);
         } else {
           logger.warn('ShortcutManager', `跳过损坏的快捷键配置: ${key}，使用默认值`);
@@ -162,6 +176,10 @@ class ShortcutManager {
     }
 
     this.shortcuts[name] = { ...this.shortcuts[name], ...config };
+    // 组合键被改成单键时，移除旧的组合键配置
+    if (config.key && !config.keys) {
+      delete this.shortcuts[name].keys;
+    }
     return this.saveShortcuts(this.shortcuts);
   }
 
@@ -226,6 +244,8 @@ class ShortcutManager {
   matches(event, shortcut) {
     // 处理组合键（多键同时按下）
     if (shortcut.keys && Array.isArray(shortcut.keys)) {
+      // 按住不放时的自动重复不算新的组合
+      if (event.repeat) return false;
       // 检查所有指定的键是否都被按下
       const allPressed = shortcut.keys.every(key => this.pressedKeys.has(key));
       // 确保没有修饰键
@@ -266,9 +286,10 @@ class ShortcutManager {
                         event.target.isContentEditable;
 
     for (const [name, shortcut] of Object.entries(this.shortcuts)) {
-      // 检查按键是否匹配（支持特殊键如 AltRight）
+      // 检查按键是否匹配（支持特殊键如 AltRight、多键组合）
       const keyMatches = event.code === shortcut.key || 
-                        (shortcut.key === 'AltRight' && event.code === 'AltRight' && event.location === 2);
+                        (shortcut.key === 'AltRight' && event.code === 'AltRight' && event.location === 2) ||
+                        (Array.isArray(shortcut.keys) && shortcut.keys.includes(event.code));
       
       if (!keyMatches) continue;
 
@@ -438,6 +459,9 @@ class ShortcutManager {
     if (keyName === 'Period') keyName = '.';
     if (keyName === 'Comma') keyName = ',';
     if (keyName === 'Slash') keyName = '/';
+    if (keyName === 'BracketLeft') keyName = '[';
+    if (keyName === 'BracketRight') keyName = ']';
+    if (keyName === 'Backslash') keyName = '\\';
     if (keyName.startsWith('Key')) keyName = keyName.substring(3);
     if (keyName.length === 1) keyName = keyName.toUpperCase();
     
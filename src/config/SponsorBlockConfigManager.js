@@ -1,9 +1,11 @@
 /**
  * SponsorBlock配置管理模块
- * 管理SponsorBlock相关的所有配置
+ * 管理片段跳过相关的所有配置（B站和YouTube共用一份）
  */
 
-import { SPONSORBLOCK } from '../constants.js';
+import { SPONSORBLOCK, SKIP_ENGINE, QUALITY_SCORE, FEED_FILTER, EVENTS } from '../constants.js';
+import eventBus from '../utils/EventBus.js';
+import logger from '../utils/DebugLogger.js';
 
 const STORAGE_KEY = 'sponsorblock_settings';
 
@@ -13,12 +15,12 @@ class SponsorBlockConfigManager {
   }
 
   /**
-   * 加载设置
+   * 加载设置（旧版本保存的设置缺少的字段使用默认值）
    * @returns {Object}
    */
   loadSettings() {
     const saved = GM_getValue(STORAGE_KEY, null);
-    return saved ? JSON.parse(saved) : { ...SPONSORBLOCK.DEFAULT_SETTINGS };
+    return { ...SPONSORBLOCK.DEFAULT_SETTINGS, ...(saved ? JSON.parse(saved) : {}) };
   }
 
   /**
@@ -28,6 +30,7 @@ class SponsorBlockConfigManager {
   saveSettings(settings) {
     this.settings = settings;
     GM_setValue(STORAGE_KEY, JSON.stringify(settings));
+    eventBus.emit(EVENTS.SKIP_SETTINGS_CHANGED, this.getAll());
   }
 
   /**
@@ -62,7 +65,7 @@ class SponsorBlockConfigManager {
    * @param {Object} settings
    */
   setAll(settings) {
-    this.saveSettings(settings);
+    this.saveSettings({ ...this.settings, ...settings });
   }
 
   /**
@@ -71,9 +74,171 @@ class SponsorBlockConfigManager {
   resetToDefaults() {
     this.saveSettings({ ...SPONSORBLOCK.DEFAULT_SETTINGS });
   }
+
+  /**
+   * 获取所有UP主/频道规则
+   * @returns {Array<{platform: string, id: string, name: string, actions: Object<string, string>}>}
+   */
+  getCreatorRules() {
+    return Object.values(this.settings.creatorRules || {});
+  }
+
+  /**
+   * 获取UP主/频道的规则
+   * @param {'bilibili'|'youtube'} platform
+   * @param {string} id - B站UP主mid / YouTube频道ID
+   * @returns {Object|null}
+   */
+  getCreatorRule(platform, id) {
+    return this.settings.creatorRules?.[`${platform}:${id}`] || null;
+  }
+
+  /**
+   * 替换所有UP主/频道规则
+   * @param {Array<{platform: string, id: string, name: string, actions: Object<string, string>}>} rules
+   */
+  setCreatorRules(rules) {
+    const validActions = Object.values(SKIP_ENGINE.ACTIONS);
+    const creatorRules = Object.fromEntries(rules.map(rule => [`${rule.platform}:${rule.id}`, {
+      platform: rule.platform,
+      id: String(rule.id),
+      name: rule.name || String(rule.id),
+      // 只保存有效的覆盖项，其余类别沿用全局设置
+      actions: Object.fromEntries(
+        Object.entries(rule.actions || {}).filter(([, action]) => validActions.includes(action))
+      )
+    }]));
+    this.saveSettings({ ...this.settings, creatorRules });
+  }
+
+  /**
+   * 获取类别的处理方式：UP主/频道规则优先，其次是全局设置
+   * 自动跳过总开关关闭时，跳过和静音都改为手动提示
+   * @param {string} category - 片段类别
+   * @param {{platform: string, id: string}|null} creator - 当前视频的作者
+   * @returns {'skip'|'mute'|'prompt'|'ignore'}
+   */
+  getCategoryAction(category, creator = null) {
+    const { ACTIONS } = SKIP_ENGINE;
+    const override = creator ? this.getCreatorRule(creator.platform, creator.id)?.actions[category] : null;
+    const action = override || (this.settings.skipCategories.includes(category)
+      ? (this.settings.muteInsteadOfSkip ? ACTIONS.MUTE : ACTIONS.SKIP)
+      : ACTIONS.PROMPT);
+
+    if (!this.settings.autoSkip && (action === ACTIONS.SKIP || action === ACTIONS.MUTE)) {
+      return ACTIONS.PROMPT;
+    }
+    return action;
+  }
+
+  /**
+   * 获取优质视频评分公式（旧版本保存的设置缺少的字段使用默认值）
+   * @returns {{weights: Object<string, number>, minViews: number, ageNormalizationDays: number,
+   *   tiers: Array<{name: string, emoji: string, color: string, minScore: number}>}}
+   */
+  getQualityScoring() {
+    return this.normalizeQualityScoring(this.settings.qualityScoring);
+  }
+
+  /**
+   * 规范化评分公式：无效的数值使用默认值，标签等级按最低分从高到低排序
+   * @param {Object} scoring
+   * @returns {Object}
+   */
+  normalizeQualityScoring(scoring = {}) {
+    const defaults = SPONSORBLOCK.DEFAULT_SETTINGS.qualityScoring;
+    const toNumber = (value, fallback) => {
+      const number = Number(value);
+      return Number.isFinite(number) && number >= 0 ? number : fallback;
+    };
+
+    const tiers = (Array.isArray(scoring?.tiers) ? scoring.tiers : defaults.tiers)
+      .filter(tier => tier && (tier.name || tier.emoji))
+      .slice(0, QUALITY_SCORE.MAX_TIERS)
+      .map(tier => ({
+        name: String(tier.name || '').trim(),
+        emoji: String(tier.emoji || '').trim(),
+        color: /^#[0-9a-f]{6}$/i.test(tier.color) ? tier.color : defaults.tiers[0].color,
+        minScore: toNumber(tier.minScore, 0)
+      }))
+      .sort((a, b) => b.minScore - a.minScore);
+
+    return {
+      weights: Object.fromEntries(Object.keys(QUALITY_SCORE.STATS).map(key =>
+        [key, toNumber(scoring?.weights?.[key], defaults.weights[key])])),
+      minViews: toNumber(scoring?.minViews, defaults.minViews),
+      ageNormalizationDays: toNumber(scoring?.ageNormalizationDays, defaults.ageNormalizationDays),
+      tiers
+    };
+  }
+
+  /**
+   * 获取推荐流过滤规则
+   * @returns {{enabled: boolean, mode: 'hide'|'dim', maxSponsorPercent: number, minScore: number,
+   *   keywords: Array<string>, blockedCreators: Array<string>}}
+   */
+  getFeedFilter() {
+    return this.normalizeFeedFilter(this.settings.feedFilter);
+  }
+
+  /**
+   * 规范化推荐流过滤规则：无效的值使用默认值，关键词和UP主去掉空行
+   * @param {Object} feedFilter
+   * @returns {Object}
+   */
+  normalizeFeedFilter(feedFilter = {}) {
+    const defaults = SPONSORBLOCK.DEFAULT_SETTINGS.feedFilter;
+    const filter = { ...defaults, ...feedFilter };
+    const toList = (list) => (Array.isArray(list) ? list : [])
+      .map(item => String(item).trim())
+      .filter(Boolean);
+    const toNumber = (value) => Math.max(0, Number(value) || 0);
+
+    return {
+      enabled: Boolean(filter.enabled),
+      mode: Object.values(FEED_FILTER.MODES).includes(filter.mode) ? filter.mode : defaults.mode,
+      maxSponsorPercent: Math.min(100, toNumber(filter.maxSponsorPercent)),
+      minScore: toNumber(filter.minScore),
+      keywords: toList(filter.keywords),
+      blockedCreators: toList(filter.blockedCreators)
+    };
+  }
+
+  /**
+   * 迁移旧版YouTube广告设置（保存在youtube.com的localStorage中）
+   * 跳过类别与已有设置合并，其余选项以旧设置为准；迁移后删除旧数据
+   */
+  migrateLegacyYouTubeSettings() {
+    const keys = SKIP_ENGINE.LEGACY_YOUTUBE_KEYS;
+    const hasLegacy = Object.values(keys).some(key => localStorage.getItem(key) !== null);
+    if (!hasLegacy) return;
+
+    const read = (key) => localStorage.getItem(keys[key]);
+    const migrated = { ...this.settings };
+
+    ['autoSkip', 'detectNativeAds', 'showNotifications', 'showProgressMarkers', 'muteInsteadOfSkip'].forEach(key => {
+      if (read(key) !== null) {
+        migrated[key] = read(key) === 'true';
+      }
+    });
+    if (read('skipDelay') !== null) {
+      migrated.skipDelay = parseInt(read('skipDelay'), 10) || 0;
+    }
+    if (read('skipCategories') !== null) {
+      try {
+        const categories = JSON.parse(read('skipCategories'));
+        migrated.skipCategories = [...new Set([...migrated.skipCategories, ...categories])];
+      } catch (error) {
+        logger.warn('SponsorBlockConfig', '旧版YouTube跳过类别解析失败:', error);
+      }
+    }
+
+    this.saveSettings(migrated);
+    Object.values(keys).forEach(key => localStorage.removeItem(key));
+    logger.info('SponsorBlockConfig', '已将旧版YouTube广告设置迁移到统一设置');
+  }
 }
 
 // 创建全局单例
 export const sponsorBlockConfig = new SponsorBlockConfigManager();
 export default sponsorBlockConfig;
-
@@ -32,12 +32,64 @@ export const LIMITS = {
   NOTION_PAGE_ID_LENGTH: 32,          // Notion Page ID的标准长度
 };
 
+// ==================== AI长视频分段总结 ====================
+export const AI_CHUNKING = {
+  DEFAULT_CONTEXT_TOKENS: 32000,      // 无法识别模型时假定的上下文长度
+  RESERVED_OUTPUT_TOKENS: 2048,       // 为模型输出预留的token
+  SAFETY_RATIO: 0.8,                  // token估算误差的安全系数
+  MIN_CHUNK_TOKENS: 1000,             // 单段字幕的最小token预算
+  OLLAMA_CONTEXT_TOKENS: 8192,        // Ollama请求指定的上下文长度（num_ctx）
+  // 已知模型的上下文长度（模型名中带 8k/32k/128k 的会自动识别）
+  MODEL_CONTEXT_TOKENS: {
+    'gpt-3.5-turbo': 16385,
+    'gpt-4': 8192,
+    'deepseek-chat': 65536,
+    'glm-4-flash': 128000,
+    'yi-large': 32768,
+    'qwen-plus': 131072,
+    'gemini-1.5-flash': 1000000,
+    'claude-3-5-haiku-latest': 200000,
+  },
+};
+
+// ==================== AI总结来源 ====================
+// 没有字幕的视频可以根据弹幕、简介和标签生成总结（可信度较低，界面和导出中会注明）
+export const AI_SUMMARY_SOURCES = {
+  SUBTITLE: 'subtitle',
+  DANMAKU: 'danmaku',
+};
+
+// ==================== 字幕问答 ====================
+export const AI_CHAT = {
+  MAX_HISTORY_MESSAGES: 20,           // 每个视频保留的最大对话消息数（一问一答为2条）
+};
+
+// ==================== 评论区总结 ====================
+export const COMMENT_DIGEST = {
+  REPLY_API_URL: 'https://api.bilibili.com/x/v2/reply', // B站评论接口（sort=1按点赞排序）
+  PAGE_SIZE: 20,                      // 每页评论数（接口上限）
+  MAX_PAGES: 5,                       // 最多翻页数
+  TOP_N: 50,                          // 保留点赞最多的评论数
+  MAX_COMMENT_LENGTH: 300,            // 单条评论截断长度
+  REQUEST_TIMEOUT: 15000,             // 单次请求超时（毫秒）
+  YOUTUBE_THREAD_SELECTOR: 'ytd-comment-thread-renderer', // YouTube评论（滚动到评论区后才加载）
+};
+
+// ==================== Notion待发送队列 ====================
+export const NOTION_OUTBOX = {
+  MAX_ITEMS: 50,                      // 队列最多保留的条目数（超出时丢弃最旧的）
+  BASE_RETRY_DELAY: 60 * 1000,        // 首次重试间隔（之后指数增长）
+  MAX_RETRY_DELAY: 6 * 60 * 60 * 1000, // 最长重试间隔
+  START_DELAY: 15 * 1000,             // 页面加载后延迟开始处理，避免影响首屏
+  LOCK_DURATION: 2 * 60 * 1000,       // 处理中条目的锁定时长（防止多个标签页重复发送）
+};
+
 // ==================== 笔记配置 ====================
 export const NOTES_CONFIG = {
-  STORAGE_KEY: 'bilibili_notes',      // localStorage存储键名
-  STORAGE_CLEANUP_SIZE: 4.5 * 1024 * 1024, // 4.5MB触发清理
-  MAX_SCREENSHOTS: 10,                // 最大截图数量
-  MAX_TEXT_NOTES: 100,                // 最大文本笔记数量
+  STORAGE_KEY: 'bilibili_notes',      // 旧版存储键名（localStorage/GM，仅用于迁移）
+  INDEX_KEY_PREFIX: 'notes_idx:',     // 笔记索引存储键名前缀（索引名:索引值:创建时间:笔记ID）
+  NOTE_KEY_PREFIX: 'note_',           // 单条笔记存储键名前缀
+  SEARCH_DEBOUNCE: 200,               // 搜索框输入防抖时间
   BLUE_DOT_HIDE_TIMEOUT: 3000,        // 保存点自动隐藏时间
 };
 
@@ -57,17 +109,21 @@ export const EVENTS = {
   SUBTITLE_LOADED: 'subtitle:loaded',
   SUBTITLE_FAILED: 'subtitle:failed',
   SUBTITLE_REQUESTED: 'subtitle:requested',
+  SUBTITLE_TRACKS_UPDATED: 'subtitle:tracks:updated',
+  SUBTITLE_TRACK_CHANGED: 'subtitle:track:changed',
   
   // AI相关
   AI_SUMMARY_START: 'ai:summary:start',
   AI_SUMMARY_COMPLETE: 'ai:summary:complete',
   AI_SUMMARY_FAILED: 'ai:summary:failed',
   AI_SUMMARY_CHUNK: 'ai:summary:chunk',
+  AI_PROVIDER_FALLBACK: 'ai:provider:fallback',
   
   // Notion相关
   NOTION_SEND_START: 'notion:send:start',
   NOTION_SEND_COMPLETE: 'notion:send:complete',
   NOTION_SEND_FAILED: 'notion:send:failed',
+  NOTION_OUTBOX_CHANGED: 'notion:outbox:changed',
   
   // UI相关
   UI_PANEL_TOGGLE: 'ui:panel:toggle',
@@ -75,6 +131,11 @@ export const EVENTS = {
   
   // 视频相关
   VIDEO_CHANGED: 'video:changed',
+
+  // 片段提交相关
+  SEGMENT_SUBMISSION_CHANGED: 'segment:submission:changed',
+  SKIP_SETTINGS_CHANGED: 'segment:settings:changed',
+  AI_AD_CANDIDATES_CHANGED: 'segment:aiAd:changed',
 };
 
 // ==================== AI默认配置 ====================
@@ -113,6 +174,30 @@ JSON格式要求：
 字幕内容：
 `;
 
+// AI接口协议（每个AI配置通过 protocol 字段选择，缺省为 openai）
+export const AI_PROTOCOLS = {
+  openai: {
+    name: 'OpenAI 兼容 (chat/completions)',
+    defaultUrl: 'https://api.openai.com/v1/chat/completions',
+    requiresApiKey: true
+  },
+  anthropic: {
+    name: 'Anthropic Messages',
+    defaultUrl: 'https://api.anthropic.com/v1/messages',
+    requiresApiKey: true
+  },
+  ollama: {
+    name: 'Ollama 本地模型 (/api/chat)',
+    defaultUrl: 'http://localhost:11434/api/chat',
+    requiresApiKey: false
+  },
+  gemini: {
+    name: 'Google Gemini 原生接口',
+    defaultUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    requiresApiKey: true
+  }
+};
+
 // AI服务商API Key获取链接
 export const AI_API_KEY_URLS = {
   'openrouter': 'https://openrouter.ai/keys',
@@ -123,7 +208,8 @@ export const AI_API_KEY_URLS = {
   'zhipu': 'https://open.bigmodel.cn/usercenter/apikeys',
   'yi': 'https://platform.lingyiwanwu.com/apikeys',
   'dashscope': 'https://bailian.console.aliyun.com/',
-  'gemini': 'https://aistudio.google.com/app/apikey'
+  'gemini': 'https://aistudio.google.com/app/apikey',
+  'anthropic': 'https://console.anthropic.com/settings/keys'
 };
 
 export const AI_DEFAULT_CONFIGS = [
@@ -210,12 +296,35 @@ export const AI_DEFAULT_CONFIGS = [
   {
     id: 'gemini',
     name: 'Google Gemini',
-    url: 'https://generativelanguage.googleapis.com/v1beta/openai/chat/completions',
+    url: 'https://generativelanguage.googleapis.com/v1beta',
     apiKey: '',
     model: 'gemini-1.5-flash',
     prompt1: DEFAULT_PROMPT_1,
     prompt2: DEFAULT_PROMPT_2,
-    isOpenRouter: false
+    isOpenRouter: false,
+    protocol: 'gemini'
+  },
+  {
+    id: 'anthropic',
+    name: 'Anthropic Claude',
+    url: 'https://api.anthropic.com/v1/messages',
+    apiKey: '',
+    model: 'claude-3-5-haiku-latest',
+    prompt1: DEFAULT_PROMPT_1,
+    prompt2: DEFAULT_PROMPT_2,
+    isOpenRouter: false,
+    protocol: 'anthropic'
+  },
+  {
+    id: 'ollama',
+    name: 'Ollama 本地模型',
+    url: 'http://localhost:11434/api/chat',
+    apiKey: '',
+    model: 'qwen2.5:7b',
+    prompt1: DEFAULT_PROMPT_1,
+    prompt2: DEFAULT_PROMPT_2,
+    isOpenRouter: false,
+    protocol: 'ollama'
   }
 ];
 
@@ -223,6 +332,8 @@ export const AI_DEFAULT_CONFIGS = [
 export const STORAGE_KEYS = {
   AI_CONFIGS: 'ai_configs',
   AI_SELECTED_ID: 'selected_ai_config_id',
+  AI_FALLBACK_IDS: 'ai_fallback_config_ids',
+  AI_ADDED_PRESET_IDS: 'ai_added_preset_ids',
   AI_AUTO_SUMMARY: 'ai_auto_summary_enabled',
   
   NOTION_API_KEY: 'notion_api_key',
@@ -235,13 +346,36 @@ export const STORAGE_KEYS = {
   NOTION_CONTENT_SUMMARY: 'notion_content_summary',
   NOTION_CONTENT_SEGMENTS: 'notion_content_segments',
   NOTION_CONTENT_SUBTITLES: 'notion_content_subtitles',
+  NOTION_CONTENT_COMMENT_DIGEST: 'notion_content_comment_digest',
   
   // 笔记同步配置
   NOTION_NOTES_AUTO_SYNC: 'notion_notes_auto_sync_enabled',
   NOTION_NOTES_DATABASE_ID: 'notion_notes_database_id',
+  NOTION_OUTBOX: 'notion_outbox',
+
+  // 自动发送目标与Markdown导出
+  AUTO_SEND_TARGET: 'auto_send_target',
+  MARKDOWN_EXPORT_SUBTITLES: 'markdown_export_subtitles',
+  MARKDOWN_EXPORT_TAGS: 'markdown_export_tags',
+  MARKDOWN_AUTO_EXPORTED: 'markdown_auto_exported',
   
   // 任务管理
   PROCESSED_VIDEOS: 'bilibili_tools_processed_videos',
+
+  // 片段投票记录
+  SEGMENT_VOTES: 'segment_votes',
+
+  // AI识别的广告候选片段（按视频保存审核结果）
+  AI_AD_CANDIDATES: 'ai_ad_candidates',
+
+  // 跳过统计（按天分别保存跳过/静音记录和倍速节省的时间，旧版整体保存在SKIP_STATS中）
+  SKIP_STATS: 'skip_stats',
+  SKIP_STATS_RECORDS_PREFIX: 'skip_stats_records_',
+  SKIP_STATS_SPEED_PREFIX: 'skip_stats_speed_',
+
+  // 进度条弹幕密度热力图开关
+  DANMAKU_HEATMAP: 'danmaku_heatmap_enabled',
+  SUBTITLE_LANGUAGE_PRIORITY: 'subtitle_language_priority',
 };
 
 // ==================== Z-Index层级 ====================
@@ -278,6 +412,20 @@ export const REGEX = {
   NOTION_PAGE_ID: /([a-f0-9]{32}|[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12})/i,
 };
 
+// ==================== B站字幕接口 ====================
+export const BILIBILI_SUBTITLE = {
+  PLAYER_API_URL: 'https://api.bilibili.com/x/player/v2', // 播放器接口（返回字幕列表，AI字幕需要登录）
+  REQUEST_TIMEOUT: 10000,             // 请求超时（毫秒）
+};
+
+// ==================== 字幕语言 ====================
+export const SUBTITLE_LANGUAGE = {
+  // 默认语言优先级：先按顺序找完全相同的语言，再找包含该代码的语言（zh匹配所有中文字幕），都没有时使用第一条
+  // ai- 开头表示AI/自动生成的字幕（B站AI字幕、YouTube自动字幕）
+  DEFAULT_PRIORITY: ['ai-zh', 'zh-CN', 'zh-Hans', 'zh', 'en'],
+  AI_PREFIX: 'ai-',
+};
+
 // ==================== 选择器 ====================
 export const SELECTORS = {
   VIDEO: 'video',
@@ -316,12 +464,193 @@ export const SPONSORBLOCK = {
     'mute': { name: '静音片段', color: '#B54D4B' }
   },
   
-  // 默认设置
+  // 默认设置（B站和YouTube共用）
   DEFAULT_SETTINGS: {
-    skipCategories: ['sponsor'],
+    skipCategories: ['sponsor'],      // 勾选的类别自动跳过，其余显示手动提示（精彩时刻勾选时自动跳转）
+    autoSkip: true,                   // 总开关：关闭后所有片段都只显示手动提示
+    muteInsteadOfSkip: false,         // 静音而不是跳过
+    skipDelay: 0,                     // 进入片段后延迟多少秒再跳过
+    showNotifications: true,          // 跳过/静音后显示提示
+    showFullVideoLabels: true,        // 显示整片标签（如"整个视频都是品牌合作"）
+    detectNativeAds: true,            // 检测YouTube原生广告标记
     showAdBadge: true,
     showQualityBadge: true,
-    showProgressMarkers: true
+    showProgressMarkers: true,
+    // UP主/频道规则，按类别覆盖处理方式 { 'bilibili:mid': {platform, id, name, actions: {category: action}} }
+    creatorRules: {},
+    // 优质视频评分公式（B站视频卡片），说明见 QUALITY_SCORE
+    qualityScoring: {
+      weights: { like: 1, coin: 3, favorite: 2, share: 4 },
+      minViews: 1000,                 // 播放量低于此值不评分（样本太少）
+      ageNormalizationDays: 7,        // 发布不满N天的视频评分打折，0为关闭
+      // 标签等级（按最低分从高到低匹配第一个）
+      tiers: [
+        { name: '顶级', emoji: '🏆', color: '#ff6b00', minScore: 30 },
+        { name: '精选', emoji: '🔥', color: '#f25d8e', minScore: 15 }
+      ]
+    },
+    // 推荐流过滤（B站视频卡片），命中任一规则的卡片隐藏或淡化
+    feedFilter: {
+      enabled: false,
+      mode: 'dim',                    // hide=隐藏，dim=淡化
+      maxSponsorPercent: 0,           // 广告片段占视频时长超过该百分比时过滤，0为关闭
+      minScore: 0,                    // 优质评分低于该值时过滤（播放量不足、没有评分的不过滤），0为关闭
+      keywords: [],                   // 标题关键词，/.../ 形式的按正则匹配
+      blockedCreators: []             // 屏蔽的UP主（mid或昵称）
+    }
+  }
+};
+
+// ==================== 跨标签页共享缓存 ====================
+// 视频统计和片段数据保存在IndexedDB中（同一站点的标签页共享），
+// 通过BroadcastChannel协调，同一个BV号同时只有一个标签页在请求
+export const SHARED_CACHE = {
+  DB_NAME: 'bilibili_tools_cache',
+  DB_VERSION: 1,
+  DB_STORE: 'entries',
+  CHANNEL_NAME: 'bilibili_tools_cache',
+  CLAIM_TIMEOUT: 20000,               // 等待其他标签页请求结果的最长时间（毫秒），超时后自己请求
+  TOUCH_INTERVAL: 600000,             // 读取时更新访问时间的最小间隔（毫秒），避免每次读取都写数据库
+  EVICT_EVERY: 50,                    // 每写入N次检查一次容量并清理过期项
+  // 各命名空间的有效期和容量（超出时淘汰最久未访问的）
+  VIDEO_STATS: { TTL: 3600000, MAX_ENTRIES: 5000 },          // 视频统计：1小时
+  SEGMENTS: { TTL: SPONSORBLOCK.CACHE_EXPIRY, MAX_ENTRIES: 5000 } // 片段数据：30分钟
+};
+
+// ==================== 推荐流过滤 ====================
+export const FEED_FILTER = {
+  MODES: {
+    HIDE: 'hide',
+    DIM: 'dim'
+  },
+  COUNTER_ID: 'feed-filter-counter',
+  SHOW_ALL_CLASS: 'feed-filter-show-all', // 加在<html>上，点击"仍然显示"后显示所有被过滤的卡片
+};
+
+// ==================== 优质视频评分 ====================
+// 评分 = Σ 权重 × (互动数 / 播放量) × 100 × 新视频折算系数
+// 新视频的首批观众多为粉丝，互动率偏高：发布不满N天时系数为 0.5 + 0.5 × 天数/N
+export const QUALITY_SCORE = {
+  // 参与评分的互动数据（对应 /x/web-interface/view 返回的 stat 字段）
+  STATS: {
+    like: '点赞',
+    coin: '投币',
+    favorite: '收藏',
+    share: '分享'
+  },
+  MIN_AGE_FACTOR: 0.5,                // 新视频折算系数的下限
+  MAX_TIERS: 5,                       // 最多几个标签等级
+};
+
+// ==================== 片段跳过引擎 ====================
+export const SKIP_ENGINE = {
+  MARKER_CONTAINER_ID: 'sponsorblock-preview-bar',     // 进度条标记容器ID
+  // 获取片段时请求的类别和动作类型（不勾选的类别也要获取，用于手动提示）
+  FETCH_CATEGORIES: ['sponsor', 'selfpromo', 'interaction', 'poi_highlight', 'intro', 'outro', 'preview', 'filler', 'music_offtopic', 'exclusive_access'],
+  FETCH_ACTION_TYPES: ['skip', 'mute', 'poi', 'full'],
+  SKIP_COOLDOWN: 1000,                // 两次自动跳过的最小间隔（毫秒）
+  PROMPT_DURATION: 5000,              // 手动提示显示时长（毫秒）
+  TOAST_DURATION: 5000,               // 跳过提示显示时长（毫秒，留出投票/撤销的时间）
+  HIGHLIGHT_MARKER_WIDTH: 0.004,      // 精彩时刻在进度条上的标记宽度（占视频时长比例）
+  HIGHLIGHT_WINDOW: 5,                // 精彩时刻的自动跳转和跳转提示只在开头几秒内出现（秒）
+  // 片段的处理方式（UP主/频道规则可以按类别单独设置）
+  ACTIONS: {
+    SKIP: 'skip',
+    MUTE: 'mute',
+    PROMPT: 'prompt',
+    IGNORE: 'ignore'
+  },
+  ACTION_LABELS: {
+    skip: '跳过',
+    mute: '静音',
+    prompt: '提示',
+    ignore: '不处理'
+  },
+  // 旧版YouTube广告设置（localStorage，迁移到统一设置后删除）
+  LEGACY_YOUTUBE_KEYS: {
+    autoSkip: 'youtube_auto_skip',
+    detectNativeAds: 'youtube_detect_native',
+    showNotifications: 'youtube_show_notifications',
+    showProgressMarkers: 'youtube_show_markers',
+    muteInsteadOfSkip: 'youtube_mute_instead',
+    skipDelay: 'youtube_skip_delay',
+    skipCategories: 'youtube_skip_categories'
+  }
+};
+
+// ==================== 片段提交 ====================
+export const SEGMENT_SUBMISSION = {
+  YOUTUBE_API_URL: 'https://sponsor.ajay.app/api/skipSegments', // YouTube片段提交到SponsorBlock官方服务器
+  BILIBILI_API_URL: SPONSORBLOCK.API_URL,   // B站片段提交到 BilibiliSponsorBlock
+  MIN_DURATION: 1,                          // 片段最短时长（秒）
+  DURATION_TOLERANCE: 0.5,                  // 结束时间允许超出视频时长的误差（秒）
+  PREVIEW_CONTAINER_ID: 'segment-submission-preview', // 进度条预览容器ID
+  // 可提交的类别（精彩时刻、整片标签等非跳过类的类别不在此提交）
+  CATEGORIES: ['sponsor', 'selfpromo', 'interaction', 'intro', 'outro', 'preview', 'filler', 'music_offtopic']
+};
+
+// ==================== 片段投票 ====================
+export const SEGMENT_VOTES = {
+  YOUTUBE_API_URL: 'https://sponsor.ajay.app/api/voteOnSponsorTime',
+  BILIBILI_API_URL: 'https://bsbsb.top/api/voteOnSponsorTime',
+  MAX_RECORDS: 2000,                  // 本地最多保留的投票记录（超出时丢弃最旧的）
+};
+
+// ==================== Markdown导出 ====================
+export const MARKDOWN_EXPORT = {
+  MAX_AUTO_EXPORTED: 2000,            // 最多保留的已自动导出视频记录（超出时丢弃最旧的）
+};
+
+// ==================== 跳过统计 ====================
+export const SKIP_STATS = {
+  MAX_DAYS: 365,                      // 最多保留的天数（超出时丢弃最旧的一天）
+  CHART_DAYS: 30,                     // 每日图表显示的天数
+  TOP_CHANNELS: 10,                   // 显示赞助时长最多的频道数
+  SPEED_SAMPLE_INTERVAL: 1000,        // 倍速节省时间的采样间隔（毫秒）
+  SPEED_MAX_SAMPLE_GAP: 60000,        // 单次采样最多计入的时间（后台标签页定时器会被节流，电脑休眠时不计入）
+  SPEED_FLUSH_INTERVAL: 30000,        // 倍速节省时间写入存储的间隔（毫秒）
+};
+
+// ==================== 弹幕 ====================
+export const DANMAKU = {
+  // 分段弹幕（protobuf，每段6分钟，segment_index从1开始）
+  SEGMENT_API_URL: 'https://api.bilibili.com/x/v2/dm/web/seg.so',
+  // 整个视频的弹幕（XML，分段接口失败时使用，只包含弹幕池中的一部分）
+  XML_API_URL: 'https://api.bilibili.com/x/v1/dm/list.so',
+  SEGMENT_DURATION: 360,              // 每段弹幕的时长（秒）
+  MAX_SEGMENTS: 60,                   // 无法获取视频时长时最多请求的分段数（逐段请求直到没有弹幕）
+  REQUEST_TIMEOUT: 15000,             // 单次请求超时（毫秒）
+  HEATMAP_CONTAINER_ID: 'danmaku-heatmap-bar',
+  HEATMAP_BINS: 100,                  // 热力图分成的格数
+  HEATMAP_COLOR: '254, 235, 234',     // 热力图颜色（RGB，透明度按密度计算）
+  HEATMAP_MAX_ALPHA: 0.85,            // 密度最高处的透明度
+  MAX_RESULTS: 300,                   // 面板中最多显示的弹幕条数
+  SEARCH_DEBOUNCE: 200,               // 搜索框输入防抖时间
+  // 无字幕视频的AI总结：弹幕按时间窗口聚合为伪字幕
+  SUMMARY_WINDOW: 30,                 // 聚合的时间窗口（秒）
+  SUMMARY_MAX_PER_WINDOW: 8,          // 每个窗口保留的弹幕条数（按出现次数）
+  SUMMARY_MAX_DESC_LENGTH: 1000,      // 简介最多保留的字数
+  // 导出ASS时的排版
+  ASS: {
+    SCROLL_DURATION: 8,               // 滚动弹幕从右到左的时长（秒）
+    FIXED_DURATION: 4,                // 顶部/底部弹幕的停留时长（秒）
+    FONT_SIZE: 50,                    // 标准字号（B站25号字对应的大小）
+    ROW_HEIGHT: 56,                   // 每行高度
+    MAX_ROWS: 12,                     // 最多使用的行数（约屏幕上半部分）
+  },
+};
+
+// ==================== AI广告候选片段 ====================
+export const AI_AD_CANDIDATES = {
+  UUID_PREFIX: 'ai-ad-',              // 候选片段UUID前缀（区分社区片段）
+  MAX_VIDEOS: 200,                    // 本地最多保留的视频数（超出时丢弃最旧的）
+  COLOR: '#a855f7',                   // 进度条和提示中AI片段的颜色
+  // 审核状态
+  STATUS: {
+    PENDING: 'pending',               // 待审核：播放到时提示是否跳过
+    LOCAL: 'local',                   // 仅本地自动跳过
+    SUBMITTED: 'submitted',           // 已提交到 bsbsb.top（本地同样自动跳过）
+    DISMISSED: 'dismissed'            // 已忽略：不再显示
   }
 };
 
@@ -11,6 +11,7 @@ import state from './state/StateManager.js';
 import eventBus from './utils/EventBus.js';
 import config from './config/ConfigManager.js';
 import shortcutManager from './config/ShortcutManager.js';
+import sponsorBlockConfig from './config/SponsorBlockConfigManager.js';
 
 // 导入服务
 import platformService from './services/PlatformService.js';
@@ -18,13 +19,19 @@ import subtitleService from './services/SubtitleService.js';
 import youtubeSubtitleService from './services/YouTubeSubtitleService.js';
 import aiService from './services/AIService.js';
 import notionService from './services/NotionService.js';
+import notionOutbox from './services/NotionOutboxService.js';
+import notionOutboxModal from './ui/NotionOutboxModal.js';
 import notesService from './services/NotesService.js';
 import speedControlService from './services/SpeedControlService.js';
+import aiChatService from './services/AIChatService.js';
 import sponsorBlockService from './services/SponsorBlockService.js';
 import screenshotService from './services/ScreenshotService.js';
 import { createVideoQualityService } from './services/VideoQualityService.js';
 import UniversalAdSkipService from './services/UniversalAdSkipService.js';
+import SegmentSubmissionService from './services/SegmentSubmissionService.js';
 import youTubeVideoTagger from './services/YouTubeVideoTagger.js';
+import danmakuService from './services/DanmakuService.js';
+import commentDigestService from './services/CommentDigestService.js';
 
 // 导入UI模块
 import notification from './ui/Notification.js';
@@ -33,16 +40,19 @@ import eventHandlers from './ui/EventHandlers.js';
 import notesPanel from './ui/NotesPanel.js';
 import helpModal from './ui/HelpModal.js';
 import sponsorBlockModal from './ui/SponsorBlockModal.js';
+import skipStatsModal from './ui/SkipStatsModal.js';
+import segmentSubmitPanel from './ui/SegmentSubmitPanel.js';
+import { showInfoConfirm } from './ui/ConfirmDialog.js';
 
 // 导入工具
-import { getVideoInfo, delay } from './utils/helpers.js';
+import { getVideoInfo, delay, formatTime } from './utils/helpers.js';
 import performanceMonitor from './utils/PerformanceMonitor.js';
 import resourceManager from './utils/ResourceManager.js';
-// import audioContextPool from './utils/AudioContextPool.js'; // Not implemented yet
+import audioContextPool from './utils/AudioContextPool.js';
 import logger from './utils/DebugLogger.js';
 
 // 导入常量
-import { EVENTS, TIMING, SELECTORS, BALL_STATUS } from './constants.js';
+import { EVENTS, TIMING, SELECTORS, BALL_STATUS, AI_SUMMARY_SOURCES } from './constants.js';
 
 const IS_BILIBILI = location.hostname.endsWith('bilibili.com');
 const IS_YOUTUBE = location.hostname.includes('youtube.com') || location.hostname.includes('youtu.be');
@@ -58,6 +68,7 @@ class BilibiliSubtitleExtractor {
     this.container = null;
     this.videoQualityService = null;
     this.universalAdSkipService = null;
+    this.segmentSubmissionService = null;
     this.isBilibili = IS_BILIBILI;
     this.isYouTube = IS_YOUTUBE;
     this.isPlatformSupported = false;  // 是否为支持的平台
@@ -174,6 +185,9 @@ class BilibiliSubtitleExtractor {
       
       // 注册通用油猴菜单（所有网站可用）
       this.registerUniversalMenuCommands();
+      
+      // 重试之前发送失败的Notion内容（笔记同步在所有网站可用）
+      notionOutbox.start();
 
       // ========== Layer 2: 平台专属服务（仅B站/YouTube）==========
       if (this.isPlatformSupported) {
@@ -243,25 +257,27 @@ class BilibiliSubtitleExtractor {
    */
   async initPlatformServices() {
     if (this.isBilibili) {
-      // SponsorBlock 初始化（非关键功能）
+      // 视频质量标签（复用 SponsorBlock API，非关键功能）
       try {
-        await sponsorBlockService.init();
         this.videoQualityService = createVideoQualityService(sponsorBlockService.getAPI());
         this.videoQualityService.start();
       } catch (error) {
-        logger.warn('Main', 'SponsorBlock初始化失败:', error.message);
+        logger.warn('Main', '视频质量服务初始化失败:', error.message);
       }
+
+      // 弹幕（进度条密度热力图）
+      danmakuService.init();
     }
 
-    // 初始化通用广告跳过服务（支持YouTube和Bilibili）
+    // 初始化片段跳过引擎（B站和YouTube共用，设置统一由 SponsorBlock 设置管理）
     if (this.isBilibili || this.isYouTube) {
       try {
-        const adSkipConfig = this.createAdSkipConfig();
-        this.universalAdSkipService = new UniversalAdSkipService(adSkipConfig);
+        this.universalAdSkipService = new UniversalAdSkipService(sponsorBlockConfig);
         await this.universalAdSkipService.init();
-        logger.info('Main', '通用广告跳过服务已初始化');
+        this.segmentSubmissionService = new SegmentSubmissionService(this.universalAdSkipService);
+        logger.info('Main', '片段跳过引擎已初始化');
       } catch (error) {
-        logger.warn('Main', '通用广告跳过服务初始化失败:', error.message);
+        logger.warn('Main', '片段跳过引擎初始化失败:', error.message);
       }
     }
 
@@ -277,29 +293,31 @@ class BilibiliSubtitleExtractor {
   }
 
   /**
-   * 创建广告跳过配置（B站和YouTube）
+   * 处理片段提交快捷键
    * @private
-   * @returns {Object} 配置对象
+   * @param {'start'|'end'|'submit'} action - 标记开始、标记结束或提交
    */
-  createAdSkipConfig() {
-    const platform = this.isYouTube ? 'youtube' : 'bilibili';
-    return {
-      get: (key) => {
-        const configs = {
-          autoSkip: localStorage.getItem(`${platform}_auto_skip`) !== 'false',
-          skipCategories: JSON.parse(localStorage.getItem(`${platform}_skip_categories`) || '["sponsor", "selfpromo"]'),
-          showNotifications: localStorage.getItem(`${platform}_show_notifications`) !== 'false',
-          showProgressMarkers: localStorage.getItem(`${platform}_show_markers`) !== 'false',
-          detectNativeAds: localStorage.getItem(`${platform}_detect_native`) !== 'false',
-          skipDelay: parseInt(localStorage.getItem(`${platform}_skip_delay`) || '0'),
-          muteInsteadOfSkip: localStorage.getItem(`${platform}_mute_instead`) === 'true'
-        };
-        return configs[key];
-      },
-      set: (key, value) => {
-        localStorage.setItem(`${platform}_${key}`, JSON.stringify(value));
+  handleSegmentShortcut(action) {
+    const service = this.segmentSubmissionService;
+    if (!service || !service.isAvailable()) {
+      notification.info('当前页面没有可标记的视频');
+      return;
+    }
+
+    try {
+      if (action === 'start') {
+        service.adapter.showNotification(`片段开始: ${formatTime(service.markStart())}`, { duration: 1500 });
+      } else if (action === 'end') {
+        service.adapter.showNotification(`片段结束: ${formatTime(service.markEnd())}`, { duration: 1500 });
+      } else if (segmentSubmitPanel.isVisible() && !service.validate()) {
+        // 面板已打开且片段有效时，再按一次直接提交
+        segmentSubmitPanel.submit();
+        return;
       }
-    };
+      segmentSubmitPanel.show(service);
+    } catch (error) {
+      service.adapter.showNotification(error.message, { type: 'warning' });
+    }
   }
 
   /**
@@ -355,11 +373,28 @@ class BilibiliSubtitleExtractor {
       }
     });
 
+    // 响度检测（, + . 同时按下，安静片段自动加速）
+    shortcutManager.register('loudnessDetection', () => {
+      speedControlService.toggleLoudnessDetection();
+    });
+
     // 平台专属快捷键（字幕面板切换）
     if (this.isPlatformSupported) {
       shortcutManager.register('toggleSubtitlePanel', () => {
         state.togglePanel();
       });
+
+      // 片段提交（标记开始/结束，打开面板或提交）
+      shortcutManager.register('segmentMarkStart', () => this.handleSegmentShortcut('start'));
+      shortcutManager.register('segmentMarkEnd', () => this.handleSegmentShortcut('end'));
+      shortcutManager.register('segmentSubmit', () => this.handleSegmentShortcut('submit'));
+
+      // 跳转到精彩时刻
+      shortcutManager.register('jumpToHighlight', () => {
+        if (!this.universalAdSkipService?.jumpToHighlight()) {
+          notification.info('当前视频没有精彩时刻');
+        }
+      });
     }
 
     // 开始监听
@@ -389,6 +424,30 @@ class BilibiliSubtitleExtractor {
       eventHandlers.showShortcutConfigModal();
     });
 
+    // Notion待发送队列 - 全局可用（笔记同步在任意页面都可能失败）
+    GM_registerMenuCommand(`📮 Notion待发送队列 (${notionOutbox.getCount()})`, () => {
+      notionOutboxModal.show();
+    });
+
+    // 跳过统计 - 全局可用（倍速节省的时间在任意网站都会统计）
+    GM_registerMenuCommand('📊 跳过统计', () => {
+      skipStatsModal.show();
+    });
+
+    // 响度检测阈值 - 全局可用
+    GM_registerMenuCommand('🔊 响度检测设置', () => {
+      const config = speedControlService.getLoudnessConfig();
+      const input = prompt('安静判定阈值（dBFS，越小越严格，如 -45）：', String(config.thresholdDb));
+      if (input === null) return;
+      const thresholdDb = Number(input);
+      if (!Number.isFinite(thresholdDb) || thresholdDb > 0 || thresholdDb < -100) {
+        notification.error('阈值需为 -100 到 0 之间的数字');
+        return;
+      }
+      speedControlService.setLoudnessConfig({ thresholdDb });
+      notification.success(`响度检测阈值已设置为 ${thresholdDb}dB`);
+    });
+
     // 使用帮助 - 全局可用
     GM_registerMenuCommand('❓ 使用帮助', () => {
       helpModal.show();
@@ -421,6 +480,10 @@ class BilibiliSubtitleExtractor {
         eventHandlers.showNotionConfigModal();
       });
 
+      GM_registerMenuCommand('📓 Markdown/Obsidian导出设置', () => {
+        eventHandlers.showMarkdownExportModal();
+      });
+
       GM_registerMenuCommand('🔄 重置字幕面板位置', () => {
         const container = document.getElementById('subtitle-container');
         if (container) {
@@ -429,15 +492,15 @@ class BilibiliSubtitleExtractor {
           notification.warning('字幕面板未初始化，请先加载视频');
         }
       });
-      
-      GM_registerMenuCommand('⚡ SponsorBlock设置', () => {
-        sponsorBlockModal.show();
-      });
     }
 
-    if (this.isYouTube) {
-      GM_registerMenuCommand('🚫 YouTube广告设置', () => {
-        this.showYouTubeAdSettings();
+    if (this.isBilibili || this.isYouTube) {
+      GM_registerMenuCommand('🌐 字幕语言偏好', () => {
+        eventHandlers.showSubtitleLanguageModal();
+      });
+
+      GM_registerMenuCommand('⚡ SponsorBlock设置', () => {
+        sponsorBlockModal.show(this.universalAdSkipService?.getCreator() || null);
       });
     }
   }
@@ -529,6 +592,9 @@ class BilibiliSubtitleExtractor {
         } else if (this.ball.classList.contains('loading')) {
           // 正在加载时不响应
           logger.debug('App', '字幕正在加载中...');
+        } else if (this.isBilibili && this.ball.classList.contains('no-subtitle')) {
+          // B站无字幕：根据弹幕、简介和标签生成总结
+          this.summarizeFromDanmaku();
         } else {
           // 尝试获取字幕
           const currentSubtitleService = platformService.getSubtitleService();
@@ -556,6 +622,16 @@ class BilibiliSubtitleExtractor {
     document.body.appendChild(notionModal);
     eventHandlers.bindNotionConfigModalEvents(notionModal);
     
+    // 创建Markdown导出设置模态框
+    const markdownModal = uiRenderer.createMarkdownExportModal();
+    document.body.appendChild(markdownModal);
+    eventHandlers.bindMarkdownExportModalEvents(markdownModal);
+
+    // 创建字幕语言偏好模态框
+    const subtitleLanguageModal = uiRenderer.createSubtitleLanguageModal();
+    document.body.appendChild(subtitleLanguageModal);
+    eventHandlers.bindSubtitleLanguageModalEvents(subtitleLanguageModal);
+    
     // 创建AI配置模态框
     const aiModal = uiRenderer.createAIConfigModal();
     document.body.appendChild(aiModal);
@@ -653,6 +729,32 @@ class BilibiliSubtitleExtractor {
         if (summaryPanel) {
           summaryPanel.innerHTML = '<div class="ai-summary-placeholder">等待字幕加载完成后生成AI总结...</div>';
         }
+        
+        // 清空问答（对话历史按视频保存，新视频字幕加载后重新渲染）
+        aiChatService.cancel();
+        const chatMessages = this.container.querySelector('#chat-panel .chat-messages');
+        if (chatMessages) {
+          chatMessages.innerHTML = uiRenderer.renderChatMessages([]);
+        }
+
+        // 清空评论区总结（总结按视频保存）
+        commentDigestService.cancel();
+        const digestPanel = this.container.querySelector('#comment-digest-panel');
+        if (digestPanel) {
+          digestPanel.innerHTML = uiRenderer.renderCommentDigestPanel(null);
+          eventHandlers.bindCommentDigestEvents(this.container);
+        }
+
+        // 清空弹幕（弹幕标签页打开时等新视频数据加载后重新加载）
+        const danmakuPanel = this.container.querySelector('#danmaku-panel');
+        if (danmakuPanel) {
+          delete danmakuPanel.dataset.cid;
+          danmakuPanel.querySelector('.danmaku-count').textContent = '';
+          danmakuPanel.querySelector('.danmaku-list').innerHTML = '<div class="danmaku-empty">等待加载弹幕...</div>';
+          if (danmakuPanel.style.display === 'block') {
+            setTimeout(() => eventHandlers.loadDanmakuPanel(this.container), TIMING.VIDEO_SWITCH_DELAY);
+          }
+        }
       }
       
       // 延迟后重新获取字幕（给页面时间加载）
@@ -667,6 +769,19 @@ class BilibiliSubtitleExtractor {
       this.renderSubtitles(data);
     });
 
+    // 切换字幕轨道后重新渲染（不触发自动总结和发送）
+    eventBus.on(EVENTS.SUBTITLE_TRACK_CHANGED, (data) => {
+      this.renderSubtitles(data);
+    });
+
+    // 字幕轨道列表在字幕加载后才获取到时，更新下拉框
+    eventBus.on(EVENTS.SUBTITLE_TRACKS_UPDATED, () => {
+      if (this.container?.querySelector('.subtitle-header')) {
+        uiRenderer.updateTrackSelect(this.container);
+        eventHandlers.bindTrackSelectEvents(this.container);
+      }
+    });
+
     // 监听AI总结开始事件
     eventBus.on(EVENTS.AI_SUMMARY_START, () => {
       logger.debug('App', 'AI总结开始，小球进入AI总结状态');
@@ -686,6 +801,11 @@ class BilibiliSubtitleExtractor {
       }
     });
 
+    // 监听AI配置切换（当前配置失败，改用备用配置）
+    eventBus.on(EVENTS.AI_PROVIDER_FALLBACK, ({ from, to, label }) => {
+      notification.warning(`${label}：${from.name} 请求失败，已切换到 ${to.name}`);
+    });
+
     // 监听AI总结完成事件
     eventBus.on(EVENTS.AI_SUMMARY_COMPLETE, (summary, videoKey) => {
       logger.debug('App', 'AI总结完成，恢复小球正常状态');
@@ -775,6 +895,53 @@ class BilibiliSubtitleExtractor {
     logger.debug('App', '字幕面板已渲染');
   }
 
+  /**
+   * 没有字幕时根据弹幕、简介和标签生成AI总结（B站）
+   * 弹幕按时间聚合为伪字幕，走与字幕相同的总结流程，结果注明可信度较低
+   */
+  async summarizeFromDanmaku() {
+    if (state.ai.isSummarizing) {
+      notification.warning('AI总结正在生成中，请稍候...');
+      return;
+    }
+
+    if (!config.hasAICredentials(config.getSelectedAIConfig())) {
+      notification.warning('请先在油猴菜单中AI配置中选择或配置一个AI服务');
+      return;
+    }
+
+    const confirmed = await showInfoConfirm(
+      '该视频没有字幕，是否根据弹幕、简介和标签生成AI总结？\n\n弹幕不是视频原文，总结可能不准确，会注明可信度较低。',
+      'AI总结'
+    );
+    if (!confirmed) return;
+
+    let transcript;
+    try {
+      state.setVideoInfo(getVideoInfo());
+      transcript = danmakuService.buildTranscript(await danmakuService.load());
+      if (transcript.length === 0) {
+        throw new Error('该视频也没有弹幕，无法生成总结');
+      }
+    } catch (error) {
+      notification.handleError(error, '弹幕加载');
+      return;
+    }
+
+    // 没有字幕时面板还没有渲染过
+    this.renderSubtitles(transcript);
+    this.container?.classList.add('show');
+
+    try {
+      await aiService.summarize(transcript, true, {
+        source: AI_SUMMARY_SOURCES.DANMAKU,
+        context: danmakuService.getVideoContext()
+      });
+    } catch (error) {
+      notification.handleError(error, 'AI总结');
+    }
+  }
+
   /**
    * 设置自动化流程
    */
@@ -787,21 +954,23 @@ class BilibiliSubtitleExtractor {
       const notionAutoEnabled = config.getNotionAutoSendEnabled();
       const aiConfig = config.getSelectedAIConfig();
       const notionConfig = config.getNotionConfig();
+      const autoSendTarget = config.getAutoSendTarget();
       const videoKey = state.getVideoKey();
       const cachedSummary = videoKey ? state.getAISummary(videoKey) : null;
 
       // 先检查是否需要自动总结
-      if (aiAutoEnabled && aiConfig && aiConfig.apiKey && !cachedSummary) {
+      if (aiAutoEnabled && config.hasAICredentials(aiConfig) && !cachedSummary) {
         try {
           // 自动触发AI总结（isManual=false）
-          // AI总结完成后会自动检查是否需要发送到Notion
+          // AI总结完成后会自动检查是否需要发送到Notion或导出Markdown
           await aiService.summarize(data, false);
         } catch (error) {
           console.error('[App] 自动总结失败:', error);
         }
       } 
       // 如果不需要AI总结，但需要自动发送到Notion
-      else if (notionAutoEnabled && notionConfig.apiKey) {
+      // （自动导出Markdown只在新生成AI总结后进行，见AIService，字幕加载时不导出）
+      else if (notionAutoEnabled && autoSendTarget === 'notion' && notionConfig.apiKey) {
         try {
           // 获取内容配置选项
           const contentOptions = config.getNotionContentOptions();
@@ -851,8 +1020,13 @@ class BilibiliSubtitleExtractor {
         break;
       case BALL_STATUS.NO_SUBTITLE:
         this.ball.classList.add('no-subtitle');
-        this.ball.style.cursor = 'default';
-        this.ball.title = '该视频无字幕';
+        if (this.isBilibili) {
+          this.ball.style.cursor = 'pointer';
+          this.ball.title = '该视频无字幕 - 点击根据弹幕生成AI总结';
+        } else {
+          this.ball.style.cursor = 'default';
+          this.ball.title = '该视频无字幕';
+        }
         break;
       case BALL_STATUS.ERROR:
         this.ball.classList.add('error');
@@ -968,240 +1142,6 @@ class BilibiliSubtitleExtractor {
     logger.debug('App', '视频切换监听已启动（使用 History API 劫持）');
   }
 
-  /**
-   * 显示YouTube广告跳过设置界面
-   */
-  showYouTubeAdSettings() {
-    // 创建设置模态框
-    const modal = document.createElement('div');
-    modal.className = 'youtube-ad-settings-modal';
-    modal.innerHTML = `
-      <div class="settings-modal-overlay"></div>
-      <div class="settings-modal-content">
-        <div class="settings-modal-header">
-          <h3>YouTube广告跳过设置</h3>
-          <button class="settings-close-btn">×</button>
-        </div>
-        <div class="settings-modal-body">
-          <div class="setting-item">
-            <label>
-              <input type="checkbox" id="youtube-auto-skip" ${localStorage.getItem('youtube_auto_skip') !== 'false' ? 'checked' : ''}>
-              自动跳过广告
-            </label>
-          </div>
-          <div class="setting-item">
-            <label>
-              <input type="checkbox" id="youtube-native-detect" ${localStorage.getItem('youtube_detect_native') !== 'false' ? 'checked' : ''}>
-              检测原生广告标记
-            </label>
-          </div>
-          <div class="setting-item">
-            <label>
-              <input type="checkbox" id="youtube-show-notifications" ${localStorage.getItem('youtube_show_notifications') !== 'false' ? 'checked' : ''}>
-              显示跳过提示
-            </label>
-          </div>
-          <div class="setting-item">
-            <label>
-              <input type="checkbox" id="youtube-show-markers" ${localStorage.getItem('youtube_show_markers') !== 'false' ? 'checked' : ''}>
-              显示进度条标记
-            </label>
-          </div>
-          <div class="setting-item">
-            <label>
-              <input type="checkbox" id="youtube-mute-instead" ${localStorage.getItem('youtube_mute_instead') === 'true' ? 'checked' : ''}>
-              静音而不是跳过
-            </label>
-          </div>
-          <div class="setting-item">
-            <label>
-              跳过延迟（秒）：
-              <input type="number" id="youtube-skip-delay" min="0" max="10" value="${parseInt(localStorage.getItem('youtube_skip_delay') || '0')}">
-            </label>
-          </div>
-          <div class="setting-item">
-            <label>要跳过的类别：</label>
-            <div class="category-checkboxes">
-              <label><input type="checkbox" class="skip-category" value="sponsor" checked> 赞助商</label>
-              <label><input type="checkbox" class="skip-category" value="selfpromo"> 自我推广</label>
-              <label><input type="checkbox" class="skip-category" value="interaction"> 互动提醒</label>
-              <label><input type="checkbox" class="skip-category" value="intro"> 开场</label>
-              <label><input type="checkbox" class="skip-category" value="outro"> 片尾</label>
-            </div>
-          </div>
-        </div>
-        <div class="settings-modal-footer">
-          <button class="settings-save-btn">保存设置</button>
-          <button class="settings-cancel-btn">取消</button>
-        </div>
-      </div>
-    `;
-
-    // 添加样式
-    if (!document.querySelector('#youtube-ad-settings-styles')) {
-      const style = document.createElement('style');
-      style.id = 'youtube-ad-settings-styles';
-      style.textContent = `
-        .youtube-ad-settings-modal {
-          position: fixed;
-          top: 0;
-          left: 0;
-          right: 0;
-          bottom: 0;
-          z-index: 999999;
-        }
-        .settings-modal-overlay {
-          position: absolute;
-          inset: 0;
-          background: rgba(0, 0, 0, 0.5);
-        }
-        .settings-modal-content {
-          position: absolute;
-          top: 50%;
-          left: 50%;
-          transform: translate(-50%, -50%);
-          background: white;
-          border-radius: 8px;
-          width: 500px;
-          max-height: 80vh;
-          overflow-y: auto;
-          box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3);
-        }
-        .settings-modal-header {
-          padding: 20px;
-          border-bottom: 1px solid #e0e0e0;
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-        }
-        .settings-modal-header h3 {
-          margin: 0;
-          font-size: 18px;
-        }
-        .settings-close-btn {
-          background: none;
-          border: none;
-          font-size: 24px;
-          cursor: pointer;
-          padding: 0;
-          width: 30px;
-          height: 30px;
-          display: flex;
-          align-items: center;
-          justify-content: center;
-        }
-        .settings-modal-body {
-          padding: 20px;
-        }
-        .setting-item {
-          margin-bottom: 15px;
-        }
-        .setting-item label {
-          display: block;
-          cursor: pointer;
-          user-select: none;
-        }
-        .setting-item input[type="checkbox"] {
-          margin-right: 8px;
-        }
-        .setting-item input[type="number"] {
-          width: 60px;
-          padding: 4px;
-          border: 1px solid #ddd;
-          border-radius: 4px;
-        }
-        .category-checkboxes {
-          margin-top: 10px;
-          display: grid;
-          grid-template-columns: repeat(2, 1fr);
-          gap: 8px;
-        }
-        .category-checkboxes label {
-          display: flex;
-          align-items: center;
-        }
-        .settings-modal-footer {
-          padding: 15px 20px;
-          border-top: 1px solid #e0e0e0;
-          display: flex;
-          justify-content: flex-end;
-          gap: 10px;
-        }
-        .settings-modal-footer button {
-          padding: 8px 16px;
-          border-radius: 4px;
-          cursor: pointer;
-          font-size: 14px;
-        }
-        .settings-save-btn {
-          background: #ff0000;
-          color: white;
-          border: none;
-        }
-        .settings-save-btn:hover {
-          background: #cc0000;
-        }
-        .settings-cancel-btn {
-          background: #f0f0f0;
-          border: 1px solid #ddd;
-          color: #333;
-        }
-        .settings-cancel-btn:hover {
-          background: #e0e0e0;
-        }
-      `;
-      document.head.appendChild(style);
-    }
-
-    document.body.appendChild(modal);
-
-    // 加载保存的类别设置
-    const savedCategories = JSON.parse(localStorage.getItem('youtube_skip_categories') || '["sponsor", "selfpromo"]');
-    modal.querySelectorAll('.skip-category').forEach(checkbox => {
-      checkbox.checked = savedCategories.includes(checkbox.value);
-    });
-
-    // 绑定事件
-    const closeModal = () => modal.remove();
-    
-    modal.querySelector('.settings-modal-overlay').addEventListener('click', closeModal);
-    modal.querySelector('.settings-close-btn').addEventListener('click', closeModal);
-    modal.querySelector('.settings-cancel-btn').addEventListener('click', closeModal);
-    
-    modal.querySelector('.settings-save-btn').addEventListener('click', () => {
-      // 保存设置
-      localStorage.setItem('youtube_auto_skip', modal.querySelector('#youtube-auto-skip').checked);
-      localStorage.setItem('youtube_detect_native', modal.querySelector('#youtube-native-detect').checked);
-      localStorage.setItem('youtube_show_notifications', modal.querySelector('#youtube-show-notifications').checked);
-      localStorage.setItem('youtube_show_markers', modal.querySelector('#youtube-show-markers').checked);
-      localStorage.setItem('youtube_mute_instead', modal.querySelector('#youtube-mute-instead').checked);
-      localStorage.setItem('youtube_skip_delay', modal.querySelector('#youtube-skip-delay').value);
-      
-      // 保存类别
-      const categories = [];
-      modal.querySelectorAll('.skip-category:checked').forEach(checkbox => {
-        categories.push(checkbox.value);
-      });
-      localStorage.setItem('youtube_skip_categories', JSON.stringify(categories));
-      
-      // 更新服务配置
-      if (this.universalAdSkipService) {
-        this.universalAdSkipService.updateConfig({
-          autoSkip: modal.querySelector('#youtube-auto-skip').checked,
-          detectNativeAds: modal.querySelector('#youtube-native-detect').checked,
-          showNotifications: modal.querySelector('#youtube-show-notifications').checked,
-          showProgressMarkers: modal.querySelector('#youtube-show-markers').checked,
-          muteInsteadOfSkip: modal.querySelector('#youtube-mute-instead').checked,
-          skipDelay: parseInt(modal.querySelector('#youtube-skip-delay').value),
-          skipCategories: categories
-        });
-      }
-      
-      notification.success('设置已保存');
-      closeModal();
-    });
-  }
-
   /**
    * 清理应用资源（增强版：清理所有性能优化模块）
    */
@@ -1218,16 +1158,27 @@ class BilibiliSubtitleExtractor {
       this.videoQualityService.stop();
     }
     
-    // 清理 SponsorBlock 服务
-    if (sponsorBlockService.playerController) {
-      sponsorBlockService.playerController.destroy();
+    // 清理片段跳过引擎
+    if (this.universalAdSkipService) {
+      this.universalAdSkipService.destroy();
     }
     
+    // 清理弹幕热力图
+    danmakuService.destroy();
+
     // 清理速度控制服务
     speedControlService.destroy();
     
     // 清理AudioContext池
-    // audioContextPool.clear(); // Not implemented yet
+    audioContextPool.clear();
+    
+    // 停止Notion待发送队列的定时重试
+    notionOutbox.stop();
+
+    // 清理片段提交的进度条预览
+    if (this.segmentSubmissionService) {
+      this.segmentSubmissionService.destroy();
+    }
     
     // 清理搜索索引
     searchIndex.clear();
@@ -0,0 +1,253 @@
+/**
+ * AI广告候选片段服务模块
+ * AI总结中识别出的广告作为候选片段保存（按视频），用户审核后可以：
+ * 仅在本地自动跳过，或提交到 BilibiliSponsorBlock (bsbsb.top) 供所有人跳过
+ */
+
+import DeArrowAPI from './DeArrowAPI.js';
+import eventBus from '../utils/EventBus.js';
+import logger from '../utils/DebugLogger.js';
+import { getVideoInfo } from '../utils/helpers.js';
+import { AI_AD_CANDIDATES, EVENTS, SEGMENT_SUBMISSION, STORAGE_KEYS } from '../constants.js';
+
+const { STATUS } = AI_AD_CANDIDATES;
+
+class AIAdCandidateService {
+  constructor() {
+    this.api = new DeArrowAPI();
+    this.submittingIds = new Set();
+  }
+
+  /**
+   * 获取当前视频的存储键（BV号 + 分P）
+   * @returns {string|null}
+   */
+  getVideoKey() {
+    const { platform, bvid, p } = getVideoInfo();
+    if (platform !== 'bilibili' || !bvid) return null;
+    return `${bvid}_p${p || 1}`;
+  }
+
+  /**
+   * 片段是否是AI识别的候选片段
+   * @param {Object} segment - 片段 {UUID}
+   * @returns {boolean}
+   */
+  isCandidate(segment) {
+    return !!segment?.UUID?.startsWith(AI_AD_CANDIDATES.UUID_PREFIX);
+  }
+
+  /**
+   * 获取当前视频的候选片段（不含已忽略的）
+   * @returns {Array<Object>}
+   */
+  getCandidates() {
+    const videoKey = this.getVideoKey();
+    if (!videoKey) return [];
+    const record = this._getAll()[videoKey];
+    return (record?.candidates || []).filter(candidate => candidate.status !== STATUS.DISMISSED);
+  }
+
+  /**
+   * 获取单个候选片段
+   * @param {string} id - 候选片段ID
+   * @returns {Object|null}
+   */
+  getCandidate(id) {
+    return this.getCandidates().find(candidate => candidate.id === id) || null;
+  }
+
+  /**
+   * 保存AI识别出的广告为当前视频的候选片段
+   * AI结果来自缓存时保留原有的候选片段（不会覆盖调整过的时间）；
+   * 新生成的总结替换仍待审核的候选片段，用户审核过的（本地跳过、已提交、已忽略）保留，
+   * 与审核过的片段时间重叠的新广告视为同一个片段，不再重复添加
+   * @param {Array} ads - AI识别的广告 [{segment: [start, end], product, description}]
+   * @param {boolean} replacePending - 是否替换待审核的候选片段
+   * @returns {boolean} 是否有新识别的候选片段
+   */
+  setCandidates(ads, replacePending = false) {
+    const videoKey = this.getVideoKey();
+    if (!videoKey) return false;
+
+    const record = this._getAll()[videoKey];
+    if (record && !replacePending) {
+      eventBus.emit(EVENTS.AI_AD_CANDIDATES_CHANGED, { videoKey, isNew: false });
+      return false;
+    }
+
+    const reviewed = (record?.candidates || []).filter(candidate => candidate.status !== STATUS.PENDING);
+    const idPrefix = `${AI_AD_CANDIDATES.UUID_PREFIX}${Date.now().toString(36)}-`;
+    const fresh = (ads || [])
+      .filter(ad => Array.isArray(ad.segment) && ad.segment[1] > ad.segment[0])
+      .filter(ad => !reviewed.some(candidate => candidate.start < ad.segment[1] && ad.segment[0] < candidate.end))
+      .map((ad, index) => ({
+        id: `${idPrefix}${index}`,
+        start: ad.segment[0],
+        end: ad.segment[1],
+        product: ad.product || '',
+        description: ad.description || '',
+        status: STATUS.PENDING
+      }));
+    if (!record && fresh.length === 0) return false;
+
+    const candidates = [...reviewed, ...fresh].sort((a, b) => a.start - b.start);
+    this._saveVideo(videoKey, candidates);
+    if (fresh.length > 0) {
+      logger.info('AIAdCandidate', `AI识别出 ${fresh.length} 个广告候选片段: ${videoKey}`);
+    }
+    eventBus.emit(EVENTS.AI_AD_CANDIDATES_CHANGED, { videoKey, isNew: fresh.length > 0 });
+    return fresh.length > 0;
+  }
+
+  /**
+   * 调整候选片段的开始/结束时间
+   * @param {string} id - 候选片段ID
+   * @param {{start?: number, end?: number}} changes - 新的时间（秒）
+   */
+  updateTime(id, { start, end }) {
+    this._updateCandidate(id, candidate => {
+      const nextStart = Math.max(0, Math.round((start ?? candidate.start) * 10) / 10);
+      const nextEnd = Math.round((end ?? candidate.end) * 10) / 10;
+      if (nextEnd - nextStart < SEGMENT_SUBMISSION.MIN_DURATION) {
+        throw new Error(`片段时长不能少于 ${SEGMENT_SUBMISSION.MIN_DURATION} 秒`);
+      }
+      if (candidate.status === STATUS.SUBMITTED) {
+        throw new Error('已提交的片段不能再调整');
+      }
+      return { ...candidate, start: nextStart, end: nextEnd };
+    });
+  }
+
+  /**
+   * 设置候选片段的审核状态
+   * @param {string} id - 候选片段ID
+   * @param {'pending'|'local'|'dismissed'} status - 审核状态（提交请使用 submit）
+   */
+  setStatus(id, status) {
+    if (![STATUS.PENDING, STATUS.LOCAL, STATUS.DISMISSED].includes(status)) {
+      throw new Error(`不支持的状态: ${status}`);
+    }
+    this._updateCandidate(id, candidate => ({ ...candidate, status }));
+  }
+
+  /**
+   * 将候选片段提交到 BilibiliSponsorBlock
+   * @param {string} id - 候选片段ID
+   * @param {number} videoDuration - 视频时长（秒）
+   * @returns {Promise<void>}
+   */
+  async submit(id, videoDuration) {
+    const candidate = this.getCandidate(id);
+    if (!candidate) {
+      throw new Error('候选片段不存在');
+    }
+    if (candidate.status === STATUS.SUBMITTED) {
+      throw new Error('这个片段已经提交过了');
+    }
+    if (this.submittingIds.has(id)) {
+      throw new Error('正在提交中，请稍候');
+    }
+    if (!videoDuration || !isFinite(videoDuration)) {
+      throw new Error('无法获取视频时长');
+    }
+    if (candidate.end > videoDuration + SEGMENT_SUBMISSION.DURATION_TOLERANCE) {
+      throw new Error('结束时间超出了视频时长，请先在进度条上调整');
+    }
+
+    const { bvid, cid } = getVideoInfo();
+    if (!bvid || !cid) {
+      throw new Error('无法获取视频的BV号或CID');
+    }
+
+    this.submittingIds.add(id);
+    try {
+      const result = await this.api.submitSegment({
+        videoId: bvid,
+        cid,
+        startTime: candidate.start,
+        endTime: candidate.end,
+        category: 'sponsor',
+        videoDuration
+      }, { url: SEGMENT_SUBMISSION.BILIBILI_API_URL });
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+    } finally {
+      this.submittingIds.delete(id);
+    }
+
+    this._updateCandidate(id, item => ({ ...item, status: STATUS.SUBMITTED }));
+    logger.info('AIAdCandidate', `AI广告片段已提交: ${bvid} ${candidate.start}-${candidate.end}`);
+  }
+
+  /**
+   * 转换为播放器控制器使用的片段格式（不含已忽略的）
+   * @returns {Array<Object>}
+   */
+  toSegments() {
+    return this.getCandidates().map(candidate => ({
+      UUID: candidate.id,
+      segment: [candidate.start, candidate.end],
+      category: 'sponsor',
+      votes: 0,
+      source: 'ai',
+      status: candidate.status,
+      description: candidate.product ? `${candidate.product}: ${candidate.description}` : candidate.description
+    }));
+  }
+
+  /**
+   * 候选片段是否应该自动跳过（仅本地跳过或已提交）
+   * @param {Object} segment - 片段
+   * @returns {boolean}
+   */
+  shouldAutoSkip(segment) {
+    return segment.status === STATUS.LOCAL || segment.status === STATUS.SUBMITTED;
+  }
+
+  /**
+   * 获取所有视频的候选片段
+   * @private
+   * @returns {Object<string, {updatedAt: number, candidates: Array}>}
+   */
+  _getAll() {
+    return GM_getValue(STORAGE_KEYS.AI_AD_CANDIDATES, {});
+  }
+
+  /**
+   * 保存视频的候选片段（超出上限时丢弃最旧的视频）
+   * @private
+   * @param {string} videoKey - 视频存储键
+   * @param {Array} candidates - 候选片段
+   */
+  _saveVideo(videoKey, candidates) {
+    const all = { ...this._getAll(), [videoKey]: { updatedAt: Date.now(), candidates } };
+    const entries = Object.entries(all)
+      .sort((a, b) => a[1].updatedAt - b[1].updatedAt)
+      .slice(-AI_AD_CANDIDATES.MAX_VIDEOS);
+    GM_setValue(STORAGE_KEYS.AI_AD_CANDIDATES, Object.fromEntries(entries));
+  }
+
+  /**
+   * 更新当前视频的单个候选片段
+   * @private
+   * @param {string} id - 候选片段ID
+   * @param {Function} updater - 接收候选片段，返回更新后的候选片段
+   */
+  _updateCandidate(id, updater) {
+    const videoKey = this.getVideoKey();
+    const record = videoKey ? this._getAll()[videoKey] : null;
+    if (!record || !record.candidates.some(candidate => candidate.id === id)) {
+      throw new Error('候选片段不存在');
+    }
+
+    const candidates = record.candidates.map(candidate => (candidate.id === id ? updater(candidate) : candidate));
+    this._saveVideo(videoKey, candidates);
+    eventBus.emit(EVENTS.AI_AD_CANDIDATES_CHANGED, { videoKey, isNew: false });
+  }
+}
+
+// 创建全局单例
+export const aiAdCandidateService = new AIAdCandidateService();
+export default aiAdCandidateService;
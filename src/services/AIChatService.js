@@ -0,0 +1,157 @@
+/**
+ * 字幕问答服务模块
+ * 以带时间戳的字幕为上下文，向所选AI配置发送追问，对话历史按视频分别保存
+ */
+
+import config from '../config/ConfigManager.js';
+import state from '../state/StateManager.js';
+import aiService from './AIService.js';
+import LogDecorator from '../utils/LogDecorator.js';
+import { aiChatCache } from '../utils/LRUCache.js';
+import { getVideoTitle, getCurrentTime } from '../utils/helpers.js';
+import { AI_CHAT } from '../constants.js';
+
+class AIChatService {
+  constructor() {
+    this.log = LogDecorator.createModuleLogger('AIChatService');
+    this.abortController = null;
+    this.isAnswering = false;
+  }
+
+  /**
+   * 获取视频的对话历史
+   * @param {string|null} videoKey - 视频键，不传则使用当前视频
+   * @returns {Array<{role: string, content: string}>}
+   */
+  getHistory(videoKey = null) {
+    const key = videoKey || state.getVideoKey();
+    return key ? (aiChatCache.get(key) || []) : [];
+  }
+
+  /**
+   * 清空视频的对话历史
+   * @param {string|null} videoKey - 视频键，不传则使用当前视频
+   */
+  clearHistory(videoKey = null) {
+    const key = videoKey || state.getVideoKey();
+    if (key) {
+      aiChatCache.delete(key);
+    }
+  }
+
+  /**
+   * 发送问题并流式接收回答
+   * @param {string} question - 用户问题
+   * @param {Function} onChunk - 增量回调，参数为已累计的回答文本
+   * @returns {Promise<string>} 完整回答
+   */
+  async ask(question, onChunk) {
+    const text = (question || '').trim();
+    if (!text) {
+      throw new Error('问题不能为空');
+    }
+
+    if (this.isAnswering) {
+      throw new Error('上一个问题正在回答中，请稍候');
+    }
+
+    const aiConfig = config.getSelectedAIConfig();
+    if (!aiConfig) {
+      throw new Error('未找到AI配置，请先在设置中添加配置');
+    }
+    if (!config.hasAICredentials(aiConfig)) {
+      throw new Error('请先配置 AI API Key');
+    }
+
+    const subtitleData = state.getSubtitleData();
+    if (!subtitleData || subtitleData.length === 0) {
+      throw new Error('没有可用的字幕数据');
+    }
+
+    // 固定发起提问时的视频，避免回答过程中切换视频导致历史错位
+    const videoKey = state.getVideoKey();
+    const history = this.getHistory(videoKey);
+    const messages = [
+      { role: 'system', content: this._buildSystemPrompt(subtitleData, aiConfig, videoKey) },
+      ...history,
+      { role: 'user', content: text }
+    ];
+
+    this.isAnswering = true;
+    this.abortController = new AbortController();
+
+    try {
+      this.log.info(`发送问题，历史消息数: ${history.length}`);
+      const answer = await aiService.streamChat(aiConfig, messages, this.abortController.signal, onChunk);
+
+      if (videoKey) {
+        const updated = [
+          ...history,
+          { role: 'user', content: text },
+          { role: 'assistant', content: answer }
+        ].slice(-AI_CHAT.MAX_HISTORY_MESSAGES);
+        aiChatCache.set(videoKey, updated);
+      }
+
+      return answer;
+    } finally {
+      this.isAnswering = false;
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * 取消正在进行的回答
+   */
+  cancel() {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+  }
+
+  /**
+   * 构建系统提示词（包含字幕上下文）
+   * 字幕超出模型上下文时，只附带当前播放位置所在的字幕分段和已有的AI总结
+   * @private
+   * @param {Array} subtitleData - 字幕数据
+   * @param {Object} aiConfig - AI配置
+   * @param {string|null} videoKey - 视频键
+   * @returns {string}
+   */
+  _buildSystemPrompt(subtitleData, aiConfig, videoKey) {
+    const chunks = aiService.chunkSubtitles(subtitleData, aiConfig);
+    let context;
+
+    if (chunks.length === 1) {
+      context = `完整字幕：\n${chunks[0].timestampedText}`;
+    } else {
+      const currentTime = getCurrentTime() || 0;
+      const chunk = chunks.find(item => currentTime >= item.from && currentTime <= item.to) ||
+                    chunks.find(item => currentTime < item.from) ||
+                    chunks[chunks.length - 1];
+      const summary = videoKey ? state.getAISummary(videoKey) : null;
+
+      context = '';
+      if (summary?.markdown) {
+        context += `全片总结：\n${summary.markdown}\n\n`;
+      }
+      context += `视频较长，以下仅为当前播放位置附近的字幕：\n${chunk.timestampedText}`;
+      this.log.debug(`字幕过长，使用第 ${chunks.indexOf(chunk) + 1}/${chunks.length} 段作为上下文`);
+    }
+
+    return `你是视频内容助手，请根据下面的视频字幕回答用户的问题。
+
+要求：
+1. 使用中文回答，可以使用Markdown格式
+2. 引用视频内容时，用 [分钟:秒] 格式标注对应时间点，例如 [12:34]
+3. 字幕中没有提到的内容请明确说明，不要编造
+
+视频标题：${getVideoTitle()}
+
+${context}`;
+  }
+}
+
+// 创建全局单例
+export const aiChatService = new AIChatService();
+export default aiChatService;
@@ -9,14 +9,28 @@ import eventBus from '../utils/EventBus.js';
 import performanceMonitor from '../utils/PerformanceMonitor.js';
 import notesService from './NotesService.js';
 import notionService from './NotionService.js';
+import markdownExportService from './MarkdownExportService.js';
+import aiAdCandidateService from './AIAdCandidateService.js';
 import { getVideoTitle, getVideoUrl } from '../utils/helpers.js';
 import taskManager from '../utils/TaskManager.js';
-import { EVENTS, TIMING, BALL_STATUS } from '../constants.js';
+import { EVENTS, TIMING, BALL_STATUS, AI_CHUNKING, AI_SUMMARY_SOURCES } from '../constants.js';
 import { withTimeout } from '../utils/helpers.js';
 import LogDecorator from '../utils/LogDecorator.js';
-import { aiMarkdownCache, aiSegmentsCache } from '../utils/LRUCache.js';
+import { aiMarkdownCache, aiSegmentsCache, aiProviderCache } from '../utils/LRUCache.js';
 import { showInfoConfirm } from '../ui/ConfirmDialog.js';
 import logger from '../utils/DebugLogger.js';
+import OpenAIProtocolAdapter from './adapters/OpenAIProtocolAdapter.js';
+import AnthropicProtocolAdapter from './adapters/AnthropicProtocolAdapter.js';
+import OllamaProtocolAdapter from './adapters/OllamaProtocolAdapter.js';
+import GeminiProtocolAdapter from './adapters/GeminiProtocolAdapter.js';
+
+// 协议适配器（按AI配置的 protocol 字段选择，缺省为OpenAI兼容协议）
+const PROTOCOL_ADAPTERS = {
+  openai: new OpenAIProtocolAdapter(),
+  anthropic: new AnthropicProtocolAdapter(),
+  ollama: new OllamaProtocolAdapter(),
+  gemini: new GeminiProtocolAdapter()
+};
 
 class AIService {
   constructor() {
@@ -48,16 +62,27 @@ class AIService {
 
   /**
    * 生成AI总结
-   * @param {Array} subtitleData - 字幕数据
+   * @param {Array} subtitleData - 字幕数据（弹幕来源时为按时间聚合的弹幕）
    * @param {boolean} isManual - 是否手动触发
+   * @param {Object} options
+   * @param {'subtitle'|'danmaku'} options.source - 内容来源，弹幕来源会在提示词中说明并在结果中注明
+   * @param {{title: string, description: string, tags: Array<string>}} options.context - 弹幕来源时附带的视频信息
    * @returns {Promise<{markdown: string, segments: Array}>} - 返回两个AI总结
    */
-  async summarize(subtitleData, isManual = false) {
+  async summarize(subtitleData, isManual = false, options = {}) {
+    const source = options.source || AI_SUMMARY_SOURCES.SUBTITLE;
     // 性能监控：测量AI总结耗时
     return await performanceMonitor.measureAsync('AI总结', async () => {
       try {
         const videoKey = state.getVideoKey();
         
+        // 缓存的总结来源不同时（例如之前根据弹幕生成，现在有了字幕）不使用缓存
+        if (videoKey && (aiProviderCache.get(videoKey)?.source || AI_SUMMARY_SOURCES.SUBTITLE) !== source) {
+          this.log.info('缓存的AI总结来源不同，重新生成');
+          aiMarkdownCache.delete(videoKey);
+          aiSegmentsCache.delete(videoKey);
+        }
+
         // 检查LRU缓存：分别检查markdown和segments缓存
         if (videoKey) {
           const cachedMarkdown = aiMarkdownCache.get(videoKey);
@@ -74,11 +99,13 @@ class AIService {
               
               if (!confirmed) {
                 this.log.info('用户取消重新生成，使用现有缓存');
+                this._applyAdSegments(cachedSegments.ads);
                 // 组合返回完整结果
                 return {
                   markdown: cachedMarkdown,
                   segments: cachedSegments.segments || [],
-                  ads: cachedSegments.ads || []
+                  ads: cachedSegments.ads || [],
+                  generatedBy: aiProviderCache.get(videoKey) || null
                 };
               }
               
@@ -89,10 +116,12 @@ class AIService {
             } else {
               // 自动触发：直接使用缓存
               this.log.info('检测到完整的AI总结LRU缓存，直接使用缓存');
+              this._applyAdSegments(cachedSegments.ads);
               return {
                 markdown: cachedMarkdown,
                 segments: cachedSegments.segments || [],
-                ads: cachedSegments.ads || []
+                ads: cachedSegments.ads || [],
+                generatedBy: aiProviderCache.get(videoKey) || null
               };
             }
           } else if (cachedMarkdown || cachedSegments) {
@@ -120,13 +149,15 @@ class AIService {
           }
         }
 
-        const aiConfig = config.getSelectedAIConfig();
+        // 当前选中的配置在前，其后是备用配置（失败时依次切换）
+        const aiChain = config.getAIFallbackChain();
+        const aiConfig = aiChain[0];
           
           if (!aiConfig) {
             throw new Error('未找到AI配置，请先在设置中添加配置');
           }
 
-        if (!aiConfig.apiKey || aiConfig.apiKey.trim() === '') {
+        if (!config.hasAICredentials(aiConfig)) {
           throw new Error('请先配置 AI API Key\n\n请点击右上角设置按钮，选择"AI配置"，然后为所选的AI服务商配置API Key');
         }
 
@@ -139,12 +170,15 @@ class AIService {
           throw new Error('未配置模型，请在设置中选择AI模型');
         }
 
+        // 弹幕来源：在字幕文本前说明内容来源并附上简介和标签
+        const preamble = source === AI_SUMMARY_SOURCES.DANMAKU ? this._getDanmakuPreamble(options.context) : '';
+
         // 为两个不同的AI请求准备不同的字幕文本
         // 第一个请求：纯字幕文本（不含时间戳）
-        const pureSubtitleText = subtitleData.map(item => item.content).join('\n');
+        const pureSubtitleText = preamble + subtitleData.map(item => item.content).join('\n');
         
         // 第二个请求：带时间戳的字幕文本
-        const timestampedSubtitleText = subtitleData.map(item => {
+        const timestampedSubtitleText = preamble + subtitleData.map(item => {
           // 格式化时间戳
           const minutes = Math.floor(item.from / 60);
           const seconds = Math.floor(item.from % 60);
@@ -152,18 +186,6 @@ class AIService {
           return `${timeStr} ${item.content}`;
         }).join('\n');
 
-        // 构建请求头
-        const headers = {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${aiConfig.apiKey}`
-        };
-
-        // OpenRouter需要额外的headers
-        if (aiConfig.isOpenRouter) {
-          headers['HTTP-Referer'] = window.location.origin;
-          headers['X-Title'] = 'Bilibili Subtitle Extractor';
-        }
-
         // 获取当前视频信息
         const videoInfo = state.getVideoInfo();
         const videoTitle = getVideoTitle();
@@ -241,7 +263,7 @@ class AIService {
           'ai_summary', 
           taskVideoInfo,
           async (taskContext) => {
-            return await this._executeSummaryTask(subtitleData, aiConfig, headers, pureSubtitleText, timestampedSubtitleText, taskContext, isManual);
+            return await this._executeSummaryTask(subtitleData, aiChain, pureSubtitleText, timestampedSubtitleText, taskContext, isManual, { source, preamble });
           },
           isManual
         );
@@ -308,8 +330,12 @@ class AIService {
   /**
    * 执行总结任务
    * @private
+   * @param {Array} subtitleData - 字幕数据
+   * @param {Array} aiChain - AI配置链（选中配置 + 备用配置）
+   * @param {{source: string, preamble: string}} sourceInfo - 内容来源和分段时加在每段前的说明
    */
-  async _executeSummaryTask(subtitleData, aiConfig, headers, pureSubtitleText, timestampedSubtitleText, taskContext, isManual) {
+  async _executeSummaryTask(subtitleData, aiChain, pureSubtitleText, timestampedSubtitleText, taskContext, isManual, sourceInfo) {
+    const { source, preamble } = sourceInfo;
     try {
       const { videoInfo, signal } = taskContext;
       const taskStartTime = performance.now(); // 记录任务开始时间
@@ -320,6 +346,7 @@ class AIService {
         // 检查LRU缓存，确定需要请求的部分
         const cachedMarkdown = videoKey ? aiMarkdownCache.get(videoKey) : null;
         const cachedSegments = videoKey ? aiSegmentsCache.get(videoKey) : null;
+        const cachedProviders = (videoKey && aiProviderCache.get(videoKey)) || {};
         
         const needMarkdown = !cachedMarkdown;
         const needSegments = !cachedSegments;
@@ -335,20 +362,27 @@ class AIService {
           this.log.debug('使用提示词类型: markdown总结');
           this.log.debug('字幕文本长度:', pureSubtitleText.length, '字符');
           
-          const markdownRequest = this._makeAIRequestWithRetry(
-            aiConfig, 
-            headers, 
-            pureSubtitleText, 
-            aiConfig.prompt1 || this._getDefaultPrompt1(), 
-            'markdown',
-            signal,
-            3,
-            !isManual
-          );
+          const markdownRequest = this._requestWithFallback(aiChain, 'Markdown总结', signal, (aiConfig, hasFallback) => {
+            // 长视频：字幕超出模型上下文时按字幕边界切分，走map-reduce流程（分段按各配置的上下文长度计算）
+            const chunks = this._withPreamble(this.chunkSubtitles(subtitleData, aiConfig, this._estimateTokens(preamble)), preamble);
+            if (chunks.length > 1) {
+              this.log.info(`字幕超出模型上下文，切分为 ${chunks.length} 段进行分段总结`);
+              return this._mapReduceMarkdown(aiConfig, chunks, signal, hasFallback, !isManual);
+            }
+            return this._makeAIRequestWithRetry(
+              aiConfig, 
+              pureSubtitleText, 
+              aiConfig.prompt1 || this._getDefaultPrompt1(), 
+              'markdown',
+              signal,
+              hasFallback ? 1 : 3,
+              !isManual
+            );
+          });
           requests.push(markdownRequest);
         } else {
           // 使用缓存
-          requests.push(Promise.resolve(cachedMarkdown));
+          requests.push(Promise.resolve({ result: cachedMarkdown, provider: cachedProviders.markdown || null }));
         }
 
         // 第二个请求：JSON格式段落总结（如果需要）
@@ -357,21 +391,26 @@ class AIService {
           this.log.debug('使用提示词类型: 段落总结+广告检测');
           this.log.debug('字幕文本长度:', timestampedSubtitleText.length, '字符');
           
-          const segmentsRequest = this._makeAIRequestWithRetry(
-            aiConfig, 
-            headers, 
-            timestampedSubtitleText, 
-            aiConfig.prompt2 || this._getDefaultPrompt2(), 
-            'segments',
-            signal,
-            3,
-            !isManual
-          );
+          const segmentsRequest = this._requestWithFallback(aiChain, '段落总结', signal, (aiConfig, hasFallback) => {
+            const chunks = this._withPreamble(this.chunkSubtitles(subtitleData, aiConfig, this._estimateTokens(preamble)), preamble);
+            if (chunks.length > 1) {
+              return this._summarizeSegmentsByChunk(aiConfig, chunks, signal, hasFallback, !isManual);
+            }
+            return this._makeAIRequestWithRetry(
+              aiConfig, 
+              timestampedSubtitleText, 
+              aiConfig.prompt2 || this._getDefaultPrompt2(), 
+              'segments',
+              signal,
+              hasFallback ? 1 : 3,
+              !isManual
+            );
+          });
           requests.push(segmentsRequest);
         } else {
           // 使用缓存，直接返回segments数组
           const cachedSegmentsData = cachedSegments || {};
-          requests.push(Promise.resolve(cachedSegmentsData.segments || []));
+          requests.push(Promise.resolve({ result: cachedSegmentsData.segments || [], provider: cachedProviders.segments || null }));
         }
 
         // 并行执行需要的AI请求（传入signal以支持取消）
@@ -387,13 +426,23 @@ class AIService {
         const taskDuration = performance.now() - taskStartTime;
         logger.debug('计时', `AI总结 - 总耗时: ${taskDuration.toFixed(2)}ms`);
         
+        // 记录实际生成各部分的AI服务商和模型（可能是备用配置）
+        const generatedBy = {
+          markdown: results[0].provider,
+          segments: results[1].provider
+        };
+        // 根据弹幕生成的总结，界面和导出中注明可信度较低
+        if (source !== AI_SUMMARY_SOURCES.SUBTITLE) {
+          generatedBy.source = source;
+        }
+
         // 第一个请求返回：Markdown总结
-        const markdownSummary = results[0];
+        const markdownSummary = results[0].result;
         this.log.info('✅ 第一部分完成：Markdown总结');
         this.log.debug('Markdown总结长度:', markdownSummary?.length || 0, '字符');
         
         // 第二个请求返回：段落数组（可能包含广告段落）
-        const allSegments = results[1];
+        const allSegments = results[1].result;
         this.log.info('✅ 第二部分完成：段落总结');
         
         // 从segments中分离普通段落和广告段落
@@ -402,6 +451,11 @@ class AIService {
         
         for (const segment of allSegments) {
           if (segment.title === '广告') {
+            // 根据弹幕推测的广告不可靠，不作为广告候选片段
+            if (source === AI_SUMMARY_SOURCES.DANMAKU) {
+              this.log.debug('弹幕来源的总结忽略广告段落:', segment.timestamp);
+              continue;
+            }
             // 这是广告段落，转换为广告格式
             const adStartTime = this._parseTimeToSeconds(segment.timestamp);
             // 假设广告持续30秒（如果AI没有提供结束时间）
@@ -437,7 +491,8 @@ class AIService {
         const combinedResult = {
           markdown: markdownSummary,
           segments: segments,
-          ads: ads
+          ads: ads,
+          generatedBy
         };
         
         // 验证AI总结是否完整
@@ -449,7 +504,12 @@ class AIService {
           this.log.warn('段落总结为空，请检查AI返回内容');
         }
         
-        if (combinedResult.ads && combinedResult.ads.length > 0) {
+        if (source === AI_SUMMARY_SOURCES.DANMAKU) {
+          // 弹幕来源的总结不识别广告，也不改动已有的候选片段
+        } else if (needSegments) {
+          // 新识别的广告替换待审核的候选片段（没有识别出广告时也清除旧的待审核片段）
+          this._applyAdSegments(combinedResult.ads || [], true);
+        } else if (combinedResult.ads && combinedResult.ads.length > 0) {
           // 将广告段落添加到进度条标记
           this._applyAdSegments(combinedResult.ads);
         }
@@ -464,6 +524,7 @@ class AIService {
             aiSegmentsCache.set(videoKey, { segments, ads });
             this.log.debug('段落总结+广告分析已保存到LRU缓存');
           }
+          aiProviderCache.set(videoKey, generatedBy);
         }
         
         this.log.success('AI总结任务完成');
@@ -472,17 +533,28 @@ class AIService {
 
         // 完成总结（使用任务中的固定视频信息）
       state.finishAISummary(combinedResult);
+      // 导出内容包含精彩时刻书签（缓存中只保存AI生成的段落）
+      const exportSummary = state.withHighlight(combinedResult);
       
       // 注意：AI总结不应该保存到"我的笔记"中
       // "我的笔记"只保存用户主动选中并点击钢笔添加的内容
       
-      // 后台发送到Notion（使用任务中的固定视频信息）
+      // 后台发送到Notion或导出Markdown（使用任务中的固定视频信息）
       try {
         const notionConfig = config.getNotionConfig();
         const notionAutoEnabled = config.getNotionAutoSendEnabled();
         
+        // 自动发送目标为Markdown时导出文件，不再发送到Notion
+        if (notionAutoEnabled && config.getAutoSendTarget() === 'markdown' && videoInfo.bvid) {
+          markdownExportService.exportToFile({
+            videoInfo,
+            aiSummary: exportSummary,
+            subtitleData: state.getSubtitleData(),
+            isAuto: true
+          });
+        }
         // 检查是否启用了自动发送并且有配置
-        if (notionAutoEnabled && notionConfig.apiKey && videoInfo.bvid) {
+        else if (notionAutoEnabled && notionConfig.apiKey && videoInfo.bvid) {
           // 创建Notion发送任务
           taskManager.createTask(
             'notion_send_summary',
@@ -495,7 +567,7 @@ class AIService {
               
               await notionService.sendToNotion({
                 videoInfo: notionTaskContext.videoInfo,
-                aiSummary: combinedResult,
+                aiSummary: exportSummary,
                 subtitleData: subtitleData, // 根据配置决定是否发送字幕
                 isAuto: true
               });
@@ -504,10 +576,10 @@ class AIService {
           );
         }
       } catch (error) {
-        console.error('[AIService] 创建Notion任务失败:', error);
+        console.error('[AIService] 自动发送失败:', error);
       }
       
-      return combinedResult;
+      return exportSummary;
 
     } catch (error) {
       // 发生错误时，确保状态正确重置
@@ -517,11 +589,59 @@ class AIService {
     }
   }
   
+  /**
+   * 按配置链依次执行请求，当前配置失败（限流、5xx、超时等）时自动切换到下一个
+   * @private
+   * @param {Array} aiChain - AI配置链
+   * @param {string} label - 日志中的请求名称
+   * @param {AbortSignal} signal - 取消信号
+   * @param {Function} requestFn - (aiConfig, hasFallback) => Promise
+   * @returns {Promise<{result: *, provider: {id: string, name: string, model: string}}>}
+   */
+  async _requestWithFallback(aiChain, label, signal, requestFn) {
+    for (let i = 0; i < aiChain.length; i++) {
+      const aiConfig = aiChain[i];
+      const hasFallback = i < aiChain.length - 1;
+
+      try {
+        const result = await requestFn(aiConfig, hasFallback);
+        return { result, provider: this._describeProvider(aiConfig) };
+      } catch (error) {
+        // 用户取消或切换视频时不再尝试备用配置
+        if (signal?.aborted || !hasFallback) {
+          throw error;
+        }
+
+        const next = aiChain[i + 1];
+        this.log.warn(`${label}失败(${aiConfig.name}: ${error.message})，切换到备用配置: ${next.name}`);
+        eventBus.emit(EVENTS.AI_PROVIDER_FALLBACK, {
+          from: this._describeProvider(aiConfig),
+          to: this._describeProvider(next),
+          label,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * 生成AI配置的服务商描述（用于记录总结来源）
+   * @private
+   * @param {Object} aiConfig - AI配置
+   * @returns {{id: string, name: string, model: string}}
+   */
+  _describeProvider(aiConfig) {
+    return {
+      id: aiConfig.id,
+      name: aiConfig.name,
+      model: aiConfig.model
+    };
+  }
+
   /**
    * 执行单个AI请求（带重试机制）
    * @private
    * @param {Object} aiConfig - AI配置
-   * @param {Object} headers - 请求头
    * @param {string} subtitleText - 字幕文本
    * @param {string} prompt - 提示词
    * @param {string} type - 请求类型 (markdown/segments)
@@ -529,11 +649,11 @@ class AIService {
    * @param {number} maxRetries - 最大重试次数
    * @returns {Promise<string|Array>}
    */
-  async _makeAIRequestWithRetry(aiConfig, headers, subtitleText, prompt, type, signal, maxRetries = 3, retryOnAllErrors = false) {
+  async _makeAIRequestWithRetry(aiConfig, subtitleText, prompt, type, signal, maxRetries = 3, retryOnAllErrors = false) {
     for (let attempt = 0; attempt < maxRetries; attempt++) {
       try {
         this.log.debug(`AI请求尝试 ${attempt + 1}/${maxRetries}`);
-        return await this._makeAIRequest(aiConfig, headers, subtitleText, prompt, type, signal);
+        return await this._makeAIRequest(aiConfig, subtitleText, prompt, type, signal);
       } catch (error) {
         // 检查是否是429错误（限流）
         const is429Error = error.message && (
@@ -566,31 +686,37 @@ class AIService {
    * 执行单个AI请求
    * @private
    * @param {Object} aiConfig - AI配置
-   * @param {Object} headers - 请求头
    * @param {string} subtitleText - 字幕文本
    * @param {string} prompt - 提示词
    * @param {string} type - 请求类型 (markdown/segments)
    * @param {AbortSignal} signal - 取消信号
    * @returns {Promise<string|Array>}
    */
-  async _makeAIRequest(aiConfig, headers, subtitleText, prompt, type, signal) {
-    const requestBody = {
-      model: aiConfig.model,
-      messages: [
-        {
-          role: 'user',
-          content: prompt + subtitleText
-        }
-      ],
-      stream: type === 'markdown' // 只有Markdown总结使用流式响应
-    };
+  async _makeAIRequest(aiConfig, subtitleText, prompt, type, signal) {
+    const messages = [
+      {
+        role: 'user',
+        content: prompt + subtitleText
+      }
+    ];
+
+    if (type === 'partial') {
+      // 分段总结的中间结果（非流式，进度由调用方通过事件汇报）
+      const content = await withTimeout(
+        this._completionRequest(aiConfig, messages, signal),
+        TIMING.AI_SUMMARY_TIMEOUT,
+        '分段总结超时，请稍后重试'
+      );
+      return this._cleanMarkdownContent(content);
+    }
 
     if (type === 'markdown') {
       // 使用流式请求处理Markdown总结
       this.log.debug('发送Markdown总结请求（流式）');
       const start = performance.now();
       
-      const summaryPromise = this._streamingRequest(aiConfig.url, headers, requestBody, signal);
+      // 只有Markdown总结使用流式响应
+      const summaryPromise = this._streamingRequest(aiConfig, messages, signal);
       
       // 添加超时保护
       const markdownContent = await withTimeout(
@@ -609,21 +735,12 @@ class AIService {
       this.log.debug('发送段落总结请求（非流式，含广告检测）');
       const start = performance.now();
       
-      const response = await fetch(aiConfig.url, {
-        method: 'POST',
-        headers: headers,
-        body: JSON.stringify(requestBody),
-        signal: signal || state.ai.abortController?.signal
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        this.log.error('段落总结API错误响应:', errorText);
-        throw new Error(`段落总结请求失败: ${response.status} ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      const content = data.choices?.[0]?.message?.content || '';
+      // 添加超时保护（服务商无响应时才能切换到备用配置）
+      const content = await withTimeout(
+        this._completionRequest(aiConfig, messages, signal, '段落总结'),
+        TIMING.AI_SUMMARY_TIMEOUT,
+        '段落总结超时，请稍后重试'
+      );
       
       const duration = performance.now() - start;
       logger.debug('计时', `AI总结 - Prompt2 (段落+广告): ${duration.toFixed(2)}ms`);
@@ -636,6 +753,423 @@ class AIService {
     }
   }
 
+  /**
+   * 获取AI配置对应的协议适配器
+   * @private
+   * @param {Object} aiConfig - AI配置
+   * @returns {AIProtocolAdapter}
+   */
+  _getAdapter(aiConfig) {
+    return PROTOCOL_ADAPTERS[aiConfig.protocol] || PROTOCOL_ADAPTERS.openai;
+  }
+
+  /**
+   * 发送AI请求
+   * @private
+   * @param {Object} aiConfig - AI配置
+   * @param {Array} messages - 对话消息
+   * @param {boolean} stream - 是否流式
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise<Response>}
+   */
+  async _sendRequest(aiConfig, messages, stream, signal) {
+    const { url, headers, body } = this._getAdapter(aiConfig).buildRequest(aiConfig, messages, stream);
+    return await fetch(url, {
+      method: 'POST',
+      headers: headers,
+      body: JSON.stringify(body),
+      signal: signal || state.ai.abortController?.signal
+    });
+  }
+
+  /**
+   * 流式多轮对话请求（用于字幕问答）
+   * @param {Object} aiConfig - AI配置
+   * @param {Array<{role: string, content: string}>} messages - 对话消息
+   * @param {AbortSignal} signal - 取消信号
+   * @param {Function} onChunk - 增量回调，参数为已累计的回复文本
+   * @returns {Promise<string>} 完整回复
+   */
+  async streamChat(aiConfig, messages, signal, onChunk) {
+    return await withTimeout(
+      this._streamingRequest(aiConfig, messages, signal, onChunk),
+      TIMING.AI_SUMMARY_TIMEOUT,
+      'AI回复超时，请稍后重试'
+    );
+  }
+
+  /**
+   * 按配置链进行流式多轮对话，当前配置失败时切换到备用配置
+   * @param {Array} aiChain - AI配置链（config.getAIFallbackChain()）
+   * @param {Array<{role: string, content: string}>} messages - 对话消息
+   * @param {AbortSignal} signal - 取消信号
+   * @param {Function} onChunk - 增量回调，参数为已累计的回复文本（切换配置后从头开始）
+   * @param {string} label - 日志中的请求名称
+   * @returns {Promise<{result: string, provider: {id: string, name: string, model: string}}>}
+   */
+  async streamChatWithFallback(aiChain, messages, signal, onChunk, label = 'AI回复') {
+    return await this._requestWithFallback(aiChain, label, signal,
+      (aiConfig) => this.streamChat(aiConfig, messages, signal, onChunk)
+    );
+  }
+
+  /**
+   * 非流式请求，返回模型回复文本
+   * @private
+   * @param {Object} aiConfig - AI配置
+   * @param {Array} messages - 对话消息
+   * @param {AbortSignal} signal - 取消信号
+   * @param {string} label - 错误信息中的请求名称
+   * @returns {Promise<string>}
+   */
+  async _completionRequest(aiConfig, messages, signal, label = '分段总结') {
+    const response = await this._sendRequest(aiConfig, messages, false, signal);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      this.log.error(`${label}API错误响应:`, errorText);
+      throw new Error(`${label}请求失败: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return this._getAdapter(aiConfig).parseResponse(data);
+  }
+
+  /**
+   * 估算文本的token数量
+   * 中日韩字符约1个token，其余字符约4个一个token
+   * @private
+   * @param {string} text - 文本
+   * @returns {number}
+   */
+  _estimateTokens(text) {
+    if (!text) return 0;
+    const cjkCount = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length;
+    return cjkCount + Math.ceil((text.length - cjkCount) / 4);
+  }
+
+  /**
+   * 获取模型的上下文长度（token）
+   * @private
+   * @param {Object} aiConfig - AI配置
+   * @returns {number}
+   */
+  _getContextTokens(aiConfig) {
+    if (aiConfig.protocol === 'ollama') {
+      return AI_CHUNKING.OLLAMA_CONTEXT_TOKENS;
+    }
+    const name = (aiConfig.model || '').toLowerCase();
+    if (AI_CHUNKING.MODEL_CONTEXT_TOKENS[name]) {
+      return AI_CHUNKING.MODEL_CONTEXT_TOKENS[name];
+    }
+    // 如 moonshot-v1-8k、moonshot-v1-128k
+    const match = name.match(/(\d+)k\b/);
+    if (match) {
+      return parseInt(match[1]) * 1000;
+    }
+    return AI_CHUNKING.DEFAULT_CONTEXT_TOKENS;
+  }
+
+  /**
+   * 计算单段字幕可用的token预算
+   * @private
+   * @param {Object} aiConfig - AI配置
+   * @returns {number}
+   */
+  _getChunkTokenBudget(aiConfig) {
+    const promptTokens = Math.max(
+      this._estimateTokens(aiConfig.prompt1 || this._getDefaultPrompt1()),
+      this._estimateTokens(aiConfig.prompt2 || this._getDefaultPrompt2())
+    );
+    const available = this._getContextTokens(aiConfig) - promptTokens - AI_CHUNKING.RESERVED_OUTPUT_TOKENS;
+    return Math.max(AI_CHUNKING.MIN_CHUNK_TOKENS, Math.floor(available * AI_CHUNKING.SAFETY_RATIO));
+  }
+
+  /**
+   * 格式化秒数为 MM:SS（分钟可超过60）
+   * @private
+   * @param {number} seconds - 秒数
+   * @returns {string}
+   */
+  _formatChunkTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * 按字幕边界切分字幕，保证每段不超过模型上下文
+   * 以带时间戳文本计算长度（比纯文本更长），两种文本共用同一切分边界
+   * @param {Array} subtitleData - 字幕数据
+   * @param {Object} aiConfig - AI配置
+   * @param {number} reservedTokens - 每段前另外加入的文字占用的token数（如弹幕来源的说明）
+   * @returns {Array<{pureText: string, timestampedText: string, from: number, to: number}>}
+   */
+  chunkSubtitles(subtitleData, aiConfig, reservedTokens = 0) {
+    const budget = Math.max(AI_CHUNKING.MIN_CHUNK_TOKENS, this._getChunkTokenBudget(aiConfig) - reservedTokens);
+    const chunks = [];
+    let current = null;
+
+    for (const item of subtitleData) {
+      const timestampedLine = `[${this._formatChunkTime(item.from)}] ${item.content}`;
+      const lineTokens = this._estimateTokens(timestampedLine) + 1;
+
+      if (current && current.tokens + lineTokens > budget) {
+        chunks.push(current);
+        current = null;
+      }
+
+      if (!current) {
+        current = { pureLines: [], timestampedLines: [], tokens: 0, from: item.from, to: item.to };
+      }
+
+      current.pureLines.push(item.content);
+      current.timestampedLines.push(timestampedLine);
+      current.tokens += lineTokens;
+      current.to = item.to;
+    }
+
+    if (current) {
+      chunks.push(current);
+    }
+
+    return chunks.map(chunk => ({
+      pureText: chunk.pureLines.join('\n'),
+      timestampedText: chunk.timestampedLines.join('\n'),
+      from: chunk.from,
+      to: chunk.to
+    }));
+  }
+
+  /**
+   * 在每段字幕文本前加上说明（弹幕来源的分段总结中每段都需要知道内容来源）
+   * @private
+   * @param {Array<{pureText: string, timestampedText: string}>} chunks - 字幕分段
+   * @param {string} preamble - 说明文字，为空时原样返回
+   * @returns {Array}
+   */
+  _withPreamble(chunks, preamble) {
+    if (!preamble) return chunks;
+    return chunks.map(chunk => ({
+      ...chunk,
+      pureText: preamble + chunk.pureText,
+      timestampedText: preamble + chunk.timestampedText
+    }));
+  }
+
+  /**
+   * 分段总结（map）后合并为最终Markdown（reduce）
+   * @private
+   * @param {Object} aiConfig - AI配置
+   * @param {Array} chunks - 字幕分段
+   * @param {AbortSignal} signal - 取消信号
+   * @param {boolean} hasFallback - 是否有备用配置（有则每次请求不重试，失败后直接切换到备用配置）
+   * @param {boolean} retryOnAllErrors - 是否对所有错误重试
+   * @returns {Promise<string>}
+   */
+  async _mapReduceMarkdown(aiConfig, chunks, signal, hasFallback, retryOnAllErrors) {
+    const total = chunks.length;
+    const maxRetries = hasFallback ? 1 : 3;
+    let partials = [];
+
+    // map：逐段总结（串行执行，避免触发限流，同时便于汇报进度）
+    this._emitChunkProgress(partials, total);
+    for (let i = 0; i < total; i++) {
+      if (signal?.aborted) {
+        throw new Error('Task aborted');
+      }
+      const chunk = chunks[i];
+      const range = `${this._formatChunkTime(chunk.from)} - ${this._formatChunkTime(chunk.to)}`;
+      this.log.info(`分段总结 ${i + 1}/${total}（${range}）`);
+
+      const content = await this._makeAIRequestWithRetry(
+        aiConfig,
+        chunk.pureText,
+        this._getChunkSummaryPrompt(i + 1, total, range),
+        'partial',
+        signal,
+        maxRetries,
+        retryOnAllErrors
+      );
+      partials.push({ title: `第${i + 1}部分（${range}）`, content });
+      this._emitChunkProgress(partials, total);
+    }
+
+    // 分段总结合并后仍然超长时，逐层合并
+    const budget = this._getChunkTokenBudget(aiConfig);
+    while (partials.length > 1 && this._estimateTokens(this._joinPartials(partials)) > budget) {
+      const groups = this._groupPartials(partials, budget);
+      if (groups.length === partials.length) {
+        // 无法再合并（单个分段已超出预算），直接进入reduce
+        break;
+      }
+      this.log.info(`分段总结过长，合并为 ${groups.length} 组`);
+
+      const merged = [];
+      for (const group of groups) {
+        if (signal?.aborted) {
+          throw new Error('Task aborted');
+        }
+        if (group.length === 1) {
+          merged.push(group[0]);
+          continue;
+        }
+        const content = await this._makeAIRequestWithRetry(
+          aiConfig,
+          this._joinPartials(group),
+          this._getMergePrompt(),
+          'partial',
+          signal,
+          maxRetries,
+          retryOnAllErrors
+        );
+        const title = `${group[0].title.replace(/（.*$/, '')}至${group[group.length - 1].title.replace(/（.*$/, '')}`;
+        merged.push({ title, content });
+      }
+      partials = merged;
+    }
+
+    // reduce：使用用户配置的总结提示词生成最终Markdown（流式）
+    this.log.info('合并分段总结，生成最终总结');
+    const reduceText = '（视频较长，以下是按时间顺序排列的分段要点，而不是原始字幕）\n\n' + this._joinPartials(partials);
+    return await this._makeAIRequestWithRetry(
+      aiConfig,
+      reduceText,
+      aiConfig.prompt1 || this._getDefaultPrompt1(),
+      'markdown',
+      signal,
+      maxRetries,
+      retryOnAllErrors
+    );
+  }
+
+  /**
+   * 逐段生成时间戳段落，并合并为一个segments数组
+   * @private
+   * @param {Object} aiConfig - AI配置
+   * @param {Array} chunks - 字幕分段
+   * @param {AbortSignal} signal - 取消信号
+   * @param {boolean} hasFallback - 是否有备用配置（有则每次请求不重试，失败后直接切换到备用配置）
+   * @param {boolean} retryOnAllErrors - 是否对所有错误重试
+   * @returns {Promise<Array>}
+   */
+  async _summarizeSegmentsByChunk(aiConfig, chunks, signal, hasFallback, retryOnAllErrors) {
+    const allSegments = [];
+
+    for (let i = 0; i < chunks.length; i++) {
+      if (signal?.aborted) {
+        throw new Error('Task aborted');
+      }
+      this.log.info(`分段生成时间戳段落 ${i + 1}/${chunks.length}`);
+      const segments = await this._makeAIRequestWithRetry(
+        aiConfig,
+        chunks[i].timestampedText,
+        aiConfig.prompt2 || this._getDefaultPrompt2(),
+        'segments',
+        signal,
+        hasFallback ? 1 : 3,
+        retryOnAllErrors
+      );
+      allSegments.push(...segments);
+    }
+
+    // 按时间排序并去掉同一时间点的重复段落
+    const seen = new Set();
+    return allSegments
+      .map(segment => ({ segment, seconds: this._parseTimeToSeconds(segment.timestamp.replace(/[\[\]]/g, '')) }))
+      .sort((a, b) => a.seconds - b.seconds)
+      .filter(({ segment }) => {
+        const key = `${segment.timestamp}-${segment.title}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(({ segment }) => segment);
+  }
+
+  /**
+   * 拼接分段总结
+   * @private
+   * @param {Array<{title: string, content: string}>} partials - 分段总结
+   * @returns {string}
+   */
+  _joinPartials(partials) {
+    return partials.map(partial => `### ${partial.title}\n\n${partial.content}`).join('\n\n');
+  }
+
+  /**
+   * 将分段总结按token预算分组
+   * @private
+   * @param {Array} partials - 分段总结
+   * @param {number} budget - token预算
+   * @returns {Array<Array>}
+   */
+  _groupPartials(partials, budget) {
+    const groups = [];
+    let current = [];
+    let tokens = 0;
+
+    for (const partial of partials) {
+      const partialTokens = this._estimateTokens(this._joinPartials([partial]));
+      if (current.length > 0 && tokens + partialTokens > budget) {
+        groups.push(current);
+        current = [];
+        tokens = 0;
+      }
+      current.push(partial);
+      tokens += partialTokens;
+    }
+
+    if (current.length > 0) {
+      groups.push(current);
+    }
+    return groups;
+  }
+
+  /**
+   * 通过AI_SUMMARY_CHUNK事件汇报分段总结进度
+   * @private
+   * @param {Array} partials - 已完成的分段总结
+   * @param {number} total - 总段数
+   */
+  _emitChunkProgress(partials, total) {
+    const header = `> ⏳ 视频较长，正在分段总结：已完成 ${partials.length}/${total} 段`;
+    const text = partials.length > 0 ? `${header}\n\n${this._joinPartials(partials)}` : header;
+    eventBus.emit(EVENTS.AI_SUMMARY_CHUNK, text, { done: partials.length, total });
+  }
+
+  /**
+   * 获取单段字幕总结的提示词
+   * @private
+   * @param {number} index - 当前段序号（从1开始）
+   * @param {number} total - 总段数
+   * @param {string} range - 时间范围
+   * @returns {string}
+   */
+  _getChunkSummaryPrompt(index, total, range) {
+    return `以下是一个长视频字幕的第 ${index}/${total} 部分（时间 ${range}）。
+
+请用中文提炼这一部分的主要内容：
+1. 使用Markdown列表输出要点
+2. 保留关键数据、观点和结论
+3. 不要添加开场白或总结性套话
+
+字幕内容如下：
+`;
+  }
+
+  /**
+   * 获取合并多段总结的提示词
+   * @private
+   * @returns {string}
+   */
+  _getMergePrompt() {
+    return `以下是一个长视频中连续几部分的要点总结。请将它们合并为一份更精炼的要点列表，保持时间顺序，使用Markdown列表输出，不要添加开场白。
+
+分段要点如下：
+`;
+  }
+
   /**
    * 解析JSON响应
    * @private
@@ -781,21 +1315,17 @@ class AIService {
   }
 
   /**
-   * 流式请求处理
+   * 流式请求处理（按协议适配器逐行解析SSE/NDJSON）
    * @private
-   * @param {string} url - API URL
-   * @param {Object} headers - 请求头
-   * @param {Object} body - 请求体
+   * @param {Object} aiConfig - AI配置
+   * @param {Array} messages - 对话消息
    * @param {AbortSignal} signal - 取消信号
+   * @param {Function|null} onChunk - 增量回调，不传则通过AI_SUMMARY_CHUNK事件广播
    * @returns {Promise<string>}
    */
-  async _streamingRequest(url, headers, body, signal) {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(body),
-      signal: signal || state.ai.abortController?.signal
-    });
+  async _streamingRequest(aiConfig, messages, signal, onChunk = null) {
+    const adapter = this._getAdapter(aiConfig);
+    const response = await this._sendRequest(aiConfig, messages, true, signal);
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -806,33 +1336,36 @@ class AIService {
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let accumulatedText = '';
+    // 网络分块可能截断一行，未完整的行留到下次拼接
+    let buffer = '';
+
+    const handleLine = (line) => {
+      const content = adapter.parseStreamLine(line.trim());
+      if (!content) return;
+
+      accumulatedText += content;
+      if (onChunk) {
+        onChunk(accumulatedText);
+      } else {
+        // 触发chunk事件，供UI实时更新
+        eventBus.emit(EVENTS.AI_SUMMARY_CHUNK, accumulatedText);
+      }
+    };
 
     try {
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
 
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n');
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') continue;
-
-            try {
-              const json = JSON.parse(data);
-              const content = json.choices[0]?.delta?.content;
-              if (content) {
-                accumulatedText += content;
-                // 触发chunk事件，供UI实时更新
-                eventBus.emit(EVENTS.AI_SUMMARY_CHUNK, accumulatedText);
-              }
-            } catch (e) {
-              // 跳过解析错误
-            }
-          }
-        }
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        lines.forEach(handleLine);
+      }
+
+      if (buffer) {
+        handleLine(buffer);
       }
 
       return accumulatedText;
@@ -860,6 +1393,26 @@ class AIService {
 `;
   }
 
+  /**
+   * 获取弹幕来源的说明（放在字幕文本前，告诉AI内容不是视频原文）
+   * @private
+   * @param {{title: string, description: string, tags: Array<string>}} context - 视频信息
+   * @returns {string}
+   */
+  _getDanmakuPreamble(context = {}) {
+    const lines = [
+      '（注意：该视频没有字幕，以下内容不是视频原文，而是视频的标题、简介、标签和观众弹幕。',
+      '弹幕按时间段汇总，"（n条弹幕）"为该时间段的弹幕总数，"×n"为同一条弹幕出现的次数。',
+      '请据此推测视频各部分的内容，弹幕密集处通常是视频的重点；无法确定的地方请说明，不要编造细节。）',
+      ''
+    ];
+    if (context.title) lines.push(`【标题】${context.title}`);
+    if (context.description) lines.push(`【简介】${context.description}`);
+    if (context.tags?.length > 0) lines.push(`【标签】${context.tags.join('、')}`);
+    lines.push('【弹幕】', '');
+    return lines.join('\n');
+  }
+
   /**
    * 获取JSON格式的默认提示词（包含广告检测）
    * @private
@@ -1158,41 +1711,21 @@ ${adsPrompt}
   }
 
   /**
-   * 应用广告段落到进度条标记
+   * 将AI识别的广告保存为候选片段
+   * 由SponsorBlock播放器控制器显示在进度条上，并在审核面板中选择本地跳过或提交
    * @private
    * @param {Array} adSegments - 广告段落数组
+   * @param {boolean} replacePending - 是否替换待审核的候选片段（新生成的总结）
    */
-  async _applyAdSegments(adSegments) {
-    if (!adSegments || adSegments.length === 0) return;
-    
+  _applyAdSegments(adSegments, replacePending = false) {
+    if (!replacePending && (!adSegments || adSegments.length === 0)) return;
+
     try {
-      // 获取SponsorBlock服务实例
-      const sponsorBlockService = (await import('./SponsorBlockService.js')).default;
-      
-      // 添加广告段落到标记系统
-      if (sponsorBlockService.playerController) {
-        // 将广告段落添加到现有段落
-        const existingSegments = sponsorBlockService.playerController.segments || [];
-        const combinedSegments = [
-          ...existingSegments,
-          ...adSegments.map((ad, index) => ({
-            UUID: `ai-ad-${index}`,
-            segment: ad.segment,
-            category: 'sponsor',
-            votes: 100, // 给予较高的优先级
-            videoDuration: 0,
-            description: `${ad.product}: ${ad.description}`
-          }))
-        ];
-        
-        sponsorBlockService.playerController.segments = combinedSegments;
-        // 重新渲染进度条标记
-        sponsorBlockService.playerController.renderProgressMarkers();
-        
-        this.log.info('已将广告段落添加到进度条标记');
+      if (aiAdCandidateService.setCandidates(adSegments, replacePending)) {
+        this.log.info('已将广告段落保存为候选片段，等待审核');
       }
     } catch (error) {
-      this.log.warn('添加广告段落到标记失败:', error);
+      this.log.warn('保存广告候选片段失败:', error);
     }
   }
 
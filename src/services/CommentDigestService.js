@@ -0,0 +1,278 @@
+/**
+ * 评论区总结服务模块
+ * 获取点赞最多的评论（B站翻页请求评论接口，YouTube读取页面上已加载的评论），
+ * 交给AI归纳观众的主要观点、争议和对视频内容的纠错补充，结果按视频分别缓存
+ */
+
+import config from '../config/ConfigManager.js';
+import state from '../state/StateManager.js';
+import platformService from './PlatformService.js';
+import aiService from './AIService.js';
+import LogDecorator from '../utils/LogDecorator.js';
+import { commentDigestCache } from '../utils/LRUCache.js';
+import { getVideoInfo, getVideoTitle } from '../utils/helpers.js';
+import { COMMENT_DIGEST } from '../constants.js';
+
+/**
+ * 解析点赞数文本（如 "1.2K"、"3.4万"）
+ * @param {string} text
+ * @returns {number}
+ */
+function parseCount(text) {
+  const match = (text || '').replace(/,/g, '').match(/([\d.]+)\s*([KkMm万亿]?)/);
+  if (!match) return 0;
+  const units = { K: 1e3, k: 1e3, M: 1e6, m: 1e6, '万': 1e4, '亿': 1e8 };
+  return Math.round(parseFloat(match[1]) * (units[match[2]] || 1));
+}
+
+/**
+ * 规范化评论文本（合并空白并截断）
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeContent(text) {
+  const content = (text || '').replace(/\s+/g, ' ').trim();
+  return content.length > COMMENT_DIGEST.MAX_COMMENT_LENGTH
+    ? `${content.slice(0, COMMENT_DIGEST.MAX_COMMENT_LENGTH)}…`
+    : content;
+}
+
+/**
+ * 请求B站评论接口（一页）
+ * @param {string|number} aid - 视频AV号
+ * @param {number} page - 页码（从1开始）
+ * @returns {Promise<{replies: Array, count: number}>}
+ */
+function requestReplyPage(aid, page) {
+  const params = new URLSearchParams({
+    type: 1,
+    oid: aid,
+    sort: 1,
+    ps: COMMENT_DIGEST.PAGE_SIZE,
+    pn: page
+  });
+
+  return new Promise((resolve, reject) => {
+    GM_xmlhttpRequest({
+      method: 'GET',
+      url: `${COMMENT_DIGEST.REPLY_API_URL}?${params}`,
+      headers: {
+        'Referer': 'https://www.bilibili.com/'
+      },
+      anonymous: false,
+      timeout: COMMENT_DIGEST.REQUEST_TIMEOUT,
+      onload: (response) => {
+        if (response.status !== 200) {
+          reject(new Error(`请求失败: ${response.status}`));
+          return;
+        }
+        try {
+          const data = JSON.parse(response.responseText);
+          if (data.code !== 0) {
+            reject(new Error(data.message || `评论接口返回错误: ${data.code}`));
+            return;
+          }
+          resolve({
+            replies: data.data?.replies || [],
+            count: data.data?.page?.count || 0
+          });
+        } catch (error) {
+          reject(new Error('解析评论数据失败'));
+        }
+      },
+      onerror: () => reject(new Error('网络请求失败')),
+      ontimeout: () => reject(new Error('请求超时'))
+    });
+  });
+}
+
+class CommentDigestService {
+  constructor() {
+    this.log = LogDecorator.createModuleLogger('CommentDigestService');
+    this.abortController = null;
+    this.isGenerating = false;
+  }
+
+  /**
+   * 获取视频的评论区总结
+   * @param {string|null} videoKey - 视频键，不传则使用当前视频
+   * @returns {{markdown: string, commentCount: number, generatedBy: Object, createdAt: number}|null}
+   */
+  getDigest(videoKey = null) {
+    const key = videoKey || state.getVideoKey();
+    return key ? (commentDigestCache.get(key) || null) : null;
+  }
+
+  /**
+   * 获取点赞最多的评论
+   * @returns {Promise<Array<{author: string, content: string, likes: number}>>} 按点赞数从高到低排序
+   */
+  async fetchComments() {
+    const platform = platformService.getPlatform();
+    let comments;
+
+    if (platform === 'bilibili') {
+      comments = await this.fetchBilibiliComments();
+    } else if (platform === 'youtube') {
+      comments = this.readYouTubeComments();
+    } else {
+      throw new Error('当前平台不支持评论区总结');
+    }
+
+    return comments
+      .filter(comment => comment.content)
+      .sort((a, b) => b.likes - a.likes)
+      .slice(0, COMMENT_DIGEST.TOP_N);
+  }
+
+  /**
+   * 翻页获取B站评论（按点赞排序，置顶评论也包含在内）
+   * @returns {Promise<Array<{author: string, content: string, likes: number}>>}
+   */
+  async fetchBilibiliComments() {
+    const { aid } = getVideoInfo();
+    if (!aid) {
+      throw new Error('无法获取视频AV号');
+    }
+
+    const comments = [];
+    const seen = new Set();
+    for (let page = 1; page <= COMMENT_DIGEST.MAX_PAGES; page++) {
+      const { replies, count } = await requestReplyPage(aid, page);
+      replies.forEach(reply => {
+        if (seen.has(reply.rpid)) return;
+        seen.add(reply.rpid);
+        comments.push({
+          author: reply.member?.uname || '',
+          content: normalizeContent(reply.content?.message),
+          likes: reply.like || 0
+        });
+      });
+
+      if (replies.length < COMMENT_DIGEST.PAGE_SIZE || page * COMMENT_DIGEST.PAGE_SIZE >= count) {
+        break;
+      }
+    }
+
+    this.log.debug(`获取到 ${comments.length} 条评论`);
+    return comments;
+  }
+
+  /**
+   * 读取YouTube页面上已加载的评论（评论区在滚动到可见位置后才加载）
+   * @returns {Array<{author: string, content: string, likes: number}>}
+   */
+  readYouTubeComments() {
+    const threads = document.querySelectorAll(COMMENT_DIGEST.YOUTUBE_THREAD_SELECTOR);
+    if (threads.length === 0) {
+      throw new Error('评论区尚未加载，请先向下滚动到评论区');
+    }
+
+    return Array.from(threads).map(thread => ({
+      author: thread.querySelector('#author-text')?.textContent.trim() || '',
+      content: normalizeContent(thread.querySelector('#content-text')?.textContent),
+      likes: parseCount(thread.querySelector('#vote-count-middle')?.textContent)
+    }));
+  }
+
+  /**
+   * 获取评论并流式生成评论区总结
+   * @param {Function} onChunk - 增量回调，参数为已累计的总结文本
+   * @returns {Promise<{markdown: string, commentCount: number, generatedBy: Object, createdAt: number}>}
+   */
+  async generate(onChunk) {
+    if (this.isGenerating) {
+      throw new Error('评论区总结正在生成中，请稍候');
+    }
+
+    // 当前选中的配置在前，其后是备用配置（失败时依次切换）
+    const aiChain = config.getAIFallbackChain();
+    const aiConfig = aiChain[0];
+    if (!aiConfig) {
+      throw new Error('未找到AI配置，请先在设置中添加配置');
+    }
+    if (!config.hasAICredentials(aiConfig)) {
+      throw new Error('请先配置 AI API Key');
+    }
+
+    // 固定发起时的视频，避免生成过程中切换视频导致结果错位
+    const videoKey = state.getVideoKey();
+
+    this.isGenerating = true;
+    this.abortController = new AbortController();
+
+    try {
+      const comments = await this.fetchComments();
+      // 获取评论期间已取消（如切换了视频）
+      if (this.abortController.signal.aborted) {
+        throw new DOMException('已取消评论区总结', 'AbortError');
+      }
+      if (comments.length === 0) {
+        throw new Error('该视频暂无评论');
+      }
+
+      this.log.info(`使用 ${comments.length} 条热门评论生成总结`);
+      const messages = [{ role: 'user', content: this._buildPrompt(comments) }];
+      const { result: markdown, provider } = await aiService.streamChatWithFallback(
+        aiChain, messages, this.abortController.signal, onChunk, '评论区总结'
+      );
+
+      const digest = {
+        markdown,
+        commentCount: comments.length,
+        generatedBy: {
+          markdown: provider
+        },
+        createdAt: Date.now()
+      };
+      if (videoKey) {
+        commentDigestCache.set(videoKey, digest);
+      }
+      return digest;
+    } finally {
+      this.isGenerating = false;
+      this.abortController = null;
+    }
+  }
+
+  /**
+   * 取消正在进行的生成
+   */
+  cancel() {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+  }
+
+  /**
+   * 构建评论区总结提示词
+   * @private
+   * @param {Array<{author: string, content: string, likes: number}>} comments - 热门评论
+   * @returns {string}
+   */
+  _buildPrompt(comments) {
+    const list = comments
+      .map((comment, index) => `${index + 1}. [👍${comment.likes}] ${comment.content}`)
+      .join('\n');
+
+    return `以下是视频《${getVideoTitle()}》评论区点赞最多的 ${comments.length} 条评论（方括号内为点赞数）。请总结观众的反应，使用中文和Markdown格式，包含以下三部分：
+
+## 主要观点
+观众讨论最多的几个主题，注明大致倾向（赞同、质疑、调侃等）
+
+## 争议
+观众之间存在分歧的地方，简要列出双方观点；没有明显争议时写"无明显争议"
+
+## 纠错与补充
+观众指出的视频中的错误、遗漏或补充的信息；没有时写"无"
+
+要求：只根据评论内容总结，不要编造；点赞数高的评论更有代表性；不要逐条复述评论。
+
+评论：
+${list}`;
+  }
+}
+
+// 创建全局单例
+export const commentDigestService = new CommentDigestService();
+export default commentDigestService;
@@ -0,0 +1,531 @@
+/**
+ * 弹幕服务模块
+ * 获取当前分P的弹幕（优先使用protobuf分段接口，失败时使用XML接口），
+ * 在进度条上绘制弹幕密度热力图，支持搜索和导出为ASS/JSON
+ */
+
+import BilibiliAdapter from './adapters/BilibiliAdapter.js';
+import config from '../config/ConfigManager.js';
+import eventBus from '../utils/EventBus.js';
+import logger from '../utils/DebugLogger.js';
+import { SearchIndex } from '../utils/SearchIndex.js';
+import { toDanmakuASS } from '../utils/DanmakuFormatter.js';
+import { getVideoInfo, getVideoTitle, getVideoDuration, downloadFile } from '../utils/helpers.js';
+import { DANMAKU, EVENTS, TIMING } from '../constants.js';
+
+const textDecoder = new TextDecoder();
+
+// DanmakuElem中用到的字段（字段号 -> 名称），其余字段跳过
+const VARINT_FIELDS = { 2: 'progress', 3: 'mode', 4: 'fontsize', 5: 'color', 8: 'ctime', 11: 'pool' };
+const STRING_FIELDS = { 6: 'midHash', 7: 'content', 12: 'idStr' };
+
+/**
+ * 创建protobuf读取器（只支持弹幕用到的varint和length-delimited类型，其余按类型跳过）
+ * @param {Uint8Array} bytes
+ */
+function createReader(bytes) {
+  let pos = 0;
+
+  return {
+    get done() {
+      return pos >= bytes.length;
+    },
+
+    varint() {
+      // int64可能超过32位，不能用位运算
+      let result = 0;
+      let multiplier = 1;
+      let byte;
+      do {
+        if (pos >= bytes.length) {
+          throw new Error('弹幕数据不完整');
+        }
+        byte = bytes[pos++];
+        result += (byte & 0x7f) * multiplier;
+        multiplier *= 128;
+      } while (byte & 0x80);
+      return result;
+    },
+
+    bytes() {
+      const length = this.varint();
+      const slice = bytes.subarray(pos, pos + length);
+      pos += length;
+      return slice;
+    },
+
+    skip(wireType) {
+      switch (wireType) {
+        case 0: this.varint(); break;
+        case 1: pos += 8; break;
+        case 2: this.bytes(); break;
+        case 5: pos += 4; break;
+        default: throw new Error(`无法解析的弹幕数据类型: ${wireType}`);
+      }
+    }
+  };
+}
+
+/**
+ * 解析一条弹幕（DanmakuElem）
+ * @param {Uint8Array} bytes
+ * @returns {Object}
+ */
+function decodeElem(bytes) {
+  const reader = createReader(bytes);
+  const fields = {};
+
+  while (!reader.done) {
+    const tag = reader.varint();
+    const field = Math.floor(tag / 8);
+    const wireType = tag % 8;
+
+    if (wireType === 0 && VARINT_FIELDS[field]) {
+      fields[VARINT_FIELDS[field]] = reader.varint();
+    } else if (wireType === 2 && STRING_FIELDS[field]) {
+      fields[STRING_FIELDS[field]] = textDecoder.decode(reader.bytes());
+    } else {
+      reader.skip(wireType);
+    }
+  }
+
+  return normalizeDanmaku({
+    time: (fields.progress || 0) / 1000,
+    mode: fields.mode,
+    fontsize: fields.fontsize,
+    color: fields.color,
+    content: fields.content,
+    ctime: fields.ctime,
+    pool: fields.pool,
+    midHash: fields.midHash,
+    id: fields.idStr
+  });
+}
+
+/**
+ * 解析一段弹幕（DmSegMobileReply，字段1为重复的DanmakuElem）
+ * @param {ArrayBuffer} buffer
+ * @returns {Array<Object>}
+ */
+function decodeSegment(buffer) {
+  const reader = createReader(new Uint8Array(buffer));
+  const list = [];
+
+  while (!reader.done) {
+    const tag = reader.varint();
+    if (tag === (1 << 3 | 2)) {
+      list.push(decodeElem(reader.bytes()));
+    } else {
+      reader.skip(tag % 8);
+    }
+  }
+
+  return list;
+}
+
+/**
+ * 解析XML弹幕（<d p="时间,模式,字号,颜色,发送时间,弹幕池,用户哈希,ID">内容</d>）
+ * @param {string} xml
+ * @returns {Array<Object>}
+ */
+function parseXML(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'text/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('弹幕XML解析失败');
+  }
+
+  return Array.from(doc.getElementsByTagName('d')).map(node => {
+    const [time, mode, fontsize, color, ctime, pool, midHash, id] = (node.getAttribute('p') || '').split(',');
+    return normalizeDanmaku({
+      time: parseFloat(time),
+      mode: parseInt(mode, 10),
+      fontsize: parseInt(fontsize, 10),
+      color: parseInt(color, 10),
+      content: node.textContent,
+      ctime: parseInt(ctime, 10),
+      pool: parseInt(pool, 10),
+      midHash,
+      id
+    });
+  });
+}
+
+/**
+ * 统一弹幕数据结构（缺失的字段使用B站默认值）
+ * @returns {{time: number, mode: number, fontsize: number, color: number, content: string, ctime: number, pool: number, midHash: string, id: string}}
+ */
+function normalizeDanmaku({ time, mode, fontsize, color, content, ctime, pool, midHash, id }) {
+  return {
+    time: Number.isFinite(time) ? time : 0,
+    mode: mode || 1,
+    fontsize: fontsize || 25,
+    color: Number.isFinite(color) ? color : 0xffffff,
+    content: content || '',
+    ctime: ctime || 0,
+    pool: pool || 0,
+    midHash: midHash || '',
+    id: id || ''
+  };
+}
+
+/**
+ * 请求弹幕接口
+ * @param {string} url
+ * @param {'arraybuffer'|'text'} responseType
+ * @returns {Promise<ArrayBuffer|string>}
+ */
+function request(url, responseType) {
+  return new Promise((resolve, reject) => {
+    GM_xmlhttpRequest({
+      method: 'GET',
+      url,
+      responseType,
+      headers: {
+        'Referer': 'https://www.bilibili.com/'
+      },
+      anonymous: false,
+      timeout: DANMAKU.REQUEST_TIMEOUT,
+      onload: (response) => {
+        if (response.status !== 200) {
+          reject(new Error(`请求失败: ${response.status}`));
+          return;
+        }
+        resolve(responseType === 'arraybuffer' ? response.response : response.responseText);
+      },
+      onerror: () => reject(new Error('网络请求失败')),
+      ontimeout: () => reject(new Error('请求超时'))
+    });
+  });
+}
+
+class DanmakuService {
+  constructor() {
+    this.adapter = new BilibiliAdapter();
+    this.cid = null;                    // 已加载弹幕的CID
+    this.danmaku = [];                  // 按时间排序的弹幕
+    this.loading = null;                // {cid, promise}
+    this.searchIndex = new SearchIndex();
+    this.indexedCid = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * 初始化（B站视频页面调用）：按设置绘制热力图，切换视频后重新绘制
+   */
+  init() {
+    if (this.unsubscribe) return;
+
+    this.unsubscribe = eventBus.on(EVENTS.VIDEO_CHANGED, () => {
+      this.removeHeatmap();
+      if (config.getDanmakuHeatmapEnabled()) {
+        // 等待页面数据（CID）更新
+        setTimeout(() => this.renderHeatmap(), TIMING.VIDEO_SWITCH_DELAY);
+      }
+    });
+
+    if (config.getDanmakuHeatmapEnabled()) {
+      this.renderHeatmap();
+    }
+  }
+
+  /**
+   * 加载当前分P的弹幕（同一个CID只请求一次）
+   * @returns {Promise<Array<Object>>} 按时间排序的弹幕
+   */
+  load() {
+    const { cid } = getVideoInfo();
+    if (!cid) {
+      return Promise.reject(new Error('无法获取视频CID'));
+    }
+    if (this.cid === cid) {
+      return Promise.resolve(this.danmaku);
+    }
+    if (this.loading?.cid === cid) {
+      return this.loading.promise;
+    }
+
+    const promise = this.fetchDanmaku(cid)
+      .then(list => {
+        if (this.loading?.cid === cid) {
+          this.cid = cid;
+          this.danmaku = list;
+          this.loading = null;
+        }
+        return list;
+      })
+      .catch(error => {
+        if (this.loading?.cid === cid) {
+          this.loading = null;
+        }
+        throw error;
+      });
+
+    this.loading = { cid, promise };
+    return promise;
+  }
+
+  /**
+   * 获取弹幕：先使用分段接口，失败或没有结果时使用XML接口
+   * @param {number|string} cid
+   * @returns {Promise<Array<Object>>}
+   */
+  async fetchDanmaku(cid) {
+    let list = [];
+    try {
+      list = await this.fetchSegments(cid);
+    } catch (error) {
+      logger.warn('DanmakuService', '分段弹幕获取失败，改用XML接口:', error.message);
+    }
+
+    if (list.length === 0) {
+      list = parseXML(await request(`${DANMAKU.XML_API_URL}?oid=${cid}`, 'text'));
+    }
+
+    // 按ID去重（没有ID的弹幕全部保留）
+    const seen = new Set();
+    const unique = list.filter(item => {
+      if (!item.id) return true;
+      if (seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    });
+
+    unique.sort((a, b) => a.time - b.time);
+    logger.info('DanmakuService', `CID ${cid} 加载了 ${unique.length} 条弹幕`);
+    return unique;
+  }
+
+  /**
+   * 逐段获取protobuf弹幕（按顺序请求，避免触发频率限制）
+   * @param {number|string} cid
+   * @returns {Promise<Array<Object>>}
+   */
+  async fetchSegments(cid) {
+    const duration = getVideoDuration();
+    // 不知道时长时逐段请求，直到某一段没有弹幕
+    const count = duration
+      ? Math.max(1, Math.ceil(duration / DANMAKU.SEGMENT_DURATION))
+      : DANMAKU.MAX_SEGMENTS;
+    const list = [];
+
+    for (let index = 1; index <= count; index++) {
+      const buffer = await request(`${DANMAKU.SEGMENT_API_URL}?type=1&oid=${cid}&segment_index=${index}`, 'arraybuffer');
+      const segment = decodeSegment(buffer);
+      if (segment.length === 0 && !duration) break;
+      list.push(...segment);
+    }
+
+    return list;
+  }
+
+  /**
+   * 统计弹幕密度
+   * @param {Array<Object>} list - 弹幕
+   * @param {number} duration - 视频时长（秒）
+   * @param {number} bins - 分成的格数
+   * @returns {Array<number>} 每格的弹幕数
+   */
+  getDensity(list, duration, bins = DANMAKU.HEATMAP_BINS) {
+    const counts = new Array(bins).fill(0);
+    if (!(duration > 0)) return counts;
+
+    list.forEach(item => {
+      const index = Math.min(bins - 1, Math.floor(item.time / duration * bins));
+      if (index >= 0) counts[index]++;
+    });
+    return counts;
+  }
+
+  /**
+   * 在进度条上绘制弹幕密度热力图（通过平台适配器的标记层）
+   */
+  async renderHeatmap() {
+    if (!this.adapter.isVideoPage()) return;
+    const { cid } = getVideoInfo();
+
+    try {
+      const [list, video] = await Promise.all([
+        this.load(),
+        this.adapter.waitForVideo(),
+        this.adapter.waitForProgressBar()
+      ]);
+
+      // 等待视频元数据（时长）
+      if (!(video.duration > 0)) {
+        await new Promise(resolve => video.addEventListener('loadedmetadata', resolve, { once: true }));
+      }
+
+      // 等待期间切换了视频或关闭了热力图
+      if (getVideoInfo().cid !== cid || !config.getDanmakuHeatmapEnabled()) return;
+
+      const duration = this.adapter.getDuration();
+      const counts = this.getDensity(list, duration);
+      const max = Math.max(...counts);
+      if (max === 0) {
+        this.removeHeatmap();
+        return;
+      }
+
+      const binDuration = duration / counts.length;
+      const bins = counts
+        .map((count, index) => ({
+          start: index * binDuration,
+          end: (index + 1) * binDuration,
+          count,
+          color: `rgba(${DANMAKU.HEATMAP_COLOR}, ${(count / max * DANMAKU.HEATMAP_MAX_ALPHA).toFixed(2)})`
+        }))
+        .filter(bin => bin.count > 0);
+
+      this.adapter.addProgressMarkers(bins, {
+        containerId: DANMAKU.HEATMAP_CONTAINER_ID,
+        className: 'danmaku-heatmap-bin',
+        opacity: 1,
+        // 热力图只用于显示，不拦截进度条的点击和拖动
+        decorate: (marker) => {
+          marker.style.pointerEvents = 'none';
+          marker.removeAttribute('title');
+        }
+      });
+
+      // 放在片段标记下面
+      const heatmap = document.getElementById(DANMAKU.HEATMAP_CONTAINER_ID);
+      if (heatmap) {
+        heatmap.style.zIndex = '9';
+      }
+    } catch (error) {
+      logger.warn('DanmakuService', '弹幕热力图绘制失败:', error.message);
+    }
+  }
+
+  /**
+   * 移除进度条热力图
+   */
+  removeHeatmap() {
+    document.getElementById(DANMAKU.HEATMAP_CONTAINER_ID)?.remove();
+  }
+
+  /**
+   * 打开或关闭进度条热力图
+   * @param {boolean} enabled
+   */
+  setHeatmapEnabled(enabled) {
+    config.setDanmakuHeatmapEnabled(enabled);
+    if (enabled) {
+      this.renderHeatmap();
+    } else {
+      this.removeHeatmap();
+    }
+  }
+
+  /**
+   * 搜索已加载的弹幕（首次搜索时建立索引）
+   * @param {string} query - 搜索词，为空时返回全部
+   * @returns {Array<Object>} 按时间排序的弹幕
+   */
+  search(query) {
+    if (!query || !query.trim()) {
+      return this.danmaku;
+    }
+
+    if (this.indexedCid !== this.cid) {
+      this.searchIndex.buildIndex(this.danmaku);
+      this.indexedCid = this.cid;
+    }
+    return this.searchIndex.search(query).map(index => this.danmaku[index]);
+  }
+
+  /**
+   * 把弹幕按时间窗口聚合为伪字幕（无字幕视频的AI总结使用）
+   * 每个窗口保留出现次数最多的几条，重复的弹幕合并为"内容×次数"
+   * @param {Array<Object>} list - 弹幕
+   * @returns {Array<{from: number, to: number, content: string}>} 与字幕数据结构一致
+   */
+  buildTranscript(list) {
+    const windowSize = DANMAKU.SUMMARY_WINDOW;
+    const windows = new Map();  // 窗口序号 -> Map(弹幕 -> 次数)
+
+    list.forEach(item => {
+      const text = item.content.trim().replace(/\s+/g, ' ');
+      // 跳过高级/代码弹幕（内容是脚本或坐标）
+      if (!text || item.mode > 6) return;
+
+      const index = Math.floor(item.time / windowSize);
+      const counts = windows.get(index) || new Map();
+      counts.set(text, (counts.get(text) || 0) + 1);
+      windows.set(index, counts);
+    });
+
+    return [...windows.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([index, counts]) => {
+        const total = [...counts.values()].reduce((sum, count) => sum + count, 0);
+        const top = [...counts.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, DANMAKU.SUMMARY_MAX_PER_WINDOW)
+          .map(([text, count]) => (count > 1 ? `${text}×${count}` : text));
+        return {
+          from: index * windowSize,
+          to: (index + 1) * windowSize,
+          content: `（${total}条弹幕）${top.join(' / ')}`
+        };
+      });
+  }
+
+  /**
+   * 获取视频标题、简介和标签（无字幕视频的AI总结使用）
+   * @returns {{title: string, description: string, tags: Array<string>}}
+   */
+  getVideoContext() {
+    let description = '';
+    let tags = [];
+    try {
+      const initialState = unsafeWindow.__INITIAL_STATE__;
+      description = (initialState?.videoData?.desc || '').trim().slice(0, DANMAKU.SUMMARY_MAX_DESC_LENGTH);
+      tags = (initialState?.tags || []).map(tag => tag.tag_name).filter(Boolean);
+    } catch (e) {
+      // 页面数据不可用时只使用标题
+    }
+    return { title: getVideoTitle(), description, tags };
+  }
+
+  /**
+   * 导出当前分P的弹幕
+   * @param {'ass'|'json'} format
+   * @returns {Promise<number>} 导出的弹幕数
+   */
+  async exportDanmaku(format) {
+    const list = await this.load();
+    if (list.length === 0) {
+      throw new Error('当前视频没有弹幕');
+    }
+
+    const { bvid, p } = getVideoInfo();
+    const title = getVideoTitle();
+    const filename = `${title}_${bvid}${p > 1 ? `_p${p}` : ''}_弹幕.${format}`;
+
+    if (format === 'ass') {
+      downloadFile(toDanmakuASS(list, title), filename);
+    } else {
+      downloadFile(JSON.stringify(list, null, 2), filename, 'application/json;charset=utf-8');
+    }
+    return list.length;
+  }
+
+  /**
+   * 清理资源
+   */
+  destroy() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+    this.removeHeatmap();
+    this.searchIndex.clear();
+    this.indexedCid = null;
+    this.cid = null;
+    this.danmaku = [];
+    this.loading = null;
+  }
+}
+
+// 创建全局单例
+export const danmakuService = new DanmakuService();
+export default danmakuService;
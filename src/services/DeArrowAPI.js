@@ -21,15 +21,16 @@ export default class DeArrowAPI {
    * 获取视频的广告段落（SponsorBlock API）
    * @param {string} videoId - YouTube视频ID
    * @param {Array} categories - 要获取的类别
+   * @param {Array} actionTypes - 要获取的动作类型（skip、mute、poi精彩时刻、full整片标签）
    * @returns {Promise<Array>}
    */
-  async getSegments(videoId, categories = ['sponsor', 'selfpromo', 'interaction', 'intro', 'outro']) {
+  async getSegments(videoId, categories = ['sponsor', 'selfpromo', 'interaction', 'intro', 'outro'], actionTypes = ['skip', 'mute']) {
     if (!videoId) {
       logger.warn('DeArrowAPI', '缺少视频ID');
       return [];
     }
 
-    const cacheKey = `segments_${videoId}_${categories.join(',')}`;
+    const cacheKey = `segments_${videoId}_${categories.join(',')}_${actionTypes.join(',')}`;
     
     // 检查缓存
     const cached = this.cache.get(cacheKey);
@@ -44,7 +45,7 @@ export default class DeArrowAPI {
     }
 
     // 创建请求
-    const promise = this._fetchSegments(videoId, categories);
+    const promise = this._fetchSegments(videoId, categories, actionTypes);
     this.pendingRequests.set(cacheKey, promise);
 
     try {
@@ -59,10 +60,11 @@ export default class DeArrowAPI {
   /**
    * 实际获取段落的方法
    */
-  async _fetchSegments(videoId, categories) {
-    // 正确的方式：使用多个category参数
+  async _fetchSegments(videoId, categories, actionTypes) {
+    // 正确的方式：使用多个category/actionType参数
     const categoryParams = categories.map(c => `category=${encodeURIComponent(c)}`).join('&');
-    const url = `${this.baseUrl}/skipSegments?videoID=${encodeURIComponent(videoId)}&${categoryParams}&service=YouTube`;
+    const actionTypeParams = actionTypes.map(type => `actionType=${encodeURIComponent(type)}`).join('&');
+    const url = `${this.baseUrl}/skipSegments?videoID=${encodeURIComponent(videoId)}&${categoryParams}&${actionTypeParams}&service=YouTube`;
 
     try {
       return await new Promise((resolve, reject) => {
@@ -170,25 +172,36 @@ export default class DeArrowAPI {
   /**
    * 提交新的广告段落
    * @param {Object} segment
-   * @returns {Promise<boolean>}
+   * @param {string} segment.videoId - 视频ID（YouTube视频ID或B站BV号）
+   * @param {number} segment.startTime - 开始时间（秒）
+   * @param {number} segment.endTime - 结束时间（秒）
+   * @param {string} segment.category - 类别
+   * @param {number} [segment.videoDuration] - 视频总时长（服务器用于校验）
+   * @param {string|number} [segment.cid] - B站分P的CID（提交到B站数据库时需要）
+   * @param {Object} options
+   * @param {string} options.url - 提交地址，默认SponsorBlock官方服务器；B站使用 bsbsb.top
+   * @returns {Promise<{success: boolean, status: number, message: string}>}
    */
-  async submitSegment(segment) {
-    const { videoId, startTime, endTime, category } = segment;
+  async submitSegment(segment, { url = `${this.baseUrl}/skipSegments` } = {}) {
+    const { videoId, startTime, endTime, category, videoDuration, cid } = segment;
     
     if (!videoId || startTime === undefined || endTime === undefined) {
       logger.error('DeArrowAPI', '提交段落缺少必要参数');
-      return false;
+      return { success: false, status: 0, message: '提交段落缺少必要参数' };
     }
 
-    const url = `${this.baseUrl}/skipSegments`;
     const userID = this._getUserId();
 
     const body = JSON.stringify({
       videoID: videoId,
+      ...(cid ? { cid: String(cid) } : {}),
       userID: userID,
+      userAgent: 'Bilibili-Tools/1.0',
+      ...(videoDuration ? { videoDuration } : {}),
       segments: [{
         segment: [startTime, endTime],
-        category: category || 'sponsor'
+        category: category || 'sponsor',
+        actionType: 'skip'
       }]
     });
 
@@ -208,37 +221,55 @@ export default class DeArrowAPI {
               logger.info('DeArrowAPI', '成功提交广告段落');
               // 清除缓存
               this._clearVideoCache(videoId);
-              resolve(true);
+              resolve({ success: true, status: response.status, message: '提交成功' });
             } else {
-              logger.error('DeArrowAPI', `提交失败: HTTP ${response.status}`);
-              resolve(false);
+              logger.error('DeArrowAPI', `提交失败: HTTP ${response.status} ${response.responseText || ''}`);
+              resolve({ success: false, status: response.status, message: this._describeSubmitError(response.status) });
             }
           },
           onerror: (error) => {
             logger.error('DeArrowAPI', '提交失败:', error);
-            resolve(false);
+            resolve({ success: false, status: 0, message: '网络错误，无法连接服务器' });
           },
           ontimeout: () => {
             logger.error('DeArrowAPI', '提交超时');
-            resolve(false);
+            resolve({ success: false, status: 0, message: '提交超时' });
           }
         });
       });
     } catch (error) {
       logger.error('DeArrowAPI', '提交段落异常:', error);
-      return false;
+      return { success: false, status: 0, message: error.message };
     }
   }
 
+  /**
+   * 将提交失败的HTTP状态码转换为说明
+   * @param {number} status
+   * @returns {string}
+   */
+  _describeSubmitError(status) {
+    const messages = {
+      400: '参数无效（时间范围或类别不被接受）',
+      403: '提交被服务器拒绝（可能与已锁定的片段冲突）',
+      409: '该片段已经被提交过',
+      429: '提交过于频繁，请稍后再试'
+    };
+    return messages[status] || `服务器返回错误 (HTTP ${status})`;
+  }
+
   /**
    * 对段落投票
    * @param {string} uuid - 段落UUID
-   * @param {number} type - 投票类型 (1=支持, 0=反对)
-   * @returns {Promise<boolean>}
+   * @param {number} type - 投票类型 (1=支持, 0=反对)；传入category时忽略
+   * @param {Object} options
+   * @param {string} options.url - 投票地址，默认SponsorBlock官方服务器；B站使用 bsbsb.top
+   * @param {string|null} options.category - 投票更改为的类别（类别投票）
+   * @returns {Promise<{success: boolean, status: number, message: string}>}
    */
-  async voteOnSegment(uuid, type = 1) {
-    const url = `${this.baseUrl}/api/voteOnSponsorTime`;
+  async voteOnSegment(uuid, type = 1, { url = `${this.baseUrl}/voteOnSponsorTime`, category = null } = {}) {
     const userID = this._getUserId();
+    const description = category ? `更改类别为 ${category}` : (type === 1 ? '支持' : '反对');
 
     try {
       return await new Promise((resolve) => {
@@ -252,27 +283,43 @@ export default class DeArrowAPI {
           data: JSON.stringify({
             UUID: uuid,
             userID: userID,
-            type: type
+            ...(category ? { category } : { type })
           }),
           timeout: 5000,
           onload: (response) => {
             if (response.status === 200) {
-              logger.info('DeArrowAPI', `投票成功: ${type === 1 ? '支持' : '反对'}`);
-              resolve(true);
+              logger.info('DeArrowAPI', `投票成功: ${description}`);
+              resolve({ success: true, status: response.status, message: '投票成功' });
             } else {
-              resolve(false);
+              logger.warn('DeArrowAPI', `投票失败: HTTP ${response.status}`);
+              resolve({ success: false, status: response.status, message: this._describeVoteError(response.status) });
             }
           },
-          onerror: () => resolve(false),
-          ontimeout: () => resolve(false)
+          onerror: () => resolve({ success: false, status: 0, message: '网络错误，无法连接服务器' }),
+          ontimeout: () => resolve({ success: false, status: 0, message: '投票超时' })
         });
       });
     } catch (error) {
       logger.error('DeArrowAPI', '投票失败:', error);
-      return false;
+      return { success: false, status: 0, message: error.message };
     }
   }
 
+  /**
+   * 将投票失败的HTTP状态码转换为说明
+   * @param {number} status
+   * @returns {string}
+   */
+  _describeVoteError(status) {
+    const messages = {
+      400: '参数无效',
+      403: '投票被服务器拒绝（片段可能已锁定）',
+      404: '片段不存在',
+      429: '投票过于频繁，请稍后再试'
+    };
+    return messages[status] || `服务器返回错误 (HTTP ${status})`;
+  }
+
   /**
    * 标准化段落格式
    */
@@ -296,12 +343,14 @@ export default class DeArrowAPI {
 
   /**
    * 获取或生成用户ID
+   * SponsorBlock要求提交用的userID至少30个字符，旧版生成的较短ID会被重新生成
    */
   _getUserId() {
     let userId = localStorage.getItem('dearrow_user_id');
-    if (!userId) {
+    if (!userId || userId.length < 30) {
       // 生成一个随机的用户ID
-      userId = 'user_' + Math.random().toString(36).substr(2, 9) + Date.now().toString(36);
+      const random = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+      userId = `user_${random}${Date.now().toString(36)}`;
       localStorage.setItem('dearrow_user_id', userId);
     }
     return userId;
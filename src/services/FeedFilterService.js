@@ -0,0 +1,150 @@
+/**
+ * 推荐流过滤服务模块
+ * 按广告占比、优质评分、标题关键词和屏蔽的UP主过滤B站视频卡片（隐藏或淡化），
+ * 并在页面上显示"已过滤n个视频，仍然显示"的计数，让过滤过程透明可控
+ */
+
+import { FEED_FILTER } from '../constants.js';
+import sponsorBlockConfig from '../config/SponsorBlockConfigManager.js';
+
+/**
+ * 把关键词编译为匹配函数："/.../flags" 形式按正则匹配，其余按不区分大小写的包含匹配
+ * @param {string} keyword
+ * @returns {{keyword: string, test: function(string): boolean}}
+ */
+function compileKeyword(keyword) {
+  const match = keyword.match(/^\/(.+)\/([a-z]*)$/);
+  if (match) {
+    try {
+      // 去掉 g/y 标志：带这两个标志时 test 会从上次的 lastIndex 继续匹配，结果时有时无
+      const regex = new RegExp(match[1], match[2].replace(/[gy]/g, ''));
+      return { keyword, test: (text) => regex.test(text) };
+    } catch {
+      // 正则无效时按普通文本匹配
+    }
+  }
+  const lower = keyword.toLowerCase();
+  return { keyword, test: (text) => text.toLowerCase().includes(lower) };
+}
+
+class FeedFilterService {
+  constructor() {
+    this.counter = null;
+    this.compiledKeywords = [];
+    this.compiledSource = '';
+  }
+
+  /**
+   * 获取卡片命中的过滤规则
+   * @param {Object} video
+   * @param {string} video.title - 视频标题
+   * @param {{mid: number|string, name: string}|null} video.owner - UP主
+   * @param {number} video.duration - 视频时长（秒）
+   * @param {Array<Object>} video.segments - SponsorBlock片段
+   * @param {number|null} video.score - 优质评分（播放量不足时为null）
+   * @returns {string|null} 过滤原因，没有命中时返回null
+   */
+  getMatchReason({ title = '', owner = null, duration = 0, segments = [], score = null }) {
+    const filter = sponsorBlockConfig.getFeedFilter();
+    if (!filter.enabled) return null;
+
+    if (owner && filter.blockedCreators.some(item => item === String(owner.mid) || item === owner.name)) {
+      return `已屏蔽UP主：${owner.name}`;
+    }
+
+    const keyword = this.getKeywordMatchers(filter.keywords).find(item => item.test(title));
+    if (keyword) {
+      return `标题包含：${keyword.keyword}`;
+    }
+
+    if (filter.maxSponsorPercent > 0 && duration > 0) {
+      const sponsorSeconds = segments
+        .filter(segment => segment.category === 'sponsor')
+        .reduce((sum, segment) => sum + Math.max(0, segment.segment[1] - segment.segment[0]), 0);
+      const percent = sponsorSeconds / duration * 100;
+      if (percent > filter.maxSponsorPercent) {
+        return `广告占 ${Math.round(percent)}%`;
+      }
+    }
+
+    if (filter.minScore > 0 && score !== null && score < filter.minScore) {
+      return `评分 ${score.toFixed(1)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取编译后的关键词（关键词没有变化时复用）
+   * @param {Array<string>} keywords
+   * @returns {Array<{keyword: string, test: function(string): boolean}>}
+   */
+  getKeywordMatchers(keywords) {
+    const source = keywords.join('\n');
+    if (source !== this.compiledSource) {
+      this.compiledSource = source;
+      this.compiledKeywords = keywords.map(compileKeyword);
+    }
+    return this.compiledKeywords;
+  }
+
+  /**
+   * 按过滤结果标记卡片（没有命中时清除之前的标记）
+   * @param {HTMLElement} card
+   * @param {string|null} reason - 过滤原因
+   */
+  apply(card, reason) {
+    if (reason) {
+      card.dataset.feedFiltered = sponsorBlockConfig.getFeedFilter().mode;
+      card.dataset.feedFilterReason = reason;
+    } else {
+      delete card.dataset.feedFiltered;
+      delete card.dataset.feedFilterReason;
+    }
+  }
+
+  /**
+   * 更新当前页面的过滤计数
+   */
+  updateCounter() {
+    const count = document.querySelectorAll('[data-feed-filtered]').length;
+    if (count === 0) {
+      this.counter?.remove();
+      this.counter = null;
+      return;
+    }
+
+    if (!this.counter) {
+      this.counter = document.createElement('div');
+      this.counter.id = FEED_FILTER.COUNTER_ID;
+      this.counter.className = 'feed-filter-counter';
+      this.counter.addEventListener('click', (e) => {
+        if (e.target.closest('[data-action="toggle"]')) {
+          document.documentElement.classList.toggle(FEED_FILTER.SHOW_ALL_CLASS);
+          this.updateCounter();
+        }
+      });
+      document.body.appendChild(this.counter);
+    }
+
+    const showingAll = document.documentElement.classList.contains(FEED_FILTER.SHOW_ALL_CLASS);
+    const verb = sponsorBlockConfig.getFeedFilter().mode === FEED_FILTER.MODES.HIDE ? '隐藏' : '淡化';
+    this.counter.innerHTML = showingAll
+      ? `正在显示 ${count} 个被过滤的视频 <button data-action="toggle">恢复过滤</button>`
+      : `已${verb} ${count} 个视频 <button data-action="toggle">仍然显示</button>`;
+  }
+
+  /**
+   * 清除所有卡片的过滤标记和计数
+   */
+  destroy() {
+    document.querySelectorAll('[data-feed-filtered]').forEach(card => this.apply(card, null));
+    document.documentElement.classList.remove(FEED_FILTER.SHOW_ALL_CLASS);
+    this.counter?.remove();
+    this.counter = null;
+  }
+}
+
+// 创建全局单例
+export const feedFilterService = new FeedFilterService();
+export default feedFilterService;
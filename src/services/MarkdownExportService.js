@@ -0,0 +1,219 @@
+/**
+ * Markdown导出服务模块
+ * 将视频信息、AI总结、时间戳段落和字幕渲染为一个带YAML front-matter的Markdown文件，
+ * 可直接放入Obsidian等Markdown笔记库，作为Notion之外的另一种保存方式
+ */
+
+import config from '../config/ConfigManager.js';
+import state from '../state/StateManager.js';
+import logger from '../utils/DebugLogger.js';
+import { MARKDOWN_EXPORT, STORAGE_KEYS } from '../constants.js';
+import { formatTime, formatAIProvider, getSummarySourceNote, parseTimestamp, getVideoTitle, getVideoUrl, getVideoCreator, downloadFile } from '../utils/helpers.js';
+
+const MARKDOWN_MIME_TYPE = 'text/markdown;charset=utf-8';
+
+/**
+ * 转换为YAML双引号字符串
+ * @param {*} value - 任意值
+ * @returns {string}
+ */
+function yamlString(value) {
+  const text = String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, ' ');
+  return `"${text}"`;
+}
+
+/**
+ * 生成本地时区的ISO格式时间（Obsidian按本地时间显示）
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatLocalDateTime(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+class MarkdownExportService {
+  /**
+   * 生成Markdown文档
+   * @param {Object} options
+   * @param {Object} options.videoInfo - 视频信息 {bvid, cid, p, title?, url?, creator?}
+   * @param {Object|null} options.aiSummary - AI总结数据 {markdown, segments, generatedBy}
+   * @param {Array|null} options.subtitleData - 字幕数据（不传则不包含字幕）
+   * @returns {string}
+   */
+  buildMarkdown({ videoInfo = {}, aiSummary = null, subtitleData = null }) {
+    const exportOptions = config.getMarkdownExportOptions();
+    const title = videoInfo.title || getVideoTitle() || '未知视频';
+    const url = videoInfo.url || getVideoUrl() || '';
+    const creator = videoInfo.creator || getVideoCreator() || '';
+
+    const frontMatter = [
+      '---',
+      `bvid: ${yamlString(videoInfo.bvid)}`,
+      `cid: ${yamlString(videoInfo.cid)}`,
+      `p: ${Number(videoInfo.p) || 1}`,
+      `title: ${yamlString(title)}`,
+      `creator: ${yamlString(creator)}`,
+      `url: ${yamlString(url)}`,
+      'tags:',
+      ...exportOptions.tags.map(tag => `  - ${yamlString(tag)}`),
+      `created: ${formatLocalDateTime(new Date())}`,
+      '---'
+    ];
+
+    const sections = [`# ${title}`];
+
+    sections.push([
+      '## 📹 视频信息',
+      '',
+      `- 标题：${title}`,
+      creator ? `- UP主：${creator}` : null,
+      url ? `- 链接：<${url}>` : null
+    ].filter(line => line !== null).join('\n'));
+
+    if (aiSummary?.segments?.length > 0) {
+      const lines = aiSummary.segments.map(segment => {
+        const seconds = parseTimestamp(segment.timestamp);
+        const label = seconds === null ? segment.timestamp : formatTime(seconds);
+        const link = seconds === null || !url ? label : `[${label}](${this.buildTimeLink(url, seconds)})`;
+        return `- ${link} **${segment.title || ''}**${segment.summary ? `：${segment.summary}` : ''}`;
+      });
+      sections.push(['## ⏱️ 时间戳段落', '', ...lines].join('\n'));
+    }
+
+    if (aiSummary?.markdown) {
+      const sourceNote = getSummarySourceNote(aiSummary.generatedBy);
+      let summarySection = `## 📊 视频总结\n\n${sourceNote ? `> [!warning] ${sourceNote}\n\n` : ''}${aiSummary.markdown.trim()}`;
+      const providerText = formatAIProvider(aiSummary.generatedBy);
+      if (providerText) {
+        summarySection += `\n\n*由 ${providerText} 生成*`;
+      }
+      sections.push(summarySection);
+    }
+
+    if (subtitleData?.length > 0) {
+      const lines = subtitleData.map(item => `[${formatTime(item.from)}] ${item.content}`);
+      sections.push(['## 📝 字幕', '', ...lines].join('\n'));
+    }
+
+    return `${frontMatter.join('\n')}\n\n${sections.join('\n\n')}\n`;
+  }
+
+  /**
+   * 生成跳转到指定时间的视频链接
+   * @param {string} url - 视频链接
+   * @param {number} seconds - 秒数
+   * @returns {string}
+   */
+  buildTimeLink(url, seconds) {
+    try {
+      const link = new URL(url);
+      link.searchParams.set('t', String(Math.floor(seconds)));
+      return link.toString();
+    } catch (error) {
+      return url;
+    }
+  }
+
+  /**
+   * 生成导出文件名（去掉文件系统不允许的字符）
+   * @param {Object} videoInfo - 视频信息
+   * @returns {string}
+   */
+  buildFilename(videoInfo = {}) {
+    const title = (videoInfo.title || getVideoTitle() || '未知视频')
+      .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    const p = Number(videoInfo.p) > 1 ? `_P${videoInfo.p}` : '';
+    return `${title}_${videoInfo.bvid || ''}${p}.md`;
+  }
+
+  /**
+   * 生成自动导出记录的视频键（同一视频的不同分P分别记录）
+   * @private
+   * @param {Object} videoInfo - 视频信息
+   * @returns {string}
+   */
+  _getExportKey(videoInfo) {
+    return `${videoInfo.bvid}-p${Number(videoInfo.p) || 1}`;
+  }
+
+  /**
+   * 获取已自动导出的视频记录 {视频键: 导出时间}
+   * @private
+   * @returns {Object}
+   */
+  _getAutoExported() {
+    return GM_getValue(STORAGE_KEYS.MARKDOWN_AUTO_EXPORTED, {});
+  }
+
+  /**
+   * 记录视频已自动导出（超出上限时丢弃最旧的）
+   * @private
+   * @param {Object} videoInfo - 视频信息
+   */
+  _markAutoExported(videoInfo) {
+    const exported = { ...this._getAutoExported(), [this._getExportKey(videoInfo)]: Date.now() };
+    const entries = Object.entries(exported);
+
+    if (entries.length > MARKDOWN_EXPORT.MAX_AUTO_EXPORTED) {
+      entries.sort((a, b) => a[1] - b[1]);
+      GM_setValue(STORAGE_KEYS.MARKDOWN_AUTO_EXPORTED, Object.fromEntries(entries.slice(-MARKDOWN_EXPORT.MAX_AUTO_EXPORTED)));
+    } else {
+      GM_setValue(STORAGE_KEYS.MARKDOWN_AUTO_EXPORTED, exported);
+    }
+  }
+
+  /**
+   * 视频是否已自动导出过
+   * @param {Object} videoInfo - 视频信息
+   * @returns {boolean}
+   */
+  isAutoExported(videoInfo) {
+    return Boolean(videoInfo?.bvid) && this._getExportKey(videoInfo) in this._getAutoExported();
+  }
+
+  /**
+   * 导出为Markdown文件并下载，自动和手动导出都调用此方法
+   * 自动导出每个视频只进行一次（重新生成总结不会再次下载），手动导出不受限制
+   * @param {Object} options
+   * @param {Object} options.videoInfo - 视频信息
+   * @param {Object|null} options.aiSummary - AI总结数据
+   * @param {Array|null} options.subtitleData - 字幕数据（是否包含由导出选项决定）
+   * @param {boolean} options.isAuto - 是否自动导出
+   * @returns {boolean} 是否已导出（已自动导出过的视频再次自动导出时返回false）
+   */
+  exportToFile({ videoInfo = null, aiSummary = null, subtitleData = null, isAuto = false }) {
+    const info = videoInfo || state.getVideoInfo();
+    if (!info?.bvid) {
+      throw new Error('视频信息无效，无法导出');
+    }
+
+    if (isAuto && this.isAutoExported(info)) {
+      logger.debug('MarkdownExportService', `视频已自动导出过，跳过: ${info.bvid}`);
+      return false;
+    }
+
+    const exportOptions = config.getMarkdownExportOptions();
+    const content = this.buildMarkdown({
+      videoInfo: info,
+      aiSummary,
+      subtitleData: exportOptions.includeSubtitles ? subtitleData : null
+    });
+
+    downloadFile(content, this.buildFilename(info), MARKDOWN_MIME_TYPE);
+    if (isAuto) {
+      this._markAutoExported(info);
+    }
+    logger.info('MarkdownExportService', `${isAuto ? '自动' : '手动'}导出Markdown: ${info.bvid}`);
+    return true;
+  }
+}
+
+// 创建全局单例
+export const markdownExportService = new MarkdownExportService();
+export default markdownExportService;
@@ -2,14 +2,14 @@
  * 笔记服务模块
  * 管理用户选中文字的笔记保存和管理
  */
-import state from '../state/StateManager.js';
 import logger from '../utils/DebugLogger.js';
 import LogDecorator from '../utils/LogDecorator.js';
 import eventBus from '../utils/EventBus.js';
+import notesStore from '../utils/NotesStore.js';
 import { EVENTS, NOTES_CONFIG } from '../constants.js';
 import config from '../config/ConfigManager.js';
 import notionService from './NotionService.js';
-import { getVideoTitle } from '../utils/helpers.js';
+import { getVideoInfo, getVideoTitle, getCurrentTime, getVideoElement } from '../utils/helpers.js';
 
 class NotesService {
   constructor() {
@@ -42,6 +42,7 @@ class NotesService {
     this.log.debug('初始化笔记服务...');
     try {
       await this._migrateNotesFromLocalStorage();
+      await this._migrateNotesToStore();
       this.createBlueDot();
       this.initSelectionListener();
       this.initialized = true;
@@ -70,7 +71,7 @@ class NotesService {
         const oldNotes = JSON.parse(oldNotesRaw);
         if (Array.isArray(oldNotes) && oldNotes.length > 0) {
           this.log.debug(`发现 ${oldNotes.length} 条旧笔记，正在迁移...`);
-          await this.saveNotes(oldNotes);
+          await GM.setValue(NOTES_CONFIG.STORAGE_KEY, JSON.stringify(oldNotes));
           this.log.success('旧笔记迁移成功！');
           localStorage.removeItem(NOTES_CONFIG.STORAGE_KEY);
           this.log.debug('已删除旧的 localStorage 笔记');
@@ -84,13 +85,76 @@ class NotesService {
   }
 
   /**
-   * 获取所有笔记数据 (异步)
+   * [私有] 将旧版整体保存在一个GM键中的笔记迁移到带索引的笔记库
+   * GM存储不区分网站，迁移只需进行一次；确认所有笔记都能从笔记库读出后才删除旧数据，
+   * 校验失败时保留旧数据，下次加载时重新迁移（笔记ID固定，重复迁移不会产生重复笔记）
+   */
+  async _migrateNotesToStore() {
+    const migrationKey = 'notes_store_migration_complete';
+    const isMigrated = await GM.getValue(migrationKey, false);
+
+    if (isMigrated) {
+      this.log.debug('笔记已迁移到笔记库，跳过迁移过程');
+      return;
+    }
+
+    this.log.info('开始将笔记迁移到笔记库...');
+    try {
+      const data = await GM.getValue(NOTES_CONFIG.STORAGE_KEY, '[]');
+      const oldNotes = data ? JSON.parse(data) : [];
+      if (Array.isArray(oldNotes) && oldNotes.length > 0) {
+        this.log.debug(`发现 ${oldNotes.length} 条旧笔记，正在迁移...`);
+        const notes = oldNotes.map((note, index) => this._normalizeNote(note, `legacy-${index}`));
+        await notesStore.putMany(notes);
+
+        const storedIds = new Set((await notesStore.getAll()).map(note => note.id));
+        const missing = notes.filter(note => !storedIds.has(note.id));
+        if (missing.length > 0) {
+          this.log.error(`迁移校验失败：${missing.length} 条笔记未能写入，保留旧数据`);
+          return;
+        }
+        this.log.success('旧笔记迁移成功！');
+      }
+      await GM.setValue(migrationKey, true);
+      await GM.deleteValue(NOTES_CONFIG.STORAGE_KEY);
+      this.log.info('笔记迁移过程完成');
+    } catch (error) {
+      this.log.error('迁移笔记失败:', error);
+    }
+  }
+
+  /**
+   * [私有] 补齐必要字段（旧版笔记可能缺少 id、createdAt 或 hostname）
+   * @param {Object} note - 笔记对象
+   * @param {string} fallbackId - 缺少ID时使用的固定ID
+   * @returns {Object}
+   */
+  _normalizeNote(note, fallbackId) {
+    const createdAt = note.createdAt || note.timestamp || 0;
+    return {
+      ...note,
+      id: note.id || fallbackId,
+      createdAt,
+      timestamp: note.timestamp || createdAt,
+      hostname: note.hostname || window.location.hostname
+    };
+  }
+
+  /**
+   * [私有] 生成笔记ID
+   * @returns {string}
+   */
+  _generateId() {
+    return Date.now() + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * 获取所有笔记数据（按创建时间从新到旧）(异步)
    * @returns {Promise<Array>} 笔记数组
    */
   async getAllNotes() {
     try {
-      const data = await GM.getValue(NOTES_CONFIG.STORAGE_KEY, '[]');
-      return data ? JSON.parse(data) : [];
+      return await notesStore.getAll();
     } catch (error) {
       this.log.error('读取笔记数据失败:', error);
       return [];
@@ -98,75 +162,132 @@ class NotesService {
   }
 
   /**
-   * 保存笔记数据 (异步)
-   * @param {Array} notes - 笔记数组
+   * 获取某个视频的所有笔记 (异步)
+   * @param {string} bvid - 视频BV号
+   * @returns {Promise<Array>} 笔记数组
    */
-  async saveNotes(notes) {
+  async getNotesByVideo(bvid) {
     try {
-      // 尝试保存
-      let dataStr = JSON.stringify(notes);
-      const dataSize = new Blob([dataStr]).size;
-      
-      // 检查存储大小
-      if (dataSize > NOTES_CONFIG.STORAGE_CLEANUP_SIZE) {
-        this.log.warn('笔记存储空间过大，执行自动清理');
-        notes = this.cleanupNotes(notes);
-        dataStr = JSON.stringify(notes); // 重新序列化
-      }
-      
-      await GM.setValue(NOTES_CONFIG.STORAGE_KEY, dataStr);
-
+      return await notesStore.getAllByIndex('bvid', bvid);
     } catch (error) {
-      this.log.error('保存笔记数据失败:', error);
-      // 如果是配额错误，尝试清理后重试
-      if (error.name === 'QuotaExceededError' || error.message.includes('exceeded')) {
-        this.log.error('存储配额已满，清理旧数据后重试');
-        const cleanedNotes = this.forceCleanupNotes(notes);
-        try {
-          await GM.setValue(NOTES_CONFIG.STORAGE_KEY, JSON.stringify(cleanedNotes));
-          this.log.success('清理后保存成功');
-        } catch (retryError) {
-          this.log.error('清理后仍然失败:', retryError);
-          throw retryError;
-        }
-      } else {
-        throw error;
-      }
+      this.log.error('按视频读取笔记失败:', error);
+      return [];
     }
   }
 
   /**
-   * 清理笔记（保留最新的）
+   * 获取笔记的可搜索文本（笔记内容、AI总结、段落和视频标题）
+   * @param {Object} note - 笔记对象
+   * @returns {string}
    */
-  cleanupNotes(notes) {
-    const screenshots = notes.filter(n => n.type === 'screenshot');
-    const textNotes = notes.filter(n => n.type !== 'screenshot');
-    
-    // 限制截图数量
-    const keptScreenshots = screenshots.slice(0, NOTES_CONFIG.MAX_SCREENSHOTS);
-    // 限制文本笔记数量
-    const keptTextNotes = textNotes.slice(0, NOTES_CONFIG.MAX_TEXT_NOTES);
-    
-    this.log.debug(`清理笔记: 保留 ${keptScreenshots.length}/${screenshots.length} 个截图, ${keptTextNotes.length}/${textNotes.length} 条文本`);
-    
-    // 合并并按时间排序
-    return [...keptScreenshots, ...keptTextNotes].sort((a, b) => b.timestamp - a.timestamp);
+  getSearchableText(note) {
+    const parts = [note.content, note.summary, note.videoTitle, note.videoInfo?.title];
+    (note.segments || []).forEach(segment => {
+      parts.push(segment.title, segment.summary);
+    });
+    return parts.filter(Boolean).join('\n').toLowerCase();
   }
 
   /**
-   * 强制清理（更激进的清理）
+   * 按关键词筛选笔记：以空白分隔为多个词，所有词都出现才算匹配
+   * @param {Array} notes - 笔记数组
+   * @param {string} query - 搜索词
+   * @returns {Array} 匹配的笔记
    */
-  forceCleanupNotes(notes) {
-    const screenshots = notes.filter(n => n.type === 'screenshot');
-    const textNotes = notes.filter(n => n.type !== 'screenshot');
-    
-    // 强制只保留最新的5个截图和50条文本
-    const keptScreenshots = screenshots.slice(0, 5);
-    const keptTextNotes = textNotes.slice(0, 50);
-    
-    this.log.warn(`强制清理: 保留 ${keptScreenshots.length}/${screenshots.length} 个截图, ${keptTextNotes.length}/${textNotes.length} 条文本`);
-    
-    return [...keptScreenshots, ...keptTextNotes].sort((a, b) => b.timestamp - a.timestamp);
+  filterNotesByQuery(notes, query) {
+    const tokens = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) {
+      return notes;
+    }
+    return notes.filter(note => {
+      const text = this.getSearchableText(note);
+      return tokens.every(token => text.includes(token));
+    });
+  }
+
+  /**
+   * 搜索笔记 (异步)
+   * @param {string} query - 搜索词
+   * @returns {Promise<Array>} 匹配的笔记（按创建时间从新到旧）
+   */
+  async searchNotes(query) {
+    const notes = await this.getAllNotes();
+    return this.filterNotesByQuery(notes, query);
+  }
+
+  /**
+   * [私有] 获取当前视频页面的播放上下文，非B站/YouTube视频页面返回null
+   * @returns {{videoInfo: Object, videoTime: number|null}|null}
+   */
+  _getVideoContext() {
+    const info = getVideoInfo();
+    const id = info.platform === 'bilibili' ? info.bvid : (info.platform === 'youtube' ? info.videoId : null);
+    if (!id || !getVideoElement()) {
+      return null;
+    }
+
+    const currentTime = getCurrentTime();
+    return {
+      videoInfo: {
+        platform: info.platform,
+        bvid: info.bvid,
+        cid: info.cid,
+        p: info.p,
+        videoId: info.videoId,
+        title: getVideoTitle()
+      },
+      videoTime: currentTime === null ? null : Math.floor(currentTime)
+    };
+  }
+
+  /**
+   * 获取笔记所属视频的分组键（B站按BV号，YouTube按视频ID），与视频无关的笔记返回null
+   * @param {Object} note - 笔记对象
+   * @returns {string|null}
+   */
+  getNoteVideoKey(note) {
+    const info = note.videoInfo || {};
+    if (info.platform === 'youtube' && info.videoId) {
+      return `youtube:${info.videoId}`;
+    }
+    const bvid = info.bvid || note.videoBvid;
+    return bvid ? `bilibili:${bvid}` : null;
+  }
+
+  /**
+   * 生成跳转到笔记记录时刻的视频链接
+   * @param {Object} note - 笔记对象
+   * @returns {string|null}
+   */
+  getNoteVideoLink(note) {
+    const info = note.videoInfo || {};
+    const seconds = Math.floor(note.videoTime || 0);
+
+    if (info.platform === 'youtube' && info.videoId) {
+      return `https://www.youtube.com/watch?v=${encodeURIComponent(info.videoId)}&t=${seconds}s`;
+    }
+    if (info.bvid) {
+      const p = Number(info.p) > 1 ? `p=${info.p}&` : '';
+      return `https://www.bilibili.com/video/${info.bvid}/?${p}t=${seconds}`;
+    }
+    return null;
+  }
+
+  /**
+   * 笔记是否记录于当前页面正在播放的视频（同一分P）
+   * @param {Object} note - 笔记对象
+   * @returns {boolean}
+   */
+  isNoteOnCurrentVideo(note) {
+    const context = this._getVideoContext();
+    if (!context || !note.videoInfo) {
+      return false;
+    }
+    const current = context.videoInfo;
+    if (current.platform === 'youtube') {
+      return note.videoInfo.videoId === current.videoId;
+    }
+    return note.videoInfo.bvid === current.bvid && (Number(note.videoInfo.p) || 1) === (Number(current.p) || 1);
   }
 
   /**
@@ -182,7 +303,7 @@ class NotesService {
       if (typeof contentOrOptions === 'object') {
         const options = contentOrOptions;
         note = {
-          id: Date.now() + Math.random().toString(36).substr(2, 9),
+          id: this._generateId(),
           content: options.content.trim(),
           url: options.url || window.location.href,
           hostname: window.location.hostname, // 添加来源网站域名
@@ -195,44 +316,38 @@ class NotesService {
         }
         this.log.info(`添加新笔记(${note.type})，内容: ${options.content}`);
       } else {
+        const now = Date.now();
         note = {
-          id: Date.now() + Math.random().toString(36).substr(2, 9),
+          id: this._generateId(),
           content: contentOrOptions.trim(),
           url: url,
           hostname: window.location.hostname, // 添加来源网站域名
-          timestamp: Date.now(),
+          createdAt: now,
+          timestamp: now,
           type: 'text'
         };
         this.log.info(`添加新笔记，内容长度: ${contentOrOptions.length}`);
       }
 
-      let notes = await this.getAllNotes();
-      
-      if (note.type === 'screenshot') {
-        const screenshots = notes.filter(n => n.type === 'screenshot');
-        if (screenshots.length >= NOTES_CONFIG.MAX_SCREENSHOTS) {
-          this.log.warn(`截图数量超过限制(${NOTES_CONFIG.MAX_SCREENSHOTS})，删除最旧的截图`);
-          const oldestScreenshot = screenshots[screenshots.length - 1];
-          notes = notes.filter(n => n.id !== oldestScreenshot.id);
+      // 在视频页面记录的笔记附带视频信息和播放位置，便于之后跳回该时刻
+      if (!note.videoInfo) {
+        const context = this._getVideoContext();
+        if (context) {
+          note.videoInfo = context.videoInfo;
+          if (context.videoTime !== null && note.videoTime === undefined) {
+            note.videoTime = context.videoTime;
+          }
         }
       }
-      
-      notes.unshift(note);
-      await this.saveNotes(notes);
-      
-      this.log.success(`笔记已保存，当前总数: ${notes.length}`);
+
+      await notesStore.put(note);
+
+      this.log.success(`笔记已保存，当前总数: ${await notesStore.count()}`);
 
       if (config.getNotionNotesAutoSync() && config.isNotionConfigured()) {
         this.log.info('自动同步笔记到Notion...');
-        
-        const videoInfo = state.getVideoInfo();
-        if (videoInfo && videoInfo.bvid) {
-          if (!videoInfo.title) {
-            videoInfo.title = getVideoTitle();
-          }
-          note.videoInfo = videoInfo;
-        }
 
+        // 发送失败时由NotionService保存到待发送队列，稍后自动重试
         notionService.sendNoteToNotion(note).catch(error => {
           this.log.error('自动同步到Notion失败:', error);
         });
@@ -245,7 +360,7 @@ class NotesService {
       if (error.name === 'QuotaExceededError' || error.message?.includes('exceeded')) {
         this.log.error('存储空间不足，请清理部分笔记');
         if (window.notification) {
-          window.notification.error('存储空间不足，已自动清理部分旧笔记');
+          window.notification.error('存储空间不足，请删除部分旧笔记后重试');
         }
       }
       
@@ -261,8 +376,9 @@ class NotesService {
   async addAISummary(summaryData) {
     try {
       const note = {
-        id: Date.now() + Math.random().toString(36).substr(2, 9),
+        id: this._generateId(),
         type: 'ai-summary',
+        hostname: window.location.hostname,
         createdAt: Date.now(),
         timestamp: Date.now(),
         summary: summaryData.summary || '',
@@ -271,9 +387,7 @@ class NotesService {
         videoBvid: summaryData.videoBvid || ''
       };
 
-      let notes = await this.getAllNotes();
-      notes.unshift(note);
-      await this.saveNotes(notes);
+      await notesStore.put(note);
 
       this.log.success('AI总结已保存');
       return note;
@@ -290,14 +404,11 @@ class NotesService {
    */
   async addScreenshotToSummary(noteId, screenshot) {
     try {
-      const notes = await this.getAllNotes();
-      const noteIndex = notes.findIndex(n => n.id === noteId);
-      
-      if (noteIndex === -1) {
+      const note = await notesStore.get(noteId);
+      if (!note) {
         throw new Error('笔记不存在');
       }
 
-      const note = notes[noteIndex];
       if (note.type !== 'ai-summary' || !note.segments) {
         throw new Error('笔记不是AI总结类型或没有时间戳段落');
       }
@@ -329,7 +440,7 @@ class NotesService {
         addedAt: Date.now()
       });
 
-      await this.saveNotes(notes);
+      await notesStore.put(note);
       this.log.success('截图已添加到总结笔记');
       return note;
     } catch (error) {
@@ -358,9 +469,7 @@ class NotesService {
    * @param {string} noteId - 笔记ID
    */
   async deleteNote(noteId) {
-    const notes = await this.getAllNotes();
-    const filtered = notes.filter(note => note.id !== noteId);
-    await this.saveNotes(filtered);
+    await notesStore.deleteMany([noteId]);
   }
 
   /**
@@ -368,9 +477,7 @@ class NotesService {
    * @param {Array<string>} noteIds - 笔记ID数组
    */
   async deleteNotes(noteIds) {
-    const notes = await this.getAllNotes();
-    const filtered = notes.filter(note => !noteIds.includes(note.id));
-    await this.saveNotes(filtered);
+    await notesStore.deleteMany(noteIds);
   }
 
   /**
@@ -0,0 +1,300 @@
+/**
+ * Notion待发送队列模块
+ * 发送失败（Notion不可用、API Key失效、限流等）的内容连同完整数据和失败原因保存到GM存储，
+ * 之后的页面加载中按指数退避自动重试，429时遵循Retry-After
+ */
+
+import notionService from './NotionService.js';
+import eventBus from '../utils/EventBus.js';
+import logger from '../utils/DebugLogger.js';
+import resourceManager from '../utils/ResourceManager.js';
+import { EVENTS, NOTION_OUTBOX, STORAGE_KEYS } from '../constants.js';
+
+/**
+ * 队列条目类型
+ * summary: sendToNotion 的完整参数 {videoInfo, aiSummary, subtitleData}（videoInfo 包含标题、链接和UP主）
+ * note: sendNoteToNotion 的笔记对象
+ */
+export const OUTBOX_ITEM_TYPES = {
+  summary: '视频总结',
+  note: '笔记'
+};
+
+class NotionOutboxService {
+  constructor() {
+    this.timerId = null;
+    this.isProcessing = false;
+  }
+
+  /**
+   * 获取队列中的所有条目（按加入时间排序）
+   * @returns {Array<Object>}
+   */
+  getItems() {
+    return GM_getValue(STORAGE_KEYS.NOTION_OUTBOX, []);
+  }
+
+  /**
+   * 获取队列条目数量
+   * @returns {number}
+   */
+  getCount() {
+    return this.getItems().length;
+  }
+
+  /**
+   * 保存队列
+   * @private
+   * @param {Array<Object>} items
+   */
+  _save(items) {
+    GM_setValue(STORAGE_KEYS.NOTION_OUTBOX, items);
+    eventBus.emit(EVENTS.NOTION_OUTBOX_CHANGED, items.length);
+  }
+
+  /**
+   * 将发送失败的内容加入队列
+   * @param {'summary'|'note'} type - 条目类型
+   * @param {Object} payload - 重新发送所需的完整数据
+   * @param {Error} error - 失败原因
+   * @returns {Object} 新条目
+   */
+  enqueue(type, payload, error) {
+    const now = Date.now();
+    const key = this._getItemKey(type, payload);
+    const existing = key ? this.getItems().find(entry => entry.key === key) : null;
+    const item = {
+      id: existing?.id || `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      key,
+      type,
+      payload,
+      reason: error?.message || '未知错误',
+      attempts: existing?.attempts || 0,
+      createdAt: existing?.createdAt || now,
+      nextRetryAt: now + this._getRetryDelay(existing?.attempts || 0, error),
+      lockedUntil: 0
+    };
+
+    // 同一视频（或同一条笔记）只保留一个条目，用最新的数据替换；超出上限时丢弃最旧的条目
+    const items = existing
+      ? this.getItems().map(entry => (entry.id === existing.id ? item : entry))
+      : [...this.getItems(), item].slice(-NOTION_OUTBOX.MAX_ITEMS);
+    this._save(items);
+    logger.warn('NotionOutbox', `发送失败，已加入待发送队列: ${this.describe(item)}（${item.reason}）`);
+
+    this._scheduleNext();
+    return item;
+  }
+
+  /**
+   * 生成条目的去重键：视频总结按视频（BV号+分P），笔记按笔记ID
+   * @private
+   * @param {'summary'|'note'} type - 条目类型
+   * @param {Object} payload - 发送数据
+   * @returns {string|null} 无法确定时返回null（不去重）
+   */
+  _getItemKey(type, payload) {
+    if (type === 'summary') {
+      const info = payload?.videoInfo || {};
+      const videoId = info.bvid || info.url;
+      return videoId ? `summary:${videoId}-p${Number(info.p) || 1}` : null;
+    }
+    return payload?.id ? `note:${payload.id}` : null;
+  }
+
+  /**
+   * 更新条目（用于在队列界面中编辑内容）
+   * @param {string} id - 条目ID
+   * @param {Object} payload - 新的发送数据
+   */
+  updatePayload(id, payload) {
+    const items = this.getItems().map(item => (item.id === id ? { ...item, payload } : item));
+    this._save(items);
+  }
+
+  /**
+   * 丢弃条目
+   * @param {string} id - 条目ID
+   */
+  remove(id) {
+    this._save(this.getItems().filter(item => item.id !== id));
+  }
+
+  /**
+   * 立即重试单个条目（手动触发）
+   * @param {string} id - 条目ID
+   * @returns {Promise<boolean>} 是否发送成功
+   */
+  async retry(id) {
+    const item = this.getItems().find(entry => entry.id === id);
+    if (!item) {
+      throw new Error('条目不存在');
+    }
+    return await this._process(item);
+  }
+
+  /**
+   * 处理所有到期的条目
+   * @returns {Promise<{sent: number, failed: number}>}
+   */
+  async processDue() {
+    const result = { sent: 0, failed: 0 };
+    if (this.isProcessing) return result;
+
+    this.isProcessing = true;
+    try {
+      const now = Date.now();
+      const dueItems = this.getItems().filter(item => item.nextRetryAt <= now && item.lockedUntil <= now);
+
+      // 逐条发送，避免触发Notion限流
+      for (const item of dueItems) {
+        const success = await this._process(item);
+        success ? result.sent++ : result.failed++;
+      }
+
+      if (dueItems.length > 0) {
+        logger.info('NotionOutbox', `待发送队列处理完成: 成功 ${result.sent}，失败 ${result.failed}`);
+      }
+    } finally {
+      this.isProcessing = false;
+      this._scheduleNext();
+    }
+    return result;
+  }
+
+  /**
+   * 页面加载后开始处理队列
+   */
+  start() {
+    if (this.getCount() === 0) return;
+
+    this._clearTimer();
+    this.timerId = resourceManager.trackTimeout(() => {
+      this.timerId = null;
+      this.processDue();
+    }, NOTION_OUTBOX.START_DELAY);
+  }
+
+  /**
+   * 停止定时重试
+   */
+  stop() {
+    this._clearTimer();
+  }
+
+  /**
+   * 生成条目的简短描述
+   * @param {Object} item - 队列条目
+   * @returns {string}
+   */
+  describe(item) {
+    if (item.type === 'summary') {
+      const info = item.payload?.videoInfo || {};
+      return info.title || info.bvid || '未知视频';
+    }
+    const content = item.payload?.content || '';
+    return content.length > 30 ? `${content.substring(0, 30)}...` : (content || '截图笔记');
+  }
+
+  /**
+   * 发送单个条目，成功则移出队列，失败则记录原因并推迟下次重试
+   * @private
+   * @param {Object} item - 队列条目
+   * @returns {Promise<boolean>}
+   */
+  async _process(item) {
+    // 加锁：其他标签页在锁定期间不会处理同一条目
+    if (!this._lock(item.id)) {
+      logger.debug('NotionOutbox', `条目正在其他页面处理: ${item.id}`);
+      return false;
+    }
+
+    try {
+      if (item.type === 'summary') {
+        await notionService.sendToNotion({ ...item.payload, isAuto: true, fromOutbox: true });
+      } else {
+        await notionService.sendNoteToNotion(item.payload, { fromOutbox: true });
+      }
+      this.remove(item.id);
+      return true;
+    } catch (error) {
+      const attempts = (item.attempts || 0) + 1;
+      const items = this.getItems().map(entry => (entry.id === item.id ? {
+        ...entry,
+        attempts,
+        reason: error.message || '未知错误',
+        nextRetryAt: Date.now() + this._getRetryDelay(attempts, error),
+        lockedUntil: 0
+      } : entry));
+      this._save(items);
+      logger.warn('NotionOutbox', `重试失败(${attempts}次): ${this.describe(item)}（${error.message}）`);
+      return false;
+    }
+  }
+
+  /**
+   * 锁定条目
+   * @private
+   * @param {string} id - 条目ID
+   * @returns {boolean} 是否加锁成功
+   */
+  _lock(id) {
+    const now = Date.now();
+    const items = this.getItems();
+    const target = items.find(item => item.id === id);
+    if (!target || target.lockedUntil > now) {
+      return false;
+    }
+
+    target.lockedUntil = now + NOTION_OUTBOX.LOCK_DURATION;
+    GM_setValue(STORAGE_KEYS.NOTION_OUTBOX, items);
+    return true;
+  }
+
+  /**
+   * 计算重试间隔：429优先使用Retry-After，否则指数退避
+   * @private
+   * @param {number} attempts - 已重试次数
+   * @param {Error} error - 失败原因
+   * @returns {number} 毫秒
+   */
+  _getRetryDelay(attempts, error) {
+    if (error?.status === 429 && error.retryAfter) {
+      return Math.max(error.retryAfter * 1000, 1000);
+    }
+    return Math.min(NOTION_OUTBOX.BASE_RETRY_DELAY * Math.pow(2, attempts), NOTION_OUTBOX.MAX_RETRY_DELAY);
+  }
+
+  /**
+   * 在最早到期的条目到期时再次处理（页面一直打开时也能重试）
+   * @private
+   */
+  _scheduleNext() {
+    this._clearTimer();
+
+    const items = this.getItems();
+    if (items.length === 0) return;
+
+    const nextRetryAt = Math.min(...items.map(item => Math.max(item.nextRetryAt, item.lockedUntil)));
+    const delay = Math.max(nextRetryAt - Date.now(), NOTION_OUTBOX.START_DELAY);
+    this.timerId = resourceManager.trackTimeout(() => {
+      this.timerId = null;
+      this.processDue();
+    }, delay);
+  }
+
+  /**
+   * 清除定时器
+   * @private
+   */
+  _clearTimer() {
+    if (this.timerId !== null) {
+      resourceManager.clearTrackedTimeout(this.timerId);
+      this.timerId = null;
+    }
+  }
+}
+
+// 创建全局单例
+export const notionOutbox = new NotionOutboxService();
+export default notionOutbox;
@@ -9,10 +9,12 @@ import eventBus from '../utils/EventBus.js';
 import logger from '../utils/DebugLogger.js';
 import notification from '../ui/Notification.js';
 import { EVENTS, API, LIMITS } from '../constants.js';
-import { getVideoTitle, getVideoUrl, getVideoCreator, formatTime } from '../utils/helpers.js';
+import { getVideoTitle, getVideoUrl, getVideoCreator, formatTime, formatAIProvider, getSummarySourceNote } from '../utils/helpers.js';
 import { generateCacheKey } from '../utils/validators.js';
 import { notionPageCache } from '../utils/LRUCache.js';
 import { showInfoConfirm } from '../ui/ConfirmDialog.js';
+import notionOutbox from './NotionOutboxService.js';
+import commentDigestService from './CommentDigestService.js';
 
 class NotionService {
   /**
@@ -21,10 +23,12 @@ class NotionService {
    * @param {Object} options.videoInfo - 视频信息
    * @param {Object} options.aiSummary - AI总结数据 {markdown, segments}
    * @param {Array} options.subtitleData - 字幕数据
+   * @param {Object|null} options.commentDigest - 评论区总结，不传时读取当前标签页中已生成的
    * @param {boolean} options.isAuto - 是否自动发送
+   * @param {boolean} options.fromOutbox - 是否由待发送队列重试（失败时直接抛出，不再入队）
    * @returns {Promise<void>}
    */
-  async sendToNotion({ videoInfo, aiSummary, subtitleData, isAuto = false }) {
+  async sendToNotion({ videoInfo, aiSummary, subtitleData, commentDigest, isAuto = false, fromOutbox = false }) {
     const notionConfig = config.getNotionConfig();
     const contentOptions = config.getNotionContentOptions();
 
@@ -34,19 +38,53 @@ class NotionService {
 
     // 根据配置检查是否需要发送
     if (!contentOptions.videoInfo && !contentOptions.summary && 
-        !contentOptions.segments && !contentOptions.subtitles) {
+        !contentOptions.segments && !contentOptions.subtitles && !contentOptions.commentDigest) {
       logger.warn('NotionService', '没有选择任何要发送的内容');
       return;
     }
 
+    // 优先使用传入的视频信息，其次从页面获取；确定后随数据一起保存到待发送队列，
+    // 队列重试时可能在其他页面上，不能再从页面读取
+    if (!fromOutbox) {
+      videoInfo = {
+        ...videoInfo,
+        title: videoInfo?.title || getVideoTitle() || '未知视频',
+        url: videoInfo?.url || getVideoUrl() || '',
+        creator: videoInfo?.creator || getVideoCreator() || ''
+      };
+    }
+    // 评论区总结只保存在生成它的标签页的内存中，同样在发送时确定并随数据保存
+    if (commentDigest === undefined) {
+      commentDigest = (!fromOutbox && contentOptions.commentDigest)
+        ? commentDigestService.getDigest(generateCacheKey(videoInfo))
+        : null;
+    }
+
+    // 选中的内容都没有数据时（例如只勾选了评论区总结但尚未生成）不创建空页面
+    const hasContent = contentOptions.videoInfo ||
+      (contentOptions.summary && aiSummary?.markdown) ||
+      (contentOptions.segments && aiSummary?.segments?.length > 0) ||
+      (contentOptions.subtitles && subtitleData?.length > 0) ||
+      (contentOptions.commentDigest && commentDigest?.markdown);
+    if (!hasContent) {
+      const message = contentOptions.commentDigest && !commentDigest
+        ? '没有可发送的内容：评论区总结尚未生成'
+        : '没有可发送的内容';
+      if (isAuto) {
+        logger.warn('NotionService', message);
+      } else {
+        notification.warning(message);
+      }
+      return;
+    }
+
     state.notion.isSending = true;
     eventBus.emit(EVENTS.NOTION_SEND_START);
 
     try {
-      // 优先使用传入的视频信息，其次从页面获取
-      const videoTitle = videoInfo?.title || getVideoTitle() || '未知视频';
-      const videoUrl = videoInfo?.url || getVideoUrl() || '';
-      const creator = videoInfo?.creator || getVideoCreator() || '';
+      const videoTitle = videoInfo?.title || '未知视频';
+      const videoUrl = videoInfo?.url || '';
+      const creator = videoInfo?.creator || '';
       const bvid = videoInfo?.bvid;
 
       // 构建主页面内容
@@ -114,9 +152,75 @@ class NotionService {
           }
         });
 
+        // 根据弹幕生成的总结，注明可信度较低
+        const sourceNote = getSummarySourceNote(aiSummary.generatedBy);
+        if (sourceNote) {
+          mainPageChildren.push({
+            object: 'block',
+            type: 'callout',
+            callout: {
+              rich_text: [{ type: 'text', text: { content: sourceNote } }],
+              icon: { type: 'emoji', emoji: '⚠️' },
+              color: 'yellow_background'
+            }
+          });
+        }
+
         // 将markdown转换为Notion blocks
         const summaryBlocks = this._convertMarkdownToNotionBlocks(aiSummary.markdown);
         mainPageChildren.push(...summaryBlocks);
+
+        // 注明实际生成总结的服务商和模型
+        const providerText = formatAIProvider(aiSummary.generatedBy);
+        if (providerText) {
+          mainPageChildren.push({
+            object: 'block',
+            type: 'paragraph',
+            paragraph: {
+              rich_text: [{
+                type: 'text',
+                text: { content: `由 ${providerText} 生成` },
+                annotations: { italic: true, color: 'gray' }
+              }]
+            }
+          });
+        }
+      }
+
+      // 添加评论区总结（需要先在面板中生成）
+      if (contentOptions.commentDigest && commentDigest?.markdown) {
+        if (mainPageChildren.length > 0) {
+          mainPageChildren.push({
+            object: 'block',
+            type: 'divider',
+            divider: {}
+          });
+        }
+
+        mainPageChildren.push({
+          object: 'block',
+          type: 'heading_2',
+          heading_2: {
+            rich_text: [{
+              type: 'text',
+              text: { content: '💬 评论区总结' }
+            }]
+          }
+        });
+        mainPageChildren.push(...this._convertMarkdownToNotionBlocks(commentDigest.markdown));
+
+        const digestProvider = formatAIProvider(commentDigest.generatedBy);
+        mainPageChildren.push({
+          object: 'block',
+          type: 'paragraph',
+          paragraph: {
+            rich_text: [{
+              type: 'text',
+              text: { content: `根据 ${commentDigest.commentCount} 条热门评论${digestProvider ? `，由 ${digestProvider} 生成` : ''}` },
+              annotations: { italic: true, color: 'gray' }
+            }]
+          }
+        });
       }
 
       // 获取或设置数据库ID
@@ -255,7 +359,16 @@ class NotionService {
 
     } catch (error) {
       state.notion.isSending = false;
+      
+      // 队列后台重试失败时不弹出错误提示，由队列记录原因
+      if (fromOutbox) {
+        throw error;
+      }
+
       eventBus.emit(EVENTS.NOTION_SEND_FAILED, error.message);
+
+      // 手动和自动发送失败都保存完整数据到待发送队列，稍后自动重试
+      notionOutbox.enqueue('summary', { videoInfo, aiSummary, subtitleData, commentDigest }, error);
       
       if (!isAuto) {
         throw error;
@@ -2332,18 +2445,27 @@ class NotionService {
    * @returns {Error}
    */
   _parseNotionError(response) {
+    let result;
     try {
       const error = JSON.parse(response.responseText);
       
       // 特殊处理常见错误
       if (error.code === 'object_not_found' || error.message?.includes('Could not find')) {
-        return new Error('找不到指定的Notion页面或数据库，请检查：\n1. ID是否正确\n2. 是否已在Notion中授权该Integration');
+        result = new Error('找不到指定的Notion页面或数据库，请检查：\n1. ID是否正确\n2. 是否已在Notion中授权该Integration');
+      } else {
+        result = new Error(error.message || '未知错误');
       }
-      
-      return new Error(error.message || '未知错误');
     } catch (e) {
-      return new Error(`请求失败: ${response.status}`);
+      result = new Error(`请求失败: ${response.status}`);
+    }
+
+    // 附带状态码和Retry-After（秒），供待发送队列决定重试时间
+    result.status = response.status;
+    const retryAfter = /^retry-after:\s*(\d+)/im.exec(response.responseHeaders || '');
+    if (retryAfter) {
+      result.retryAfter = parseInt(retryAfter[1], 10);
     }
+    return result;
   }
 
   /**
@@ -2411,16 +2533,37 @@ class NotionService {
   }
 
   /**
-   * 发送笔记到Notion
+   * 发送笔记到Notion，自动和手动发送都调用此方法
+   * 发送失败时保存到待发送队列，稍后自动重试
    * @param {Object} note - 笔记对象
+   * @param {Object} options - 发送选项
+   * @param {boolean} options.fromOutbox - 是否由待发送队列重试（失败时直接抛出，不再入队）
    * @returns {Promise<void>}
    */
-  async sendNoteToNotion(note) {
+  async sendNoteToNotion(note, { fromOutbox = false } = {}) {
     const notionConfig = config.getNotionConfig();
     if (!notionConfig.apiKey) {
       throw new Error('请先配置 Notion API Key');
     }
 
+    try {
+      await this._sendNote(notionConfig, note);
+    } catch (error) {
+      if (!fromOutbox) {
+        notionOutbox.enqueue('note', note, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * 创建笔记页面（笔记数据库不存在时先创建）
+   * @private
+   * @param {Object} notionConfig - Notion配置
+   * @param {Object} note - 笔记对象
+   * @returns {Promise<void>}
+   */
+  async _sendNote(notionConfig, note) {
     let notesDatabaseId = config.getNotionNotesDatabaseId();
     
     // 如果没有笔记数据库ID，先创建数据库
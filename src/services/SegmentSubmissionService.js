@@ -0,0 +1,293 @@
+/**
+ * 片段提交服务模块
+ * 在播放时标记片段的开始和结束、选择类别后提交到社区数据库：
+ * B站提交到 BilibiliSponsorBlock (bsbsb.top)，YouTube 提交到 SponsorBlock
+ * 待提交的片段会通过平台适配器预览在进度条上
+ */
+
+import eventBus from '../utils/EventBus.js';
+import logger from '../utils/DebugLogger.js';
+import { getVideoInfo } from '../utils/helpers.js';
+import { EVENTS, SEGMENT_SUBMISSION, SPONSORBLOCK } from '../constants.js';
+
+export default class SegmentSubmissionService {
+  /**
+   * @param {UniversalAdSkipService} adSkipService - 通用广告跳过服务（提供平台适配器和API）
+   */
+  constructor(adSkipService) {
+    this.adSkipService = adSkipService;
+    this.pending = this._createEmptySegment();
+    this.isSubmitting = false;
+  }
+
+  /**
+   * 当前平台适配器
+   * @returns {VideoPlayerAdapter|null}
+   */
+  get adapter() {
+    return this.adSkipService?.adapter || null;
+  }
+
+  /**
+   * 当前页面是否可以标记片段
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return !!(this.adapter && this.adapter.isVideoPage() && this.adapter.video);
+  }
+
+  /**
+   * 获取待提交的片段
+   * @returns {{videoId: string|null, start: number|null, end: number|null, category: string}}
+   */
+  getPending() {
+    this._syncVideo();
+    return { ...this.pending };
+  }
+
+  /**
+   * 以当前播放位置标记片段开始
+   * @returns {number} 开始时间（秒）
+   */
+  markStart() {
+    this._ensureAvailable();
+    const time = this._getCurrentTime();
+
+    this.pending.start = time;
+    // 新的开始时间在已标记的结束时间之后时，清除结束时间
+    if (this.pending.end !== null && this.pending.end <= time) {
+      this.pending.end = null;
+    }
+    this._update();
+    return time;
+  }
+
+  /**
+   * 以当前播放位置标记片段结束
+   * @returns {number} 结束时间（秒）
+   */
+  markEnd() {
+    this._ensureAvailable();
+    const time = this._getCurrentTime();
+
+    if (this.pending.start !== null && time <= this.pending.start) {
+      throw new Error('结束时间必须晚于开始时间');
+    }
+    this.pending.end = time;
+    this._update();
+    return time;
+  }
+
+  /**
+   * 设置片段类别
+   * @param {string} category - 类别
+   */
+  setCategory(category) {
+    if (!SEGMENT_SUBMISSION.CATEGORIES.includes(category)) {
+      throw new Error(`不支持的类别: ${category}`);
+    }
+    this._syncVideo();
+    this.pending.category = category;
+    this._update();
+  }
+
+  /**
+   * 清除待提交的片段
+   */
+  clear() {
+    this.pending = this._createEmptySegment();
+    this._removePreview();
+    eventBus.emit(EVENTS.SEGMENT_SUBMISSION_CHANGED, this.getPending());
+  }
+
+  /**
+   * 校验待提交的片段
+   * @returns {string|null} 错误信息，通过校验时返回null
+   */
+  validate() {
+    const { start, end, category } = this.getPending();
+    const duration = this.adapter?.getDuration();
+
+    if (start === null) return '请先标记片段开始';
+    if (end === null) return '请先标记片段结束';
+    if (!duration || !isFinite(duration)) return '无法获取视频时长';
+    if (start < 0) return '开始时间不能小于0';
+    if (end > duration + SEGMENT_SUBMISSION.DURATION_TOLERANCE) return '结束时间超出了视频时长';
+    if (end - start < SEGMENT_SUBMISSION.MIN_DURATION) return `片段时长不能少于 ${SEGMENT_SUBMISSION.MIN_DURATION} 秒`;
+    if (start === 0 && end >= duration) return '片段不能覆盖整个视频';
+    if (!SEGMENT_SUBMISSION.CATEGORIES.includes(category)) return '请选择片段类别';
+    return null;
+  }
+
+  /**
+   * 获取当前平台的提交目标说明
+   * @returns {string}
+   */
+  getTargetName() {
+    return this.adapter?.platform === 'bilibili' ? 'BilibiliSponsorBlock (bsbsb.top)' : 'SponsorBlock';
+  }
+
+  /**
+   * 获取类别的显示名称
+   * @param {string} category - 类别
+   * @returns {string}
+   */
+  getCategoryName(category) {
+    return SPONSORBLOCK.CATEGORIES[category]?.name || category;
+  }
+
+  /**
+   * 提交待提交的片段
+   * @returns {Promise<void>}
+   */
+  async submit() {
+    const error = this.validate();
+    if (error) {
+      throw new Error(error);
+    }
+    if (this.isSubmitting) {
+      throw new Error('正在提交中，请稍候');
+    }
+
+    const { start, end, category } = this.pending;
+    const videoDuration = this.adapter.getDuration();
+    let segment;
+    let url;
+
+    if (this.adapter.platform === 'bilibili') {
+      const { bvid, cid } = getVideoInfo();
+      if (!bvid || !cid) {
+        throw new Error('无法获取视频的BV号或CID');
+      }
+      segment = { videoId: bvid, cid, startTime: start, endTime: end, category, videoDuration };
+      url = SEGMENT_SUBMISSION.BILIBILI_API_URL;
+    } else {
+      segment = { videoId: this.adapter.getVideoId(), startTime: start, endTime: end, category, videoDuration };
+      url = SEGMENT_SUBMISSION.YOUTUBE_API_URL;
+    }
+
+    this.isSubmitting = true;
+    try {
+      const result = await this.adSkipService.deArrowAPI.submitSegment(segment, { url });
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+      logger.info('SegmentSubmission', `片段已提交到 ${this.getTargetName()}: ${segment.videoId} ${start}-${end} (${category})`);
+    } finally {
+      this.isSubmitting = false;
+    }
+
+    this.clear();
+    this._refreshSegments();
+  }
+
+  /**
+   * 重新加载广告段落，让刚提交的片段显示在进度条上
+   * @private
+   */
+  _refreshSegments() {
+    const service = this.adSkipService;
+    if (!service?.currentVideoId) return;
+
+    service.refreshSegments().catch(error => {
+      logger.warn('SegmentSubmission', '刷新广告段落失败:', error);
+    });
+  }
+
+  /**
+   * 创建空的待提交片段
+   * @private
+   * @returns {Object}
+   */
+  _createEmptySegment() {
+    return {
+      videoId: this.adapter?.getVideoId() || null,
+      start: null,
+      end: null,
+      category: SEGMENT_SUBMISSION.CATEGORIES[0]
+    };
+  }
+
+  /**
+   * 切换视频后丢弃上一个视频的标记
+   * @private
+   */
+  _syncVideo() {
+    const videoId = this.adapter?.getVideoId() || null;
+    if (videoId !== this.pending.videoId) {
+      this.pending = this._createEmptySegment();
+      this._removePreview();
+    }
+  }
+
+  /**
+   * 确保当前页面可以标记片段
+   * @private
+   */
+  _ensureAvailable() {
+    if (!this.isAvailable()) {
+      throw new Error('当前页面没有可标记的视频');
+    }
+    this._syncVideo();
+  }
+
+  /**
+   * 获取当前播放位置（保留一位小数）
+   * @private
+   * @returns {number}
+   */
+  _getCurrentTime() {
+    return Math.round(this.adapter.getCurrentTime() * 10) / 10;
+  }
+
+  /**
+   * 更新进度条预览并通知界面
+   * @private
+   */
+  _update() {
+    this._updatePreview();
+    eventBus.emit(EVENTS.SEGMENT_SUBMISSION_CHANGED, this.getPending());
+  }
+
+  /**
+   * 在进度条上预览待提交的片段（只标记了开始时显示一个窄标记）
+   * @private
+   */
+  _updatePreview() {
+    const { start, end, category } = this.pending;
+    if (start === null || !this.adapter) {
+      this._removePreview();
+      return;
+    }
+
+    const duration = this.adapter.getDuration();
+    const previewEnd = end !== null ? end : Math.min(start + 1, duration);
+    this.adapter.addProgressMarkers([{
+      start,
+      end: previewEnd,
+      category,
+      color: SPONSORBLOCK.CATEGORIES[category]?.color,
+      actionType: 'mute' // 预览标记点击时不执行跳过
+    }], {
+      containerId: SEGMENT_SUBMISSION.PREVIEW_CONTAINER_ID,
+      className: 'segment-submission-marker',
+      opacity: 0.9
+    });
+  }
+
+  /**
+   * 移除进度条预览
+   * @private
+   */
+  _removePreview() {
+    document.getElementById(SEGMENT_SUBMISSION.PREVIEW_CONTAINER_ID)?.remove();
+  }
+
+  /**
+   * 清理资源
+   */
+  destroy() {
+    this._removePreview();
+    this.pending = this._createEmptySegment();
+  }
+}
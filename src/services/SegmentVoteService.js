@@ -0,0 +1,170 @@
+/**
+ * 片段投票服务模块
+ * 对社区片段投票（支持/反对/更改类别），并在本地记录自己的投票：
+ * 同一片段不会重复投票，投了反对票的片段立即不再自动跳过
+ */
+
+import DeArrowAPI from './DeArrowAPI.js';
+import logger from '../utils/DebugLogger.js';
+import { SEGMENT_VOTES, STORAGE_KEYS } from '../constants.js';
+
+/**
+ * 投票类型
+ */
+export const VOTE_TYPES = {
+  UP: 'up',
+  DOWN: 'down',
+  CATEGORY: 'category'
+};
+
+class SegmentVoteService {
+  constructor() {
+    this.api = new DeArrowAPI();
+    this.votes = null;  // 投票记录的内存副本（播放时每帧都会查询，不能每次都读取存储）
+  }
+
+  /**
+   * 获取所有投票记录（第一次读取时载入内存，并监听其他标签页的修改）
+   * @private
+   * @returns {Object<string, {type: string, category?: string, votedAt: number}>}
+   */
+  _getVotes() {
+    if (!this.votes) {
+      this.votes = GM_getValue(STORAGE_KEYS.SEGMENT_VOTES, {});
+      if (typeof GM_addValueChangeListener === 'function') {
+        GM_addValueChangeListener(STORAGE_KEYS.SEGMENT_VOTES, (name, oldValue, newValue, remote) => {
+          if (remote) {
+            this.votes = newValue || {};
+          }
+        });
+      }
+    }
+    return this.votes;
+  }
+
+  /**
+   * 保存投票记录（超出上限时丢弃最旧的）
+   * @private
+   * @param {string} uuid - 片段UUID
+   * @param {Object} record - 投票记录
+   */
+  _saveVote(uuid, record) {
+    // 先读取存储中的最新记录，避免覆盖其他标签页刚保存的投票
+    const votes = { ...GM_getValue(STORAGE_KEYS.SEGMENT_VOTES, {}), [uuid]: record };
+    const entries = Object.entries(votes);
+
+    if (entries.length > SEGMENT_VOTES.MAX_RECORDS) {
+      entries.sort((a, b) => a[1].votedAt - b[1].votedAt);
+      this.votes = Object.fromEntries(entries.slice(-SEGMENT_VOTES.MAX_RECORDS));
+    } else {
+      this.votes = votes;
+    }
+    GM_setValue(STORAGE_KEYS.SEGMENT_VOTES, this.votes);
+  }
+
+  /**
+   * 获取自己对片段的投票
+   * @param {string} uuid - 片段UUID
+   * @returns {{type: string, category?: string, votedAt: number}|null}
+   */
+  getVote(uuid) {
+    if (!uuid) return null;
+    return this._getVotes()[uuid] || null;
+  }
+
+  /**
+   * 是否对片段投过反对票
+   * @param {string} uuid - 片段UUID
+   * @returns {boolean}
+   */
+  hasDownvoted(uuid) {
+    return this.getVote(uuid)?.type === VOTE_TYPES.DOWN;
+  }
+
+  /**
+   * 获取片段的有效类别（自己投票更改过类别时以自己的为准）
+   * @param {Object} segment - 片段 {UUID, category}
+   * @returns {string}
+   */
+  getEffectiveCategory(segment) {
+    const vote = this.getVote(segment?.UUID);
+    return vote?.type === VOTE_TYPES.CATEGORY ? vote.category : segment?.category;
+  }
+
+  /**
+   * 支持或反对片段
+   * @param {string} uuid - 片段UUID
+   * @param {'up'|'down'} type - 投票类型
+   * @param {'bilibili'|'youtube'} platform - 片段所属平台
+   * @returns {Promise<void>}
+   */
+  async vote(uuid, type, platform) {
+    if (type !== VOTE_TYPES.UP && type !== VOTE_TYPES.DOWN) {
+      throw new Error(`不支持的投票类型: ${type}`);
+    }
+    this._ensureNotVoted(uuid);
+
+    const result = await this.api.voteOnSegment(uuid, type === VOTE_TYPES.UP ? 1 : 0, {
+      url: this._getVoteUrl(platform)
+    });
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    this._saveVote(uuid, { type, votedAt: Date.now() });
+    logger.info('SegmentVote', `已${type === VOTE_TYPES.UP ? '支持' : '反对'}片段: ${uuid}`);
+  }
+
+  /**
+   * 投票更改片段类别（报告类别错误）
+   * @param {string} uuid - 片段UUID
+   * @param {string} category - 正确的类别
+   * @param {'bilibili'|'youtube'} platform - 片段所属平台
+   * @returns {Promise<void>}
+   */
+  async changeCategory(uuid, category, platform) {
+    if (!category) {
+      throw new Error('请选择正确的类别');
+    }
+    this._ensureNotVoted(uuid);
+
+    const result = await this.api.voteOnSegment(uuid, 1, {
+      url: this._getVoteUrl(platform),
+      category
+    });
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    this._saveVote(uuid, { type: VOTE_TYPES.CATEGORY, category, votedAt: Date.now() });
+    logger.info('SegmentVote', `已投票将片段 ${uuid} 改为 ${category}`);
+  }
+
+  /**
+   * 确保没有对片段投过票
+   * @private
+   * @param {string} uuid - 片段UUID
+   */
+  _ensureNotVoted(uuid) {
+    if (!uuid) {
+      throw new Error('片段缺少UUID，无法投票');
+    }
+    if (this.getVote(uuid)) {
+      throw new Error('已经对这个片段投过票了');
+    }
+  }
+
+  /**
+   * 获取平台对应的投票地址
+   * @private
+   * @param {'bilibili'|'youtube'} platform
+   * @returns {string}
+   */
+  _getVoteUrl(platform) {
+    return platform === 'bilibili' ? SEGMENT_VOTES.BILIBILI_API_URL : SEGMENT_VOTES.YOUTUBE_API_URL;
+  }
+}
+
+// 创建全局单例
+export const segmentVoteService = new SegmentVoteService();
+export default segmentVoteService;
@@ -0,0 +1,350 @@
+/**
+ * 跳过统计服务模块
+ * 记录每次跳过/静音的类别、时长、平台和频道，以及倍速播放节省的时间，
+ * 提供按类别、按天、按频道的汇总和CSV导出
+ *
+ * 数据按天分别保存在不同的键中，每次只读写当天（或被撤销记录所在那天）的键，
+ * 多个标签页同时写入时不会互相覆盖其他日期的数据，单次写入的数据量也很小
+ */
+
+import logger from '../utils/DebugLogger.js';
+import { SKIP_STATS, STORAGE_KEYS } from '../constants.js';
+
+/**
+ * 统计记录的类型
+ */
+export const STAT_TYPES = {
+  SKIP: 'skip',
+  MUTE: 'mute'
+};
+
+/**
+ * 获取本地日期键（YYYY-MM-DD）
+ * @param {number} timestamp - 时间戳（毫秒）
+ * @returns {string}
+ */
+function getDateKey(timestamp) {
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * 转义CSV字段
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeCSV(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class SkipStatsService {
+  constructor() {
+    this.pendingSpeedSeconds = 0;
+    this.flushTimer = null;
+    this.legacyMigrated = false;
+    this.handlePageHide = () => this.flush();
+  }
+
+  /**
+   * 记录一次跳过或静音
+   * @param {Object} entry
+   * @param {'skip'|'mute'} entry.type - 跳过或静音
+   * @param {string} entry.category - 片段类别
+   * @param {number} entry.duration - 跳过/静音的时长（秒）
+   * @param {'bilibili'|'youtube'} entry.platform - 平台
+   * @param {{id: string, name: string}|null} entry.creator - UP主/频道
+   * @param {string} entry.videoId - 视频ID
+   * @returns {string|null} 记录ID（撤销时用于删除），时长无效时返回null
+   */
+  record({ type, category, duration, platform, creator = null, videoId = '' }) {
+    if (!(duration > 0)) return null;
+
+    const now = Date.now();
+    const record = {
+      id: `${now}-${Math.random().toString(36).slice(2, 8)}`,
+      time: now,
+      type,
+      category,
+      duration: Math.round(duration * 10) / 10,
+      platform,
+      channelId: creator?.id || '',
+      channelName: creator?.name || '',
+      videoId
+    };
+
+    this._migrateLegacyData();
+    const key = this._recordsKey(getDateKey(now));
+    const records = GM_getValue(key, null);
+    GM_setValue(key, [...(records || []), record]);
+    // 每天第一条记录时清理过期的数据
+    if (!records) {
+      this._pruneOldDays();
+    }
+    return record.id;
+  }
+
+  /**
+   * 删除一条记录（撤销跳过时调用）
+   * @param {string} id - 记录ID（以记录时间开头）
+   */
+  removeRecord(id) {
+    if (!id) return;
+    this._migrateLegacyData();
+    const key = this._recordsKey(getDateKey(parseInt(id, 10)));
+    const records = GM_getValue(key, []);
+    GM_setValue(key, records.filter(record => record.id !== id));
+  }
+
+  /**
+   * 累计倍速播放节省的时间（先保存在内存中，定时写入存储）
+   * @param {number} seconds - 节省的秒数
+   */
+  addSpeedSaving(seconds) {
+    if (!(seconds > 0)) return;
+
+    this.pendingSpeedSeconds += seconds;
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), SKIP_STATS.SPEED_FLUSH_INTERVAL);
+      // 关闭页面前写入，避免丢失最后一段时间
+      window.addEventListener('pagehide', this.handlePageHide);
+    }
+  }
+
+  /**
+   * 把内存中累计的倍速节省时间写入存储
+   */
+  flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    window.removeEventListener('pagehide', this.handlePageHide);
+    if (this.pendingSpeedSeconds <= 0) return;
+
+    this._migrateLegacyData();
+    const key = this._speedKey(getDateKey(Date.now()));
+    GM_setValue(key, Math.round((GM_getValue(key, 0) + this.pendingSpeedSeconds) * 10) / 10);
+    this.pendingSpeedSeconds = 0;
+  }
+
+  /**
+   * 获取统计汇总
+   * @returns {{
+   *   skipCount: number, muteCount: number, skippedSeconds: number, mutedSeconds: number, speedSeconds: number,
+   *   byCategory: Array<{category: string, count: number, seconds: number}>,
+   *   byDay: Array<{date: string, skippedSeconds: number, speedSeconds: number}>,
+   *   topChannels: Array<{platform: string, channelId: string, channelName: string, count: number, seconds: number}>
+   * }}
+   */
+  getSummary() {
+    this.flush();
+    const { records, speedByDay } = this._getData();
+
+    const summary = {
+      skipCount: 0,
+      muteCount: 0,
+      skippedSeconds: 0,
+      mutedSeconds: 0,
+      speedSeconds: Object.values(speedByDay).reduce((sum, seconds) => sum + seconds, 0)
+    };
+    const categories = new Map();
+    const channels = new Map();
+    const skippedByDay = new Map();
+
+    records.forEach(record => {
+      if (record.type === STAT_TYPES.MUTE) {
+        summary.muteCount++;
+        summary.mutedSeconds += record.duration;
+      } else {
+        summary.skipCount++;
+        summary.skippedSeconds += record.duration;
+        const date = getDateKey(record.time);
+        skippedByDay.set(date, (skippedByDay.get(date) || 0) + record.duration);
+      }
+
+      const category = categories.get(record.category) || { category: record.category, count: 0, seconds: 0 };
+      category.count++;
+      category.seconds += record.duration;
+      categories.set(record.category, category);
+
+      // 频道排行只统计赞助广告
+      if (record.category === 'sponsor' && record.channelId) {
+        const key = `${record.platform}:${record.channelId}`;
+        const channel = channels.get(key) || {
+          platform: record.platform,
+          channelId: record.channelId,
+          channelName: record.channelName,
+          count: 0,
+          seconds: 0
+        };
+        channel.count++;
+        channel.seconds += record.duration;
+        channels.set(key, channel);
+      }
+    });
+
+    // 最近N天（包含没有数据的日期）
+    const byDay = [];
+    for (let i = SKIP_STATS.CHART_DAYS - 1; i >= 0; i--) {
+      const date = getDateKey(Date.now() - i * 86400000);
+      byDay.push({
+        date,
+        skippedSeconds: skippedByDay.get(date) || 0,
+        speedSeconds: speedByDay[date] || 0
+      });
+    }
+
+    return {
+      ...summary,
+      byCategory: [...categories.values()].sort((a, b) => b.seconds - a.seconds),
+      byDay,
+      topChannels: [...channels.values()]
+        .sort((a, b) => b.seconds - a.seconds)
+        .slice(0, SKIP_STATS.TOP_CHANNELS)
+    };
+  }
+
+  /**
+   * 导出为CSV（跳过/静音记录 + 每天的倍速节省时间）
+   * @returns {string}
+   */
+  toCSV() {
+    this.flush();
+    const { records, speedByDay } = this._getData();
+
+    const rows = [['时间', '类型', '类别', '时长(秒)', '平台', '频道ID', '频道', '视频ID']];
+    records.forEach(record => {
+      rows.push([
+        new Date(record.time).toLocaleString(),
+        record.type,
+        record.category,
+        record.duration,
+        record.platform,
+        record.channelId,
+        record.channelName,
+        record.videoId
+      ]);
+    });
+    Object.entries(speedByDay)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .forEach(([date, seconds]) => {
+        rows.push([date, 'speed', '', seconds, '', '', '', '']);
+      });
+
+    return rows.map(row => row.map(escapeCSV).join(',')).join('\n');
+  }
+
+  /**
+   * 清空所有统计
+   */
+  clear() {
+    this.pendingSpeedSeconds = 0;
+    this._migrateLegacyData();
+    this._listDayKeys().forEach(({ key }) => GM_deleteValue(key));
+    logger.info('SkipStats', '已清空跳过统计');
+  }
+
+  /**
+   * 某天跳过/静音记录的存储键
+   * @private
+   * @param {string} date - 日期键（YYYY-MM-DD）
+   * @returns {string}
+   */
+  _recordsKey(date) {
+    return `${STORAGE_KEYS.SKIP_STATS_RECORDS_PREFIX}${date}`;
+  }
+
+  /**
+   * 某天倍速节省时间的存储键
+   * @private
+   * @param {string} date - 日期键（YYYY-MM-DD）
+   * @returns {string}
+   */
+  _speedKey(date) {
+    return `${STORAGE_KEYS.SKIP_STATS_SPEED_PREFIX}${date}`;
+  }
+
+  /**
+   * 列出所有按天保存的统计键
+   * @private
+   * @returns {Array<{key: string, date: string, isSpeed: boolean}>}
+   */
+  _listDayKeys() {
+    return GM_listValues()
+      .map(key => {
+        if (key.startsWith(STORAGE_KEYS.SKIP_STATS_RECORDS_PREFIX)) {
+          return { key, date: key.slice(STORAGE_KEYS.SKIP_STATS_RECORDS_PREFIX.length), isSpeed: false };
+        }
+        if (key.startsWith(STORAGE_KEYS.SKIP_STATS_SPEED_PREFIX)) {
+          return { key, date: key.slice(STORAGE_KEYS.SKIP_STATS_SPEED_PREFIX.length), isSpeed: true };
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * 删除超过保留天数的数据
+   * @private
+   */
+  _pruneOldDays() {
+    const oldest = getDateKey(Date.now() - (SKIP_STATS.MAX_DAYS - 1) * 86400000);
+    this._listDayKeys()
+      .filter(({ date }) => date < oldest)
+      .forEach(({ key }) => GM_deleteValue(key));
+  }
+
+  /**
+   * 读取统计数据
+   * @private
+   * @returns {{records: Array, speedByDay: Object<string, number>}}
+   */
+  _getData() {
+    this._migrateLegacyData();
+    const records = [];
+    const speedByDay = {};
+
+    this._listDayKeys().forEach(({ key, date, isSpeed }) => {
+      if (isSpeed) {
+        speedByDay[date] = GM_getValue(key, 0);
+      } else {
+        records.push(...GM_getValue(key, []));
+      }
+    });
+    records.sort((a, b) => a.time - b.time);
+    return { records, speedByDay };
+  }
+
+  /**
+   * 将旧版整体保存的统计数据拆分为按天保存（只执行一次）
+   * @private
+   */
+  _migrateLegacyData() {
+    if (this.legacyMigrated) return;
+    this.legacyMigrated = true;
+
+    const data = GM_getValue(STORAGE_KEYS.SKIP_STATS, null);
+    if (!data) return;
+    // 先删除旧数据，避免其他标签页重复迁移
+    GM_deleteValue(STORAGE_KEYS.SKIP_STATS);
+
+    const recordsByDay = {};
+    (data.records || []).forEach(record => {
+      const date = getDateKey(record.time);
+      (recordsByDay[date] = recordsByDay[date] || []).push(record);
+    });
+    Object.entries(recordsByDay).forEach(([date, records]) => {
+      GM_setValue(this._recordsKey(date), [...GM_getValue(this._recordsKey(date), []), ...records]);
+    });
+    Object.entries(data.speedByDay || {}).forEach(([date, seconds]) => {
+      GM_setValue(this._speedKey(date), GM_getValue(this._speedKey(date), 0) + seconds);
+    });
+
+    logger.info('SkipStats', '跳过统计已迁移为按天保存');
+  }
+}
+
+// 创建全局单例
+export const skipStatsService = new SkipStatsService();
+export default skipStatsService;
@@ -5,6 +5,11 @@
 
 import domCache from '../utils/DOMCache.js';
 import logger from '../utils/DebugLogger.js';
+import resourceManager from '../utils/ResourceManager.js';
+import audioContextPool from '../utils/AudioContextPool.js';
+import notification from '../ui/Notification.js';
+import skipStatsService from './SkipStatsService.js';
+import { SKIP_STATS } from '../constants.js';
 
 const SPEED_CONFIG = {
   speedStep: 0.1,
@@ -14,6 +19,16 @@ const SPEED_CONFIG = {
   maxSpeed: 10,
 };
 
+const LOUDNESS_STORAGE_KEY = 'speed_loudness_config';
+
+// 响度检测默认配置
+const DEFAULT_LOUDNESS_CONFIG = {
+  thresholdDb: -45,         // RMS低于该值（dBFS）视为安静
+  silenceMultiplier: 2,     // 安静片段的加速倍数（相对于当前最终速度）
+  minSilenceDuration: 300,  // 持续安静多久后才加速（毫秒）
+  sampleInterval: 50,       // 采样间隔（毫秒）
+};
+
 class SpeedControlService {
   constructor() {
     // 单例模式：防止多次初始化
@@ -24,8 +39,15 @@ class SpeedControlService {
     this.state = {
       baseSpeed: 1.0,
       isTempBoosted: false,
+      isLoudnessMode: false,     // 是否开启响度检测
+      isSilenceBoosted: false,   // 当前是否处于安静加速中
     };
+    this.loudnessConfig = this.loadLoudnessConfig();
+    this.loudnessTimer = null;
+    this.silenceStartTime = 0;
     this.observer = null;
+    this.savingTimer = null;
+    this.savingListenerKeys = [];
     this.initialized = false;
     
     // 保存实例
@@ -45,6 +67,7 @@ class SpeedControlService {
     // 键盘事件由 ShortcutManager 统一管理
     this.observeMediaElements();
     this.applySpeedToExistingMedia();
+    this.startSavingTracker();
     this.initialized = true;
     logger.debug('SpeedControlService', '速度控制服务初始化成功');
   }
@@ -70,7 +93,7 @@ class SpeedControlService {
 
     // 触发速度变化事件（用于事件驱动的UI更新）
     const speedChangeEvent = new CustomEvent('speed-changed', {
-      detail: { speed, baseSpeed: this.state.baseSpeed }
+      detail: { speed, baseSpeed: this.state.baseSpeed, isSilenceBoosted: this.state.isSilenceBoosted }
     });
     document.dispatchEvent(speedChangeEvent);
   }
@@ -123,7 +146,7 @@ class SpeedControlService {
    */
   adjustBaseSpeed(delta) {
     this.state.baseSpeed = Math.max(0.1, Math.min(SPEED_CONFIG.maxSpeed, this.state.baseSpeed + delta));
-    this.applySpeed(this.calculateFinalSpeed());
+    this.applySpeed(this.getEffectiveSpeed());
   }
 
   /**
@@ -131,7 +154,7 @@ class SpeedControlService {
    */
   setBaseSpeed(speed) {
     this.state.baseSpeed = Math.max(0.1, Math.min(SPEED_CONFIG.maxSpeed, speed));
-    this.applySpeed(this.calculateFinalSpeed());
+    this.applySpeed(this.getEffectiveSpeed());
   }
 
   /**
@@ -139,7 +162,7 @@ class SpeedControlService {
    */
   applyTemporaryBoost() {
     this.state.isTempBoosted = true;
-    this.applySpeed(this.calculateFinalSpeed());
+    this.applySpeed(this.getEffectiveSpeed());
   }
 
   /**
@@ -147,7 +170,7 @@ class SpeedControlService {
    */
   removeTemporaryBoost() {
     this.state.isTempBoosted = false;
-    this.applySpeed(this.calculateFinalSpeed());
+    this.applySpeed(this.getEffectiveSpeed());
   }
 
   /**
@@ -155,7 +178,7 @@ class SpeedControlService {
    */
   applyPermanentBoost() {
     this.state.baseSpeed = Math.min(SPEED_CONFIG.maxSpeed, this.state.baseSpeed * SPEED_CONFIG.boostMultiplier);
-    this.applySpeed(this.calculateFinalSpeed());
+    this.applySpeed(this.getEffectiveSpeed());
   }
 
   /**
@@ -163,7 +186,7 @@ class SpeedControlService {
    */
   resetToNormalSpeed() {
     this.state.baseSpeed = 1.0;
-    this.applySpeed(this.calculateFinalSpeed());
+    this.applySpeed(this.getEffectiveSpeed());
   }
 
   /**
@@ -171,7 +194,7 @@ class SpeedControlService {
    */
   setToDoubleSpeed() {
     this.state.baseSpeed = 2.0;
-    this.applySpeed(this.calculateFinalSpeed());
+    this.applySpeed(this.getEffectiveSpeed());
   }
 
   /**
@@ -187,6 +210,171 @@ class SpeedControlService {
     return Math.min(SPEED_CONFIG.maxSpeed, speed);
   }
 
+  /**
+   * 计算安静片段的加速速度
+   */
+  calculateSilenceSpeed() {
+    return Math.min(SPEED_CONFIG.maxSpeed, this.calculateFinalSpeed() * this.loudnessConfig.silenceMultiplier);
+  }
+
+  /**
+   * 获取实际应使用的速度（安静加速时使用加速速度）
+   */
+  getEffectiveSpeed() {
+    return this.state.isSilenceBoosted ? this.calculateSilenceSpeed() : this.calculateFinalSpeed();
+  }
+
+  /**
+   * 加载响度检测配置
+   */
+  loadLoudnessConfig() {
+    try {
+      const saved = GM_getValue(LOUDNESS_STORAGE_KEY, null);
+      return saved ? { ...DEFAULT_LOUDNESS_CONFIG, ...JSON.parse(saved) } : { ...DEFAULT_LOUDNESS_CONFIG };
+    } catch (error) {
+      logger.warn('SpeedControl', '加载响度检测配置失败，使用默认配置', error);
+      return { ...DEFAULT_LOUDNESS_CONFIG };
+    }
+  }
+
+  /**
+   * 获取响度检测配置
+   */
+  getLoudnessConfig() {
+    return { ...this.loudnessConfig };
+  }
+
+  /**
+   * 更新响度检测配置
+   * @param {Object} config - 部分配置
+   */
+  setLoudnessConfig(config) {
+    this.loudnessConfig = { ...this.loudnessConfig, ...config };
+    GM_setValue(LOUDNESS_STORAGE_KEY, JSON.stringify(this.loudnessConfig));
+
+    // 采样间隔变化需要重启采样
+    if (this.state.isLoudnessMode) {
+      this.stopLoudnessDetection();
+      this.startLoudnessDetection();
+    }
+  }
+
+  /**
+   * 切换响度检测模式（, + . 同时按下）
+   */
+  toggleLoudnessDetection() {
+    if (this.state.isLoudnessMode) {
+      this.stopLoudnessDetection();
+      notification.info('响度检测已关闭');
+    } else if (this.startLoudnessDetection()) {
+      notification.success(`响度检测已开启：低于 ${this.loudnessConfig.thresholdDb}dB 时自动加速`);
+    }
+  }
+
+  /**
+   * 开启响度检测
+   * @returns {boolean} 是否开启成功
+   */
+  startLoudnessDetection() {
+    const media = this.getAnalysisTarget();
+    if (!media) {
+      notification.warning('未找到可检测的媒体元素');
+      return false;
+    }
+
+    try {
+      audioContextPool.getAnalyser(media);
+    } catch (error) {
+      logger.error('SpeedControl', '响度检测初始化失败:', error);
+      notification.error('响度检测开启失败: ' + error.message);
+      return false;
+    }
+
+    this.state.isLoudnessMode = true;
+    this.silenceStartTime = 0;
+    // 响度检测需要长期运行，不受默认的定时器超时限制
+    this.loudnessTimer = resourceManager.trackInterval(
+      () => this.sampleLoudness(),
+      this.loudnessConfig.sampleInterval,
+      Infinity
+    );
+    logger.debug('SpeedControl', '响度检测已开启');
+    return true;
+  }
+
+  /**
+   * 关闭响度检测并恢复正常速度
+   */
+  stopLoudnessDetection() {
+    if (this.loudnessTimer) {
+      resourceManager.clearTrackedInterval(this.loudnessTimer);
+      this.loudnessTimer = null;
+    }
+
+    const wasBoosted = this.state.isSilenceBoosted;
+    this.state.isLoudnessMode = false;
+    this.state.isSilenceBoosted = false;
+    this.silenceStartTime = 0;
+
+    if (wasBoosted) {
+      this.applySpeed(this.calculateFinalSpeed());
+    }
+    logger.debug('SpeedControl', '响度检测已关闭');
+  }
+
+  /**
+   * 选择要分析的媒体元素（优先正在播放的）
+   * @returns {HTMLMediaElement|null}
+   */
+  getAnalysisTarget() {
+    const mediaElements = this.getMediaElements();
+    return mediaElements.find(media => !media.paused) || mediaElements[0] || null;
+  }
+
+  /**
+   * 采样一次响度，根据是否安静切换速度
+   */
+  sampleLoudness() {
+    const media = this.getAnalysisTarget();
+    if (!media || media.paused) {
+      this.silenceStartTime = 0;
+      return;
+    }
+
+    let rms;
+    try {
+      rms = audioContextPool.getRMS(media);
+    } catch (error) {
+      // 页面切换了媒体元素且新元素无法分析时，关闭检测
+      logger.warn('SpeedControl', '响度采样失败，关闭响度检测:', error);
+      this.stopLoudnessDetection();
+      return;
+    }
+
+    const db = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+    const isQuiet = db < this.loudnessConfig.thresholdDb;
+
+    if (!isQuiet) {
+      this.silenceStartTime = 0;
+      // 恢复说话，立即回到正常速度
+      if (this.state.isSilenceBoosted) {
+        this.state.isSilenceBoosted = false;
+        this.applySpeed(this.calculateFinalSpeed());
+      }
+      return;
+    }
+
+    const now = Date.now();
+    if (!this.silenceStartTime) {
+      this.silenceStartTime = now;
+    }
+
+    if (!this.state.isSilenceBoosted && now - this.silenceStartTime >= this.loudnessConfig.minSilenceDuration) {
+      this.state.isSilenceBoosted = true;
+      this.applySpeed(this.calculateSilenceSpeed());
+    }
+  }
+
   /**
    * 监听新添加的媒体元素
    */
@@ -194,7 +382,7 @@ class SpeedControlService {
     this.observer = new MutationObserver(() => {
       const mediaElements = this.getMediaElements();
       mediaElements.forEach(media => {
-        const currentSpeed = this.calculateFinalSpeed();
+        const currentSpeed = this.getEffectiveSpeed();
         if (Math.abs(media.playbackRate - currentSpeed) > 0.01) {
           media.playbackRate = currentSpeed;
         }
@@ -217,11 +405,69 @@ class SpeedControlService {
     });
   }
 
+  /**
+   * 统计倍速播放节省的时间：监听媒体的播放/暂停/倍速变化，
+   * 只在有媒体以大于1倍速播放时定时采样，按 (倍速 - 1) × 经过的时间累计
+   */
+  startSavingTracker() {
+    // 媒体事件不冒泡，在捕获阶段监听页面上所有媒体元素
+    const update = () => this.updateSavingSampler();
+    this.savingListenerKeys = ['play', 'pause', 'ended', 'ratechange', 'emptied'].map(event =>
+      resourceManager.trackDOMListener(document, event, update, true)
+    );
+    this.updateSavingSampler();
+  }
+
+  /**
+   * 获取正在以大于1倍速播放的媒体元素
+   * @returns {HTMLMediaElement|undefined}
+   */
+  getSpeedSavingMedia() {
+    return this.getMediaElements()
+      .find(item => !item.paused && !item.ended && item.playbackRate > 1);
+  }
+
+  /**
+   * 根据当前是否有倍速播放的媒体启动或停止采样
+   */
+  updateSavingSampler() {
+    if (!this.getSpeedSavingMedia()) {
+      this.stopSavingSampler();
+      return;
+    }
+    if (this.savingTimer) return;
+
+    let lastSample = Date.now();
+    // 倍速播放可能持续很久，不受默认的定时器超时限制
+    this.savingTimer = resourceManager.trackInterval(() => {
+      const now = Date.now();
+      const elapsed = Math.min(now - lastSample, SKIP_STATS.SPEED_MAX_SAMPLE_GAP) / 1000;
+      lastSample = now;
+
+      const media = this.getSpeedSavingMedia();
+      if (media) {
+        skipStatsService.addSpeedSaving(elapsed * (media.playbackRate - 1));
+      } else {
+        this.stopSavingSampler();
+      }
+    }, SKIP_STATS.SPEED_SAMPLE_INTERVAL, Infinity);
+  }
+
+  /**
+   * 停止倍速节省时间采样
+   */
+  stopSavingSampler() {
+    if (this.savingTimer) {
+      resourceManager.clearTrackedInterval(this.savingTimer);
+      this.savingTimer = null;
+    }
+  }
+
   /**
    * 获取当前速度
    */
   getCurrentSpeed() {
-    return this.calculateFinalSpeed();
+    return this.getEffectiveSpeed();
   }
 
   /**
@@ -232,6 +478,8 @@ class SpeedControlService {
       baseSpeed: this.state.baseSpeed,
       finalSpeed: this.calculateFinalSpeed(),
       isTempBoosted: this.state.isTempBoosted,
+      isLoudnessMode: this.state.isLoudnessMode,
+      isSilenceBoosted: this.state.isSilenceBoosted,
     };
   }
 
@@ -247,6 +495,15 @@ class SpeedControlService {
       this.observer = null;
     }
     
+    // 停止响度检测
+    this.stopLoudnessDetection();
+
+    // 停止倍速节省时间统计，写入未保存的数据
+    this.savingListenerKeys.forEach(key => resourceManager.removeDOMListener(key));
+    this.savingListenerKeys = [];
+    this.stopSavingSampler();
+    skipStatsService.flush();
+    
     logger.debug('SpeedControl', '资源清理完成');
   }
 }
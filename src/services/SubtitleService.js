@@ -4,15 +4,64 @@
  */
 
 import state from '../state/StateManager.js';
+import config from '../config/ConfigManager.js';
 import logger from '../utils/DebugLogger.js';
 import LogDecorator from '../utils/LogDecorator.js';
 import eventBus from '../utils/EventBus.js';
 import performanceMonitor from '../utils/PerformanceMonitor.js';
-import { EVENTS, TIMING, SELECTORS, BALL_STATUS } from '../constants.js';
-import { getVideoInfo, delay, downloadFile, getVideoTitle } from '../utils/helpers.js';
-import { validateSubtitleData } from '../utils/validators.js';
+import { EVENTS, TIMING, SELECTORS, BALL_STATUS, BILIBILI_SUBTITLE, SUBTITLE_LANGUAGE } from '../constants.js';
+import { getVideoInfo, delay, downloadFile, getVideoTitle, pickSubtitleTrack } from '../utils/helpers.js';
+import { validateSubtitleData, generateCacheKey, generateSubtitleCacheKey } from '../utils/validators.js';
 import { subtitleCache } from '../utils/LRUCache.js';
 import { showInfoConfirm } from '../ui/ConfirmDialog.js';
+import { SUBTITLE_FORMATS, formatSubtitles } from '../utils/SubtitleFormatter.js';
+
+/**
+ * 请求播放器接口，获取视频的字幕轨道（带用户Cookie，AI字幕需要登录）
+ * @param {{bvid: string, cid: string|number}} videoInfo - 视频信息
+ * @returns {Promise<Array<{lan: string, label: string, isAI: boolean, url: string}>>}
+ */
+function requestSubtitleTracks(videoInfo) {
+  const params = new URLSearchParams({ bvid: videoInfo.bvid, cid: videoInfo.cid });
+
+  return new Promise((resolve, reject) => {
+    GM_xmlhttpRequest({
+      method: 'GET',
+      url: `${BILIBILI_SUBTITLE.PLAYER_API_URL}?${params}`,
+      headers: {
+        'Referer': `https://www.bilibili.com/video/${videoInfo.bvid}/`
+      },
+      anonymous: false,
+      timeout: BILIBILI_SUBTITLE.REQUEST_TIMEOUT,
+      onload: (response) => {
+        if (response.status !== 200) {
+          reject(new Error(`请求失败: ${response.status}`));
+          return;
+        }
+        try {
+          const data = JSON.parse(response.responseText);
+          if (data.code !== 0) {
+            reject(new Error(data.message || `播放器接口返回错误: ${data.code}`));
+            return;
+          }
+          const subtitles = data.data?.subtitle?.subtitles || [];
+          resolve(subtitles
+            .filter(track => track.subtitle_url)
+            .map(track => ({
+              lan: track.lan,
+              label: track.lan_doc || track.lan,
+              isAI: track.lan.startsWith(SUBTITLE_LANGUAGE.AI_PREFIX),
+              url: track.subtitle_url.startsWith('//') ? `https:${track.subtitle_url}` : track.subtitle_url
+            })));
+        } catch (e) {
+          reject(new Error('解析字幕列表失败'));
+        }
+      },
+      onerror: () => reject(new Error('网络请求失败')),
+      ontimeout: () => reject(new Error('请求超时'))
+    });
+  });
+}
 
 class SubtitleService {
   constructor() {
@@ -134,9 +183,13 @@ class SubtitleService {
         this.log.success(`字幕捕获成功，共 ${subtitleData.length} 条`);
         this.log.trace('字幕数据示例:', subtitleData.slice(0, 3));
 
-        // 保存到LRU缓存
+        // 保存到LRU缓存（已知语言时同时按语言缓存）
         if (videoKey) {
           subtitleCache.set(videoKey, subtitleData);
+          const trackKey = generateSubtitleCacheKey(videoKey, state.subtitle.lan);
+          if (trackKey) {
+            subtitleCache.set(trackKey, subtitleData);
+          }
         }
 
         // 保存字幕数据到状态管理器
@@ -228,7 +281,7 @@ class SubtitleService {
   }
 
   /**
-   * 检测字幕按钮
+   * 获取字幕：优先请求播放器接口，失败时检测字幕按钮并点击（由拦截器捕获字幕）
    */
   async checkSubtitleButton() {
     // 检查LRU缓存：如果已有字幕缓存，直接返回，不触发按钮
@@ -240,10 +293,19 @@ class SubtitleService {
         state.setSubtitleData(cachedSubtitle); // 设置当前字幕数据
         state.setBallStatus(BALL_STATUS.ACTIVE);
         eventBus.emit(EVENTS.SUBTITLE_LOADED, cachedSubtitle, videoKey);
+        // 后台获取字幕轨道列表（用于切换语言）
+        this.loadTracks(getVideoInfo()).catch(error => {
+          this.log.debug('获取字幕轨道失败:', error.message);
+        });
         return true;
       }
     }
 
+    // 优先直接请求播放器接口，失败时回退到点击字幕按钮
+    if (await this.fetchSubtitleFromPlayerAPI()) {
+      return true;
+    }
+
     let checkCount = 0;
     
     return new Promise((resolve) => {
@@ -265,6 +327,148 @@ class SubtitleService {
     });
   }
 
+  /**
+   * 通过播放器接口获取字幕（不操作播放器界面）
+   * @returns {Promise<boolean>} 是否已处理（获取成功、已有缓存或视频已切换）；返回false时应回退到点击字幕按钮
+   */
+  async fetchSubtitleFromPlayerAPI() {
+    const videoInfo = getVideoInfo();
+    if (!videoInfo.bvid || !videoInfo.cid) {
+      this.log.debug('缺少bvid或cid，跳过播放器接口');
+      return false;
+    }
+    state.setVideoInfo(videoInfo);
+    const videoKey = state.getVideoKey();
+
+    const result = state.startRequest();
+    if (!result.success) {
+      if (result.reason === '已有缓存') {
+        const cachedSubtitle = subtitleCache.get(videoKey);
+        state.setSubtitleData(cachedSubtitle);
+        state.setBallStatus(BALL_STATUS.ACTIVE);
+        eventBus.emit(EVENTS.SUBTITLE_LOADED, cachedSubtitle, videoKey);
+        return true;
+      }
+      return result.reason === '已有相同视频的请求在进行中';
+    }
+
+    state.setBallStatus(BALL_STATUS.LOADING);
+    eventBus.emit(EVENTS.SUBTITLE_REQUESTED, videoInfo);
+
+    try {
+      const tracks = await this.loadTracks(videoInfo);
+      const track = pickSubtitleTrack(tracks, config.getSubtitleLanguagePriority());
+      if (!track) {
+        // 接口偶尔返回空列表（尤其是AI字幕），交给点击字幕按钮再确认一次
+        this.log.info('播放器接口未返回可用字幕，回退到点击字幕按钮');
+        return false;
+      }
+
+      const subtitleData = await this._loadTrack(track, videoInfo, videoKey);
+      this.log.success(`通过播放器接口获取字幕成功（${track.label}），共 ${subtitleData.length} 条`);
+
+      if (videoKey) {
+        subtitleCache.set(videoKey, subtitleData);
+      }
+      state.subtitle.lan = track.lan;
+      state.setSubtitleData(subtitleData);
+      state.setBallStatus(BALL_STATUS.ACTIVE);
+      eventBus.emit(EVENTS.SUBTITLE_LOADED, subtitleData, videoKey);
+      return true;
+    } catch (error) {
+      // 视频已切换时由新视频重新检测，不再回退
+      if (error.message === '视频已切换') {
+        return true;
+      }
+      this.log.warn('通过播放器接口获取字幕失败，回退到点击字幕按钮:', error.message);
+      return false;
+    } finally {
+      // 切换视频后可能已经开始了新视频的请求，不要结束它
+      if (state.request.currentRequestKey === videoKey) {
+        state.finishRequest();
+      }
+    }
+  }
+
+  /**
+   * 获取视频的字幕轨道列表，保存到状态中供切换语言使用
+   * @param {Object} videoInfo - 视频信息
+   * @returns {Promise<Array<{lan: string, label: string, isAI: boolean, url: string}>>}
+   */
+  async loadTracks(videoInfo) {
+    const tracks = await requestSubtitleTracks(videoInfo);
+
+    // 请求期间切换了视频时不更新
+    const videoKey = generateCacheKey(videoInfo);
+    if (videoKey !== state.getVideoKey()) {
+      return tracks;
+    }
+
+    state.subtitle.tracks = tracks;
+    // 当前字幕来自缓存时，根据按语言缓存的字幕找出它的语言
+    if (!state.subtitle.lan) {
+      const currentData = state.getSubtitleData();
+      const current = currentData && tracks.find(track =>
+        subtitleCache.get(generateSubtitleCacheKey(videoKey, track.lan)) === currentData
+      );
+      state.subtitle.lan = current?.lan || null;
+    }
+    eventBus.emit(EVENTS.SUBTITLE_TRACKS_UPDATED, tracks, videoKey);
+    return tracks;
+  }
+
+  /**
+   * 获取单条字幕轨道（按语言缓存）
+   * @private
+   * @param {{lan: string, url: string}} track - 字幕轨道
+   * @param {Object} videoInfo - 视频信息
+   * @param {string|null} videoKey - 视频缓存键
+   * @returns {Promise<Array>}
+   */
+  async _loadTrack(track, videoInfo, videoKey) {
+    const trackKey = generateSubtitleCacheKey(videoKey, track.lan);
+    const cached = trackKey ? subtitleCache.get(trackKey) : null;
+    if (cached && cached.length > 0) {
+      return cached;
+    }
+
+    const subtitleData = await this._fetchSubtitle(track.url, videoInfo);
+    const validation = validateSubtitleData(subtitleData);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    if (trackKey) {
+      subtitleCache.set(trackKey, subtitleData);
+    }
+    return subtitleData;
+  }
+
+  /**
+   * 切换当前视频的字幕轨道
+   * @param {string} lan - 字幕语言代码
+   * @returns {Promise<Array>} 切换后的字幕数据
+   */
+  async switchTrack(lan) {
+    const track = state.subtitle.tracks.find(item => item.lan === lan);
+    if (!track) {
+      throw new Error('未找到该语言的字幕');
+    }
+
+    const videoInfo = getVideoInfo();
+    const videoKey = state.getVideoKey();
+    const subtitleData = await this._loadTrack(track, videoInfo, videoKey);
+
+    if (videoKey) {
+      subtitleCache.set(videoKey, subtitleData);
+    }
+    state.subtitle.lan = track.lan;
+    state.setSubtitleData(subtitleData);
+    this.log.info(`已切换字幕: ${track.label}`);
+    eventBus.emit(EVENTS.SUBTITLE_TRACK_CHANGED, subtitleData, videoKey);
+    return subtitleData;
+  }
+
   /**
    * 尝试激活字幕
    */
@@ -351,26 +555,15 @@ class SubtitleService {
       }
     }
 
-    // 查找中文字幕选项
-    let chineseOption = document.querySelector('.bpx-player-ctrl-subtitle-language-item[data-lan="ai-zh"]');
-
-    if (!chineseOption) {
-      chineseOption = document.querySelector('.bpx-player-ctrl-subtitle-language-item[data-lan*="zh"]');
-    }
-
-    if (!chineseOption) {
-      const allOptions = document.querySelectorAll('.bpx-player-ctrl-subtitle-language-item');
-      for (let option of allOptions) {
-        const text = option.querySelector('.bpx-player-ctrl-subtitle-language-item-text');
-        if (text && text.textContent.includes('中文')) {
-          chineseOption = option;
-          break;
-        }
-      }
-    }
+    // 按语言优先级选择字幕选项（都不匹配时选择第一个）
+    const options = Array.from(document.querySelectorAll(SELECTORS.SUBTITLE_LANGUAGE_ITEM))
+      .map(option => ({ lan: option.dataset.lan || '', option }));
+    const preferred = pickSubtitleTrack(options, config.getSubtitleLanguagePriority());
 
-    if (chineseOption) {
-      chineseOption.click();
+    if (preferred) {
+      // 拦截器捕获到字幕后按此语言缓存
+      state.subtitle.lan = preferred.lan || null;
+      preferred.option.click();
 
       // 立即关闭字幕显示（无感操作）
       await delay(TIMING.CLOSE_SUBTITLE_DELAY);
@@ -403,74 +596,40 @@ class SubtitleService {
         this.log.error('错误详情:', {
           videoInfo: getVideoInfo(),
           subtitleButton: !!subtitleResultBtn,
-          chineseOption: !!chineseOption,
+          preferredLan: preferred.lan,
           hasSubtitleData: !!state.getSubtitleData()
         });
         state.setBallStatus(BALL_STATUS.ERROR);
         eventBus.emit(EVENTS.SUBTITLE_FAILED, errorMsg);
       }
     } else {
-      // 尝试第一个选项
-      const firstOption = document.querySelector('.bpx-player-ctrl-subtitle-language-item');
-      if (firstOption) {
-        firstOption.click();
-        await delay(TIMING.CLOSE_SUBTITLE_DELAY);
-        
-        const closeBtn = document.querySelector(SELECTORS.SUBTITLE_CLOSE_SWITCH);
-        if (closeBtn) closeBtn.click();
-        
-        await delay(TIMING.SUBTITLE_ACTIVATION_DELAY);
-        
-        // 检查拦截器是否已经捕获了字幕数据
-        const videoKeyAfterFirstOption = state.getVideoKey();
-        if (videoKeyAfterFirstOption) {
-          const cachedSubtitleAfterFirstOption = subtitleCache.get(videoKeyAfterFirstOption);
-          if (cachedSubtitleAfterFirstOption && cachedSubtitleAfterFirstOption.length > 0) {
-            this.log.info('选择第一个选项后检测到字幕LRU缓存（拦截器已捕获），跳过URL检查');
-            state.setSubtitleData(cachedSubtitleAfterFirstOption);
-            state.setBallStatus(BALL_STATUS.ACTIVE);
-            eventBus.emit(EVENTS.SUBTITLE_LOADED, cachedSubtitleAfterFirstOption, videoKeyAfterFirstOption);
-            return;
-          }
-        }
-        
-        if (this.capturedSubtitleUrl) {
-          this.downloadCapturedSubtitle();
-        } else {
-          const errorMsg = '字幕激活失败：选择第一个选项后未捕获到字幕URL';
-          this.log.error(errorMsg);
-          this.log.error('错误详情:', {
-            videoInfo: getVideoInfo(),
-            subtitleButton: !!subtitleResultBtn,
-            firstOption: !!firstOption,
-            hasSubtitleData: !!state.getSubtitleData()
-          });
-          state.setBallStatus(BALL_STATUS.ERROR);
-          eventBus.emit(EVENTS.SUBTITLE_FAILED, errorMsg);
-        }
-      } else {
-        subtitleResultBtn.click();
-        state.setBallStatus(BALL_STATUS.NO_SUBTITLE);
-      }
+      subtitleResultBtn.click();
+      state.setBallStatus(BALL_STATUS.NO_SUBTITLE);
     }
   }
 
   /**
    * 下载字幕文件
+   * @param {string} format - 导出格式（txt/srt/vtt/ass/json，见 SUBTITLE_FORMATS）
    */
-  downloadSubtitleFile() {
+  downloadSubtitleFile(format = 'txt') {
     const subtitleData = state.getSubtitleData();
     
     if (!subtitleData || subtitleData.length === 0) {
       throw new Error('没有字幕数据可下载');
     }
 
+    const formatInfo = SUBTITLE_FORMATS[format];
+    if (!formatInfo) {
+      throw new Error(`不支持的字幕格式: ${format}`);
+    }
+
     const videoInfo = state.getVideoInfo();
     const videoTitle = getVideoTitle();
-    const content = subtitleData.map(item => item.content).join('\n');
-    const filename = `${videoTitle}_${videoInfo.bvid}_字幕.txt`;
+    const content = formatSubtitles(subtitleData, format, { title: videoTitle });
+    const filename = `${videoTitle}_${videoInfo.bvid}_字幕.${formatInfo.ext}`;
 
-    downloadFile(content, filename);
+    downloadFile(content, filename, formatInfo.mimeType);
   }
 
   /**
@@ -1,43 +1,94 @@
 /**
- * 通用广告跳过服务
- * 支持多平台的广告检测和跳过功能
+ * 统一片段跳过引擎
+ * 通过平台适配器同时支持B站（BilibiliSponsorBlock）和YouTube（SponsorBlock + 原生广告标记）：
+ * 自动跳过/静音、跳过延迟、手动提示、精彩时刻跳转、整片标签、进度条标记和AI广告候选片段。
+ * 所有设置统一由 SponsorBlockConfigManager 管理，修改后立即生效
  */
 
 import YouTubeAdapter from './adapters/YouTubeAdapter.js';
 import BilibiliAdapter from './adapters/BilibiliAdapter.js';
 import DeArrowAPI from './DeArrowAPI.js';
+import sponsorBlockService from './SponsorBlockService.js';
+import segmentVoteService from './SegmentVoteService.js';
+import aiAdCandidateService from './AIAdCandidateService.js';
+import skipStatsService, { STAT_TYPES } from './SkipStatsService.js';
+import segmentOverlay from '../ui/SegmentOverlay.js';
+import aiAdReviewPanel from '../ui/AIAdReviewPanel.js';
+import notification from '../ui/Notification.js';
+import sponsorBlockConfig from '../config/SponsorBlockConfigManager.js';
+import state from '../state/StateManager.js';
+import eventBus from '../utils/EventBus.js';
 import logger from '../utils/DebugLogger.js';
+import { formatTime } from '../utils/helpers.js';
+import { AI_AD_CANDIDATES, EVENTS, SKIP_ENGINE, SPONSORBLOCK } from '../constants.js';
+
+/**
+ * 统一片段格式（两个平台的接口返回格式略有不同）
+ * @param {Object} item - 原始片段 {UUID, segment: [start, end], category, actionType?, votes?}
+ * @returns {Object}
+ */
+function normalizeSegment(item) {
+  const [start, end] = item.segment || [item.start, item.end];
+  return {
+    ...item,
+    segment: [start, end],
+    start,
+    end,
+    actionType: item.actionType || 'skip',
+    votes: item.votes || 0,
+    source: item.source || 'community'
+  };
+}
+
+/**
+ * 是否是精彩时刻（只有一个时间点，用于跳转而不是跳过）
+ * @param {Object} segment
+ * @returns {boolean}
+ */
+function isHighlight(segment) {
+  return segment.actionType === 'poi' || segment.category === 'poi_highlight';
+}
+
+/**
+ * 是否是整片标签（整个视频都属于某个类别）
+ * @param {Object} segment
+ * @returns {boolean}
+ */
+function isFullVideo(segment) {
+  return segment.actionType === 'full';
+}
 
 export default class UniversalAdSkipService {
-  constructor(config) {
+  /**
+   * @param {SponsorBlockConfigManager} config - 片段跳过设置（每次使用时读取，修改后立即生效）
+   */
+  constructor(config = sponsorBlockConfig) {
     this.config = config;
     this.adapter = null;
     this.deArrowAPI = new DeArrowAPI();
     this.segments = [];
     this.nativeAdMarkers = [];
-    this.skipHistory = new Set();
-    this.ignoredSegments = new Set();
+    this.activeSegments = new Set();   // 当前所在并已处理的片段（离开后移除，再次进入时重新处理）
+    this.promptedSegments = new Set(); // 已显示过手动提示的片段
+    this.ignoredSegments = new Set();  // 选择不跳过或撤销跳过的片段
+    this.pendingSkipTimer = null;
+    this.activeMute = null;
+    this.highlightHandled = false;
     this.isMonitoring = false;
-    this.monitoringInterval = null;
     this.lastSkipTime = 0;
     this.currentVideoId = null;
-    
+    this.creator = null;               // 当前视频的作者（用于UP主/频道规则）
+    this.videoToken = 0;               // 切换视频时递增，丢弃旧视频的异步结果
+    this.markerRendering = null;
+
     // 缓存机制
     this.segmentsCache = new Map(); // 缓存已获取的段落
     this.cacheTimeout = 1800000; // 30分钟缓存有效期
     this.lastNativeAdCheck = 0; // 上次原生广告检测时间
     this.nativeAdCheckInterval = 5000; // 原生广告检测间隔（5秒）
-    
-    // 配置选项
-    this.options = {
-      autoSkip: config.get('autoSkip') !== false,
-      skipCategories: config.get('skipCategories') || ['sponsor', 'selfpromo'],
-      showNotifications: config.get('showNotifications') !== false,
-      showProgressMarkers: config.get('showProgressMarkers') !== false,
-      detectNativeAds: config.get('detectNativeAds') !== false,
-      skipDelay: config.get('skipDelay') || 0,
-      muteInsteadOfSkip: config.get('muteInsteadOfSkip') || false
-    };
+
+    this.handleSettingsChanged = () => this.applySettings();
+    this.handleAICandidatesChanged = ({ isNew }) => this.applyAICandidates(isNew);
   }
 
   /**
@@ -56,26 +107,26 @@ export default class UniversalAdSkipService {
       // 跨域访问会抛出异常，使用当前 hostname
       logger.debug('UniversalAdSkipService', '无法访问 top window，使用当前 hostname');
     }
-    
-    // 检查是否通过 URL 参数或其他方式能检测到实际网站
+
     // Tampermonkey/Violentmonkey 通常会保留原始 URL 信息
-    const urlParams = new URLSearchParams(window.location.search);
     const referrer = document.referrer;
-    
+
     logger.debug('UniversalAdSkipService', `检测平台 - hostname: ${realHostname}, referrer: ${referrer}`);
-    
+
     // 更宽松的检测逻辑
-    const isYouTube = realHostname.includes('youtube.com') || 
+    const isYouTube = realHostname.includes('youtube.com') ||
                       referrer.includes('youtube.com') ||
                       document.querySelector('ytd-app') !== null;
-                      
-    const isBilibili = realHostname.includes('bilibili.com') || 
+
+    const isBilibili = realHostname.includes('bilibili.com') ||
                        referrer.includes('bilibili.com') ||
                        document.querySelector('.bili-header') !== null ||
                        document.querySelector('.bpx-player-container') !== null;
-    
+
     if (isYouTube) {
       this.adapter = new YouTubeAdapter();
+      // 旧版YouTube广告设置保存在localStorage中，合并到统一设置
+      this.config.migrateLegacyYouTubeSettings();
       logger.debug('UniversalAdSkipService', '创建YouTube适配器');
     } else if (isBilibili) {
       this.adapter = new BilibiliAdapter();
@@ -85,143 +136,176 @@ export default class UniversalAdSkipService {
       return;
     }
 
+    segmentOverlay.attach(this);
+    eventBus.on(EVENTS.SKIP_SETTINGS_CHANGED, this.handleSettingsChanged);
+    eventBus.on(EVENTS.AI_AD_CANDIDATES_CHANGED, this.handleAICandidatesChanged);
+
+    // 监听URL变化（从非视频页进入视频页时也需要启动）
+    this.setupUrlMonitor();
+
+    // 定期清理缓存（每10分钟）
+    if (!this.cacheCleanupInterval) {
+      this.cacheCleanupInterval = setInterval(() => {
+        this.cleanupCache();
+      }, 600000); // 10分钟
+    }
+
     // 检查是否在视频页面
     if (!this.adapter.isVideoPage()) {
-      logger.debug('UniversalAdSkipService', '不是视频页面，跳过初始化');
+      logger.debug('UniversalAdSkipService', '不是视频页面，等待进入视频页');
       return;
     }
 
-    // 获取视频ID
+    await this.startVideo();
+  }
+
+  /**
+   * 开始处理当前视频：加载片段并监控播放进度
+   */
+  async startVideo() {
     this.currentVideoId = this.adapter.getVideoId();
     if (!this.currentVideoId) {
       logger.warn('UniversalAdSkipService', '无法获取视频ID');
       return;
     }
 
+    const token = ++this.videoToken;
     logger.info('UniversalAdSkipService', `初始化: ${this.adapter.platform} - ${this.currentVideoId}`);
 
     // 等待视频加载
     await this.adapter.waitForVideo();
+    if (token !== this.videoToken) return;
 
-    // 加载广告段落
+    // 加载片段
     await this.loadSegments();
+    if (token !== this.videoToken) return;
 
     // 开始监控
     this.startMonitoring();
-
-    // 监听URL变化
-    this.setupUrlMonitor();
-    
-    // 定期清理缓存（每10分钟）
-    if (!this.cacheCleanupInterval) {
-      this.cacheCleanupInterval = setInterval(() => {
-        this.cleanupCache();
-      }, 600000); // 10分钟
-    }
+    this.setupMarkerObserver();
   }
 
   /**
-   * 加载广告段落
+   * 加载当前视频的片段（社区片段 + 原生广告标记 + AI候选片段）
    */
   async loadSegments() {
-    // 检查缓存
+    const token = this.videoToken;
     const cacheKey = `${this.adapter?.platform}_${this.currentVideoId}`;
     const cached = this.segmentsCache.get(cacheKey);
     const now = Date.now();
-    
-    // 如果有有效缓存，直接使用
+
+    let communitySegments;
     if (cached && (now - cached.timestamp < this.cacheTimeout)) {
-      logger.debug('UniversalAdSkipService', `使用缓存的广告段落 (${cached.segments.length} 个)`);
-      this.segments = [...cached.segments]; // 使用副本避免修改缓存
-      
-      // 显示进度条标记
-      if (this.options.showProgressMarkers && this.segments.length > 0) {
-        await this.showProgressMarkers();
-      }
-      return;
+      logger.debug('UniversalAdSkipService', `使用缓存的片段 (${cached.segments.length} 个)`);
+      communitySegments = cached.segments;
+    } else {
+      communitySegments = await this.fetchCommunitySegments();
+      if (token !== this.videoToken) return;
+      this.segmentsCache.set(cacheKey, {
+        segments: communitySegments,
+        timestamp: now
+      });
     }
-    
-    this.segments = [];
-    
-    // 添加调试日志
-    logger.debug('UniversalAdSkipService', `获取广告段落 - 平台: ${this.adapter?.platform}, 视频ID: ${this.currentVideoId}`);
-    
-    // 对于YouTube，从DeArrow API获取社区段落
-    if (this.adapter?.platform === 'youtube') {
-      try {
-        const communitySegments = await this.deArrowAPI.getSegments(
-          this.currentVideoId, 
-          this.options.skipCategories
-        );
-        this.segments = this.segments.concat(communitySegments);
-        logger.info('UniversalAdSkipService', `加载了 ${communitySegments.length} 个社区广告段落`);
-      } catch (error) {
-        logger.error('UniversalAdSkipService', '加载社区段落失败:', error);
-      }
 
-      // 检测原生广告标记（带频率限制）
-      if (this.options.detectNativeAds) {
-        this.detectNativeAds();
-      }
+    // 原生广告和AI候选片段是动态的，不缓存
+    this.segments = [...communitySegments, ...this.getAISegments()];
+    this.nativeAdMarkers = [];
+
+    if (this.adapter?.platform === 'youtube' && this.config.get('detectNativeAds')) {
+      this.lastNativeAdCheck = 0;
+      this.detectNativeAds();
     }
-    
-    // 对于Bilibili，从SponsorBlock API获取段落
-    else if (this.adapter?.platform === 'bilibili') {
-      try {
-        const bilibiliSegments = await this.fetchBilibiliSegments(this.currentVideoId);
-        this.segments = this.segments.concat(bilibiliSegments);
-        logger.info('UniversalAdSkipService', `加载了 ${bilibiliSegments.length} 个Bilibili广告段落`);
-      } catch (error) {
-        logger.error('UniversalAdSkipService', '加载Bilibili段落失败:', error);
-      }
+
+    this.refreshDisplay();
+  }
+
+  /**
+   * 从社区数据库获取片段（YouTube: SponsorBlock，B站: BilibiliSponsorBlock）
+   * 获取所有类别，未勾选自动跳过的类别显示手动提示
+   * @returns {Promise<Array>}
+   */
+  async fetchCommunitySegments() {
+    const platform = this.adapter?.platform;
+    logger.debug('UniversalAdSkipService', `获取片段 - 平台: ${platform}, 视频ID: ${this.currentVideoId}`);
+
+    try {
+      const segments = platform === 'youtube'
+        ? await this.deArrowAPI.getSegments(this.currentVideoId, SKIP_ENGINE.FETCH_CATEGORIES, SKIP_ENGINE.FETCH_ACTION_TYPES)
+        : await sponsorBlockService.getAPI().fetchSegments(this.getBvid());
+      logger.info('UniversalAdSkipService', `加载了 ${segments.length} 个社区片段`);
+      return segments.map(normalizeSegment);
+    } catch (error) {
+      logger.error('UniversalAdSkipService', '加载社区片段失败:', error);
+      return [];
     }
-    
-    // 缓存结果（不包含原生广告，因为它们是动态的）
-    const nonNativeSegments = this.segments.filter(s => !s.isNative);
-    this.segmentsCache.set(cacheKey, {
-      segments: nonNativeSegments,
-      timestamp: now
-    });
+  }
 
-    // 显示进度条标记
-    if (this.options.showProgressMarkers && this.segments.length > 0) {
-      await this.showProgressMarkers();
-    }
-  }
-
-  /**
-   * 获取Bilibili广告段落
-   */
-  async fetchBilibiliSegments(bvid) {
-    // 复用现有的SponsorBlock API，传递categories参数
-    const categories = this.options.skipCategories || ['sponsor', 'intro', 'outro', 'selfpromo'];
-    const categoryParams = categories.map(c => `category=${encodeURIComponent(c)}`).join('&');
-    
-    return new Promise((resolve) => {
-      GM_xmlhttpRequest({
-        method: "GET",
-        url: `https://sponsor.ajay.app/api/skipSegments?videoID=${encodeURIComponent(bvid)}&${categoryParams}`,
-        headers: {
-          "origin": "userscript-bilibili-sponsor-skip",
-          "x-ext-version": "1.0.0"
-        },
-        timeout: 10000,
-        onload: (response) => {
-          if (response.status === 200) {
-            try {
-              const data = JSON.parse(response.responseText);
-              resolve(data);
-            } catch (e) {
-              resolve([]);
-            }
-          } else {
-            resolve([]);
-          }
-        },
-        onerror: () => resolve([]),
-        ontimeout: () => resolve([])
-      });
-    });
+  /**
+   * 清除当前视频的片段缓存并重新加载（提交片段后调用）
+   * @returns {Promise<void>}
+   */
+  async refreshSegments() {
+    if (!this.currentVideoId) return;
+
+    this.segmentsCache.delete(`${this.adapter.platform}_${this.currentVideoId}`);
+    if (this.adapter.platform === 'youtube') {
+      this.deArrowAPI._clearVideoCache(this.currentVideoId);
+    } else {
+      sponsorBlockService.getAPI().invalidate(this.getBvid());
+    }
+    await this.loadSegments();
+  }
+
+  /**
+   * 获取当前视频的BV号（B站视频ID包含分P）
+   * @returns {string}
+   */
+  getBvid() {
+    return this.currentVideoId.split('_p')[0];
+  }
+
+  /**
+   * 获取AI识别的广告候选片段（仅B站）
+   * @returns {Array}
+   */
+  getAISegments() {
+    if (this.adapter?.platform !== 'bilibili') return [];
+    return aiAdCandidateService.toSegments().map(normalizeSegment);
+  }
+
+  /**
+   * 用最新的AI候选片段替换当前的AI片段并重新渲染标记
+   * @param {boolean} isNew - 是否是AI总结新识别出的（是则打开审核面板）
+   */
+  applyAICandidates(isNew = false) {
+    if (this.adapter?.platform !== 'bilibili' || !this.currentVideoId) return;
+
+    this.segments = [
+      ...this.segments.filter(segment => !aiAdCandidateService.isCandidate(segment)),
+      ...this.getAISegments()
+    ];
+    this.renderMarkers();
+
+    if (isNew) {
+      aiAdReviewPanel.show(this);
+    }
+  }
+
+  /**
+   * 设置变化后立即生效
+   */
+  applySettings() {
+    if (!this.currentVideoId) return;
+
+    if (this.adapter.platform === 'youtube') {
+      if (this.config.get('detectNativeAds')) {
+        this.lastNativeAdCheck = 0;
+        this.detectNativeAds();
+      } else {
+        this.setNativeAdMarkers([]);
+      }
+    }
+    this.refreshDisplay();
   }
 
   /**
@@ -229,7 +313,7 @@ export default class UniversalAdSkipService {
    */
   detectNativeAds() {
     if (this.adapter.platform !== 'youtube') return;
-    
+
     // 频率限制：避免太频繁的检测
     const now = Date.now();
     if (now - this.lastNativeAdCheck < this.nativeAdCheckInterval) {
@@ -237,82 +321,19 @@ export default class UniversalAdSkipService {
     }
     this.lastNativeAdCheck = now;
 
-    // 初始检测
-    const markers = this.adapter.detectNativeAdMarkers();
-    
-    // 比较是否有变化（避免重复日志）
-    const markersChanged = JSON.stringify(markers) !== JSON.stringify(this.nativeAdMarkers);
-    
-    if (markersChanged) {
-      this.nativeAdMarkers = markers;
-      
-      if (markers.length > 0) {
-        logger.info('UniversalAdSkipService', `检测到 ${markers.length} 个原生广告标记`);
-      }
-      
-      // 移除旧的原生广告段落
-      this.segments = this.segments.filter(s => !s.isNative);
-      
-      // 将原生广告标记转换为段落格式
-      markers.forEach((marker, index) => {
-        this.segments.push({
-          UUID: `native-ad-${index}`,
-          segment: [marker.start, marker.end],
-          start: marker.start,
-          end: marker.end,
-          category: 'sponsor',
-          actionType: 'skip',
-          description: '原生广告',
-          isNative: true
-        });
-      });
-      
-      // 更新进度条标记
-      if (this.options.showProgressMarkers) {
-        this.showProgressMarkers();
-      }
-    }
+    this.setNativeAdMarkers(this.adapter.detectNativeAdMarkers());
 
     // 只设置一次监听器
     if (!this.adObserverSetup) {
       this.adObserverSetup = true;
-      
+
       // 使用防抖来限制更新频率
       let updateTimer = null;
       this.adapter.observeAdChanges((newMarkers) => {
         clearTimeout(updateTimer);
         updateTimer = setTimeout(() => {
-          const changed = JSON.stringify(newMarkers) !== JSON.stringify(this.nativeAdMarkers);
-          
-          if (changed) {
-            this.nativeAdMarkers = newMarkers;
-            
-            // 只在有实际变化时记录
-            if (newMarkers.length > 0 || this.segments.some(s => s.isNative)) {
-              logger.debug('UniversalAdSkipService', `广告标记变化: ${newMarkers.length} 个`);
-            }
-            
-            // 移除旧的原生广告段落
-            this.segments = this.segments.filter(s => !s.isNative);
-            
-            // 添加新的原生广告段落
-            newMarkers.forEach((marker, index) => {
-              this.segments.push({
-                UUID: `native-ad-${index}`,
-                segment: [marker.start, marker.end],
-                start: marker.start,
-                end: marker.end,
-                category: 'sponsor',
-                actionType: 'skip',
-                description: '原生广告',
-                isNative: true
-              });
-            });
-            
-            // 更新进度条标记
-            if (this.options.showProgressMarkers) {
-              this.showProgressMarkers();
-            }
+          if (this.config.get('detectNativeAds')) {
+            this.setNativeAdMarkers(newMarkers);
           }
         }, 500); // 500ms防抖延迟
       });
@@ -320,26 +341,245 @@ export default class UniversalAdSkipService {
   }
 
   /**
-   * 显示进度条标记
+   * 用新的原生广告标记替换当前的原生广告片段
+   * @param {Array<{start: number, end: number}>} markers
+   */
+  setNativeAdMarkers(markers) {
+    // 比较是否有变化（避免重复日志和渲染）
+    if (JSON.stringify(markers) === JSON.stringify(this.nativeAdMarkers)) return;
+
+    this.nativeAdMarkers = markers;
+    if (markers.length > 0) {
+      logger.info('UniversalAdSkipService', `检测到 ${markers.length} 个原生广告标记`);
+    }
+
+    this.segments = [
+      ...this.segments.filter(segment => !segment.isNative),
+      ...markers.map((marker, index) => normalizeSegment({
+        UUID: `native-ad-${index}`,
+        segment: [marker.start, marker.end],
+        category: 'sponsor',
+        description: '原生广告',
+        source: 'native',
+        isNative: true
+      }))
+    ];
+    this.renderMarkers();
+  }
+
+  /**
+   * 刷新进度条标记和整片标签（投票、设置变化后调用）
+   */
+  refreshDisplay() {
+    // 精彩时刻同步给AI总结，作为书签段落显示和导出
+    state.setHighlightTime(this.getHighlight()?.segment[0] ?? null);
+    this.renderMarkers();
+    this.updateFullVideoLabel();
+  }
+
+  /**
+   * 显示或移除整片标签
+   */
+  updateFullVideoLabel() {
+    const labels = this.config.get('showFullVideoLabels')
+      ? this.segments.filter(segment => isFullVideo(segment) && !segmentVoteService.hasDownvoted(segment.UUID))
+      : [];
+    segmentOverlay.showFullVideoLabel(labels);
+  }
+
+  /**
+   * 渲染进度条标记（整片标签不显示在进度条上，精彩时刻显示为窄条）
+   * @returns {Promise<void>}
+   */
+  renderMarkers() {
+    // 渲染过程中需要等待进度条，合并重复的渲染请求（渲染时使用最新的片段）
+    if (!this.markerRendering) {
+      this.markerRendering = this._renderMarkers().finally(() => {
+        this.markerRendering = null;
+      });
+    }
+    return this.markerRendering;
+  }
+
+  /**
+   * @private
    */
-  async showProgressMarkers() {
-    // 等待进度条加载
+  async _renderMarkers() {
+    const hasMarkers = this.segments.some(segment => !isFullVideo(segment));
+    if (!this.adapter || !this.config.get('showProgressMarkers') || !hasMarkers) {
+      document.getElementById(SKIP_ENGINE.MARKER_CONTAINER_ID)?.remove();
+      return;
+    }
+
+    // 等待进度条和视频时长
     await this.adapter.waitForProgressBar();
+    await this.waitForDuration();
+    if (!this.adapter) return;
+
+    const duration = this.adapter.getDuration();
+    const segments = this.segments
+      .filter(segment => !isFullVideo(segment))
+      .map(segment => {
+        const [start, end] = segment.segment;
+        const displayEnd = isHighlight(segment)
+          ? Math.min(start + duration * SKIP_ENGINE.HIGHLIGHT_MARKER_WIDTH, duration)
+          : end;
+        return { ...segment, end: displayEnd, color: this.getCategoryInfo(segment).color, segment: [start, end] };
+      });
 
-    // 根据平台使用不同的样式
-    const options = this.adapter.platform === 'youtube' ? {
-      containerId: 'universal-ad-markers',
-      className: 'universal-ad-marker',
-      color: '#ff0000',
-      opacity: 0.6
-    } : {
-      containerId: 'sponsorblock-preview-bar',
+    this.adapter.addProgressMarkers(segments, {
+      containerId: SKIP_ENGINE.MARKER_CONTAINER_ID,
       className: 'sponsorblock-segment',
-      opacity: 0.7
+      opacity: 0.7,
+      onClick: (segment) => this.handleMarkerClick(segment),
+      decorate: (marker, segment) => this.decorateMarker(marker, segment)
+    });
+  }
+
+  /**
+   * 等待视频时长可用
+   * @returns {Promise<void>}
+   */
+  waitForDuration() {
+    const video = this.adapter.video;
+    if (!video || (video.duration && isFinite(video.duration))) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      video.addEventListener('loadedmetadata', () => resolve(), { once: true });
+    });
+  }
+
+  /**
+   * 播放器重建进度条后标记会丢失，检测到后重新渲染
+   */
+  setupMarkerObserver() {
+    this.markerObserver?.disconnect();
+    const container = this.adapter.getPlayerContainer();
+    if (!container) return;
+
+    let timer = null;
+    this.markerObserver = new MutationObserver(() => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (this.markerRendering || !this.config.get('showProgressMarkers')) return;
+        const shouldShow = this.segments.some(segment => !isFullVideo(segment));
+        if (shouldShow && !document.getElementById(SKIP_ENGINE.MARKER_CONTAINER_ID)) {
+          logger.debug('UniversalAdSkipService', '进度条标记丢失，重新渲染');
+          this.renderMarkers();
+        }
+      }, 500);
+    });
+    this.markerObserver.observe(container, { childList: true, subtree: true });
+  }
+
+  /**
+   * 点击进度条标记：AI候选片段打开审核面板，其他片段显示详情
+   * @param {Object} segment
+   */
+  handleMarkerClick(segment) {
+    if (aiAdCandidateService.isCandidate(segment)) {
+      aiAdReviewPanel.show(this, segment.UUID);
+    } else {
+      segmentOverlay.showSegmentDetails(segment);
+    }
+  }
+
+  /**
+   * 为标记添加提示文字和状态样式
+   * @param {HTMLElement} marker - 片段标记
+   * @param {Object} segment - 片段
+   */
+  decorateMarker(marker, segment) {
+    if (aiAdCandidateService.isCandidate(segment)) {
+      this.decorateAIMarker(marker, segment);
+      return;
+    }
+
+    const categoryInfo = this.getCategoryInfo(segment);
+    const [start, end] = segment.segment;
+    marker.title = isHighlight(segment)
+      ? `${categoryInfo.name}\n${formatTime(start)}\n点击查看详情`
+      : `${categoryInfo.name}\n${formatTime(start)} - ${formatTime(end)}\n点击查看详情`;
+
+    if (isHighlight(segment)) {
+      marker.classList.add('sponsorblock-segment-highlight');
+    }
+    if (segmentVoteService.hasDownvoted(segment.UUID)) {
+      marker.classList.add('sponsorblock-segment-downvoted');
+      marker.title += '\n（已反对，不会跳过）';
+    }
+  }
+
+  /**
+   * 为AI候选片段标记添加样式和拖动手柄（已提交的片段不能再调整）
+   * @param {HTMLElement} marker - 片段标记
+   * @param {Object} segment - AI候选片段
+   */
+  decorateAIMarker(marker, segment) {
+    const statusText = {
+      [AI_AD_CANDIDATES.STATUS.PENDING]: '待审核',
+      [AI_AD_CANDIDATES.STATUS.LOCAL]: '仅本地跳过',
+      [AI_AD_CANDIDATES.STATUS.SUBMITTED]: '已提交'
+    }[segment.status];
+    marker.classList.add('sponsorblock-segment-ai');
+    marker.title = `AI识别的广告（${statusText}）\n${formatTime(segment.segment[0])} - ${formatTime(segment.segment[1])}\n拖动两端调整，点击审核`;
+
+    if (segment.status === AI_AD_CANDIDATES.STATUS.SUBMITTED) return;
+
+    ['start', 'end'].forEach(edge => {
+      const handle = document.createElement('span');
+      handle.className = `sponsorblock-ai-handle sponsorblock-ai-handle-${edge}`;
+      handle.addEventListener('mousedown', (e) => this.startAIMarkerDrag(e, marker, segment, edge));
+      handle.addEventListener('click', (e) => e.stopPropagation());
+      marker.appendChild(handle);
+    });
+  }
+
+  /**
+   * 拖动AI候选片段的开始/结束位置，松开后保存
+   * @param {MouseEvent} e - mousedown事件
+   * @param {HTMLElement} marker - 片段标记
+   * @param {Object} segment - AI候选片段
+   * @param {'start'|'end'} edge - 拖动的边
+   */
+  startAIMarkerDrag(e, marker, segment, edge) {
+    // 阻止进度条收到按下事件（否则会跳转播放位置）
+    e.stopPropagation();
+    e.preventDefault();
+
+    const rect = marker.parentElement.getBoundingClientRect();
+    const duration = this.adapter.getDuration();
+    let [start, end] = segment.segment;
+
+    const handleMove = (event) => {
+      const ratio = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+      if (edge === 'start') {
+        start = ratio * duration;
+      } else {
+        end = ratio * duration;
+      }
+      // 两个平台的标记分别用 right 和 width 定位，统一改为 left + right
+      marker.style.left = `${(start / duration) * 100}%`;
+      marker.style.right = `${(1 - end / duration) * 100}%`;
+      marker.style.width = 'auto';
+      marker.title = formatTime(edge === 'start' ? start : end);
+    };
+
+    const handleUp = () => {
+      document.removeEventListener('mousemove', handleMove);
+      document.removeEventListener('mouseup', handleUp);
+      try {
+        // 保存后会触发候选片段变化事件，重新渲染标记
+        aiAdCandidateService.updateTime(segment.UUID, { [edge]: edge === 'start' ? start : end });
+      } catch (error) {
+        notification.error(error.message);
+        this.renderMarkers();
+      }
     };
 
-    // 添加标记
-    this.adapter.addProgressMarkers(this.segments, options);
+    document.addEventListener('mousemove', handleMove);
+    document.addEventListener('mouseup', handleUp);
   }
 
   /**
@@ -347,19 +587,19 @@ export default class UniversalAdSkipService {
    */
   startMonitoring() {
     if (this.isMonitoring) return;
-    
+
     this.isMonitoring = true;
-    
+
     // 使用requestAnimationFrame获得更流畅的性能
     const monitor = () => {
       if (!this.isMonitoring) return;
-      
+
       this.checkAndSkipAds();
       requestAnimationFrame(monitor);
     };
-    
+
     requestAnimationFrame(monitor);
-    logger.info('UniversalAdSkipService', '开始监控广告');
+    logger.info('UniversalAdSkipService', '开始监控片段');
   }
 
   /**
@@ -371,266 +611,327 @@ export default class UniversalAdSkipService {
   }
 
   /**
-   * 检查并跳过广告
+   * 检查当前播放位置，处理所在的片段
    */
   checkAndSkipAds() {
-    if (!this.adapter.isPlaying()) return;
+    if (!this.adapter?.isPlaying()) return;
 
     const currentTime = this.adapter.getCurrentTime();
-    
+
+    // 离开静音片段（播放结束或拖动进度条）后恢复声音
+    if (this.activeMute && (currentTime < this.activeMute.start || currentTime >= this.activeMute.end)) {
+      this.restoreMute();
+    }
+
+    this.checkHighlight(currentTime);
+
     for (const segment of this.segments) {
-      const start = segment.start || segment.segment[0];
-      const end = segment.end || segment.segment[1];
-      
-      // 检查是否在广告段落内
-      if (currentTime >= start && currentTime < end) {
-        const segmentId = segment.UUID || `${start}-${end}`;
-        
-        // 检查是否已跳过或被忽略
-        if (this.skipHistory.has(segmentId) || this.ignoredSegments.has(segmentId)) {
+      if (isHighlight(segment) || isFullVideo(segment)) continue;
+
+      const [start, end] = segment.segment;
+      const segmentId = this.getSegmentId(segment);
+
+      // 离开片段后允许再次处理（例如拖回片段开头）
+      if (currentTime < start || currentTime >= end) {
+        this.activeSegments.delete(segmentId);
+        continue;
+      }
+
+      // 检查是否已处理或被忽略
+      if (this.activeSegments.has(segmentId) || this.ignoredSegments.has(segmentId)) {
+        continue;
+      }
+
+      // 投过反对票或设置为忽略的片段同样标记为已处理，离开片段前不再每帧检查
+      const action = this.getSegmentAction(segment);
+      if (segmentVoteService.hasDownvoted(segment.UUID) || action === SKIP_ENGINE.ACTIONS.IGNORE) {
+        this.activeSegments.add(segmentId);
+        continue;
+      }
+
+      if (action === SKIP_ENGINE.ACTIONS.SKIP || action === SKIP_ENGINE.ACTIONS.MUTE) {
+        // 防止频繁跳过（重叠片段依次跳过）
+        if (Date.now() - this.lastSkipTime < SKIP_ENGINE.SKIP_COOLDOWN) {
           continue;
         }
-        
-        // 检查是否应该自动跳过
-        if (this.options.autoSkip && this.shouldAutoSkip(segment)) {
-          // 防止频繁跳过
-          if (Date.now() - this.lastSkipTime < 1000) {
-            continue;
-          }
-          
-          // 执行跳过或静音
-          if (this.options.muteInsteadOfSkip || segment.actionType === 'mute') {
-            this.muteSegment(segment);
-          } else {
-            this.skipSegment(segment);
-          }
-        } else {
-          // 显示手动跳过提示
+        this.activeSegments.add(segmentId);
+        this.scheduleSkip(segment, action);
+      } else {
+        this.activeSegments.add(segmentId);
+        // 同一片段只提示一次
+        if (!this.promptedSegments.has(segmentId)) {
+          this.promptedSegments.add(segmentId);
           this.showSkipPrompt(segment);
         }
-        
-        break; // 一次只处理一个段落
       }
+
+      break; // 一次只处理一个片段
+    }
+  }
+
+  /**
+   * 处理精彩时刻：只在视频开头几秒内处理（每个视频一次），
+   * 设置为跳过时自动跳转，设置为提示时显示跳转提示
+   * @param {number} currentTime - 当前播放时间
+   */
+  checkHighlight(currentTime) {
+    if (this.highlightHandled) return;
+
+    const highlight = this.getHighlight();
+    if (!highlight) return;
+
+    this.highlightHandled = true;
+    const action = this.getSegmentAction(highlight);
+    // 从中间开始播放（或已经看过开头）时不再打扰，可以用快捷键手动跳转
+    if (currentTime >= SKIP_ENGINE.HIGHLIGHT_WINDOW || currentTime >= highlight.segment[0] ||
+        action === SKIP_ENGINE.ACTIONS.IGNORE) {
+      return;
+    }
+
+    if (action === SKIP_ENGINE.ACTIONS.PROMPT) {
+      segmentOverlay.showHighlightPrompt(highlight, () => this.jumpToHighlight());
+    } else {
+      this.jumpToHighlight({ notify: this.config.get('showNotifications') });
+    }
+  }
+
+  /**
+   * 获取当前视频的精彩时刻（忽略已点踩的）
+   * @returns {Object|null}
+   */
+  getHighlight() {
+    return this.segments.find(segment =>
+      isHighlight(segment) && !segmentVoteService.hasDownvoted(segment.UUID)) || null;
+  }
+
+  /**
+   * 跳转到精彩时刻（快捷键、跳转提示和自动跳转共用）
+   * @param {Object} options
+   * @param {boolean} options.notify - 是否在播放器上显示提示
+   * @returns {boolean} 当前视频没有精彩时刻时返回false
+   */
+  jumpToHighlight({ notify = true } = {}) {
+    const highlight = this.getHighlight();
+    if (!highlight || !this.adapter) return false;
+
+    const time = highlight.segment[0];
+    this.highlightHandled = true;
+    segmentOverlay.closeHighlightPrompt();
+    this.adapter.seekTo(time);
+    if (notify) {
+      this.adapter.showNotification(`已跳转到${this.getCategoryInfo(highlight).name} ${formatTime(time)}`, {
+        type: 'success',
+        duration: 2000
+      });
+    }
+    logger.info('UniversalAdSkipService', `跳转到精彩时刻: ${formatTime(time)}`);
+    return true;
+  }
+
+  /**
+   * 获取片段的处理方式（跳过/静音/提示/不处理）
+   * 社区片段按类别查找：当前UP主/频道的规则优先，其次是全局设置
+   * @param {Object} segment
+   * @returns {'skip'|'mute'|'prompt'|'ignore'}
+   */
+  getSegmentAction(segment) {
+    const { ACTIONS } = SKIP_ENGINE;
+
+    // AI候选片段需要审核后才自动跳过，不受规则影响
+    if (aiAdCandidateService.isCandidate(segment)) {
+      if (!this.config.get('autoSkip') || !aiAdCandidateService.shouldAutoSkip(segment)) {
+        return ACTIONS.PROMPT;
+      }
+      return this.config.get('muteInsteadOfSkip') ? ACTIONS.MUTE : ACTIONS.SKIP;
     }
+
+    // 投票更改过类别时以更改后的为准
+    const category = segmentVoteService.getEffectiveCategory(segment);
+    const action = this.config.getCategoryAction(category, this.getCreator());
+    // 静音类型的片段只静音不跳过
+    return action === ACTIONS.SKIP && segment.actionType === 'mute' ? ACTIONS.MUTE : action;
   }
 
   /**
-   * 判断是否应该自动跳过
+   * 获取当前视频的作者（页面加载出作者信息后缓存，切换视频时清除）
+   * @returns {{platform: string, id: string, name: string}|null}
    */
-  shouldAutoSkip(segment) {
-    // 检查类别是否在自动跳过列表中
-    return this.options.skipCategories.includes(segment.category);
+  getCreator() {
+    if (!this.creator && this.adapter && this.currentVideoId) {
+      const creator = this.adapter.getCreator();
+      if (creator) {
+        this.creator = { platform: this.adapter.platform, ...creator };
+        logger.debug('UniversalAdSkipService', `当前视频作者: ${creator.name} (${creator.id})`);
+      }
+    }
+    return this.creator;
   }
 
   /**
-   * 跳过广告段落
+   * 按设置的延迟跳过或静音片段
+   * 延迟期间离开了片段（拖动进度条）则不再处理
+   * @param {Object} segment
+   * @param {'skip'|'mute'} action - 处理方式
    */
-  skipSegment(segment) {
-    const end = segment.end || segment.segment[1];
-    const segmentId = segment.UUID || `${segment.start}-${end}`;
-    
-    // 添加延迟（如果配置了）
-    setTimeout(() => {
-      this.adapter.seekTo(end);
-      this.lastSkipTime = Date.now();
-      this.skipHistory.add(segmentId);
-      
-      if (this.options.showNotifications) {
-        const categoryName = this.getCategoryName(segment.category);
-        this.adapter.showNotification(`已跳过 ${categoryName}`, {
-          type: 'success',
-          duration: 2000
-        });
+  scheduleSkip(segment, action) {
+    const [start, end] = segment.segment;
+    const run = () => {
+      this.pendingSkipTimer = null;
+      const currentTime = this.adapter?.getCurrentTime();
+      if (currentTime === undefined || currentTime < start || currentTime >= end) return;
+
+      if (action === SKIP_ENGINE.ACTIONS.MUTE) {
+        this.muteSegment(segment);
+      } else {
+        this.skipSegment(segment);
       }
-      
-      logger.info('UniversalAdSkipService', `跳过广告: ${segmentId}`);
-    }, this.options.skipDelay * 1000);
+    };
+
+    const delay = (Number(this.config.get('skipDelay')) || 0) * 1000;
+    if (delay > 0) {
+      clearTimeout(this.pendingSkipTimer);
+      this.pendingSkipTimer = setTimeout(run, delay);
+    } else {
+      run();
+    }
   }
 
   /**
-   * 静音广告段落
+   * 跳过片段
+   * @param {Object} segment
+   * @param {Object} options
+   * @param {boolean} options.notify - 是否显示跳过提示（手动跳过时不显示）
    */
-  muteSegment(segment) {
+  skipSegment(segment, { notify = true } = {}) {
+    const [start, end] = segment.segment;
+    const segmentId = this.getSegmentId(segment);
+    const recordId = this.recordStats(segment, STAT_TYPES.SKIP);
+
+    this.adapter.seekTo(end);
+    this.lastSkipTime = Date.now();
+
+    if (notify && this.config.get('showNotifications')) {
+      segmentOverlay.showSkipToast(segment, {
+        onUndo: () => {
+          this.ignoredSegments.add(segmentId);
+          skipStatsService.removeRecord(recordId);
+          this.adapter?.seekTo(start);
+        }
+      });
+    }
+
+    logger.info('UniversalAdSkipService', `跳过片段: ${segmentId}`);
+  }
+
+  /**
+   * 静音片段，离开片段后恢复
+   * @param {Object} segment
+   * @param {Object} options
+   * @param {boolean} options.notify - 是否显示静音提示（手动静音时不显示）
+   */
+  muteSegment(segment, { notify = true } = {}) {
     const video = this.adapter.video;
     if (!video) return;
-    
-    const originalVolume = video.volume;
-    video.volume = 0;
-    
-    const segmentId = segment.UUID || `${segment.start}-${segment.end}`;
-    this.skipHistory.add(segmentId);
-    
-    if (this.options.showNotifications) {
-      const categoryName = this.getCategoryName(segment.category);
-      this.adapter.showNotification(`已静音 ${categoryName}`, {
-        type: 'info',
-        duration: 2000
+
+    const [start, end] = segment.segment;
+    const segmentId = this.getSegmentId(segment);
+    const recordId = this.recordStats(segment, STAT_TYPES.MUTE);
+
+    // 之前的静音片段还没结束时先恢复，保留原始的静音状态
+    const wasMuted = this.activeMute ? this.activeMute.wasMuted : video.muted;
+    this.activeMute = { segmentId, start, end, wasMuted };
+    video.muted = true;
+
+    if (notify && this.config.get('showNotifications')) {
+      segmentOverlay.showSkipToast(segment, {
+        muted: true,
+        onUndo: () => {
+          this.ignoredSegments.add(segmentId);
+          skipStatsService.removeRecord(recordId);
+          this.restoreMute();
+        }
       });
     }
-    
-    // 监听段落结束后恢复音量
-    const checkEnd = setInterval(() => {
-      const currentTime = this.adapter.getCurrentTime();
-      const end = segment.end || segment.segment[1];
-      
-      if (currentTime >= end) {
-        video.volume = originalVolume;
-        clearInterval(checkEnd);
-        logger.info('UniversalAdSkipService', `恢复音量: ${segmentId}`);
-      }
-    }, 100);
+
+    logger.info('UniversalAdSkipService', `静音片段: ${segmentId}`);
+  }
+
+  /**
+   * 记录跳过/静音统计（时长从当前位置算到片段结束）
+   * @param {Object} segment
+   * @param {'skip'|'mute'} type
+   * @returns {string|null} 记录ID
+   */
+  recordStats(segment, type) {
+    return skipStatsService.record({
+      type,
+      category: segmentVoteService.getEffectiveCategory(segment),
+      duration: segment.segment[1] - this.adapter.getCurrentTime(),
+      platform: this.adapter.platform,
+      creator: this.getCreator(),
+      videoId: this.currentVideoId
+    });
+  }
+
+  /**
+   * 恢复静音片段之前的声音状态
+   */
+  restoreMute() {
+    if (!this.activeMute) return;
+
+    const video = this.adapter?.video;
+    if (video && !this.activeMute.wasMuted) {
+      video.muted = false;
+    }
+    logger.info('UniversalAdSkipService', `恢复声音: ${this.activeMute.segmentId}`);
+    this.activeMute = null;
   }
 
   /**
    * 显示手动跳过提示
+   * @param {Object} segment
    */
   showSkipPrompt(segment) {
-    const segmentId = segment.UUID || `${segment.start}-${segment.end}`;
-    
-    // 避免重复显示
-    if (this.skipHistory.has(segmentId)) return;
-    
-    const prompt = document.createElement('div');
-    prompt.className = 'universal-skip-prompt';
-    
-    const categoryName = this.getCategoryName(segment.category);
-    const duration = (segment.end || segment.segment[1]) - (segment.start || segment.segment[0]);
-    
-    prompt.innerHTML = `
-      <div class="skip-prompt-content">
-        <div class="skip-prompt-message">
-          跳过 ${categoryName}？
-          <span class="skip-prompt-duration">(${duration.toFixed(0)}秒)</span>
-        </div>
-        <div class="skip-prompt-buttons">
-          <button class="skip-btn skip-btn-ignore">不跳过</button>
-          <button class="skip-btn skip-btn-confirm">跳过</button>
-        </div>
-      </div>
-    `;
-
-    // 添加样式
-    this.addPromptStyles();
-    
-    // 添加到播放器
-    const container = this.adapter.getPlayerContainer();
-    if (container) {
-      container.appendChild(prompt);
-    }
-    
-    // 标记为已显示
-    this.skipHistory.add(segmentId);
-    
-    // 绑定事件
-    const confirmBtn = prompt.querySelector('.skip-btn-confirm');
-    const ignoreBtn = prompt.querySelector('.skip-btn-ignore');
-    
-    confirmBtn.onclick = () => {
-      this.skipSegment(segment);
-      prompt.remove();
-    };
-    
-    ignoreBtn.onclick = () => {
-      this.ignoredSegments.add(segmentId);
-      prompt.remove();
-    };
-    
-    // 5秒后自动隐藏
-    setTimeout(() => {
-      prompt.style.animation = 'fadeOut 0.3s ease';
-      setTimeout(() => prompt.remove(), 300);
-    }, 5000);
-  }
-
-  /**
-   * 添加提示框样式
-   */
-  addPromptStyles() {
-    if (document.querySelector('#universal-skip-styles')) return;
-    
-    const style = document.createElement('style');
-    style.id = 'universal-skip-styles';
-    style.textContent = `
-      .universal-skip-prompt {
-        position: absolute;
-        top: 70px;
-        right: 12px;
-        background: rgba(0, 0, 0, 0.9);
-        color: white;
-        padding: 12px 16px;
-        border-radius: 4px;
-        font-size: 14px;
-        z-index: 10000;
-        animation: slideIn 0.3s ease;
-      }
-      
-      .skip-prompt-message {
-        margin-bottom: 10px;
-      }
-      
-      .skip-prompt-duration {
-        color: #999;
-        font-size: 12px;
-        margin-left: 4px;
-      }
-      
-      .skip-prompt-buttons {
-        display: flex;
-        gap: 8px;
-      }
-      
-      .skip-btn {
-        padding: 4px 12px;
-        border: none;
-        border-radius: 2px;
-        cursor: pointer;
-        font-size: 13px;
-        transition: opacity 0.2s;
-      }
-      
-      .skip-btn:hover {
-        opacity: 0.8;
-      }
-      
-      .skip-btn-confirm {
-        background: #ff0000;
-        color: white;
-      }
-      
-      .skip-btn-ignore {
-        background: #666;
-        color: white;
-      }
-      
-      @keyframes slideIn {
-        from { transform: translateX(20px); opacity: 0; }
-        to { transform: translateX(0); opacity: 1; }
-      }
-      
-      @keyframes fadeOut {
-        from { opacity: 1; }
-        to { opacity: 0; }
-      }
-    `;
-    
-    document.head.appendChild(style);
+    const segmentId = this.getSegmentId(segment);
+    // 手动提示时按全局的静音设置决定按钮动作
+    const mute = this.config.get('muteInsteadOfSkip') || segment.actionType === 'mute';
+
+    segmentOverlay.showSkipPrompt(segment, {
+      actionText: mute ? '静音' : '跳过',
+      onSkip: () => {
+        if (mute) {
+          this.muteSegment(segment, { notify: false });
+        } else {
+          this.skipSegment(segment, { notify: false });
+        }
+      },
+      onIgnore: () => this.ignoredSegments.add(segmentId)
+    });
   }
 
   /**
-   * 获取类别名称
+   * 获取片段类别信息（投票更改过类别时显示更改后的类别）
+   * @param {Object} segment - 片段
+   * @returns {{name: string, color: string}}
    */
-  getCategoryName(category) {
-    const names = {
-      'sponsor': '赞助商',
-      'selfpromo': '自我推广',
-      'interaction': '互动提醒',
-      'intro': '开场',
-      'outro': '片尾',
-      'preview': '预告',
-      'filler': '填充内容',
-      'music_offtopic': '非音乐部分'
-    };
-    return names[category] || category || '广告';
+  getCategoryInfo(segment) {
+    if (aiAdCandidateService.isCandidate(segment)) {
+      return { name: 'AI识别的广告', color: AI_AD_CANDIDATES.COLOR };
+    }
+    if (segment.isNative) {
+      return { name: '原生广告', color: '#ffcc00' };
+    }
+    const category = segmentVoteService.getEffectiveCategory(segment);
+    return SPONSORBLOCK.CATEGORIES[category] || { name: category || '广告', color: '#999' };
+  }
+
+  /**
+   * 获取片段的唯一标识
+   * @param {Object} segment
+   * @returns {string}
+   */
+  getSegmentId(segment) {
+    return segment.UUID || `${segment.segment[0]}-${segment.segment[1]}`;
   }
 
   /**
@@ -638,24 +939,24 @@ export default class UniversalAdSkipService {
    */
   setupUrlMonitor() {
     let lastUrl = location.href;
-    
-    const checkUrl = () => {
+
+    this.checkUrl = () => {
       if (location.href !== lastUrl) {
         lastUrl = location.href;
         this.handleUrlChange();
       }
     };
-    
+
     // 使用MutationObserver监听URL变化（更可靠）
-    const observer = new MutationObserver(checkUrl);
-    observer.observe(document.body, { childList: true, subtree: true });
-    
+    this.urlObserver = new MutationObserver(this.checkUrl);
+    this.urlObserver.observe(document.body, { childList: true, subtree: true });
+
     // 也监听popstate事件
-    window.addEventListener('popstate', checkUrl);
-    
+    window.addEventListener('popstate', this.checkUrl);
+
     // 监听YouTube的导航事件
     if (this.adapter.platform === 'youtube') {
-      document.addEventListener('yt-navigate-finish', checkUrl);
+      document.addEventListener('yt-navigate-finish', this.checkUrl);
     }
   }
 
@@ -663,61 +964,56 @@ export default class UniversalAdSkipService {
    * 处理URL变化
    */
   async handleUrlChange() {
-    // 检查是否真的是视频页面变化
-    const newVideoId = this.adapter?.getVideoId();
-    
+    const newVideoId = this.adapter?.isVideoPage() ? this.adapter.getVideoId() : null;
+
     if (newVideoId === this.currentVideoId) {
       // 同一个视频，不需要重新初始化
       logger.debug('UniversalAdSkipService', '同一视频，跳过重新初始化');
       return;
     }
-    
-    if (!newVideoId || !this.adapter?.isVideoPage()) {
-      // 不是视频页面
-      logger.debug('UniversalAdSkipService', '不是视频页面，停止服务');
-      this.destroy();
+
+    logger.info('UniversalAdSkipService', `视频变化: ${this.currentVideoId} -> ${newVideoId}`);
+    this.resetVideoState();
+
+    if (!newVideoId) {
+      // 离开视频页面，等待再次进入
+      logger.debug('UniversalAdSkipService', '不是视频页面，暂停服务');
       return;
     }
-    
-    logger.info('UniversalAdSkipService', `视频变化: ${this.currentVideoId} -> ${newVideoId}`);
-    
-    // 停止当前监控
+
+    await this.startVideo();
+  }
+
+  /**
+   * 清理当前视频的状态和界面
+   */
+  resetVideoState() {
     this.stopMonitoring();
-    
-    // 更新视频ID
-    this.currentVideoId = newVideoId;
-    
-    // 清理旧的状态
+    this.videoToken++;
+    clearTimeout(this.pendingSkipTimer);
+    this.pendingSkipTimer = null;
+    this.restoreMute();
+
+    this.currentVideoId = null;
+    this.creator = null;
     this.segments = [];
     this.nativeAdMarkers = [];
-    this.skipHistory.clear();
+    this.activeSegments.clear();
+    this.promptedSegments.clear();
     this.ignoredSegments.clear();
+    this.highlightHandled = false;
+    state.setHighlightTime(null);
     this.adObserverSetup = false;
-    
-    // 等待视频元素加载
-    await this.adapter.waitForVideo();
-    
-    // 加载新视频的广告段落
-    await this.loadSegments();
-    
-    // 开始监控
-    this.startMonitoring();
-  }
+    this.markerObserver?.disconnect();
+    this.markerObserver = null;
 
-  /**
-   * 更新配置
-   */
-  updateConfig(newConfig) {
-    this.options = {
-      ...this.options,
-      ...newConfig
-    };
-    
-    logger.info('UniversalAdSkipService', '配置已更新', this.options);
-    
-    // 重新加载段落和标记
-    if (this.currentVideoId) {
-      this.loadSegments();
+    document.getElementById(SKIP_ENGINE.MARKER_CONTAINER_ID)?.remove();
+    segmentOverlay.closePrompt();
+    segmentOverlay.closeHighlightPrompt();
+    segmentOverlay.closeSegmentDetails();
+    segmentOverlay.removeFullVideoLabel();
+    if (aiAdReviewPanel.engine === this) {
+      aiAdReviewPanel.hide();
     }
   }
 
@@ -727,45 +1023,50 @@ export default class UniversalAdSkipService {
   cleanupCache() {
     const now = Date.now();
     let cleanedCount = 0;
-    
+
     for (const [key, value] of this.segmentsCache.entries()) {
       if (now - value.timestamp > this.cacheTimeout) {
         this.segmentsCache.delete(key);
         cleanedCount++;
       }
     }
-    
+
     if (cleanedCount > 0) {
       logger.debug('UniversalAdSkipService', `清理了 ${cleanedCount} 个过期缓存`);
     }
   }
-  
+
   /**
    * 清理资源
    */
   destroy() {
-    this.stopMonitoring();
-    this.segments = [];
-    this.nativeAdMarkers = [];
-    this.skipHistory.clear();
-    this.ignoredSegments.clear();
-    this.currentVideoId = null;
-    this.adObserverSetup = false;
-    
+    this.resetVideoState();
+    segmentOverlay.detach();
+    eventBus.off(EVENTS.SKIP_SETTINGS_CHANGED, this.handleSettingsChanged);
+    eventBus.off(EVENTS.AI_AD_CANDIDATES_CHANGED, this.handleAICandidatesChanged);
+
+    // 移除URL监听
+    if (this.urlObserver) {
+      this.urlObserver.disconnect();
+      this.urlObserver = null;
+      window.removeEventListener('popstate', this.checkUrl);
+      document.removeEventListener('yt-navigate-finish', this.checkUrl);
+    }
+
     // 清理定时器
     if (this.cacheCleanupInterval) {
       clearInterval(this.cacheCleanupInterval);
       this.cacheCleanupInterval = null;
     }
-    
+
     // 清理缓存
     this.segmentsCache.clear();
-    
+
     if (this.adapter) {
       this.adapter.destroy();
       this.adapter = null;
     }
-    
+
     logger.info('UniversalAdSkipService', '已清理资源');
   }
 }
@@ -1,26 +1,46 @@
 /**
  * 视频质量服务模块
  * 负责视频卡片的质量标记和片段标签显示
+ * 质量标签按可配置的评分公式计算（见 QUALITY_SCORE），悬停时显示原始数据和评分；
+ * 同时按推荐流过滤规则隐藏或淡化卡片（见 FeedFilterService）
  */
 
-import { SPONSORBLOCK } from '../constants.js';
+import { QUALITY_SCORE, SHARED_CACHE, EVENTS } from '../constants.js';
 import sponsorBlockConfig from '../config/SponsorBlockConfigManager.js';
+import eventBus from '../utils/EventBus.js';
+import SharedCache from '../utils/SharedCache.js';
+import feedFilterService from './FeedFilterService.js';
+
+/**
+ * 格式化数量（超过一万时显示为"x.x万"）
+ * @param {number} count
+ * @returns {string}
+ */
+function formatCount(count) {
+  return count >= 10000 ? `${(count / 10000).toFixed(1)}万` : String(count || 0);
+}
 
 class VideoQualityService {
   constructor(sponsorBlockAPI) {
     this.sponsorAPI = sponsorBlockAPI;
     this.observer = null;
-    this.statsCache = new Map();
-    this.pendingRequests = new Map();
+    this.statsCache = new SharedCache('videoStats', {
+      ttl: SHARED_CACHE.VIDEO_STATS.TTL,
+      maxEntries: SHARED_CACHE.VIDEO_STATS.MAX_ENTRIES
+    });
     this.abortController = new AbortController();
     this.processQueue = new Set();
     this.isProcessing = false;
+    this.handleSettingsChanged = () => this.refreshCards();
   }
 
   /**
    * 启动服务
    */
   start() {
+    // 评分公式或标签开关修改后重新标记已处理的卡片
+    eventBus.on(EVENTS.SKIP_SETTINGS_CHANGED, this.handleSettingsChanged);
+
     setTimeout(() => {
       this.initScrollHandler();
       this.initObserver();
@@ -62,6 +82,16 @@ class VideoQualityService {
     this.processNextBatch();
   }
 
+  /**
+   * 重新处理所有已标记的卡片（统计数据和片段都有缓存，不会重复请求）
+   */
+  refreshCards() {
+    document.querySelectorAll('[data-quality-checked="true"]').forEach(card => {
+      delete card.dataset.qualityChecked;
+    });
+    this.checkNewCards();
+  }
+
   /**
    * 处理下一批卡片
    */
@@ -80,6 +110,7 @@ class VideoQualityService {
 
     batch.forEach(card => this.processQueue.delete(card));
     this.isProcessing = false;
+    feedFilterService.updateCounter();
 
     if (this.processQueue.size > 0) {
       setTimeout(() => this.processNextBatch(), 100);
@@ -134,11 +165,26 @@ class VideoQualityService {
       // 先收集所有标签
       const allBadges = [];
       
+      const scoring = sponsorBlockConfig.getQualityScoring();
+      const result = stats ? this.computeScore(stats, scoring) : null;
+
       // 添加优质视频标签
-      if (sponsorBlockConfig.get('showQualityBadge') && stats && this.isHighQuality(stats)) {
-        allBadges.push(this.createQualityBadge(stats));
+      if (sponsorBlockConfig.get('showQualityBadge') && result) {
+        const tier = scoring.tiers.find(item => result.score >= item.minScore);
+        if (tier) {
+          allBadges.push(this.createQualityBadge(tier, stats, result, scoring));
+        }
       }
 
+      // 推荐流过滤（获取统计失败时只按卡片上的标题过滤）
+      feedFilterService.apply(card, feedFilterService.getMatchReason({
+        title: stats?.title || link.getAttribute('title') || link.textContent.trim(),
+        owner: stats?.owner || null,
+        duration: stats?.duration || 0,
+        segments: segments || [],
+        score: result ? result.score : null
+      }));
+
       // 添加片段标签
       if (sponsorBlockConfig.get('showAdBadge') && segments && segments.length > 0) {
         const segmentBadges = this.createSegmentBadges(segments);
@@ -194,42 +240,72 @@ class VideoQualityService {
   }
 
   /**
-   * 判断是否高质量
+   * 按评分公式计算视频评分
+   * @param {Object} stats - 视频统计（/x/web-interface/view 的 stat 字段，附加发布时间 pubdate）
+   * @param {Object} scoring - 评分公式（SponsorBlockConfigManager.getQualityScoring）
+   * @returns {{score: number, ageDays: number|null, ageFactor: number}|null} 播放量不足时返回null
    */
-  isHighQuality(stats) {
-    return stats?.view >= SPONSORBLOCK.MIN_VIEWS && 
-           stats.like / stats.view >= SPONSORBLOCK.MIN_SCORE;
-  }
+  computeScore(stats, scoring) {
+    if (!(stats?.view >= Math.max(1, scoring.minViews))) return null;
 
-  /**
-   * 判断是否顶级质量
-   */
-  isTopQuality(stats) {
-    return stats?.coin >= stats?.like;
+    const rawScore = Object.entries(scoring.weights)
+      .reduce((sum, [key, weight]) => sum + weight * (stats[key] || 0) / stats.view, 0) * 100;
+
+    // 新视频按发布天数折算
+    const ageDays = stats.pubdate ? Math.max(0, (Date.now() / 1000 - stats.pubdate) / 86400) : null;
+    const normalizationDays = scoring.ageNormalizationDays;
+    const ageFactor = normalizationDays > 0 && ageDays !== null && ageDays < normalizationDays
+      ? QUALITY_SCORE.MIN_AGE_FACTOR + (1 - QUALITY_SCORE.MIN_AGE_FACTOR) * ageDays / normalizationDays
+      : 1;
+
+    return { score: rawScore * ageFactor, ageDays, ageFactor };
   }
 
   /**
    * 创建质量标签
+   * @param {{name: string, emoji: string, color: string}} tier - 匹配的标签等级
+   * @param {Object} stats - 视频统计
+   * @param {{score: number, ageDays: number|null, ageFactor: number}} result - 评分结果
+   * @param {Object} scoring - 评分公式
+   * @returns {HTMLElement}
    */
-  createQualityBadge(stats) {
+  createQualityBadge(tier, stats, result, scoring) {
     const badge = document.createElement('span');
     badge.className = 'bili-quality-tag';
-    if (this.isTopQuality(stats)) {
-      badge.style.background = SPONSORBLOCK.TOP_TAG_COLOR;
-      badge.textContent = SPONSORBLOCK.TOP_TAG_TEXT;
-      badge.dataset.emoji = '🏆';
-      badge.dataset.text = '顶级';
-      badge.title = '顶级优质视频';
-    } else {
-      badge.style.background = SPONSORBLOCK.TAG_COLOR;
-      badge.textContent = SPONSORBLOCK.TAG_TEXT;
-      badge.dataset.emoji = '🔥';
-      badge.dataset.text = '精选';
-      badge.title = '精选优质视频';
-    }
+    badge.style.background = tier.color;
+    badge.textContent = [tier.emoji, tier.name].filter(Boolean).join(' ');
+    badge.dataset.emoji = tier.emoji || tier.name;
+    badge.dataset.text = tier.name;
+    badge.title = this.buildScoreTooltip(tier, stats, result, scoring);
     return badge;
   }
 
+  /**
+   * 生成质量标签的悬停提示：原始数据、各项占比和计算出的评分
+   * @param {Object} tier - 匹配的标签等级
+   * @param {Object} stats - 视频统计
+   * @param {Object} result - 评分结果
+   * @param {Object} scoring - 评分公式
+   * @returns {string}
+   */
+  buildScoreTooltip(tier, stats, result, scoring) {
+    const lines = [
+      `${tier.name || tier.emoji} · 评分 ${result.score.toFixed(1)}`,
+      `播放 ${formatCount(stats.view)}`,
+      ...Object.entries(QUALITY_SCORE.STATS).map(([key, label]) => {
+        const ratio = ((stats[key] || 0) / stats.view * 100).toFixed(2);
+        return `${label} ${formatCount(stats[key])}（${ratio}%）× 权重 ${scoring.weights[key]}`;
+      })
+    ];
+    if (result.ageDays !== null) {
+      const ageText = result.ageDays < 1 ? '不到1天' : `${Math.floor(result.ageDays)}天`;
+      lines.push(result.ageFactor < 1
+        ? `发布${ageText}，新视频评分 ×${result.ageFactor.toFixed(2)}`
+        : `发布${ageText}`);
+    }
+    return lines.join('\n');
+  }
+
   /**
    * 创建片段标签
    */
@@ -295,19 +371,19 @@ class VideoQualityService {
   }
 
   /**
-   * 获取视频统计
+   * 获取视频统计（先查跨标签页共享的缓存，其他标签页正在请求同一视频时等待它的结果）
    */
   async fetchVideoStats(bvid) {
-    // 检查缓存
-    if (this.statsCache.has(bvid)) {
-      return this.statsCache.get(bvid);
-    }
-
-    if (this.pendingRequests.has(bvid)) {
-      return this.pendingRequests.get(bvid);
-    }
+    return this.statsCache.fetch(bvid, () => this.requestVideoStats(bvid));
+  }
 
-    const promise = new Promise((resolve, reject) => {
+  /**
+   * 请求视频统计
+   * @param {string} bvid
+   * @returns {Promise<Object>}
+   */
+  requestVideoStats(bvid) {
+    return new Promise((resolve, reject) => {
       GM_xmlhttpRequest({
         method: "GET",
         url: `https://api.bilibili.com/x/web-interface/view?bvid=${bvid}`,
@@ -316,8 +392,17 @@ class VideoQualityService {
           try {
             const data = JSON.parse(res.responseText);
             if (data?.code === 0 && data?.data?.stat) {
-              this.statsCache.set(bvid, data.data.stat);
-              resolve(data.data.stat);
+              // 附加发布时间（新视频评分折算）以及标题、UP主、时长（推荐流过滤）
+              const { pubdate, title, owner, duration, pages } = data.data;
+              const stats = {
+                ...data.data.stat,
+                pubdate,
+                title,
+                owner: owner ? { mid: owner.mid, name: owner.name } : null,
+                // 多P视频的片段对应第一P
+                duration: pages?.[0]?.duration || duration
+              };
+              resolve(stats);
             } else {
               reject(new Error('Invalid API response'));
             }
@@ -329,11 +414,6 @@ class VideoQualityService {
         ontimeout: () => reject(new Error('Timeout'))
       });
     });
-
-    this.pendingRequests.set(bvid, promise);
-    return promise.finally(() => {
-      this.pendingRequests.delete(bvid);
-    });
   }
 
   /**
@@ -363,11 +443,11 @@ class VideoQualityService {
    * 销毁服务
    */
   destroy() {
+    eventBus.off(EVENTS.SKIP_SETTINGS_CHANGED, this.handleSettingsChanged);
+    feedFilterService.destroy();
     this.observer?.disconnect();
     this.abortController.abort();
     this.processQueue.clear();
-    this.pendingRequests.clear();
-    this.statsCache.clear();
   }
 }
 
@@ -5,11 +5,14 @@
 
 import BaseService from './BaseService.js';
 import state from '../state/StateManager.js';
+import config from '../config/ConfigManager.js';
 import logger from '../utils/DebugLogger.js';
 import eventBus from '../utils/EventBus.js';
-import { EVENTS, TIMING, BALL_STATUS } from '../constants.js';
+import { EVENTS, TIMING, BALL_STATUS, SUBTITLE_LANGUAGE } from '../constants.js';
 import performanceMonitor from '../utils/PerformanceMonitor.js';
-import { getVideoTitle, getVideoUrl, delay } from '../utils/helpers.js';
+import { getVideoTitle, getVideoUrl, delay, pickSubtitleTrack } from '../utils/helpers.js';
+import { generateSubtitleCacheKey } from '../utils/validators.js';
+import { subtitleCache } from '../utils/LRUCache.js';
 
 class YouTubeSubtitleService extends BaseService {
   constructor() {
@@ -81,6 +84,8 @@ class YouTubeSubtitleService extends BaseService {
           this.capturedSubtitleUrl = null;
           state.subtitle.capturedUrl = null;
           state.subtitle.data = null;
+          state.subtitle.tracks = [];
+          state.subtitle.lan = null;
         }
       }
     });
@@ -195,6 +200,8 @@ class YouTubeSubtitleService extends BaseService {
   async handleSubtitleResponse(url, data) {
     this.capturedSubtitleUrl = url;
     state.subtitle.capturedUrl = url;
+    state.subtitle.tracks = this.getCaptionTracks();
+    state.subtitle.lan = this.getTrackLanFromUrl(url);
     
     // 直接处理已经捕获的数据
     await this.processSubtitleData(data);
@@ -237,13 +244,33 @@ class YouTubeSubtitleService extends BaseService {
         eventBus.emit(EVENTS.SUBTITLE_REQUESTED, videoInfo);
 
         // 解析字幕数据
-        const subtitleData = this.parseYouTubeSubtitle(data);
+        let subtitleData = this.parseYouTubeSubtitle(data);
         
         if (subtitleData.length === 0) {
           throw new Error('解析出的字幕为空');
         }
 
+        const videoKey = state.getVideoKey();
+        const capturedKey = generateSubtitleCacheKey(videoKey, state.subtitle.lan);
+        if (capturedKey) {
+          subtitleCache.set(capturedKey, subtitleData);
+        }
+
+        // 播放器加载的不是偏好语言时，改为获取偏好语言的字幕
+        const preferred = pickSubtitleTrack(state.subtitle.tracks, config.getSubtitleLanguagePriority());
+        if (preferred && state.subtitle.lan && preferred.lan !== state.subtitle.lan) {
+          try {
+            subtitleData = await this._loadTrack(preferred);
+            state.subtitle.lan = preferred.lan;
+          } catch (error) {
+            logger.warn('YouTubeSubtitleService', '获取偏好语言字幕失败，使用已捕获的字幕:', error.message);
+          }
+        }
+
         // 保存数据
+        if (videoKey) {
+          subtitleCache.set(videoKey, subtitleData);
+        }
         state.setSubtitleData(subtitleData);
         state.setBallStatus(BALL_STATUS.ACTIVE);
         eventBus.emit(EVENTS.SUBTITLE_LOADED, subtitleData, state.getVideoKey());
@@ -333,6 +360,127 @@ class YouTubeSubtitleService extends BaseService {
     };
   }
 
+  /**
+   * 获取当前视频的字幕轨道（来自播放器数据）
+   * @returns {Array<{lan: string, label: string, isAI: boolean, url: string, languageCode: string}>}
+   */
+  getCaptionTracks() {
+    const player = unsafeWindow.document.getElementById('movie_player');
+    const response = player?.getPlayerResponse?.() || unsafeWindow.ytInitialPlayerResponse;
+
+    // ytInitialPlayerResponse在站内跳转后仍是第一个视频的数据
+    if (!response || response.videoDetails?.videoId !== this.getVideoInfo().videoId) {
+      return [];
+    }
+
+    const captionTracks = response.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+    return captionTracks.map(track => {
+      const isAI = track.kind === 'asr';
+      return {
+        lan: isAI ? `${SUBTITLE_LANGUAGE.AI_PREFIX}${track.languageCode}` : track.languageCode,
+        label: track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || track.languageCode,
+        isAI,
+        url: track.baseUrl,
+        languageCode: track.languageCode
+      };
+    });
+  }
+
+  /**
+   * 从字幕请求URL中解析语言代码（自动字幕加 ai- 前缀，机器翻译的字幕返回null）
+   * @param {string} url
+   * @returns {string|null}
+   */
+  getTrackLanFromUrl(url) {
+    try {
+      const params = new URL(url, location.origin).searchParams;
+      const lang = params.get('lang');
+      if (!lang || params.get('tlang')) {
+        return null;
+      }
+      return params.get('kind') === 'asr' ? `${SUBTITLE_LANGUAGE.AI_PREFIX}${lang}` : lang;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 生成字幕轨道的请求URL
+   * 播放器自己的请求带有访问令牌，同一视频优先在捕获的URL上替换语言
+   * @param {{url: string, languageCode: string, isAI: boolean}} track
+   * @returns {string}
+   */
+  buildTrackUrl(track) {
+    const videoId = this.getVideoInfo().videoId;
+    let base = track.url;
+    if (this.capturedSubtitleUrl) {
+      const captured = new URL(this.capturedSubtitleUrl, location.origin);
+      if (captured.searchParams.get('v') === videoId) {
+        base = captured.toString();
+      }
+    }
+
+    const url = new URL(base, location.origin);
+    url.searchParams.set('lang', track.languageCode);
+    if (track.isAI) {
+      url.searchParams.set('kind', 'asr');
+    } else {
+      url.searchParams.delete('kind');
+    }
+    url.searchParams.delete('tlang');
+    url.searchParams.delete('name');
+    url.searchParams.set('fmt', 'json3');
+    return url.toString();
+  }
+
+  /**
+   * 获取单条字幕轨道（按语言缓存）
+   * @private
+   * @param {Object} track - 字幕轨道
+   * @returns {Promise<Array>}
+   */
+  async _loadTrack(track) {
+    const trackKey = generateSubtitleCacheKey(state.getVideoKey(), track.lan);
+    const cached = trackKey ? subtitleCache.get(trackKey) : null;
+    if (cached && cached.length > 0) {
+      return cached;
+    }
+
+    const response = await this.fetchSubtitle(this.buildTrackUrl(track));
+    const subtitleData = this.parseYouTubeSubtitle(response);
+    if (subtitleData.length === 0) {
+      throw new Error('解析出的字幕为空');
+    }
+
+    if (trackKey) {
+      subtitleCache.set(trackKey, subtitleData);
+    }
+    return subtitleData;
+  }
+
+  /**
+   * 切换当前视频的字幕轨道
+   * @param {string} lan - 字幕语言代码
+   * @returns {Promise<Array>} 切换后的字幕数据
+   */
+  async switchTrack(lan) {
+    const track = state.subtitle.tracks.find(item => item.lan === lan);
+    if (!track) {
+      throw new Error('未找到该语言的字幕');
+    }
+
+    const subtitleData = await this._loadTrack(track);
+    const videoKey = state.getVideoKey();
+    if (videoKey) {
+      subtitleCache.set(videoKey, subtitleData);
+    }
+    state.subtitle.lan = track.lan;
+    state.setSubtitleData(subtitleData);
+    logger.info('YouTubeSubtitleService', `已切换字幕: ${track.label}`);
+    eventBus.emit(EVENTS.SUBTITLE_TRACK_CHANGED, subtitleData, videoKey);
+    return subtitleData;
+  }
+
   /**
    * 获取字幕内容
    */
@@ -543,8 +691,23 @@ class YouTubeSubtitleService extends BaseService {
       throw new Error('无法获取视频ID');
     }
 
-    // 尝试多种语言
-    const languages = ['zh-Hans', 'zh-CN', 'zh', 'en', 'en-US'];
+    // 优先按语言偏好获取播放器提供的字幕轨道
+    const tracks = this.getCaptionTracks();
+    state.subtitle.tracks = tracks;
+    const preferred = pickSubtitleTrack(tracks, config.getSubtitleLanguagePriority());
+    if (preferred) {
+      const subtitleData = await this._loadTrack(preferred);
+      state.subtitle.lan = preferred.lan;
+      state.setSubtitleData(subtitleData);
+      state.setBallStatus('active');
+      eventBus.emit(EVENTS.SUBTITLE_LOADED, subtitleData, state.getVideoKey());
+      logger.success('YouTubeSubtitleService', `成功获取字幕: ${preferred.label}`);
+      return subtitleData;
+    }
+
+    // 没有字幕轨道信息时，按语言偏好逐个尝试（自动字幕需要轨道信息，跳过）
+    const languages = config.getSubtitleLanguagePriority()
+      .filter(lan => !lan.startsWith(SUBTITLE_LANGUAGE.AI_PREFIX));
     
     for (const lang of languages) {
       try {
@@ -608,17 +771,32 @@ class YouTubeSubtitleService extends BaseService {
         // 等待字幕加载
         await delay(1000);
         
-        // 选择中文字幕（如果有）
-        await this.selectChineseSubtitle();
+        // 按语言偏好选择字幕
+        await this.selectPreferredSubtitle();
       }
     }
   }
 
   /**
-   * 选择中文字幕
+   * 按语言偏好选择字幕轨道
    */
-  async selectChineseSubtitle() {
-    // 打开字幕设置菜单
+  async selectPreferredSubtitle() {
+    const preferred = pickSubtitleTrack(this.getCaptionTracks(), config.getSubtitleLanguagePriority());
+    if (!preferred) {
+      return;
+    }
+
+    // 优先使用播放器接口切换字幕轨道
+    const player = unsafeWindow.document.getElementById('movie_player');
+    if (typeof player?.setOption === 'function') {
+      player.setOption('captions', 'track', preferred.isAI
+        ? { languageCode: preferred.languageCode, kind: 'asr' }
+        : { languageCode: preferred.languageCode });
+      logger.info('YouTubeSubtitleService', `已选择字幕: ${preferred.label}`);
+      return;
+    }
+
+    // 备用：打开字幕设置菜单，按字幕名称选择
     const settingsButton = document.querySelector('.ytp-settings-button');
     if (settingsButton) {
       settingsButton.click();
@@ -632,17 +810,12 @@ class YouTubeSubtitleService extends BaseService {
         subtitleMenuItem.click();
         await delay(300);
         
-        // 查找中文选项
-        const chineseOption = Array.from(document.querySelectorAll('.ytp-menuitem'))
-          .find(item => 
-            item.textContent.includes('中文') || 
-            item.textContent.includes('Chinese') ||
-            item.textContent.includes('简体')
-          );
+        const option = Array.from(document.querySelectorAll('.ytp-menuitem'))
+          .find(item => item.textContent.trim() === preferred.label);
         
-        if (chineseOption) {
-          chineseOption.click();
-          logger.info('YouTubeSubtitleService', '已选择中文字幕');
+        if (option) {
+          option.click();
+          logger.info('YouTubeSubtitleService', `已选择字幕: ${preferred.label}`);
         }
         
         // 关闭设置菜单
@@ -657,6 +830,8 @@ class YouTubeSubtitleService extends BaseService {
   reset() {
     this.capturedSubtitleUrl = null;
     state.subtitle.capturedUrl = null;
+    state.subtitle.tracks = [];
+    state.subtitle.lan = null;
     logger.info('YouTubeSubtitleService', '字幕服务已重置');
   }
 }
@@ -0,0 +1,71 @@
+/**
+ * AI接口协议适配器基类
+ * 为不同的AI接口协议提供统一的请求构建和响应解析接口
+ * 消息统一使用OpenAI格式：[{role: 'system'|'user'|'assistant', content: string}]
+ */
+export default class AIProtocolAdapter {
+  constructor() {
+    this.protocol = 'unknown';
+  }
+
+  /**
+   * 构建请求
+   * @param {Object} aiConfig - AI配置
+   * @param {Array<{role: string, content: string}>} messages - 对话消息
+   * @param {boolean} stream - 是否流式响应
+   * @returns {{url: string, headers: Object, body: Object}}
+   */
+  buildRequest(aiConfig, messages, stream) {
+    throw new Error('子类必须实现buildRequest方法');
+  }
+
+  /**
+   * 解析流式响应中的一行
+   * @param {string} line - 已去除首尾空白的一行
+   * @returns {string} 本行包含的增量文本（没有则返回空字符串）
+   */
+  parseStreamLine(line) {
+    throw new Error('子类必须实现parseStreamLine方法');
+  }
+
+  /**
+   * 解析非流式响应
+   * @param {Object} data - 响应JSON
+   * @returns {string} 回复文本
+   */
+  parseResponse(data) {
+    throw new Error('子类必须实现parseResponse方法');
+  }
+
+  /**
+   * 解析SSE的data行
+   * @protected
+   * @param {string} line - 一行文本
+   * @returns {Object|null} 解析后的JSON，非data行或无法解析时返回null
+   */
+  parseSSEData(line) {
+    if (!line.startsWith('data:')) return null;
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return null;
+    try {
+      return JSON.parse(data);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 拆分系统提示词和对话消息
+   * @protected
+   * @param {Array<{role: string, content: string}>} messages - 对话消息
+   * @returns {{system: string, conversation: Array}}
+   */
+  splitSystemMessages(messages) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    const conversation = messages.filter(message => message.role !== 'system');
+    return { system, conversation };
+  }
+}
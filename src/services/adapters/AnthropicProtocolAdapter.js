@@ -0,0 +1,66 @@
+/**
+ * Anthropic Messages API 适配器
+ * 使用 x-api-key 认证，流式响应为 content_block_delta 事件
+ */
+import AIProtocolAdapter from './AIProtocolAdapter.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const MAX_OUTPUT_TOKENS = 4096;
+
+export default class AnthropicProtocolAdapter extends AIProtocolAdapter {
+  constructor() {
+    super();
+    this.protocol = 'anthropic';
+  }
+
+  /**
+   * 构建 /v1/messages 请求（系统提示词需放在顶层 system 字段）
+   */
+  buildRequest(aiConfig, messages, stream) {
+    const { system, conversation } = this.splitSystemMessages(messages);
+    const body = {
+      model: aiConfig.model,
+      max_tokens: MAX_OUTPUT_TOKENS,
+      messages: conversation,
+      stream
+    };
+    if (system) {
+      body.system = system;
+    }
+
+    return {
+      url: aiConfig.url,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': aiConfig.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+        // 允许从浏览器直接调用（否则会被CORS拦截）
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body
+    };
+  }
+
+  /**
+   * 解析SSE：只关心 content_block_delta 中的 text_delta，error 事件直接抛出
+   */
+  parseStreamLine(line) {
+    const json = this.parseSSEData(line);
+    if (!json) return '';
+
+    if (json.type === 'error') {
+      throw new Error(`Anthropic接口错误: ${json.error?.message || 'unknown'}`);
+    }
+    if (json.type === 'content_block_delta' && json.delta?.type === 'text_delta') {
+      return json.delta.text || '';
+    }
+    return '';
+  }
+
+  parseResponse(data) {
+    return (data?.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+}
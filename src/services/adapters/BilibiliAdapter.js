@@ -4,6 +4,7 @@
  */
 import VideoPlayerAdapter from './VideoPlayerAdapter.js';
 import logger from '../../utils/DebugLogger.js';
+import { getVideoCreator } from '../../utils/helpers.js';
 
 export default class BilibiliAdapter extends VideoPlayerAdapter {
   constructor() {
@@ -64,6 +65,29 @@ export default class BilibiliAdapter extends VideoPlayerAdapter {
            document.querySelector('.bpx-player-container');
   }
 
+  /**
+   * 获取当前视频的UP主
+   * @returns {{id: string, name: string}|null}
+   */
+  getCreator() {
+    try {
+      // 切换视频后 __INITIAL_STATE__ 可能还是上一个视频的，需要核对BV号
+      const videoData = unsafeWindow.__INITIAL_STATE__?.videoData;
+      const bvid = location.pathname.match(/video\/(BV\w+)/)?.[1];
+      if (videoData?.owner?.mid && videoData.bvid === bvid) {
+        return { id: String(videoData.owner.mid), name: videoData.owner.name };
+      }
+    } catch (e) {
+      // Silently ignore
+    }
+
+    // 备用方法：从UP主空间链接中解析mid
+    const link = document.querySelector('.up-name[href*="space.bilibili.com"]') ||
+                 document.querySelector('.up-info__name[href*="space.bilibili.com"]');
+    const mid = link?.href.match(/space\.bilibili\.com\/(\d+)/)?.[1];
+    return mid ? { id: mid, name: getVideoCreator() } : null;
+  }
+
   /**
    * 在Bilibili播放器上显示提示
    */
@@ -131,13 +155,19 @@ export default class BilibiliAdapter extends VideoPlayerAdapter {
 
   /**
    * 在Bilibili进度条上添加标记
+   * @param {Array} segments - 片段
+   * @param {Object} options
+   * @param {Function} options.onClick - 点击标记时调用 (segment, event)，默认跳到片段结尾
+   * @param {Function} options.decorate - 创建标记后调用 (marker, segment)，用于追加样式和提示
    */
   addProgressMarkers(segments, options = {}) {
     const {
       containerId = 'sponsorblock-preview-bar',
       className = 'sponsorblock-segment',
       defaultColor = '#ff0000',
-      opacity = 0.7
+      opacity = 0.7,
+      onClick = null,
+      decorate = null
     } = options;
 
     const progressBar = this.getProgressBar();
@@ -209,15 +239,22 @@ export default class BilibiliAdapter extends VideoPlayerAdapter {
       const categoryName = this.getCategoryName(segment.category);
       marker.title = `${categoryName}\n${this.formatTime(start)} - ${this.formatTime(end)} (${segmentDuration.toFixed(1)}秒)`;
 
-      // 点击事件
+      // 点击事件（未提供onClick时默认跳过片段）
       marker.addEventListener('click', (e) => {
         e.stopPropagation();
-        if (segment.actionType !== 'mute') {
+        if (onClick) {
+          onClick(segment, e);
+        } else if (segment.actionType !== 'mute') {
           this.seekTo(end);
           this.showNotification(`已跳过 ${categoryName}`, { type: 'success' });
         }
       });
 
+      // 由调用方追加样式、提示文字等
+      if (decorate) {
+        decorate(marker, segment);
+      }
+
       container.appendChild(marker);
     });
 
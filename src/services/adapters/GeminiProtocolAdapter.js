@@ -0,0 +1,56 @@
+/**
+ * Google Gemini 原生接口适配器
+ * 配置中的URL为API根地址（如 https://generativelanguage.googleapis.com/v1beta），
+ * 请求地址按模型拼接为 models/{model}:streamGenerateContent / :generateContent
+ */
+import AIProtocolAdapter from './AIProtocolAdapter.js';
+
+export default class GeminiProtocolAdapter extends AIProtocolAdapter {
+  constructor() {
+    super();
+    this.protocol = 'gemini';
+  }
+
+  buildRequest(aiConfig, messages, stream) {
+    const { system, conversation } = this.splitSystemMessages(messages);
+    const baseUrl = aiConfig.url.replace(/\/+$/, '').replace(/\/models\/.*$/, '');
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+
+    const body = {
+      contents: conversation.map(message => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      }))
+    };
+    if (system) {
+      body.systemInstruction = { parts: [{ text: system }] };
+    }
+
+    return {
+      url: `${baseUrl}/models/${encodeURIComponent(aiConfig.model)}:${method}`,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': aiConfig.apiKey
+      },
+      body
+    };
+  }
+
+  /**
+   * 解析SSE：data: {"candidates":[{"content":{"parts":[{"text":"..."}]}}]}
+   */
+  parseStreamLine(line) {
+    const json = this.parseSSEData(line);
+    if (!json) return '';
+    if (json.error) {
+      throw new Error(`Gemini接口错误: ${json.error.message || 'unknown'}`);
+    }
+    return this.parseResponse(json);
+  }
+
+  parseResponse(data) {
+    return (data?.candidates?.[0]?.content?.parts || [])
+      .map(part => part.text || '')
+      .join('');
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Ollama 本地模型适配器
+ * 调用 /api/chat，流式响应为NDJSON（每行一个JSON对象），无需API Key
+ *
+ * 注意：从网页直接访问本地Ollama需要设置环境变量 OLLAMA_ORIGINS 允许跨域
+ */
+import AIProtocolAdapter from './AIProtocolAdapter.js';
+import { AI_CHUNKING } from '../../constants.js';
+
+export default class OllamaProtocolAdapter extends AIProtocolAdapter {
+  constructor() {
+    super();
+    this.protocol = 'ollama';
+  }
+
+  buildRequest(aiConfig, messages, stream) {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+    // 通过反向代理暴露的Ollama可能需要认证
+    if (aiConfig.apiKey) {
+      headers['Authorization'] = `Bearer ${aiConfig.apiKey}`;
+    }
+
+    return {
+      url: aiConfig.url,
+      headers,
+      body: {
+        model: aiConfig.model,
+        messages,
+        stream,
+        // Ollama默认上下文较短，显式指定以匹配分段总结的预算
+        options: { num_ctx: AI_CHUNKING.OLLAMA_CONTEXT_TOKENS }
+      }
+    };
+  }
+
+  /**
+   * 解析NDJSON：{"message":{"content":"..."},"done":false}
+   */
+  parseStreamLine(line) {
+    if (!line) return '';
+    let json;
+    try {
+      json = JSON.parse(line);
+    } catch (e) {
+      return '';
+    }
+    if (json.error) {
+      throw new Error(`Ollama错误: ${json.error}`);
+    }
+    return json.message?.content || '';
+  }
+
+  parseResponse(data) {
+    return data?.message?.content || '';
+  }
+}
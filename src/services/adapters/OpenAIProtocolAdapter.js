@@ -0,0 +1,50 @@
+/**
+ * OpenAI兼容协议适配器
+ * 适用于 OpenAI、OpenRouter、DeepSeek 等 chat/completions 接口
+ */
+import AIProtocolAdapter from './AIProtocolAdapter.js';
+
+export default class OpenAIProtocolAdapter extends AIProtocolAdapter {
+  constructor() {
+    super();
+    this.protocol = 'openai';
+  }
+
+  /**
+   * 构建 chat/completions 请求（Bearer Token认证）
+   */
+  buildRequest(aiConfig, messages, stream) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${aiConfig.apiKey}`
+    };
+
+    // OpenRouter需要额外的headers
+    if (aiConfig.isOpenRouter) {
+      headers['HTTP-Referer'] = window.location.origin;
+      headers['X-Title'] = 'Bilibili Subtitle Extractor';
+    }
+
+    return {
+      url: aiConfig.url,
+      headers,
+      body: {
+        model: aiConfig.model,
+        messages,
+        stream
+      }
+    };
+  }
+
+  /**
+   * 解析SSE：data: {"choices":[{"delta":{"content":"..."}}]}
+   */
+  parseStreamLine(line) {
+    const json = this.parseSSEData(line);
+    return json?.choices?.[0]?.delta?.content || '';
+  }
+
+  parseResponse(data) {
+    return data?.choices?.[0]?.message?.content || '';
+  }
+}
@@ -57,6 +57,14 @@ export default class VideoPlayerAdapter {
     throw new Error('子类必须实现getPlayerContainer方法');
   }
 
+  /**
+   * 获取当前视频的作者（B站UP主 / YouTube频道）
+   * @returns {{id: string, name: string}|null} 页面还没加载出作者信息时返回null
+   */
+  getCreator() {
+    throw new Error('子类必须实现getCreator方法');
+  }
+
   /**
    * 等待视频元素加载
    * @returns {Promise<HTMLVideoElement>}
@@ -141,8 +149,14 @@ export default class VideoPlayerAdapter {
   /**
    * 在进度条上添加标记
    * @param {Array} segments
+   * @param {Object} options
+   * @param {string} options.containerId - 标记容器ID
+   * @param {string} options.className - 标记的类名
+   * @param {number} options.opacity - 标记透明度
+   * @param {Function} options.onClick - 点击标记时调用 (segment, event)
+   * @param {Function} options.decorate - 创建标记后调用，用于添加额外的样式和元素 (marker, segment)
    */
-  addProgressMarkers(segments) {
+  addProgressMarkers(segments, options = {}) {
     throw new Error('子类必须实现addProgressMarkers方法');
   }
 
@@ -4,6 +4,7 @@
  */
 import VideoPlayerAdapter from './VideoPlayerAdapter.js';
 import logger from '../../utils/DebugLogger.js';
+import { getVideoCreator } from '../../utils/helpers.js';
 
 export default class YouTubeAdapter extends VideoPlayerAdapter {
   constructor() {
@@ -59,6 +60,28 @@ export default class YouTubeAdapter extends VideoPlayerAdapter {
            document.querySelector('.html5-video-player');
   }
 
+  /**
+   * 获取当前视频的频道
+   * @returns {{id: string, name: string}|null}
+   */
+  getCreator() {
+    try {
+      // 播放器接口返回的是当前视频的信息（页面内跳转后 ytInitialPlayerResponse 不会更新）
+      const details = unsafeWindow.document.getElementById('movie_player')?.getPlayerResponse?.()?.videoDetails;
+      if (details?.channelId && details.videoId === this.getVideoId()) {
+        return { id: details.channelId, name: details.author || getVideoCreator() };
+      }
+    } catch (e) {
+      logger.debug('YouTubeAdapter', '无法从播放器获取频道信息');
+    }
+
+    // 备用方法：从频道链接中解析频道ID
+    const link = document.querySelector('#owner ytd-channel-name a') ||
+                 document.querySelector('ytd-video-owner-renderer a');
+    const channelId = link?.href.match(/\/channel\/(UC[\w-]+)/)?.[1];
+    return channelId ? { id: channelId, name: getVideoCreator() } : null;
+  }
+
   /**
    * 检测YouTube原生广告标记
    * YouTube在进度条上用黄色标记广告段落
@@ -205,13 +228,19 @@ export default class YouTubeAdapter extends VideoPlayerAdapter {
 
   /**
    * 在YouTube进度条上添加自定义标记
+   * @param {Array} segments - 片段
+   * @param {Object} options
+   * @param {Function} options.onClick - 点击标记时调用 (segment, event)，默认跳到片段结尾
+   * @param {Function} options.decorate - 创建标记后调用 (marker, segment)，用于追加样式和提示
    */
   addProgressMarkers(segments, options = {}) {
     const {
       containerId = 'universal-ad-markers',
       className = 'universal-ad-marker',
       color = '#ff0000',
-      opacity = 0.7
+      opacity = 0.7,
+      onClick = null,
+      decorate = null
     } = options;
 
     const progressBar = this.getProgressBar();
@@ -277,7 +306,7 @@ export default class YouTubeAdapter extends VideoPlayerAdapter {
       marker.dataset.category = segment.category || 'unknown';
       
       // 获取该类别的颜色
-      const segmentColor = categoryColors[segment.category] || segment.color || color;
+      const segmentColor = segment.color || categoryColors[segment.category] || color;
       
       marker.style.cssText = `
         position: absolute;
@@ -305,16 +334,23 @@ export default class YouTubeAdapter extends VideoPlayerAdapter {
       const categoryName = this.getCategoryName(segment.category);
       marker.title = `${categoryName}: ${this.formatTime(start)} - ${this.formatTime(end)}`;
       
-      // 点击跳过
+      // 点击事件（未提供onClick时默认跳过片段）
       marker.addEventListener('click', (e) => {
         e.stopPropagation();
         e.preventDefault();
-        if (segment.actionType !== 'mute') {
+        if (onClick) {
+          onClick(segment, e);
+        } else if (segment.actionType !== 'mute') {
           this.seekTo(end);
           this.showNotification(`跳过了 ${categoryName}`, { type: 'success' });
         }
       });
 
+      // 由调用方追加样式、提示文字等
+      if (decorate) {
+        decorate(marker, segment);
+      }
+
       container.appendChild(marker);
     });
 
@@ -5,11 +5,12 @@
 
 import { BALL_STATUS } from '../constants.js';
 import { generateCacheKey, validateVideoInfo } from '../utils/validators.js';
+import { formatTime, parseTimestamp } from '../utils/helpers.js';
 import eventBus from '../utils/EventBus.js';
 import { EVENTS } from '../constants.js';
 import taskManager from '../utils/TaskManager.js';
 import logger from '../utils/DebugLogger.js';
-import { subtitleCache, aiMarkdownCache, aiSegmentsCache, notionPageCache } from '../utils/LRUCache.js';
+import { subtitleCache, aiMarkdownCache, aiSegmentsCache, aiProviderCache, notionPageCache } from '../utils/LRUCache.js';
 
 class StateManager {
   constructor() {
@@ -26,6 +27,8 @@ class StateManager {
     this.subtitle = {
       data: null,                    // 当前字幕数据
       capturedUrl: null,             // 捕获到的字幕URL
+      tracks: [],                    // 可用的字幕轨道 [{lan, label, isAI, url}]
+      lan: null,                     // 当前字幕的语言代码
     };
 
     // 请求相关状态（解决竞态条件）
@@ -67,6 +70,11 @@ class StateManager {
       aid: null,                     // 当前视频AID
       p: null,                        // 当前视频分P号（多P视频）
     };
+
+    // 片段跳过相关状态
+    this.skip = {
+      highlightTime: null,           // 当前视频的精彩时刻（秒），由跳过引擎加载片段后设置
+    };
   }
 
   /**
@@ -230,6 +238,7 @@ class StateManager {
    * 注意：AI总结缓存由AIService通过LRU缓存管理，这里只保存当前状态
    */
   finishAISummary(summary) {
+    summary = this.withHighlight(summary);
     this.ai.isSummarizing = false;
     this.ai.currentSummary = summary;
     this.ai.summaryPromise = null;
@@ -264,7 +273,7 @@ class StateManager {
     const key = videoKey || this.getVideoKey();
     
     if (!key) {
-      return this.ai.currentSummary;
+      return this.withHighlight(this.ai.currentSummary);
     }
     
     // 从LRU缓存获取
@@ -273,17 +282,51 @@ class StateManager {
     
     // 如果都有缓存，组合返回
     if (cachedMarkdown && cachedSegments) {
-      return {
+      return this.withHighlight({
         markdown: cachedMarkdown,
         segments: cachedSegments.segments || [],
-        ads: cachedSegments.ads || []
-      };
+        ads: cachedSegments.ads || [],
+        generatedBy: aiProviderCache.get(key) || null
+      });
     }
     
     // 如果只有部分缓存，返回null（不完整）
     return null;
   }
 
+  /**
+   * 设置当前视频的精彩时刻
+   * @param {number|null} time - 精彩时刻的秒数，没有精彩时刻时为null
+   */
+  setHighlightTime(time) {
+    this.skip.highlightTime = time;
+  }
+
+  /**
+   * 把精彩时刻作为书签段落按时间插入AI总结的时间戳段落（界面、Notion和Markdown导出共用）
+   * 缓存中只保存AI生成的段落，读取时再插入，精彩时刻变化后不会重复
+   * @param {Object|string|null} summary - AI总结
+   * @returns {Object|string|null}
+   */
+  withHighlight(summary) {
+    if (!summary || typeof summary !== 'object' || !Array.isArray(summary.segments)) {
+      return summary;
+    }
+
+    const segments = summary.segments.filter(segment => !segment.isHighlight);
+    const time = this.skip.highlightTime;
+    if (time !== null) {
+      const index = segments.findIndex(segment => parseTimestamp(segment.timestamp) > time);
+      segments.splice(index === -1 ? segments.length : index, 0, {
+        timestamp: formatTime(time),
+        title: '⭐ 精彩时刻',
+        summary: 'SponsorBlock社区标记的视频精彩部分',
+        isHighlight: true
+      });
+    }
+    return { ...summary, segments };
+  }
+
   /**
    * 更新小球状态
    * @param {string} status - 状态值
@@ -0,0 +1,207 @@
+/**
+ * AI广告审核面板模块
+ * 显示在播放器内，列出AI识别出的广告候选片段：
+ * 可跳转查看、仅本地跳过、提交到 bsbsb.top 或忽略；起止时间在进度条上拖动调整
+ */
+
+import aiAdCandidateService from '../services/AIAdCandidateService.js';
+import eventBus from '../utils/EventBus.js';
+import modalManager from '../utils/ModalManager.js';
+import notification from './Notification.js';
+import uiRenderer from './UIRenderer.js';
+import { formatTime } from '../utils/helpers.js';
+import { AI_AD_CANDIDATES, EVENTS } from '../constants.js';
+
+const { STATUS } = AI_AD_CANDIDATES;
+
+/**
+ * 审核状态的显示名称
+ */
+const STATUS_LABELS = {
+  [STATUS.PENDING]: '待审核',
+  [STATUS.LOCAL]: '仅本地跳过',
+  [STATUS.SUBMITTED]: '已提交'
+};
+
+class AIAdReviewPanel {
+  constructor() {
+    this.panel = null;
+    this.engine = null;
+    this.focusedId = null;
+    this.handleChange = () => this.render();
+  }
+
+  /**
+   * 面板是否显示中
+   * @returns {boolean}
+   */
+  isVisible() {
+    return !!this.panel?.isConnected;
+  }
+
+  /**
+   * 显示面板
+   * @param {UniversalAdSkipService} engine - 跳过引擎（提供平台适配器）
+   * @param {string|null} focusedId - 需要高亮的候选片段ID
+   */
+  show(engine, focusedId = null) {
+    this.engine = engine;
+    this.focusedId = focusedId;
+    if (this.isVisible()) {
+      this.render();
+      return;
+    }
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'ai-ad-review-panel';
+    // 放在播放器容器内，全屏时也能看到
+    const container = engine.adapter?.getPlayerContainer() || document.body;
+    container.appendChild(this.panel);
+
+    this.bindEvents();
+    this.render();
+    eventBus.on(EVENTS.AI_AD_CANDIDATES_CHANGED, this.handleChange);
+
+    // 注册到模态框管理器（统一处理ESC键）
+    modalManager.push(this);
+  }
+
+  /**
+   * 隐藏面板
+   */
+  hide() {
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+    this.engine = null;
+    eventBus.off(EVENTS.AI_AD_CANDIDATES_CHANGED, this.handleChange);
+
+    // 从模态框管理器移除
+    modalManager.pop(this);
+  }
+
+  /**
+   * 渲染面板内容（没有候选片段时自动关闭）
+   */
+  render() {
+    if (!this.panel) return;
+
+    const candidates = aiAdCandidateService.getCandidates();
+    if (candidates.length === 0) {
+      this.hide();
+      return;
+    }
+
+    this.panel.innerHTML = `
+      <div class="ai-ad-review-header">
+        <span>AI识别的广告（${candidates.length}）</span>
+        <button class="ai-ad-review-close" data-action="close" title="关闭">×</button>
+      </div>
+      <div class="ai-ad-review-hint">AI推测的时间可能不准，可拖动进度条上紫色片段的两端调整</div>
+      ${candidates.map(candidate => this.renderItem(candidate)).join('')}
+    `;
+  }
+
+  /**
+   * 渲染单个候选片段
+   * @param {Object} candidate - 候选片段
+   * @returns {string}
+   */
+  renderItem(candidate) {
+    const description = candidate.product
+      ? `${candidate.product}：${candidate.description}`
+      : candidate.description;
+    const isSubmitted = candidate.status === STATUS.SUBMITTED;
+    const isSubmitting = aiAdCandidateService.submittingIds.has(candidate.id);
+
+    return `
+      <div class="ai-ad-item ${candidate.id === this.focusedId ? 'focused' : ''}" data-id="${candidate.id}">
+        <div class="ai-ad-item-header">
+          <span class="ai-ad-time">${formatTime(candidate.start)} - ${formatTime(candidate.end)}</span>
+          <span class="ai-ad-status ai-ad-status-${candidate.status}">${STATUS_LABELS[candidate.status] || candidate.status}</span>
+        </div>
+        ${description ? `<div class="ai-ad-desc">${uiRenderer.escapeHtml(description)}</div>` : ''}
+        <div class="ai-ad-actions">
+          <button class="segment-submit-btn" data-action="jump">跳转</button>
+          ${isSubmitted ? '' : `
+            <button class="segment-submit-btn" data-action="toggle-local">
+              ${candidate.status === STATUS.LOCAL ? '取消跳过' : '本地跳过'}
+            </button>
+            <button class="segment-submit-btn segment-submit-primary" data-action="submit" ${isSubmitting ? 'disabled' : ''}>
+              ${isSubmitting ? '提交中...' : '提交'}
+            </button>
+            <button class="segment-submit-btn" data-action="dismiss">忽略</button>
+          `}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * 绑定事件（使用事件委托，重新渲染后仍然有效）
+   */
+  bindEvents() {
+    // 阻止点击穿透到播放器（否则会触发暂停/播放）
+    this.panel.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      if (button.dataset.action === 'close') {
+        this.hide();
+        return;
+      }
+
+      const id = e.target.closest('.ai-ad-item')?.dataset.id;
+      const candidate = id ? aiAdCandidateService.getCandidate(id) : null;
+      if (!candidate) return;
+
+      this.focusedId = id;
+      try {
+        switch (button.dataset.action) {
+          case 'jump':
+            this.engine?.adapter.seekTo(candidate.start);
+            this.render();
+            break;
+          case 'toggle-local':
+            aiAdCandidateService.setStatus(id, candidate.status === STATUS.LOCAL ? STATUS.PENDING : STATUS.LOCAL);
+            break;
+          case 'submit':
+            this.submit(candidate);
+            break;
+          case 'dismiss':
+            aiAdCandidateService.setStatus(id, STATUS.DISMISSED);
+            break;
+        }
+      } catch (error) {
+        notification.error(error.message);
+      }
+    });
+  }
+
+  /**
+   * 确认后提交候选片段
+   * @param {Object} candidate - 候选片段
+   */
+  async submit(candidate) {
+    const summary = `${formatTime(candidate.start)} - ${formatTime(candidate.end)}`;
+    if (!notification.confirm(`确定要将 ${summary} 作为"赞助广告"提交到 BilibiliSponsorBlock (bsbsb.top) 吗？\n请先跳转确认时间准确，提交后其他用户也会跳过这个片段。`)) {
+      return;
+    }
+
+    const submitting = aiAdCandidateService.submit(candidate.id, this.engine?.adapter.getDuration());
+    this.render();
+    try {
+      await submitting;
+      notification.success('片段提交成功，感谢贡献！');
+    } catch (error) {
+      notification.error(`提交失败：${error.message}`);
+    }
+    this.render();
+  }
+}
+
+// 创建全局单例
+export const aiAdReviewPanel = new AIAdReviewPanel();
+export default aiAdReviewPanel;
@@ -7,18 +7,23 @@ import state from '../state/StateManager.js';
 import config from '../config/ConfigManager.js';
 import shortcutManager from '../config/ShortcutManager.js';
 import aiService from '../services/AIService.js';
+import aiChatService from '../services/AIChatService.js';
 import notionService from '../services/NotionService.js';
+import markdownExportService from '../services/MarkdownExportService.js';
 import subtitleService from '../services/SubtitleService.js';
 import notesService from '../services/NotesService.js';
 import speedControlService from '../services/SpeedControlService.js';
+import danmakuService from '../services/DanmakuService.js';
+import commentDigestService from '../services/CommentDigestService.js';
+import platformService from '../services/PlatformService.js';
 import notification from './Notification.js';
 import uiRenderer from './UIRenderer.js';
 import notesPanel from './NotesPanel.js';
 import modalManager from '../utils/ModalManager.js';
 import domCache from '../utils/DOMCache.js';
-import { SELECTORS, AI_API_KEY_URLS } from '../constants.js';
+import { SELECTORS, AI_API_KEY_URLS, AI_PROTOCOLS, DANMAKU } from '../constants.js';
 import logger from '../utils/DebugLogger.js';
-import { debounce, throttleRAF, findSubtitleIndex } from '../utils/helpers.js';
+import { debounce, throttleRAF, findSubtitleIndex, parseTimestamp, formatTime, getVideoInfo } from '../utils/helpers.js';
 import { subtitleScrollManager } from '../utils/SubtitleScrollManager.js';
 
 class EventHandlers {
@@ -38,6 +43,8 @@ class EventHandlers {
     this.currentHighlightedIndex = -1;
     // Debounced/throttled functions
     this.throttledHighlight = null;
+    // 下载格式菜单的外部点击监听器
+    this.downloadMenuOutsideHandler = null;
     // 模态框代理对象（用于ModalManager）
     this.aiConfigModalProxy = {
       hide: () => this.hideAIConfigModal()
@@ -45,6 +52,12 @@ class EventHandlers {
     this.notionConfigModalProxy = {
       hide: () => this.hideNotionConfigModal()
     };
+    this.markdownExportModalProxy = {
+      hide: () => this.hideMarkdownExportModal()
+    };
+    this.subtitleLanguageModalProxy = {
+      hide: () => this.hideSubtitleLanguageModal()
+    };
     // 快捷键配置模态框代理
     this.shortcutConfigModalProxy = {
       hide: () => this.hideShortcutConfigModal()
@@ -80,7 +93,33 @@ class EventHandlers {
       });
     }
 
-    // 标签页切换（已移除字幕列表标签页，保留代码以兼容）
+    // 标签页切换（AI总结 / 字幕问答 / 弹幕 / 评论区总结）
+    const tabs = container.querySelectorAll('.subtitle-tab');
+    tabs.forEach(tab => {
+      tab.addEventListener('click', () => {
+        tabs.forEach(t => t.classList.toggle('active', t === tab));
+        container.querySelectorAll('.subtitle-content > .subtitle-panel').forEach(panel => {
+          panel.style.display = panel.id === tab.dataset.tab ? 'block' : 'none';
+        });
+        if (tab.dataset.tab === 'chat-panel') {
+          container.querySelector('.chat-input')?.focus();
+        } else if (tab.dataset.tab === 'danmaku-panel') {
+          this.loadDanmakuPanel(container);
+        }
+      });
+    });
+
+    // 字幕轨道切换
+    this.bindTrackSelectEvents(container);
+
+    // 字幕问答
+    this.bindChatEvents(container);
+
+    // 弹幕搜索和导出
+    this.bindDanmakuEvents(container);
+
+    // 评论区总结
+    this.bindCommentDigestEvents(container);
 
     // AI总结按钮（同时生成总结和段落）
     const aiIcon = container.querySelector('.ai-icon');
@@ -154,18 +193,51 @@ class EventHandlers {
       });
     }
 
-    // 下载按钮
+    // 下载按钮（点击展开格式菜单）
     const downloadIcon = container.querySelector('.download-icon');
-    if (downloadIcon) {
+    const downloadMenu = container.querySelector('.download-format-menu');
+    if (downloadIcon && downloadMenu) {
       downloadIcon.addEventListener('click', (e) => {
         e.stopPropagation();
+        downloadMenu.classList.toggle('show');
+      });
+
+      downloadMenu.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const item = e.target.closest('.download-format-item');
+        if (!item) return;
+
+        downloadMenu.classList.remove('show');
+
+        if (item.dataset.export === 'markdown') {
+          try {
+            markdownExportService.exportToFile({
+              aiSummary: state.getAISummary(),
+              subtitleData: state.getSubtitleData()
+            });
+            notification.success('Markdown笔记已导出');
+          } catch (error) {
+            notification.handleError(error, '导出Markdown');
+          }
+          return;
+        }
+
         try {
-          subtitleService.downloadSubtitleFile();
+          subtitleService.downloadSubtitleFile(item.dataset.format);
           notification.success('字幕文件已下载');
         } catch (error) {
           notification.handleError(error, '下载字幕');
         }
       });
+
+      // 点击其他区域时收起菜单（面板重新渲染时替换旧的监听器）
+      if (this.downloadMenuOutsideHandler) {
+        document.removeEventListener('click', this.downloadMenuOutsideHandler);
+      }
+      this.downloadMenuOutsideHandler = () => {
+        downloadMenu.classList.remove('show');
+      };
+      document.addEventListener('click', this.downloadMenuOutsideHandler);
     }
 
     // Notion发送按钮
@@ -275,6 +347,32 @@ class EventHandlers {
         return;
       }
       
+      // 处理弹幕点击
+      const danmakuItem = e.target.closest('.danmaku-item');
+      if (danmakuItem) {
+        const time = parseFloat(danmakuItem.dataset.time);
+        const video = document.querySelector(SELECTORS.VIDEO);
+        if (video && !isNaN(time)) {
+          video.currentTime = time;
+          notification.info(`跳转到 ${formatTime(time)}`);
+        }
+        return;
+      }
+
+      // 处理问答中的时间戳链接
+      const chatTimestamp = e.target.closest('.chat-timestamp');
+      if (chatTimestamp) {
+        e.preventDefault();
+        e.stopPropagation();
+        const timeInSeconds = parseTimestamp(chatTimestamp.dataset.time);
+        const video = document.querySelector(SELECTORS.VIDEO);
+        if (video && timeInSeconds !== null) {
+          video.currentTime = timeInSeconds;
+          notification.info(`跳转到 ${chatTimestamp.dataset.time}`);
+        }
+        return;
+      }
+      
       // 处理保存笔记按钮
       const saveBtn = e.target.closest('.save-subtitle-note-btn');
       if (saveBtn) {
@@ -315,6 +413,225 @@ class EventHandlers {
     this.syncSubtitleHighlight(container);
   }
 
+  /**
+   * 绑定字幕轨道下拉框事件
+   * @param {HTMLElement} container - 字幕容器
+   */
+  bindTrackSelectEvents(container) {
+    const select = container.querySelector('.subtitle-track-select');
+    if (!select) return;
+
+    select.addEventListener('change', async () => {
+      const currentSubtitleService = platformService.getSubtitleService();
+      if (!currentSubtitleService?.switchTrack) return;
+
+      select.disabled = true;
+      try {
+        await currentSubtitleService.switchTrack(select.value);
+        notification.success('已切换字幕');
+      } catch (error) {
+        // 切换失败时恢复为当前字幕
+        select.value = state.subtitle.lan || '';
+        notification.handleError(error, '切换字幕');
+      } finally {
+        select.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * 绑定字幕问答事件
+   * @param {HTMLElement} container - 字幕容器
+   */
+  bindChatEvents(container) {
+    const chatPanel = container.querySelector('#chat-panel');
+    if (!chatPanel) return;
+
+    const messagesEl = chatPanel.querySelector('.chat-messages');
+    const input = chatPanel.querySelector('.chat-input');
+    const sendBtn = chatPanel.querySelector('.chat-send-btn');
+    const clearBtn = chatPanel.querySelector('.chat-clear-btn');
+
+    const scrollToBottom = () => {
+      const content = container.querySelector('.subtitle-content');
+      if (content) {
+        content.scrollTop = content.scrollHeight;
+      }
+    };
+
+    const send = async () => {
+      const question = input.value.trim();
+      if (!question || aiChatService.isAnswering) return;
+
+      // 首条消息时移除空状态提示
+      messagesEl.querySelector('.chat-empty')?.remove();
+      messagesEl.insertAdjacentHTML('beforeend', uiRenderer.renderChatMessage('user', question));
+      messagesEl.insertAdjacentHTML('beforeend', uiRenderer.renderChatMessage('assistant', ''));
+      const answerEl = messagesEl.lastElementChild.querySelector('.chat-message-content');
+
+      input.value = '';
+      sendBtn.disabled = true;
+      scrollToBottom();
+
+      try {
+        await aiChatService.ask(question, (text) => {
+          answerEl.innerHTML = uiRenderer.renderChatAnswer(text);
+          scrollToBottom();
+        });
+      } catch (error) {
+        answerEl.innerHTML = `<span class="chat-error">${uiRenderer.escapeHtml(error.message)}</span>`;
+        if (error.name !== 'AbortError') {
+          notification.handleError(error, '字幕问答');
+        }
+      } finally {
+        sendBtn.disabled = false;
+      }
+    };
+
+    sendBtn.addEventListener('click', send);
+
+    input.addEventListener('keydown', (e) => {
+      // 阻止播放器快捷键（空格暂停、方向键快进等）
+      e.stopPropagation();
+      if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+        e.preventDefault();
+        send();
+      }
+    });
+
+    clearBtn.addEventListener('click', () => {
+      aiChatService.cancel();
+      aiChatService.clearHistory();
+      messagesEl.innerHTML = uiRenderer.renderChatMessages([]);
+    });
+  }
+
+  /**
+   * 绑定评论区总结事件
+   * @param {HTMLElement} container - 字幕容器
+   */
+  bindCommentDigestEvents(container) {
+    const digestPanel = container.querySelector('#comment-digest-panel');
+    if (!digestPanel) return;
+
+    const generateBtn = digestPanel.querySelector('.comment-digest-generate-btn');
+    const statusEl = digestPanel.querySelector('.comment-digest-status');
+    const contentEl = digestPanel.querySelector('.comment-digest-content');
+
+    generateBtn.addEventListener('click', async () => {
+      if (commentDigestService.isGenerating) return;
+
+      generateBtn.disabled = true;
+      statusEl.textContent = '正在获取评论...';
+
+      try {
+        const digest = await commentDigestService.generate((text) => {
+          statusEl.textContent = '正在生成...';
+          contentEl.innerHTML = uiRenderer.parseMarkdown(text);
+        });
+        contentEl.innerHTML = uiRenderer.renderCommentDigest(digest);
+        generateBtn.textContent = '重新生成';
+        statusEl.textContent = '';
+      } catch (error) {
+        statusEl.textContent = '';
+        if (error.name === 'AbortError') {
+          // 已取消（如切换了视频）：恢复为当前视频的总结
+          contentEl.innerHTML = uiRenderer.renderCommentDigest(commentDigestService.getDigest());
+        } else {
+          contentEl.innerHTML = `<div class="comment-digest-empty chat-error">${uiRenderer.escapeHtml(error.message)}</div>`;
+          notification.handleError(error, '评论区总结');
+        }
+      } finally {
+        generateBtn.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * 绑定弹幕面板事件
+   * @param {HTMLElement} container - 字幕容器
+   */
+  bindDanmakuEvents(container) {
+    const danmakuPanel = container.querySelector('#danmaku-panel');
+    if (!danmakuPanel) return;
+
+    const input = danmakuPanel.querySelector('.danmaku-search-input');
+
+    input.addEventListener('input', debounce(() => {
+      this.renderDanmakuList(container);
+    }, DANMAKU.SEARCH_DEBOUNCE));
+
+    // 阻止播放器快捷键（空格暂停、方向键快进等）
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+    });
+
+    danmakuPanel.querySelector('.danmaku-heatmap-checkbox').addEventListener('change', (e) => {
+      danmakuService.setHeatmapEnabled(e.target.checked);
+    });
+
+    danmakuPanel.querySelectorAll('.danmaku-export-btn').forEach(button => {
+      button.addEventListener('click', async () => {
+        button.disabled = true;
+        try {
+          const count = await danmakuService.exportDanmaku(button.dataset.format);
+          notification.success(`已导出 ${count} 条弹幕`);
+        } catch (error) {
+          notification.handleError(error, '弹幕导出');
+        } finally {
+          button.disabled = false;
+        }
+      });
+    });
+  }
+
+  /**
+   * 加载当前视频的弹幕到弹幕面板（已加载时不重复请求）
+   * @param {HTMLElement} container - 字幕容器
+   */
+  async loadDanmakuPanel(container) {
+    const danmakuPanel = container.querySelector('#danmaku-panel');
+    if (!danmakuPanel) return;
+
+    const cid = String(getVideoInfo().cid);
+    if (danmakuPanel.dataset.cid === cid) return;
+
+    danmakuPanel.dataset.cid = cid;
+    danmakuPanel.querySelector('.danmaku-count').textContent = '';
+    danmakuPanel.querySelector('.danmaku-list').innerHTML = '<div class="danmaku-empty">正在加载弹幕...</div>';
+
+    try {
+      await danmakuService.load();
+      // 加载期间切换了视频时，由新视频的加载更新面板
+      if (danmakuPanel.dataset.cid === cid) {
+        this.renderDanmakuList(container);
+      }
+    } catch (error) {
+      delete danmakuPanel.dataset.cid;
+      danmakuPanel.querySelector('.danmaku-list').innerHTML =
+        `<div class="danmaku-empty">弹幕加载失败：${uiRenderer.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  /**
+   * 按搜索框内容渲染弹幕列表
+   * @param {HTMLElement} container - 字幕容器
+   */
+  renderDanmakuList(container) {
+    const danmakuPanel = container.querySelector('#danmaku-panel');
+    // 弹幕还没有加载完成
+    if (!danmakuPanel || danmakuPanel.dataset.cid !== String(danmakuService.cid)) return;
+
+    const query = danmakuPanel.querySelector('.danmaku-search-input').value.trim();
+    const results = danmakuService.search(query);
+    const total = danmakuService.danmaku.length;
+
+    danmakuPanel.querySelector('.danmaku-count').textContent = query
+      ? `${results.length} / ${total} 条`
+      : `共 ${total} 条`;
+    danmakuPanel.querySelector('.danmaku-list').innerHTML = uiRenderer.renderDanmakuItems(results);
+  }
+
   /**
    * 设置拖拽功能
    * @param {HTMLElement} container - 字幕容器
@@ -583,6 +900,7 @@ class EventHandlers {
     const prompt1El = document.getElementById('ai-config-prompt1');
     const prompt2El = document.getElementById('ai-config-prompt2');
     const openrouterEl = document.getElementById('ai-config-is-openrouter');
+    const protocolEl = document.getElementById('ai-config-protocol');
     const saveNewBtn = document.getElementById('ai-save-new-btn');
     const updateBtn = document.getElementById('ai-update-btn');
     const modelSelectWrapper = document.getElementById('model-select-wrapper');
@@ -595,6 +913,8 @@ class EventHandlers {
     if (prompt1El) prompt1El.value = '';
     if (prompt2El) prompt2El.value = '';
     if (openrouterEl) openrouterEl.checked = true;
+    if (protocolEl) protocolEl.value = 'openai';
+    this.updateProtocolPlaceholder('openai');
     if (saveNewBtn) saveNewBtn.style.display = '';
     if (updateBtn) updateBtn.style.display = 'none';
     if (modelSelectWrapper) modelSelectWrapper.style.display = 'none';
@@ -620,6 +940,7 @@ class EventHandlers {
     document.getElementById('notion-content-summary').checked = contentOptions.summary;
     document.getElementById('notion-content-segments').checked = contentOptions.segments;
     document.getElementById('notion-content-subtitles').checked = contentOptions.subtitles;
+    document.getElementById('notion-content-comment-digest').checked = contentOptions.commentDigest;
     
     // 加载笔记自动同步选项
     document.getElementById('notion-notes-auto-sync').checked = config.getNotionNotesAutoSync();
@@ -646,6 +967,140 @@ class EventHandlers {
     modalManager.pop(this.notionConfigModalProxy);
   }
 
+  /**
+   * 显示Markdown导出设置模态框
+   */
+  showMarkdownExportModal() {
+    const modal = document.getElementById('markdown-export-modal');
+    if (!modal) return;
+
+    const exportOptions = config.getMarkdownExportOptions();
+    document.getElementById('auto-send-target').value = config.getAutoSendTarget();
+    document.getElementById('markdown-auto-send-enabled').checked = config.getNotionAutoSendEnabled();
+    document.getElementById('markdown-export-tags').value = exportOptions.tags.join(', ');
+    document.getElementById('markdown-export-subtitles').checked = exportOptions.includeSubtitles;
+
+    const statusEl = document.getElementById('markdown-export-status');
+    if (statusEl) statusEl.innerHTML = '';
+
+    modal.classList.add('show');
+    modalManager.push(this.markdownExportModalProxy);
+  }
+
+  /**
+   * 隐藏Markdown导出设置模态框
+   */
+  hideMarkdownExportModal() {
+    const modal = document.getElementById('markdown-export-modal');
+    if (modal) {
+      modal.classList.remove('show');
+    }
+    modalManager.pop(this.markdownExportModalProxy);
+  }
+
+  /**
+   * 绑定Markdown导出设置模态框事件
+   * @param {HTMLElement} modal - Markdown导出设置模态框
+   */
+  bindMarkdownExportModalEvents(modal) {
+    // 点击背景关闭
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.hideMarkdownExportModal();
+      }
+    });
+
+    document.getElementById('markdown-export-save-btn').addEventListener('click', () => {
+      const tags = document.getElementById('markdown-export-tags').value
+        .split(/[,，]/)
+        .map(tag => tag.trim().replace(/^#/, ''))
+        .filter(Boolean);
+
+      config.setAutoSendTarget(document.getElementById('auto-send-target').value);
+      config.setNotionAutoSendEnabled(document.getElementById('markdown-auto-send-enabled').checked);
+      config.saveMarkdownExportOptions({
+        tags,
+        includeSubtitles: document.getElementById('markdown-export-subtitles').checked
+      });
+
+      const statusEl = document.getElementById('markdown-export-status');
+      if (statusEl) {
+        statusEl.className = 'config-status success';
+        statusEl.textContent = '配置已保存';
+      }
+      setTimeout(() => {
+        this.hideMarkdownExportModal();
+      }, 1000);
+    });
+
+    document.getElementById('markdown-export-cancel-btn').addEventListener('click', () => {
+      this.hideMarkdownExportModal();
+    });
+  }
+
+  /**
+   * 显示字幕语言偏好模态框
+   */
+  showSubtitleLanguageModal() {
+    const modal = document.getElementById('subtitle-language-modal');
+    if (!modal) return;
+
+    document.getElementById('subtitle-language-priority').value = config.getSubtitleLanguagePriority().join('\n');
+
+    const statusEl = document.getElementById('subtitle-language-status');
+    if (statusEl) statusEl.innerHTML = '';
+
+    modal.classList.add('show');
+    modalManager.push(this.subtitleLanguageModalProxy);
+  }
+
+  /**
+   * 隐藏字幕语言偏好模态框
+   */
+  hideSubtitleLanguageModal() {
+    const modal = document.getElementById('subtitle-language-modal');
+    if (modal) {
+      modal.classList.remove('show');
+    }
+    modalManager.pop(this.subtitleLanguageModalProxy);
+  }
+
+  /**
+   * 绑定字幕语言偏好模态框事件
+   * @param {HTMLElement} modal - 字幕语言偏好模态框
+   */
+  bindSubtitleLanguageModalEvents(modal) {
+    // 点击背景关闭
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        this.hideSubtitleLanguageModal();
+      }
+    });
+
+    // 阻止播放器快捷键
+    document.getElementById('subtitle-language-priority').addEventListener('keydown', (e) => {
+      e.stopPropagation();
+    });
+
+    document.getElementById('subtitle-language-save-btn').addEventListener('click', () => {
+      const priority = document.getElementById('subtitle-language-priority').value.split(/[\n,，]/);
+      config.setSubtitleLanguagePriority(priority);
+
+      const statusEl = document.getElementById('subtitle-language-status');
+      if (statusEl) {
+        statusEl.className = 'config-status success';
+        statusEl.textContent = '配置已保存，下个视频生效';
+      }
+      setTimeout(() => {
+        this.hideSubtitleLanguageModal();
+      }, 1000);
+    });
+
+    document.getElementById('subtitle-language-cancel-btn').addEventListener('click', () => {
+      this.hideSubtitleLanguageModal();
+    });
+  }
+
   /**
    * 显示快捷键配置模态框
    */
@@ -1006,6 +1461,38 @@ class EventHandlers {
       });
     }
 
+    // 绑定备用配置列表事件（勾选、调整顺序）
+    const fallbackListEl = document.getElementById('ai-fallback-list');
+    if (fallbackListEl) {
+      fallbackListEl.addEventListener('change', (e) => {
+        const toggle = e.target.closest('.ai-fallback-toggle');
+        if (!toggle) return;
+
+        const ids = config.getAIFallbackIds().filter(id => id !== toggle.dataset.id);
+        if (toggle.checked) {
+          ids.push(toggle.dataset.id);
+        }
+        config.setAIFallbackIds(ids);
+        uiRenderer.renderAIFallbackList(fallbackListEl);
+      });
+
+      fallbackListEl.addEventListener('click', (e) => {
+        const moveBtn = e.target.closest('.ai-fallback-move');
+        if (!moveBtn) return;
+
+        // 与列表显示顺序保持一致（当前选中的配置不参与排序）
+        const selectedId = config.getSelectedAIConfigId();
+        const ids = config.getAIFallbackIds().filter(id => id !== selectedId);
+        const from = ids.indexOf(moveBtn.dataset.id);
+        const to = from + Number(moveBtn.dataset.dir);
+        if (from === -1 || to < 0 || to >= ids.length) return;
+
+        [ids[from], ids[to]] = [ids[to], ids[from]];
+        config.setAIFallbackIds(ids);
+        uiRenderer.renderAIFallbackList(fallbackListEl);
+      });
+    }
+
     // 开始总结按钮
     const startSummaryBtn = document.getElementById('ai-start-summary-btn');
     if (startSummaryBtn) {
@@ -1093,6 +1580,24 @@ class EventHandlers {
     document.getElementById('fetch-models-btn').addEventListener('click', async () => {
       await this.fetchModels();
     });
+
+    // 切换接口协议时更新URL提示
+    document.getElementById('ai-config-protocol').addEventListener('change', (e) => {
+      this.updateProtocolPlaceholder(e.target.value);
+    });
+  }
+
+  /**
+   * 根据接口协议更新URL和API Key输入框的提示
+   * @param {string} protocol - 协议ID
+   */
+  updateProtocolPlaceholder(protocol) {
+    const protocolInfo = AI_PROTOCOLS[protocol] || AI_PROTOCOLS.openai;
+    const urlEl = document.getElementById('ai-config-url');
+    const apikeyEl = document.getElementById('ai-config-apikey');
+
+    if (urlEl) urlEl.placeholder = protocolInfo.defaultUrl;
+    if (apikeyEl) apikeyEl.placeholder = protocolInfo.requiresApiKey ? 'sk-...' : '本地模型可留空';
   }
 
   /**
@@ -1111,6 +1616,7 @@ class EventHandlers {
     const prompt1El = document.getElementById('ai-config-prompt1');
     const prompt2El = document.getElementById('ai-config-prompt2');
     const openrouterEl = document.getElementById('ai-config-is-openrouter');
+    const protocolEl = document.getElementById('ai-config-protocol');
     const saveNewBtn = document.getElementById('ai-save-new-btn');
     const updateBtn = document.getElementById('ai-update-btn');
     const modelSelectWrapper = document.getElementById('model-select-wrapper');
@@ -1123,6 +1629,8 @@ class EventHandlers {
     if (prompt1El) prompt1El.value = cfg.prompt1 || '';
     if (prompt2El) prompt2El.value = cfg.prompt2 || '';
     if (openrouterEl) openrouterEl.checked = cfg.isOpenRouter || false;
+    if (protocolEl) protocolEl.value = config.getAIProtocol(cfg);
+    this.updateProtocolPlaceholder(config.getAIProtocol(cfg));
 
     // 显示API Key获取链接
     const apiKeyHelpLink = document.getElementById('api-key-help-link');
@@ -1145,7 +1653,8 @@ class EventHandlers {
     if (deleteBtn) {
       if (id === 'openrouter' || id === 'openai' || id === 'siliconflow' || 
           id === 'deepseek' || id === 'moonshot' || id === 'zhipu' || 
-          id === 'yi' || id === 'dashscope' || id === 'gemini') {
+          id === 'yi' || id === 'dashscope' || id === 'gemini' ||
+          id === 'anthropic' || id === 'ollama') {
         deleteBtn.style.display = 'none';
       } else {
         deleteBtn.style.display = '';
@@ -1181,7 +1690,8 @@ class EventHandlers {
       model: document.getElementById('ai-config-model').value.trim(),
       prompt1: document.getElementById('ai-config-prompt1').value,
       prompt2: document.getElementById('ai-config-prompt2').value,
-      isOpenRouter: document.getElementById('ai-config-is-openrouter').checked
+      isOpenRouter: document.getElementById('ai-config-is-openrouter').checked,
+      protocol: document.getElementById('ai-config-protocol').value
     };
 
     const result = config.addAIConfig(newConfig);
@@ -1209,7 +1719,8 @@ class EventHandlers {
       model: document.getElementById('ai-config-model').value.trim(),
       prompt1: document.getElementById('ai-config-prompt1').value,
       prompt2: document.getElementById('ai-config-prompt2').value,
-      isOpenRouter: document.getElementById('ai-config-is-openrouter').checked
+      isOpenRouter: document.getElementById('ai-config-is-openrouter').checked,
+      protocol: document.getElementById('ai-config-protocol').value
     };
 
     const result = config.updateAIConfig(id, updates);
@@ -1536,7 +2047,8 @@ class EventHandlers {
         videoInfo: document.getElementById('notion-content-video-info').checked,
         summary: document.getElementById('notion-content-summary').checked,
         segments: document.getElementById('notion-content-segments').checked,
-        subtitles: document.getElementById('notion-content-subtitles').checked
+        subtitles: document.getElementById('notion-content-subtitles').checked,
+        commentDigest: document.getElementById('notion-content-comment-digest').checked
       };
 
       if (!apiKey) {
@@ -1662,7 +2174,9 @@ class EventHandlers {
       // 如果点击的是按钮或输入框，不触发拖拽
       if (e.target.closest('button') || 
           e.target.closest('input') || 
+          e.target.closest('select') ||
           e.target.closest('.ai-icon') ||
+          e.target.closest('.download-wrapper') ||
           e.target.closest('.notion-icon') ||
           e.target.closest('.subtitle-close')) {
         return;
@@ -5,6 +5,9 @@
 
 import notesService from '../services/NotesService.js';
 import modalManager from '../utils/ModalManager.js';
+import notification from './Notification.js';
+import { NOTES_CONFIG } from '../constants.js';
+import { formatTime, getVideoElement } from '../utils/helpers.js';
 
 class NotesPanel {
   constructor() {
@@ -14,6 +17,9 @@ class NotesPanel {
       showText: true,      // 显示文字笔记
       showScreenshot: true // 显示截图笔记
     };
+    this.searchQuery = '';
+    this.searchTimeout = null;
+    this.groupBy = 'date'; // 分组方式：date 按日期，video 按视频
   }
 
   /**
@@ -79,10 +85,9 @@ class NotesPanel {
   /**
    * 渲染笔记面板内容
    */
-  renderPanel() {
+  async renderPanel() {
     const panel = this.createPanel();
-    const groupedNotes = this.getFilteredGroupedNotes();
-    const totalNotes = notesService.getAllNotes();
+    const totalNotes = await notesService.getAllNotes();
     const textCount = totalNotes.filter(n => n.type !== 'screenshot' && n.type !== 'ai-summary').length;
     const aiSummaryCount = totalNotes.filter(n => n.type === 'ai-summary').length;
     const screenshotCount = totalNotes.filter(n => n.type === 'screenshot').length;
@@ -103,25 +108,56 @@ class NotesPanel {
             <input type="checkbox" id="filter-screenshot-notes" ${this.filters.showScreenshot ? 'checked' : ''}>
             <span>截图笔记 (${screenshotCount})</span>
           </label>
+          <div class="notes-group-mode">
+            <button class="notes-group-mode-btn ${this.groupBy === 'date' ? 'active' : ''}" data-group-by="date">按日期</button>
+            <button class="notes-group-mode-btn ${this.groupBy === 'video' ? 'active' : ''}" data-group-by="video">按视频</button>
+          </div>
+        </div>
+        <div class="notes-search">
+          <input type="text" class="notes-search-input" id="notes-search-input" placeholder="搜索笔记和AI总结，多个关键词用空格分隔">
         </div>
         <div class="notes-panel-body">
-          ${groupedNotes.length === 0 ? this.renderEmptyState() : groupedNotes.map(group => this.renderGroup(group)).join('')}
+          ${this.renderBodyContent(totalNotes)}
         </div>
       </div>
     `;
 
     panel.innerHTML = html;
+    // 通过属性赋值而不是拼接HTML，避免搜索词中的引号破坏属性
+    panel.querySelector('#notes-search-input').value = this.searchQuery;
     this.bindPanelEvents();
   }
 
+  /**
+   * 只重新渲染笔记列表（搜索时保留输入框焦点）
+   */
+  async renderBody() {
+    const panelBody = this.panel?.querySelector('.notes-panel-body');
+    if (!panelBody) return;
+
+    const allNotes = await notesService.getAllNotes();
+    panelBody.innerHTML = this.renderBodyContent(allNotes);
+  }
+
+  /**
+   * 渲染笔记列表内容
+   * @param {Array} allNotes - 所有笔记
+   * @returns {string}
+   */
+  renderBodyContent(allNotes) {
+    const groupedNotes = this.getFilteredGroupedNotes(allNotes);
+    return groupedNotes.length === 0
+      ? this.renderEmptyState(allNotes.length > 0)
+      : groupedNotes.map(group => this.renderGroup(group)).join('');
+  }
+
   /**
    * 获取筛选后的分组笔记
+   * @param {Array} allNotes - 所有笔记
    */
-  getFilteredGroupedNotes() {
-    const allNotes = notesService.getAllNotes();
-    
+  getFilteredGroupedNotes(allNotes) {
     // 应用筛选条件
-    const filteredNotes = allNotes.filter(note => {
+    const typeFilteredNotes = allNotes.filter(note => {
       if (note.type === 'screenshot') {
         return this.filters.showScreenshot;
       } else if (note.type === 'ai-summary') {
@@ -132,9 +168,22 @@ class NotesPanel {
       }
     });
 
-    // 按日期分组
+    // 应用搜索关键词
+    const filteredNotes = notesService.filterNotesByQuery(typeFilteredNotes, this.searchQuery);
+
+    return this.groupBy === 'video'
+      ? this.groupNotesByVideo(filteredNotes)
+      : this.groupNotesByDate(filteredNotes);
+  }
+
+  /**
+   * 按日期分组笔记
+   * @param {Array} notes - 笔记数组
+   * @returns {Array<{key: string, label: string, notes: Array}>}
+   */
+  groupNotesByDate(notes) {
     const groups = {};
-    filteredNotes.forEach(note => {
+    notes.forEach(note => {
       // 使用创建时间分组（兼容新旧数据）
       const groupTimestamp = note.createdAt || note.timestamp;
       const date = notesService.formatDate(groupTimestamp);
@@ -153,7 +202,8 @@ class NotesPanel {
         return dateB - dateA;
       })
       .map(date => ({
-        date,
+        key: date,
+        label: date,
         notes: groups[date].sort((a, b) => {
           // 在每个分组内，AI总结类型的笔记排在最前面
           if (a.type === 'ai-summary' && b.type !== 'ai-summary') return -1;
@@ -166,13 +216,61 @@ class NotesPanel {
       }));
   }
 
+  /**
+   * 按视频分组笔记（与视频无关的笔记归入最后的"其他笔记"）
+   * @param {Array} notes - 笔记数组（按创建时间从新到旧）
+   * @returns {Array<{key: string, label: string, notes: Array}>}
+   */
+  groupNotesByVideo(notes) {
+    const groups = new Map();
+    const otherNotes = [];
+
+    notes.forEach(note => {
+      const key = notesService.getNoteVideoKey(note);
+      if (!key) {
+        otherNotes.push(note);
+        return;
+      }
+      if (!groups.has(key)) {
+        groups.set(key, { key, label: '', notes: [] });
+      }
+      const group = groups.get(key);
+      group.label = group.label || note.videoInfo?.title || note.videoTitle || note.videoInfo?.bvid || note.videoBvid || '';
+      group.notes.push(note);
+    });
+
+    // 视频按最近一条笔记排序（Map保持插入顺序），组内AI总结在前，其余按播放位置排序
+    const result = [...groups.values()].map(group => ({
+      ...group,
+      label: group.label || '未知视频',
+      notes: group.notes.sort((a, b) => {
+        if (a.type === 'ai-summary' && b.type !== 'ai-summary') return -1;
+        if (a.type !== 'ai-summary' && b.type === 'ai-summary') return 1;
+        return (a.videoTime ?? Infinity) - (b.videoTime ?? Infinity);
+      })
+    }));
+
+    if (otherNotes.length > 0) {
+      result.push({ key: 'other', label: '其他笔记', notes: otherNotes });
+    }
+    return result;
+  }
+
   /**
    * 渲染空状态
+   * @param {boolean} hasAnyNotes - 是否存在任何笔记
    */
-  renderEmptyState() {
-    const hasAnyNotes = notesService.getAllNotes().length > 0;
-    
-    if (hasAnyNotes) {
+  renderEmptyState(hasAnyNotes) {
+    if (hasAnyNotes && this.searchQuery.trim()) {
+      // 有笔记但没有匹配搜索词
+      return `
+        <div class="notes-empty-state">
+          <div class="notes-empty-icon">🔍</div>
+          <div>没有找到包含“${this.escapeHtml(this.searchQuery.trim())}”的笔记</div>
+          <div class="notes-empty-hint">请尝试其他关键词</div>
+        </div>
+      `;
+    } else if (hasAnyNotes) {
       // 有笔记但被筛选隐藏了
       return `
         <div class="notes-empty-state">
@@ -209,20 +307,20 @@ class NotesPanel {
 
   /**
    * 渲染笔记分组
-   * @param {Object} group - 分组对象 {date, notes}
+   * @param {Object} group - 分组对象 {key, label, notes}
    */
   renderGroup(group) {
     return `
       <div class="note-group">
         <div class="note-group-header">
           <div class="note-group-title">
-            ${group.date} (${group.notes.length}条)
+            ${this.escapeHtml(group.label)} (${group.notes.length}条)
           </div>
           <div class="note-group-actions">
-            <button class="note-group-copy-btn" data-date="${group.date}">
+            <button class="note-group-copy-btn" data-group-key="${this.escapeHtml(group.key)}">
               批量复制
             </button>
-            <button class="note-group-delete-btn" data-date="${group.date}">
+            <button class="note-group-delete-btn" data-group-key="${this.escapeHtml(group.key)}">
               批量删除
             </button>
           </div>
@@ -274,17 +372,23 @@ class NotesPanel {
     } else {
       // 普通笔记显示创建时间
       timeDisplay = notesService.formatTime(note.timestamp);
-      if (note.videoTitle) {
-        videoDisplay = ` · ${this.escapeHtml(note.videoTitle)}`;
+      const videoTitle = note.videoTitle || note.videoInfo?.title;
+      if (videoTitle) {
+        videoDisplay = ` · ${this.escapeHtml(videoTitle)}`;
       }
     }
 
+    // 记录了播放位置的笔记显示跳转按钮
+    const videoTimeChip = typeof note.videoTime === 'number' && notesService.getNoteVideoLink(note)
+      ? `<button class="note-video-time-chip" data-note-id="${note.id}" title="跳转到视频的这个时刻">▶ ${formatTime(note.videoTime)}</button>`
+      : '';
+
     return `
       <div class="note-item ${note.type === 'screenshot' ? 'note-item-screenshot' : ''}" data-note-id="${note.id}">
         ${contentHtml}
         <div class="note-footer">
           <div class="note-time">
-            ${note.type === 'screenshot' ? '📸 ' : ''}${timeDisplay}${videoDisplay}
+            ${videoTimeChip}${note.type === 'screenshot' ? '📸 ' : ''}${timeDisplay}${videoDisplay}
           </div>
           <div class="note-actions">
             <button class="note-copy-btn" data-note-id="${note.id}">复制</button>
@@ -433,16 +537,47 @@ class NotesPanel {
       });
     }
 
+    // 分组方式切换
+    this.panel.querySelectorAll('.notes-group-mode-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.groupBy = btn.dataset.groupBy;
+        this.renderPanel();
+      });
+    });
+
+    // 搜索框（防抖后只刷新列表）
+    const searchInput = this.panel.querySelector('#notes-search-input');
+    if (searchInput) {
+      searchInput.addEventListener('input', (e) => {
+        clearTimeout(this.searchTimeout);
+        this.searchTimeout = setTimeout(() => {
+          this.searchQuery = e.target.value;
+          this.renderBody();
+        }, NOTES_CONFIG.SEARCH_DEBOUNCE);
+      });
+    }
+
     // 使用事件委托处理所有按钮点击（性能优化：从N个监听器减少到1个）
     const panelBody = this.panel.querySelector('.notes-panel-body');
     if (!panelBody) return;
 
     panelBody.addEventListener('click', async (e) => {
+      // 处理视频时间跳转
+      const videoTimeChip = e.target.closest('.note-video-time-chip');
+      if (videoTimeChip) {
+        const noteId = videoTimeChip.getAttribute('data-note-id');
+        const note = (await notesService.getAllNotes()).find(n => n.id === noteId);
+        if (note) {
+          this.jumpToNote(note);
+        }
+        return;
+      }
+
       // 处理单条笔记复制
       const noteCopyBtn = e.target.closest('.note-copy-btn');
       if (noteCopyBtn) {
         const noteId = noteCopyBtn.getAttribute('data-note-id');
-        const note = notesService.getAllNotes().find(n => n.id === noteId);
+        const note = (await notesService.getAllNotes()).find(n => n.id === noteId);
         if (note) {
           await this.copyToClipboard(note.content);
           const originalText = noteCopyBtn.textContent;
@@ -458,7 +593,7 @@ class NotesPanel {
       const noteDeleteBtn = e.target.closest('.note-delete-btn');
       if (noteDeleteBtn) {
         const noteId = noteDeleteBtn.getAttribute('data-note-id');
-        notesService.deleteNote(noteId);
+        await notesService.deleteNote(noteId);
         this.renderPanel();
         return;
       }
@@ -466,9 +601,9 @@ class NotesPanel {
       // 处理批量复制
       const groupCopyBtn = e.target.closest('.note-group-copy-btn');
       if (groupCopyBtn) {
-        const date = groupCopyBtn.getAttribute('data-date');
-        const groupedNotes = notesService.getGroupedNotes();
-        const group = groupedNotes.find(g => g.date === date);
+        const groupKey = groupCopyBtn.getAttribute('data-group-key');
+        const groupedNotes = this.getFilteredGroupedNotes(await notesService.getAllNotes());
+        const group = groupedNotes.find(g => g.key === groupKey);
         
         if (group) {
           const contents = group.notes.map(note => note.content).join('\n\n');
@@ -485,13 +620,13 @@ class NotesPanel {
       // 处理批量删除
       const groupDeleteBtn = e.target.closest('.note-group-delete-btn');
       if (groupDeleteBtn) {
-        const date = groupDeleteBtn.getAttribute('data-date');
-        const groupedNotes = notesService.getGroupedNotes();
-        const group = groupedNotes.find(g => g.date === date);
+        const groupKey = groupDeleteBtn.getAttribute('data-group-key');
+        const groupedNotes = this.getFilteredGroupedNotes(await notesService.getAllNotes());
+        const group = groupedNotes.find(g => g.key === groupKey);
         
-        if (group && confirm(`确定要删除 ${date} 的 ${group.notes.length} 条笔记吗？`)) {
+        if (group && confirm(`确定要删除「${group.label}」的 ${group.notes.length} 条笔记吗？`)) {
           const noteIds = group.notes.map(note => note.id);
-          notesService.deleteNotes(noteIds);
+          await notesService.deleteNotes(noteIds);
           this.renderPanel();
         }
         return;
@@ -499,6 +634,29 @@ class NotesPanel {
     });
   }
 
+  /**
+   * 跳转到笔记记录时的视频位置：当前正在播放该视频时直接跳转，否则在新标签页打开
+   * @param {Object} note - 笔记对象
+   */
+  jumpToNote(note) {
+    const timeText = formatTime(note.videoTime);
+
+    if (notesService.isNoteOnCurrentVideo(note)) {
+      const video = getVideoElement();
+      if (video) {
+        video.currentTime = note.videoTime;
+        notification.info(`跳转到 ${timeText}`);
+        this.hidePanel();
+        return;
+      }
+    }
+
+    const link = notesService.getNoteVideoLink(note);
+    if (link) {
+      window.open(link, '_blank');
+    }
+  }
+
   /**
    * 在字幕项中添加保存按钮
    * @param {HTMLElement} subtitleItem - 字幕项元素
@@ -0,0 +1,249 @@
+/**
+ * Notion待发送队列模态框模块
+ * 查看发送失败的内容，支持立即重试、编辑和丢弃
+ */
+
+import notionOutbox, { OUTBOX_ITEM_TYPES } from '../services/NotionOutboxService.js';
+import uiRenderer from './UIRenderer.js';
+import notification from './Notification.js';
+import modalManager from '../utils/ModalManager.js';
+
+class NotionOutboxModal {
+  constructor() {
+    this.modal = null;
+    this.editingId = null;
+  }
+
+  /**
+   * 创建模态框
+   */
+  createModal() {
+    if (this.modal) {
+      return this.modal;
+    }
+
+    this.modal = document.createElement('div');
+    this.modal.id = 'notion-outbox-modal';
+    this.modal.className = 'config-modal';
+    document.body.appendChild(this.modal);
+    this.bindEvents();
+    return this.modal;
+  }
+
+  /**
+   * 显示模态框
+   */
+  show() {
+    const modal = this.createModal();
+    this.editingId = null;
+    this.renderModal();
+    modal.classList.add('show');
+
+    // 注册到模态框管理器（统一处理ESC键）
+    modalManager.push(this);
+  }
+
+  /**
+   * 隐藏模态框
+   */
+  hide() {
+    if (this.modal) {
+      this.modal.classList.remove('show');
+    }
+
+    // 从模态框管理器移除
+    modalManager.pop(this);
+  }
+
+  /**
+   * 渲染模态框内容
+   */
+  renderModal() {
+    const items = notionOutbox.getItems();
+
+    this.modal.innerHTML = `
+      <div class="config-modal-content">
+        <div class="config-modal-header">
+          <span>Notion 待发送队列（${items.length}）</span>
+        </div>
+        <div class="config-modal-body">
+          <div class="config-help" style="margin-bottom: 15px;">
+            发送失败的内容会保存在这里，之后打开页面时按间隔自动重试（限流时遵循 Retry-After）
+          </div>
+          ${items.length === 0
+            ? '<div class="outbox-empty">队列为空，所有内容都已发送</div>'
+            : items.map(item => this.renderItem(item)).join('')}
+        </div>
+        <div class="config-footer">
+          ${items.length > 0 ? '<button class="config-btn config-btn-primary" id="outbox-retry-all-btn">全部重试</button>' : ''}
+          <button class="config-btn config-btn-secondary" id="outbox-close-btn">关闭</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染单个队列条目
+   * @param {Object} item - 队列条目
+   * @returns {string}
+   */
+  renderItem(item) {
+    const nextRetry = new Date(item.nextRetryAt).toLocaleString();
+
+    return `
+      <div class="outbox-item" data-id="${item.id}">
+        <div class="outbox-item-header">
+          <span class="outbox-item-type">${OUTBOX_ITEM_TYPES[item.type] || item.type}</span>
+          <span class="outbox-item-title">${uiRenderer.escapeHtml(notionOutbox.describe(item))}</span>
+        </div>
+        <div class="outbox-item-reason">❌ ${uiRenderer.escapeHtml(item.reason)}</div>
+        <div class="outbox-item-meta">已重试 ${item.attempts} 次 · 下次重试 ${nextRetry}</div>
+        ${this.editingId === item.id ? this.renderEditForm(item) : `
+          <div class="outbox-item-actions">
+            <button class="ai-config-btn-small config-btn-primary" data-action="retry">重试</button>
+            <button class="ai-config-btn-small config-btn-secondary" data-action="edit">编辑</button>
+            <button class="ai-config-btn-small config-btn-secondary" data-action="discard">丢弃</button>
+          </div>
+        `}
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染编辑表单（总结可改标题和总结内容，笔记可改内容）
+   * @param {Object} item - 队列条目
+   * @returns {string}
+   */
+  renderEditForm(item) {
+    const fields = item.type === 'summary'
+      ? `
+        <input type="text" class="outbox-edit-title" value="${uiRenderer.escapeHtml(item.payload.videoInfo?.title || '')}" placeholder="视频标题">
+        <textarea class="outbox-edit-content" placeholder="AI总结（Markdown）">${uiRenderer.escapeHtml(item.payload.aiSummary?.markdown || '')}</textarea>
+      `
+      : `<textarea class="outbox-edit-content" placeholder="笔记内容">${uiRenderer.escapeHtml(item.payload.content || '')}</textarea>`;
+
+    return `
+      <div class="outbox-edit-form">
+        ${fields}
+        <div class="outbox-item-actions">
+          <button class="ai-config-btn-small config-btn-primary" data-action="save">保存</button>
+          <button class="ai-config-btn-small config-btn-secondary" data-action="cancel-edit">取消</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * 绑定事件（使用事件委托，模态框重新渲染后仍然有效）
+   */
+  bindEvents() {
+    this.modal.addEventListener('click', async (e) => {
+      // 点击背景关闭
+      if (e.target === this.modal || e.target.closest('#outbox-close-btn')) {
+        this.hide();
+        return;
+      }
+
+      if (e.target.closest('#outbox-retry-all-btn')) {
+        await this.retryAll();
+        return;
+      }
+
+      const button = e.target.closest('[data-action]');
+      const itemEl = e.target.closest('.outbox-item');
+      if (!button || !itemEl) return;
+
+      const id = itemEl.dataset.id;
+      switch (button.dataset.action) {
+        case 'retry':
+          await this.retryItem(id, button);
+          break;
+        case 'edit':
+          this.editingId = id;
+          this.renderModal();
+          break;
+        case 'cancel-edit':
+          this.editingId = null;
+          this.renderModal();
+          break;
+        case 'save':
+          this.saveEdit(id, itemEl);
+          break;
+        case 'discard':
+          if (notification.confirm('确定要丢弃这条内容吗？丢弃后不会再发送到Notion。')) {
+            notionOutbox.remove(id);
+            this.renderModal();
+          }
+          break;
+      }
+    });
+  }
+
+  /**
+   * 立即重试单个条目
+   * @param {string} id - 条目ID
+   * @param {HTMLElement} button - 触发的按钮
+   */
+  async retryItem(id, button) {
+    button.disabled = true;
+    button.textContent = '发送中...';
+    try {
+      const success = await notionOutbox.retry(id);
+      if (success) {
+        notification.success('已发送到Notion');
+      } else {
+        notification.error('发送失败，请查看失败原因');
+      }
+    } catch (error) {
+      notification.handleError(error, 'Notion重试');
+    }
+    this.renderModal();
+  }
+
+  /**
+   * 重试所有条目
+   */
+  async retryAll() {
+    const items = notionOutbox.getItems();
+    let sent = 0;
+    for (const item of items) {
+      if (await notionOutbox.retry(item.id)) {
+        sent++;
+      }
+    }
+    notification.info(`重试完成：成功 ${sent} 条，失败 ${items.length - sent} 条`);
+    this.renderModal();
+  }
+
+  /**
+   * 保存编辑后的内容
+   * @param {string} id - 条目ID
+   * @param {HTMLElement} itemEl - 条目元素
+   */
+  saveEdit(id, itemEl) {
+    const item = notionOutbox.getItems().find(entry => entry.id === id);
+    if (!item) return;
+
+    const content = itemEl.querySelector('.outbox-edit-content').value;
+    let payload;
+    if (item.type === 'summary') {
+      const title = itemEl.querySelector('.outbox-edit-title').value.trim();
+      payload = {
+        ...item.payload,
+        videoInfo: { ...item.payload.videoInfo, title },
+        aiSummary: item.payload.aiSummary ? { ...item.payload.aiSummary, markdown: content } : item.payload.aiSummary
+      };
+    } else {
+      payload = { ...item.payload, content };
+    }
+
+    notionOutbox.updatePayload(id, payload);
+    this.editingId = null;
+    this.renderModal();
+    notification.success('已保存修改');
+  }
+}
+
+// 创建全局单例
+export const notionOutboxModal = new NotionOutboxModal();
+export default notionOutboxModal;
@@ -0,0 +1,546 @@
+/**
+ * 片段播放器覆盖层模块
+ * 跳过引擎在播放器内显示的界面：跳过提示（可撤销、投票）、手动跳过提示、
+ * 片段详情弹窗、精彩时刻跳转提示和整片标签。B站和YouTube共用
+ */
+
+import segmentVoteService, { VOTE_TYPES } from '../services/SegmentVoteService.js';
+import aiAdCandidateService from '../services/AIAdCandidateService.js';
+import aiAdReviewPanel from './AIAdReviewPanel.js';
+import notification from './Notification.js';
+import modalManager from '../utils/ModalManager.js';
+import { formatTime } from '../utils/helpers.js';
+import { SPONSORBLOCK, SEGMENT_SUBMISSION, SKIP_ENGINE } from '../constants.js';
+
+/**
+ * 是否正在输入框中输入（此时不响应提示框的快捷键）
+ * @param {KeyboardEvent} e
+ * @returns {boolean}
+ */
+function isTyping(e) {
+  const target = e.target;
+  return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+}
+
+/**
+ * 阻止覆盖层上的点击穿透到播放器（否则会触发暂停/播放）
+ * @param {HTMLElement} element
+ */
+function stopPlayerEvents(element) {
+  element.addEventListener('click', (e) => e.stopPropagation());
+  element.addEventListener('mousedown', (e) => e.stopPropagation());
+}
+
+class SegmentOverlay {
+  constructor() {
+    this.engine = null;
+    this.currentPrompt = null;
+    this.highlightPrompt = null;
+    this.fullVideoLabel = null;
+    // 片段详情弹窗注册到模态框管理器时使用的对象（统一处理ESC键）
+    this.detailsModal = { hide: () => this.closeSegmentDetails() };
+  }
+
+  /**
+   * 绑定跳过引擎（提供平台适配器、片段类别信息和界面刷新）
+   * @param {UniversalAdSkipService} engine
+   */
+  attach(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * 解除绑定并清理所有界面
+   */
+  detach() {
+    this.closePrompt();
+    this.closeSegmentDetails();
+    this.closeHighlightPrompt();
+    this.removeFullVideoLabel();
+    this.engine = null;
+  }
+
+  /**
+   * 获取放置覆盖层的播放器容器
+   * @returns {HTMLElement}
+   */
+  getContainer() {
+    return this.engine?.adapter?.getPlayerContainer() || document.body;
+  }
+
+  /**
+   * 显示跳过/静音后的提示（可撤销、投票）
+   * @param {Object} segment - 片段
+   * @param {Object} options
+   * @param {boolean} options.muted - 是否是静音而不是跳过
+   * @param {Function} options.onUndo - 点击撤销时调用
+   */
+  showSkipToast(segment, { muted = false, onUndo = null } = {}) {
+    const categoryInfo = this.engine.getCategoryInfo(segment);
+
+    const toast = document.createElement('div');
+    toast.className = aiAdCandidateService.isCandidate(segment) ? 'skip-toast skip-toast-ai' : 'skip-toast';
+    toast.innerHTML = `
+      <span>已${muted ? '静音' : '跳过'} ${categoryInfo.name}</span>
+      ${onUndo ? '<button class="segment-vote-btn" data-action="undo" title="回到片段开头并不再跳过">撤销</button>' : ''}
+      ${this.renderVoteButtons(segment, { showCategory: true })}
+    `;
+    stopPlayerEvents(toast);
+    this.bindVoteButtons(toast, segment);
+
+    const undoBtn = toast.querySelector('[data-action="undo"]');
+    if (undoBtn) {
+      undoBtn.onclick = () => {
+        onUndo();
+        toast.remove();
+      };
+    }
+
+    this.getContainer().appendChild(toast);
+
+    setTimeout(() => {
+      toast.classList.add('hiding');
+      setTimeout(() => {
+        toast.remove();
+      }, 300);
+    }, SKIP_ENGINE.TOAST_DURATION);
+  }
+
+  /**
+   * 显示手动跳过提示
+   * @param {Object} segment - 片段
+   * @param {Object} handlers
+   * @param {Function} handlers.onSkip - 点击跳过（或按Enter）时调用
+   * @param {Function} handlers.onIgnore - 点击不跳过时调用
+   * @param {string} handlers.actionText - 跳过按钮的动作名称（跳过/静音）
+   */
+  showSkipPrompt(segment, { onSkip, onIgnore, actionText = '跳过' }) {
+    // 如果已有提示，先清理
+    this.closePrompt();
+
+    const categoryInfo = this.engine.getCategoryInfo(segment);
+    const [start, end] = segment.segment;
+    const duration = end - start;
+
+    const prompt = document.createElement('div');
+    prompt.className = aiAdCandidateService.isCandidate(segment) ? 'skip-prompt skip-prompt-ai' : 'skip-prompt';
+    prompt.innerHTML = `
+      <div class="skip-prompt-header">
+        <div class="skip-prompt-icon">
+          <svg viewBox="0 0 24 24" fill="${categoryInfo.color}">
+            <path d="M8 5v14l11-7z"/>
+          </svg>
+        </div>
+        <div class="skip-prompt-message">
+          ${actionText}${categoryInfo.name}？<br>
+          <small style="color: #999; font-size: 11px;">${formatTime(start)} - ${formatTime(end)}</small>
+        </div>
+        <button class="skip-prompt-close" title="关闭">×</button>
+      </div>
+      <div class="skip-prompt-buttons">
+        <button class="skip-prompt-btn skip-prompt-btn-secondary" data-action="ignore">
+          不${actionText}
+        </button>
+        <button class="skip-prompt-btn skip-prompt-btn-primary" data-action="skip">
+          ${actionText} (${duration.toFixed(0)}秒)
+        </button>
+      </div>
+      <div class="skip-prompt-vote">
+        ${this.renderVoteButtons(segment, { showCategory: true })}
+      </div>
+    `;
+    stopPlayerEvents(prompt);
+
+    this.getContainer().appendChild(prompt);
+    this.currentPrompt = prompt;
+
+    const handleSkip = () => {
+      onSkip();
+      this.closePrompt();
+    };
+
+    const handleIgnore = () => {
+      onIgnore();
+      this.closePrompt();
+    };
+
+    prompt.querySelector('[data-action="skip"]').onclick = handleSkip;
+    prompt.querySelector('[data-action="ignore"]').onclick = handleIgnore;
+    prompt.querySelector('.skip-prompt-close').onclick = () => this.closePrompt();
+    this.bindVoteButtons(prompt, segment);
+
+    // 键盘快捷键
+    const keyHandler = (e) => {
+      if (isTyping(e)) return;
+      if (e.key === 'Enter') {
+        handleSkip();
+      } else if (e.key === 'Escape') {
+        this.closePrompt();
+      }
+    };
+    document.addEventListener('keydown', keyHandler);
+
+    // 片段结束后自动关闭提示
+    const endCheckInterval = setInterval(() => {
+      if (this.engine && this.engine.adapter.getCurrentTime() >= end) {
+        this.closePrompt();
+      }
+    }, 500);
+
+    // 自动淡出关闭
+    const autoCloseTimer = setTimeout(() => {
+      if (this.currentPrompt === prompt) {
+        this.closePrompt();
+      }
+    }, SKIP_ENGINE.PROMPT_DURATION);
+
+    // 保存清理函数
+    prompt._cleanup = () => {
+      clearInterval(endCheckInterval);
+      clearTimeout(autoCloseTimer);
+      document.removeEventListener('keydown', keyHandler);
+    };
+  }
+
+  /**
+   * 关闭手动跳过提示
+   */
+  closePrompt() {
+    const prompt = this.currentPrompt;
+    if (!prompt) return;
+
+    prompt._cleanup?.();
+    this.currentPrompt = null;
+    prompt.classList.add('hiding');
+    setTimeout(() => prompt.remove(), 300);
+  }
+
+  /**
+   * 显示精彩时刻跳转提示
+   * @param {Object} segment - 精彩时刻片段
+   * @param {Function} onJump - 点击跳转时调用
+   */
+  showHighlightPrompt(segment, onJump) {
+    this.closeHighlightPrompt();
+
+    const categoryInfo = this.engine.getCategoryInfo(segment);
+    const prompt = document.createElement('div');
+    prompt.className = 'skip-prompt skip-prompt-highlight';
+    prompt.innerHTML = `
+      <div class="skip-prompt-header">
+        <div class="skip-prompt-icon">
+          <svg viewBox="0 0 24 24" fill="${categoryInfo.color}">
+            <path d="M12 2l3 7h7l-5.5 4.5 2 7.5-6.5-4.5-6.5 4.5 2-7.5L2 9h7z"/>
+          </svg>
+        </div>
+        <div class="skip-prompt-message">
+          跳到${categoryInfo.name}？<br>
+          <small style="color: #999; font-size: 11px;">${formatTime(segment.segment[0])}</small>
+        </div>
+        <button class="skip-prompt-close" title="关闭">×</button>
+      </div>
+      <div class="skip-prompt-buttons">
+        <button class="skip-prompt-btn skip-prompt-btn-primary" data-action="jump">跳转</button>
+      </div>
+    `;
+    stopPlayerEvents(prompt);
+
+    prompt.querySelector('[data-action="jump"]').onclick = () => {
+      onJump();
+      this.closeHighlightPrompt();
+    };
+    prompt.querySelector('.skip-prompt-close').onclick = () => this.closeHighlightPrompt();
+
+    this.getContainer().appendChild(prompt);
+    this.highlightPrompt = prompt;
+
+    // 自动淡出关闭（比跳过提示多留一会）
+    prompt._timer = setTimeout(() => {
+      if (this.highlightPrompt === prompt) {
+        this.closeHighlightPrompt();
+      }
+    }, SKIP_ENGINE.PROMPT_DURATION * 2);
+  }
+
+  /**
+   * 关闭精彩时刻跳转提示
+   */
+  closeHighlightPrompt() {
+    const prompt = this.highlightPrompt;
+    if (!prompt) return;
+
+    clearTimeout(prompt._timer);
+    this.highlightPrompt = null;
+    prompt.classList.add('hiding');
+    setTimeout(() => prompt.remove(), 300);
+  }
+
+  /**
+   * 显示整片标签（整个视频都属于某个类别，如品牌合作）
+   * @param {Array<Object>} segments - 整片标签片段
+   */
+  showFullVideoLabel(segments) {
+    this.removeFullVideoLabel();
+    if (segments.length === 0) return;
+
+    const label = document.createElement('div');
+    label.className = 'segment-full-video-label';
+    label.innerHTML = segments.map(segment => {
+      const categoryInfo = this.engine.getCategoryInfo(segment);
+      return `<span class="segment-full-video-tag" data-uuid="${segment.UUID}" style="background: ${categoryInfo.color};" title="整个视频都是${categoryInfo.name}，点击查看详情">${categoryInfo.name}</span>`;
+    }).join('');
+    stopPlayerEvents(label);
+
+    label.addEventListener('click', (e) => {
+      const tag = e.target.closest('[data-uuid]');
+      const segment = tag && segments.find(item => item.UUID === tag.dataset.uuid);
+      if (segment) {
+        this.showSegmentDetails(segment);
+      }
+    });
+
+    this.getContainer().appendChild(label);
+    this.fullVideoLabel = label;
+  }
+
+  /**
+   * 移除整片标签
+   */
+  removeFullVideoLabel() {
+    this.fullVideoLabel?.remove();
+    this.fullVideoLabel = null;
+  }
+
+  /**
+   * 显示片段详情（可投票和报告类别错误）
+   * @param {Object} segment - 片段
+   */
+  showSegmentDetails(segment) {
+    // 移除已有弹窗
+    this.closeSegmentDetails();
+
+    const categoryInfo = this.engine.getCategoryInfo(segment);
+    const [start, end] = segment.segment;
+    const isFullVideo = segment.actionType === 'full';
+    const isHighlight = segment.actionType === 'poi';
+    const currentCategory = segmentVoteService.getEffectiveCategory(segment);
+    const categoryOptions = SEGMENT_SUBMISSION.CATEGORIES
+      .filter(category => category !== currentCategory)
+      .map(category => `<option value="${category}">${SPONSORBLOCK.CATEGORIES[category]?.name || category}</option>`)
+      .join('');
+
+    // 创建遮罩层
+    const overlay = document.createElement('div');
+    overlay.className = 'segment-details-overlay';
+    overlay.onclick = () => this.closeSegmentDetails();
+
+    // 创建弹窗
+    const popup = document.createElement('div');
+    popup.className = 'segment-details-popup';
+    popup.onclick = (e) => e.stopPropagation();
+
+    const timeRows = isFullVideo ? `
+        <div class="segment-details-row">
+          <span class="segment-details-label">范围</span>
+          <span class="segment-details-value">整个视频</span>
+        </div>
+      ` : `
+        <div class="segment-details-row">
+          <span class="segment-details-label">${isHighlight ? '时间点' : '开始时间'}</span>
+          <span class="segment-details-value">${formatTime(start)}</span>
+        </div>
+        ${isHighlight ? '' : `
+          <div class="segment-details-row">
+            <span class="segment-details-label">结束时间</span>
+            <span class="segment-details-value">${formatTime(end)}</span>
+          </div>
+          <div class="segment-details-row">
+            <span class="segment-details-label">时长</span>
+            <span class="segment-details-value">${(end - start).toFixed(1)} 秒</span>
+          </div>
+        `}
+      `;
+
+    popup.innerHTML = `
+      <div class="segment-details-header">
+        <div class="segment-details-title">
+          <div style="width: 16px; height: 16px; background: ${categoryInfo.color}; border-radius: 3px;"></div>
+          <span>${categoryInfo.name}</span>
+        </div>
+        <button class="segment-details-close">×</button>
+      </div>
+      <div class="segment-details-content">
+        ${timeRows}
+        <div class="segment-details-row">
+          <span class="segment-details-label">投票数</span>
+          <span class="segment-details-value">${segment.votes}</span>
+        </div>
+        <div class="segment-details-row">
+          <span class="segment-details-label">UUID</span>
+          <span class="segment-details-value" style="font-size: 11px; font-family: monospace;">${segment.UUID.substring(0, 20)}...</span>
+        </div>
+        <div class="segment-details-row">
+          <span class="segment-details-label">投票</span>
+          ${this.renderVoteButtons(segment)}
+        </div>
+        ${segmentVoteService.getVote(segment.UUID) ? '' : `
+          <div class="segment-details-row">
+            <span class="segment-details-label">类别有误</span>
+            <span class="segment-vote-category">
+              <select class="segment-vote-category-select">${categoryOptions}</select>
+              <button class="segment-vote-btn" data-vote="category">改类别</button>
+            </span>
+          </div>
+        `}
+      </div>
+      <div class="segment-details-actions">
+        <button class="segment-details-btn segment-details-btn-secondary" data-action="close">
+          关闭
+        </button>
+        ${isFullVideo ? '' : `
+          <button class="segment-details-btn segment-details-btn-primary" data-action="jump">
+            跳转到此片段
+          </button>
+        `}
+      </div>
+    `;
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(popup);
+
+    // 绑定事件
+    popup.querySelector('.segment-details-close').onclick = () => this.closeSegmentDetails();
+    popup.querySelector('[data-action="close"]').onclick = () => this.closeSegmentDetails();
+    const jumpBtn = popup.querySelector('[data-action="jump"]');
+    if (jumpBtn) {
+      jumpBtn.onclick = () => {
+        this.engine?.adapter.seekTo(start);
+        this.closeSegmentDetails();
+      };
+    }
+    this.bindVoteButtons(popup, segment);
+
+    // 注册到模态框管理器（统一处理ESC键）
+    modalManager.push(this.detailsModal);
+  }
+
+  /**
+   * 关闭片段详情
+   */
+  closeSegmentDetails() {
+    document.querySelector('.segment-details-popup')?.remove();
+    document.querySelector('.segment-details-overlay')?.remove();
+
+    // 从模态框管理器移除
+    modalManager.pop(this.detailsModal);
+  }
+
+  /**
+   * 渲染投票按钮（已投过票时显示投票结果）
+   * @param {Object} segment - 片段
+   * @param {Object} options
+   * @param {boolean} options.showCategory - 是否显示"改类别"按钮（打开片段详情）
+   * @returns {string}
+   */
+  renderVoteButtons(segment, { showCategory = false } = {}) {
+    // AI候选片段不在社区数据库中，无法投票，改为打开审核面板
+    if (aiAdCandidateService.isCandidate(segment)) {
+      return '<span class="segment-vote-buttons"><button class="segment-vote-btn" data-vote="review" title="调整、提交或忽略">审核</button></span>';
+    }
+    // 原生广告标记不是社区片段，无法投票
+    if (segment.isNative) {
+      return '';
+    }
+
+    const vote = segmentVoteService.getVote(segment.UUID);
+    if (vote) {
+      const text = {
+        [VOTE_TYPES.UP]: '👍 已支持',
+        [VOTE_TYPES.DOWN]: '👎 已反对，不再跳过',
+        [VOTE_TYPES.CATEGORY]: `已投票改为 ${SPONSORBLOCK.CATEGORIES[vote.category]?.name || vote.category}`
+      }[vote.type];
+      return `<span class="segment-vote-status">${text}</span>`;
+    }
+
+    return `
+      <span class="segment-vote-buttons">
+        <button class="segment-vote-btn" data-vote="${VOTE_TYPES.UP}" title="片段正确">👍</button>
+        <button class="segment-vote-btn" data-vote="${VOTE_TYPES.DOWN}" title="片段错误（之后不再跳过）">👎</button>
+        ${showCategory ? '<button class="segment-vote-btn" data-vote="details" title="报告类别错误">改类别</button>' : ''}
+      </span>
+    `;
+  }
+
+  /**
+   * 绑定投票按钮事件
+   * @param {HTMLElement} container - 包含投票按钮的元素
+   * @param {Object} segment - 片段
+   */
+  bindVoteButtons(container, segment) {
+    container.querySelectorAll('[data-vote]').forEach(button => {
+      button.onclick = (e) => {
+        e.stopPropagation();
+        const action = button.dataset.vote;
+        if (action === 'details') {
+          this.closePrompt();
+          this.showSegmentDetails(segment);
+          return;
+        }
+        if (action === 'review') {
+          this.closePrompt();
+          aiAdReviewPanel.show(this.engine, segment.UUID);
+          return;
+        }
+
+        const category = action === VOTE_TYPES.CATEGORY
+          ? container.querySelector('.segment-vote-category-select')?.value
+          : null;
+        this.voteSegment(segment, action, container, category);
+      };
+    });
+  }
+
+  /**
+   * 对片段投票，完成后刷新投票区域和进度条标记
+   * @param {Object} segment - 片段
+   * @param {'up'|'down'|'category'} type - 投票类型
+   * @param {HTMLElement} container - 包含投票按钮的元素
+   * @param {string|null} category - 更改为的类别（类别投票）
+   */
+  async voteSegment(segment, type, container, category = null) {
+    const platform = this.engine?.adapter?.platform;
+    container.querySelectorAll('[data-vote]').forEach(button => {
+      button.disabled = true;
+    });
+
+    try {
+      if (type === VOTE_TYPES.CATEGORY) {
+        await segmentVoteService.changeCategory(segment.UUID, category, platform);
+        notification.success('已提交类别更正，感谢反馈');
+      } else {
+        await segmentVoteService.vote(segment.UUID, type, platform);
+        notification.success(type === VOTE_TYPES.DOWN ? '已反对，这个片段不会再被跳过' : '已支持，感谢反馈');
+      }
+    } catch (error) {
+      notification.handleError(error, '片段投票');
+      container.querySelectorAll('[data-vote]').forEach(button => {
+        button.disabled = false;
+      });
+      return;
+    }
+
+    // 重新渲染投票区域和进度条标记
+    if (container.classList.contains('segment-details-popup')) {
+      this.showSegmentDetails(segment);
+    } else {
+      container.querySelectorAll('.segment-vote-buttons').forEach(el => {
+        el.outerHTML = this.renderVoteButtons(segment);
+      });
+    }
+    this.engine?.refreshDisplay();
+  }
+}
+
+// 创建全局单例
+export const segmentOverlay = new SegmentOverlay();
+export default segmentOverlay;
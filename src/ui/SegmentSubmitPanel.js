@@ -0,0 +1,198 @@
+/**
+ * 片段提交面板模块
+ * 显示在播放器内，用于标记开始/结束、选择类别并提交片段
+ */
+
+import eventBus from '../utils/EventBus.js';
+import modalManager from '../utils/ModalManager.js';
+import notification from './Notification.js';
+import uiRenderer from './UIRenderer.js';
+import { EVENTS, SEGMENT_SUBMISSION } from '../constants.js';
+
+/**
+ * 格式化片段时间（保留一位小数）
+ * @param {number|null} seconds
+ * @returns {string}
+ */
+function formatSegmentTime(seconds) {
+  if (seconds === null) return '--:--';
+  const mins = Math.floor(seconds / 60);
+  const secs = (seconds % 60).toFixed(1).padStart(4, '0');
+  return `${String(mins).padStart(2, '0')}:${secs}`;
+}
+
+class SegmentSubmitPanel {
+  constructor() {
+    this.panel = null;
+    this.service = null;
+    this.statusMessage = '';
+    this.handleChange = () => this.render();
+  }
+
+  /**
+   * 面板是否显示中
+   * @returns {boolean}
+   */
+  isVisible() {
+    return !!this.panel?.isConnected;
+  }
+
+  /**
+   * 显示面板
+   * @param {SegmentSubmissionService} service - 片段提交服务
+   */
+  show(service) {
+    this.service = service;
+    if (this.isVisible()) {
+      this.render();
+      return;
+    }
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'segment-submit-panel';
+    // 放在播放器容器内，全屏时也能看到
+    const container = service.adapter?.getPlayerContainer() || document.body;
+    container.appendChild(this.panel);
+
+    this.statusMessage = '';
+    this.bindEvents();
+    this.render();
+    eventBus.on(EVENTS.SEGMENT_SUBMISSION_CHANGED, this.handleChange);
+
+    // 注册到模态框管理器（统一处理ESC键）
+    modalManager.push(this);
+  }
+
+  /**
+   * 隐藏面板（保留已标记的片段）
+   */
+  hide() {
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+    eventBus.off(EVENTS.SEGMENT_SUBMISSION_CHANGED, this.handleChange);
+
+    // 从模态框管理器移除
+    modalManager.pop(this);
+  }
+
+  /**
+   * 渲染面板内容
+   */
+  render() {
+    if (!this.panel || !this.service) return;
+
+    const pending = this.service.getPending();
+    const error = this.service.validate();
+    const categoryOptions = SEGMENT_SUBMISSION.CATEGORIES.map(category => `
+      <option value="${category}" ${pending.category === category ? 'selected' : ''}>${this.service.getCategoryName(category)}</option>
+    `).join('');
+
+    this.panel.innerHTML = `
+      <div class="segment-submit-header">
+        <span>提交片段</span>
+        <button class="segment-submit-close" data-action="close" title="关闭">×</button>
+      </div>
+      <div class="segment-submit-row">
+        <span class="segment-submit-label">开始</span>
+        <span class="segment-submit-time">${formatSegmentTime(pending.start)}</span>
+        <button class="segment-submit-btn" data-action="mark-start">标记</button>
+      </div>
+      <div class="segment-submit-row">
+        <span class="segment-submit-label">结束</span>
+        <span class="segment-submit-time">${formatSegmentTime(pending.end)}</span>
+        <button class="segment-submit-btn" data-action="mark-end">标记</button>
+      </div>
+      <div class="segment-submit-row">
+        <span class="segment-submit-label">类别</span>
+        <select class="segment-submit-category">${categoryOptions}</select>
+      </div>
+      <div class="segment-submit-status">
+        ${uiRenderer.escapeHtml(this.statusMessage || error || `将提交到 ${this.service.getTargetName()}`)}
+      </div>
+      <div class="segment-submit-actions">
+        <button class="segment-submit-btn" data-action="clear">清除</button>
+        <button class="segment-submit-btn segment-submit-primary" data-action="submit" ${error || this.service.isSubmitting ? 'disabled' : ''}>
+          ${this.service.isSubmitting ? '提交中...' : '提交'}
+        </button>
+      </div>
+    `;
+  }
+
+  /**
+   * 绑定事件（使用事件委托，重新渲染后仍然有效）
+   */
+  bindEvents() {
+    // 阻止点击穿透到播放器（否则会触发暂停/播放）
+    this.panel.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      this.statusMessage = '';
+      switch (button.dataset.action) {
+        case 'close':
+          this.hide();
+          break;
+        case 'mark-start':
+          this.runAction(() => this.service.markStart());
+          break;
+        case 'mark-end':
+          this.runAction(() => this.service.markEnd());
+          break;
+        case 'clear':
+          this.service.clear();
+          break;
+        case 'submit':
+          this.submit();
+          break;
+      }
+    });
+
+    this.panel.addEventListener('change', (e) => {
+      if (e.target.classList.contains('segment-submit-category')) {
+        this.runAction(() => this.service.setCategory(e.target.value));
+      }
+    });
+  }
+
+  /**
+   * 执行操作，失败时在面板中显示原因
+   * @param {Function} action
+   */
+  runAction(action) {
+    try {
+      action();
+    } catch (error) {
+      this.statusMessage = error.message;
+      this.render();
+    }
+  }
+
+  /**
+   * 确认后提交片段
+   */
+  async submit() {
+    const pending = this.service.getPending();
+    const summary = `${formatSegmentTime(pending.start)} - ${formatSegmentTime(pending.end)}（${this.service.getCategoryName(pending.category)}）`;
+    if (!notification.confirm(`确定要将片段 ${summary} 提交到 ${this.service.getTargetName()} 吗？\n提交后其他用户也会跳过这个片段。`)) {
+      return;
+    }
+
+    const submitting = this.service.submit();
+    this.render();
+    try {
+      await submitting;
+      this.statusMessage = '提交成功，感谢贡献！';
+      this.service.adapter?.showNotification('片段提交成功', { type: 'success' });
+    } catch (error) {
+      this.statusMessage = `提交失败：${error.message}`;
+    }
+    this.render();
+  }
+}
+
+// 创建全局单例
+export const segmentSubmitPanel = new SegmentSubmitPanel();
+export default segmentSubmitPanel;
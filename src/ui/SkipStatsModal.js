@@ -0,0 +1,304 @@
+/**
+ * 跳过统计模态框模块
+ * 显示跳过/静音和倍速节省的总时间、最近每天的柱状图、按类别的统计和赞助时长最多的频道，
+ * 支持导出CSV和清空统计
+ */
+
+import skipStatsService from '../services/SkipStatsService.js';
+import uiRenderer from './UIRenderer.js';
+import notification from './Notification.js';
+import modalManager from '../utils/ModalManager.js';
+import { downloadFile } from '../utils/helpers.js';
+import { SPONSORBLOCK, SKIP_STATS } from '../constants.js';
+
+// 图表颜色
+const CHART_COLORS = {
+  skipped: '#00d400',
+  speed: '#feebea',
+  axis: 'rgba(255, 255, 255, 0.4)',
+  grid: 'rgba(255, 255, 255, 0.08)'
+};
+
+/**
+ * 格式化时长（统计用，精确到秒/分钟）
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  if (total < 60) return `${total}秒`;
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (hours === 0) return `${minutes}分${total % 60}秒`;
+  return `${hours}小时${minutes}分`;
+}
+
+class SkipStatsModal {
+  constructor() {
+    this.modal = null;
+  }
+
+  /**
+   * 创建模态框
+   */
+  createModal() {
+    if (this.modal) {
+      return this.modal;
+    }
+
+    this.modal = document.createElement('div');
+    this.modal.id = 'skip-stats-modal';
+    this.modal.className = 'config-modal';
+    document.body.appendChild(this.modal);
+    this.bindEvents();
+    return this.modal;
+  }
+
+  /**
+   * 显示模态框
+   */
+  show() {
+    const modal = this.createModal();
+    this.renderModal();
+    modal.classList.add('show');
+
+    // 注册到模态框管理器（统一处理ESC键）
+    modalManager.push(this);
+  }
+
+  /**
+   * 隐藏模态框
+   */
+  hide() {
+    if (this.modal) {
+      this.modal.classList.remove('show');
+    }
+
+    // 从模态框管理器移除
+    modalManager.pop(this);
+  }
+
+  /**
+   * 渲染模态框内容
+   */
+  renderModal() {
+    const summary = skipStatsService.getSummary();
+    const isEmpty = summary.skipCount + summary.muteCount === 0 && summary.speedSeconds === 0;
+
+    this.modal.innerHTML = `
+      <div class="config-modal-content">
+        <div class="config-modal-header">
+          <span>跳过统计</span>
+        </div>
+        <div class="config-modal-body">
+          <div class="skip-stats-totals">
+            ${this.renderTotal('跳过片段', `${summary.skipCount} 次`)}
+            ${this.renderTotal('跳过节省', formatDuration(summary.skippedSeconds))}
+            ${this.renderTotal('倍速节省', formatDuration(summary.speedSeconds))}
+            ${this.renderTotal('静音时长', formatDuration(summary.mutedSeconds))}
+          </div>
+          ${isEmpty ? '<div class="outbox-empty">还没有统计数据，跳过片段或倍速播放后会记录在这里</div>' : `
+            <div class="sponsor-settings-section">
+              <h3>最近${SKIP_STATS.CHART_DAYS}天节省的时间</h3>
+              <canvas class="skip-stats-chart" width="560" height="180"></canvas>
+              <div class="skip-stats-legend">
+                <span><i style="background: ${CHART_COLORS.skipped}"></i>跳过</span>
+                <span><i style="background: ${CHART_COLORS.speed}"></i>倍速</span>
+              </div>
+            </div>
+            ${this.renderCategories(summary.byCategory)}
+            ${this.renderChannels(summary.topChannels)}
+          `}
+        </div>
+        <div class="config-footer">
+          ${isEmpty ? '' : `
+            <button class="config-btn config-btn-secondary" data-action="clear">清空统计</button>
+            <button class="config-btn config-btn-secondary" data-action="export">导出CSV</button>
+          `}
+          <button class="config-btn config-btn-primary" data-action="close">关闭</button>
+        </div>
+      </div>
+    `;
+
+    const canvas = this.modal.querySelector('.skip-stats-chart');
+    if (canvas) {
+      this.drawChart(canvas, summary.byDay);
+    }
+  }
+
+  /**
+   * 渲染总计卡片
+   * @param {string} label
+   * @param {string} value
+   * @returns {string}
+   */
+  renderTotal(label, value) {
+    return `
+      <div class="skip-stats-total">
+        <div class="skip-stats-total-value">${value}</div>
+        <div class="skip-stats-total-label">${label}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染按类别统计
+   * @param {Array<{category: string, count: number, seconds: number}>} categories
+   * @returns {string}
+   */
+  renderCategories(categories) {
+    if (categories.length === 0) return '';
+
+    return `
+      <div class="sponsor-settings-section">
+        <h3>按类别</h3>
+        <table class="skip-stats-table">
+          <tr><th>类别</th><th>次数</th><th>时长</th></tr>
+          ${categories.map(item => {
+            const info = SPONSORBLOCK.CATEGORIES[item.category] || { name: item.category, color: '#999' };
+            return `
+              <tr>
+                <td><span class="category-color-dot" style="background: ${info.color}"></span> ${uiRenderer.escapeHtml(info.name)}</td>
+                <td>${item.count}</td>
+                <td>${formatDuration(item.seconds)}</td>
+              </tr>
+            `;
+          }).join('')}
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染赞助时长最多的频道
+   * @param {Array<{platform: string, channelId: string, channelName: string, count: number, seconds: number}>} channels
+   * @returns {string}
+   */
+  renderChannels(channels) {
+    if (channels.length === 0) return '';
+
+    return `
+      <div class="sponsor-settings-section">
+        <h3>赞助广告最多的UP主/频道</h3>
+        <table class="skip-stats-table">
+          <tr><th>UP主/频道</th><th>次数</th><th>时长</th></tr>
+          ${channels.map(channel => `
+            <tr>
+              <td>${uiRenderer.escapeHtml(channel.channelName || channel.channelId)} <small>${channel.platform === 'youtube' ? 'YouTube' : 'B站'}</small></td>
+              <td>${channel.count}</td>
+              <td>${formatDuration(channel.seconds)}</td>
+            </tr>
+          `).join('')}
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * 在canvas上绘制每天节省时间的堆叠柱状图（单位：分钟）
+   * @param {HTMLCanvasElement} canvas
+   * @param {Array<{date: string, skippedSeconds: number, speedSeconds: number}>} days
+   */
+  drawChart(canvas, days) {
+    // 按设备像素比放大，避免高分屏模糊
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.width;
+    const height = canvas.height;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    // 高度由样式按比例计算（窄窗口中宽度会被压缩）
+    canvas.style.width = `${width}px`;
+
+    const ctx = canvas.getContext('2d');
+    ctx.scale(ratio, ratio);
+
+    const padding = { top: 10, right: 10, bottom: 22, left: 36 };
+    const chartWidth = width - padding.left - padding.right;
+    const chartHeight = height - padding.top - padding.bottom;
+    const maxMinutes = Math.max(1, ...days.map(day => (day.skippedSeconds + day.speedSeconds) / 60));
+    const barWidth = chartWidth / days.length;
+
+    ctx.font = '10px sans-serif';
+    ctx.textBaseline = 'middle';
+
+    // 横向网格线和纵轴刻度
+    for (let i = 0; i <= 4; i++) {
+      const y = padding.top + chartHeight * (1 - i / 4);
+      ctx.strokeStyle = CHART_COLORS.grid;
+      ctx.beginPath();
+      ctx.moveTo(padding.left, y);
+      ctx.lineTo(width - padding.right, y);
+      ctx.stroke();
+
+      ctx.fillStyle = CHART_COLORS.axis;
+      ctx.textAlign = 'right';
+      const value = (maxMinutes * i) / 4;
+      ctx.fillText(`${value < 10 ? value.toFixed(1) : Math.round(value)}分`, padding.left - 4, y);
+    }
+
+    // 柱子：跳过在下，倍速叠在上面
+    days.forEach((day, index) => {
+      const x = padding.left + index * barWidth + barWidth * 0.15;
+      const w = barWidth * 0.7;
+      const skippedHeight = (day.skippedSeconds / 60 / maxMinutes) * chartHeight;
+      const speedHeight = (day.speedSeconds / 60 / maxMinutes) * chartHeight;
+      const baseY = padding.top + chartHeight;
+
+      ctx.fillStyle = CHART_COLORS.skipped;
+      ctx.fillRect(x, baseY - skippedHeight, w, skippedHeight);
+      ctx.fillStyle = CHART_COLORS.speed;
+      ctx.fillRect(x, baseY - skippedHeight - speedHeight, w, speedHeight);
+
+      // 每5天标一个日期（MM-DD），最后一天总是标出
+      if (index % 5 === 0 || index === days.length - 1) {
+        ctx.fillStyle = CHART_COLORS.axis;
+        ctx.textAlign = 'center';
+        ctx.fillText(day.date.slice(5), x + w / 2, height - padding.bottom / 2);
+      }
+    });
+  }
+
+  /**
+   * 导出CSV
+   */
+  exportCSV() {
+    // 加BOM，Excel打开时中文不乱码
+    downloadFile(`\ufeff${skipStatsService.toCSV()}`, `skip-stats-${Date.now()}.csv`, 'text/csv;charset=utf-8');
+    notification.success('统计已导出');
+  }
+
+  /**
+   * 绑定事件（使用事件委托，重新渲染后仍然有效）
+   */
+  bindEvents() {
+    this.modal.addEventListener('click', (e) => {
+      // 点击背景关闭
+      if (e.target === this.modal) {
+        this.hide();
+        return;
+      }
+
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      switch (button.dataset.action) {
+        case 'export':
+          this.exportCSV();
+          break;
+        case 'clear':
+          if (notification.confirm('确定要清空所有跳过统计吗？清空后无法恢复，可以先导出CSV。')) {
+            skipStatsService.clear();
+            this.renderModal();
+          }
+          break;
+        case 'close':
+          this.hide();
+          break;
+      }
+    });
+  }
+}
+
+// 创建全局单例
+export const skipStatsModal = new SkipStatsModal();
+export default skipStatsModal;
@@ -3,14 +3,18 @@
  * 提供SponsorBlock设置界面
  */
 
-import { SPONSORBLOCK } from '../constants.js';
+import { SPONSORBLOCK, SKIP_ENGINE, QUALITY_SCORE, FEED_FILTER } from '../constants.js';
 import sponsorBlockConfig from '../config/SponsorBlockConfigManager.js';
 import notification from './Notification.js';
+import uiRenderer from './UIRenderer.js';
 import modalManager from '../utils/ModalManager.js';
 
 class SponsorBlockModal {
   constructor() {
     this.modal = null;
+    this.creator = null;
+    this.rules = [];
+    this.tiers = [];
   }
 
   /**
@@ -31,8 +35,12 @@ class SponsorBlockModal {
 
   /**
    * 显示模态框
+   * @param {{platform: string, id: string, name: string}|null} creator - 当前视频的作者（可为其添加规则）
    */
-  show() {
+  show(creator = null) {
+    this.creator = creator;
+    this.rules = sponsorBlockConfig.getCreatorRules();
+    this.tiers = sponsorBlockConfig.getQualityScoring().tiers;
     const modal = this.createModal();
     this.renderModal();
     modal.classList.add('show');
@@ -58,6 +66,7 @@ class SponsorBlockModal {
    */
   renderModal() {
     const currentSettings = sponsorBlockConfig.getAll();
+    const isYouTube = location.hostname.includes('youtube.com');
 
     this.modal.innerHTML = `
       <div class="config-modal-content">
@@ -70,7 +79,8 @@ class SponsorBlockModal {
             <div style="font-size: 12px; color: rgba(255, 255, 255, 0.7); line-height: 1.5;">
               <strong>勾选的类别</strong> → 自动跳过<br>
               <strong>未勾选的类别</strong> → 显示手动提示（5秒后自动消失）<br>
-              在进度条上会显示彩色标记，点击可查看详情
+              <strong>精彩时刻</strong> → 勾选时在视频开头自动跳转，否则提示跳转<br>
+              在进度条上会显示彩色标记，点击可查看详情。B站和YouTube共用这份设置
             </div>
           </div>
 
@@ -93,31 +103,34 @@ class SponsorBlockModal {
           </div>
 
           <div class="sponsor-settings-section">
-            <h3>显示选项</h3>
-            <div class="sponsor-switch-item">
-              <span>显示片段标签（视频卡片）</span>
-              <label class="sponsor-switch">
-                <input type="checkbox" id="showAdBadge" 
-                       ${currentSettings.showAdBadge ? 'checked' : ''}>
-                <span class="sponsor-switch-slider"></span>
-              </label>
-            </div>
+            <h3>跳过方式</h3>
+            ${this.renderSwitch('autoSkip', '自动跳过勾选的类别（关闭后全部手动提示）', currentSettings.autoSkip)}
+            ${this.renderSwitch('muteInsteadOfSkip', '静音而不是跳过', currentSettings.muteInsteadOfSkip)}
             <div class="sponsor-switch-item">
-              <span>显示优质视频标签</span>
-              <label class="sponsor-switch">
-                <input type="checkbox" id="showQualityBadge" 
-                       ${currentSettings.showQualityBadge ? 'checked' : ''}>
-                <span class="sponsor-switch-slider"></span>
-              </label>
-            </div>
-            <div class="sponsor-switch-item">
-              <span>进度条显示片段标记</span>
-              <label class="sponsor-switch">
-                <input type="checkbox" id="showProgressMarkers" 
-                       ${currentSettings.showProgressMarkers ? 'checked' : ''}>
-                <span class="sponsor-switch-slider"></span>
-              </label>
+              <span>进入片段后延迟跳过（秒）</span>
+              <input type="number" id="skipDelay" class="sponsor-number-input" min="0" max="10" step="1"
+                     value="${currentSettings.skipDelay}">
             </div>
+            ${this.renderSwitch('showNotifications', '跳过后显示提示（可撤销、投票）', currentSettings.showNotifications)}
+            ${isYouTube ? this.renderSwitch('detectNativeAds', '检测YouTube原生广告标记', currentSettings.detectNativeAds) : ''}
+          </div>
+
+          <div class="sponsor-settings-section">
+            <h3>显示选项</h3>
+            ${isYouTube ? '' : this.renderSwitch('showAdBadge', '显示片段标签（视频卡片）', currentSettings.showAdBadge)}
+            ${isYouTube ? '' : this.renderSwitch('showQualityBadge', '显示优质视频标签', currentSettings.showQualityBadge)}
+            ${this.renderSwitch('showProgressMarkers', '进度条显示片段标记', currentSettings.showProgressMarkers)}
+            ${this.renderSwitch('showFullVideoLabels', '显示整片标签（如整个视频是品牌合作）', currentSettings.showFullVideoLabels)}
+          </div>
+
+          ${isYouTube ? '' : this.renderQualityScoring(sponsorBlockConfig.getQualityScoring())}
+
+          ${isYouTube ? '' : this.renderFeedFilter(sponsorBlockConfig.getFeedFilter())}
+
+          <div class="sponsor-settings-section">
+            <h3>UP主/频道规则</h3>
+            <div class="sponsor-rules-hint">为特定UP主或频道单独设置每个类别的处理方式（如保留喜欢的UP主的恰饭），"默认"沿用上面的设置</div>
+            <div id="sponsor-creator-rules">${this.renderRules()}</div>
           </div>
         </div>
         <div class="config-footer">
@@ -130,6 +143,249 @@ class SponsorBlockModal {
     this.bindEvents();
   }
 
+  /**
+   * 渲染UP主/频道规则列表和"添加当前作者"按钮
+   * @returns {string}
+   */
+  renderRules() {
+    const creator = this.creator;
+    const hasCurrentRule = creator && this.rules.some(rule =>
+      rule.platform === creator.platform && rule.id === creator.id);
+    const creatorType = creator?.platform === 'youtube' ? '频道' : 'UP主';
+
+    return `
+      ${this.rules.length === 0 ? '<div class="sponsor-rules-empty">还没有规则</div>' : ''}
+      ${this.rules.map(rule => this.renderRule(rule)).join('')}
+      ${creator && !hasCurrentRule ? `
+        <button class="config-btn config-btn-secondary sponsor-rule-add" data-action="add-rule">
+          为当前${creatorType}「${uiRenderer.escapeHtml(creator.name)}」添加规则
+        </button>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * 渲染单条规则（每个类别一个下拉框）
+   * @param {{platform: string, id: string, name: string, actions: Object<string, string>}} rule
+   * @returns {string}
+   */
+  renderRule(rule) {
+    const platformName = rule.platform === 'youtube' ? 'YouTube频道' : 'B站UP主';
+    const actionOptions = (selected) => [
+      `<option value="">默认</option>`,
+      ...Object.values(SKIP_ENGINE.ACTIONS).map(action =>
+        `<option value="${action}" ${action === selected ? 'selected' : ''}>${SKIP_ENGINE.ACTION_LABELS[action]}</option>`)
+    ].join('');
+
+    return `
+      <div class="sponsor-rule" data-platform="${rule.platform}" data-id="${uiRenderer.escapeHtml(rule.id)}">
+        <div class="sponsor-rule-header">
+          <span>${uiRenderer.escapeHtml(rule.name)} <small>${platformName} · ${uiRenderer.escapeHtml(rule.id)}</small></span>
+          <button class="sponsor-rule-remove" data-action="remove-rule">删除</button>
+        </div>
+        <div class="sponsor-rule-grid">
+          ${Object.entries(SPONSORBLOCK.CATEGORIES).map(([key, info]) => `
+            <label class="sponsor-rule-item">
+              <span><span class="category-color-dot" style="background: ${info.color}"></span>${info.name}</span>
+              <select data-category="${key}">${actionOptions(rule.actions[key])}</select>
+            </label>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * 从界面读取规则（包含未保存的修改）
+   * @returns {Array<Object>}
+   */
+  collectRules() {
+    return Array.from(this.modal.querySelectorAll('.sponsor-rule')).map(element => {
+      const { platform, id } = element.dataset;
+      const rule = this.rules.find(item => item.platform === platform && item.id === id);
+      const actions = {};
+      element.querySelectorAll('select[data-category]').forEach(select => {
+        if (select.value) {
+          actions[select.dataset.category] = select.value;
+        }
+      });
+      return { platform, id, name: rule?.name || id, actions };
+    });
+  }
+
+  /**
+   * 重新渲染规则列表（保留其他设置项未保存的修改）
+   */
+  refreshRules() {
+    this.modal.querySelector('#sponsor-creator-rules').innerHTML = this.renderRules();
+  }
+
+  /**
+   * 渲染优质视频评分公式编辑器（B站视频卡片）
+   * @param {Object} scoring - 当前评分公式
+   * @returns {string}
+   */
+  renderQualityScoring(scoring) {
+    return `
+      <div class="sponsor-settings-section">
+        <h3>优质视频评分</h3>
+        <div class="sponsor-rules-hint">
+          评分 = Σ 权重 × 互动数/播放量 × 100；发布不满N天的新视频评分打折（最低 ×${QUALITY_SCORE.MIN_AGE_FACTOR}）。
+          评分达到等级的最低分时显示对应标签，悬停标签可查看原始数据和评分
+        </div>
+        <div class="sponsor-rule-grid">
+          ${Object.entries(QUALITY_SCORE.STATS).map(([key, label]) => `
+            <label class="sponsor-rule-item">
+              <span>${label}率权重</span>
+              <input type="number" class="sponsor-number-input" data-weight="${key}" min="0" step="0.5"
+                     value="${scoring.weights[key]}">
+            </label>
+          `).join('')}
+          <label class="sponsor-rule-item">
+            <span>最低播放量</span>
+            <input type="number" class="sponsor-number-input" id="quality-min-views" min="0" step="100"
+                   value="${scoring.minViews}">
+          </label>
+          <label class="sponsor-rule-item">
+            <span>新视频折算天数（0关闭）</span>
+            <input type="number" class="sponsor-number-input" id="quality-age-days" min="0" step="1"
+                   value="${scoring.ageNormalizationDays}">
+          </label>
+        </div>
+        <div id="sponsor-quality-tiers">${this.renderTiers()}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染推荐流过滤规则（B站视频卡片）
+   * @param {Object} filter - 当前过滤规则
+   * @returns {string}
+   */
+  renderFeedFilter(filter) {
+    return `
+      <div class="sponsor-settings-section" id="sponsor-feed-filter">
+        <h3>推荐流过滤</h3>
+        <div class="sponsor-rules-hint">命中任一规则的视频卡片会被隐藏或淡化，页面左下角显示过滤数量，可点击"仍然显示"</div>
+        ${this.renderSwitch('feedFilterEnabled', '启用推荐流过滤', filter.enabled)}
+        <div class="sponsor-switch-item">
+          <span>过滤方式</span>
+          <select id="feedFilterMode" class="sponsor-select">
+            <option value="${FEED_FILTER.MODES.DIM}" ${filter.mode === FEED_FILTER.MODES.DIM ? 'selected' : ''}>淡化</option>
+            <option value="${FEED_FILTER.MODES.HIDE}" ${filter.mode === FEED_FILTER.MODES.HIDE ? 'selected' : ''}>隐藏</option>
+          </select>
+        </div>
+        <div class="sponsor-switch-item">
+          <span>广告占视频时长超过（%，0关闭）</span>
+          <input type="number" id="feedFilterSponsorPercent" class="sponsor-number-input" min="0" max="100" step="5"
+                 value="${filter.maxSponsorPercent}">
+        </div>
+        <div class="sponsor-switch-item">
+          <span>优质评分低于（0关闭）</span>
+          <input type="number" id="feedFilterMinScore" class="sponsor-number-input" min="0" step="1"
+                 value="${filter.minScore}">
+        </div>
+        <div class="config-field">
+          <label>标题关键词（每行一个，/正则/ 按正则匹配）</label>
+          <textarea id="feedFilterKeywords" class="feed-filter-list" placeholder="例如：开箱 或 /第\\d+期/">${uiRenderer.escapeHtml(filter.keywords.join('\n'))}</textarea>
+        </div>
+        <div class="config-field">
+          <label>屏蔽的UP主（每行一个mid或昵称）</label>
+          <textarea id="feedFilterCreators" class="feed-filter-list">${uiRenderer.escapeHtml(filter.blockedCreators.join('\n'))}</textarea>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * 从界面读取推荐流过滤规则
+   * @returns {Object}
+   */
+  collectFeedFilter() {
+    const lines = (id) => this.modal.querySelector(`#${id}`).value.split('\n');
+    return sponsorBlockConfig.normalizeFeedFilter({
+      enabled: this.modal.querySelector('#feedFilterEnabled').checked,
+      mode: this.modal.querySelector('#feedFilterMode').value,
+      maxSponsorPercent: this.modal.querySelector('#feedFilterSponsorPercent').value,
+      minScore: this.modal.querySelector('#feedFilterMinScore').value,
+      keywords: lines('feedFilterKeywords'),
+      blockedCreators: lines('feedFilterCreators')
+    });
+  }
+
+  /**
+   * 渲染标签等级列表
+   * @returns {string}
+   */
+  renderTiers() {
+    return `
+      ${this.tiers.map(tier => `
+        <div class="quality-tier">
+          <input type="text" class="quality-tier-emoji" value="${uiRenderer.escapeHtml(tier.emoji)}" placeholder="图标" maxlength="4">
+          <input type="text" class="quality-tier-name" value="${uiRenderer.escapeHtml(tier.name)}" placeholder="名称" maxlength="8">
+          <input type="color" class="quality-tier-color" value="${tier.color}">
+          <label>≥ <input type="number" class="sponsor-number-input quality-tier-score" min="0" step="1" value="${tier.minScore}"> 分</label>
+          <span class="bili-quality-tag quality-tier-preview" style="background: ${tier.color}">
+            ${uiRenderer.escapeHtml([tier.emoji, tier.name].filter(Boolean).join(' '))}
+          </span>
+          <button class="sponsor-rule-remove" data-action="remove-tier">删除</button>
+        </div>
+      `).join('')}
+      ${this.tiers.length < QUALITY_SCORE.MAX_TIERS ? `
+        <button class="config-btn config-btn-secondary sponsor-rule-add" data-action="add-tier">添加标签等级</button>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * 从界面读取标签等级（包含未保存的修改）
+   * @returns {Array<{name: string, emoji: string, color: string, minScore: number}>}
+   */
+  collectTiers() {
+    return Array.from(this.modal.querySelectorAll('.quality-tier')).map(element => ({
+      emoji: element.querySelector('.quality-tier-emoji').value,
+      name: element.querySelector('.quality-tier-name').value,
+      color: element.querySelector('.quality-tier-color').value,
+      minScore: element.querySelector('.quality-tier-score').value
+    }));
+  }
+
+  /**
+   * 从界面读取评分公式
+   * @returns {Object}
+   */
+  collectQualityScoring() {
+    const weights = {};
+    this.modal.querySelectorAll('[data-weight]').forEach(input => {
+      weights[input.dataset.weight] = input.value;
+    });
+    return sponsorBlockConfig.normalizeQualityScoring({
+      weights,
+      minViews: this.modal.querySelector('#quality-min-views').value,
+      ageNormalizationDays: this.modal.querySelector('#quality-age-days').value,
+      tiers: this.collectTiers()
+    });
+  }
+
+  /**
+   * 渲染开关选项
+   * @param {string} id - 设置项名称（同时作为input的ID）
+   * @param {string} label - 显示文字
+   * @param {boolean} checked - 是否开启
+   * @returns {string}
+   */
+  renderSwitch(id, label, checked) {
+    return `
+      <div class="sponsor-switch-item">
+        <span>${label}</span>
+        <label class="sponsor-switch">
+          <input type="checkbox" id="${id}" ${checked ? 'checked' : ''}>
+          <span class="sponsor-switch-slider"></span>
+        </label>
+      </div>
+    `;
+  }
+
   /**
    * 绑定事件
    */
@@ -152,30 +408,90 @@ class SponsorBlockModal {
     if (cancelBtn) {
       cancelBtn.addEventListener('click', () => this.hide());
     }
+
+    // 添加/删除规则（规则列表会重新渲染，使用事件委托）
+    const rulesContainer = this.modal.querySelector('#sponsor-creator-rules');
+    rulesContainer.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      this.rules = this.collectRules();
+      if (button.dataset.action === 'add-rule' && this.creator) {
+        const { platform, id, name } = this.creator;
+        this.rules.push({ platform, id, name, actions: {} });
+      } else if (button.dataset.action === 'remove-rule') {
+        const { platform, id } = button.closest('.sponsor-rule').dataset;
+        this.rules = this.rules.filter(rule => !(rule.platform === platform && rule.id === id));
+      }
+      this.refreshRules();
+    });
+
+    // 标签等级：添加/删除，编辑时更新预览
+    const tiersContainer = this.modal.querySelector('#sponsor-quality-tiers');
+    if (tiersContainer) {
+      tiersContainer.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+
+        this.tiers = this.collectTiers();
+        if (button.dataset.action === 'add-tier') {
+          const lowest = this.tiers[this.tiers.length - 1];
+          this.tiers.push({ name: '', emoji: '👍', color: '#00a1d6', minScore: Math.max(0, (Number(lowest?.minScore) || 10) - 5) });
+        } else {
+          const index = Array.from(tiersContainer.querySelectorAll('.quality-tier')).indexOf(button.closest('.quality-tier'));
+          this.tiers.splice(index, 1);
+        }
+        tiersContainer.innerHTML = this.renderTiers();
+      });
+
+      tiersContainer.addEventListener('input', (e) => {
+        const element = e.target.closest('.quality-tier');
+        if (!element) return;
+
+        const preview = element.querySelector('.quality-tier-preview');
+        const emoji = element.querySelector('.quality-tier-emoji').value.trim();
+        const name = element.querySelector('.quality-tier-name').value.trim();
+        preview.textContent = [emoji, name].filter(Boolean).join(' ');
+        preview.style.background = element.querySelector('.quality-tier-color').value;
+      });
+    }
   }
 
   /**
    * 保存设置
    */
   saveSettings() {
+    const isChecked = (id) => this.modal.querySelector(`#${id}`)?.checked;
     const newSettings = {
       skipCategories: Array.from(
         this.modal.querySelectorAll('.sponsor-checkbox-item input[type="checkbox"]:checked')
       ).map(cb => cb.value),
-      showAdBadge: this.modal.querySelector('#showAdBadge').checked,
-      showQualityBadge: this.modal.querySelector('#showQualityBadge').checked,
-      showProgressMarkers: this.modal.querySelector('#showProgressMarkers').checked
+      autoSkip: isChecked('autoSkip'),
+      muteInsteadOfSkip: isChecked('muteInsteadOfSkip'),
+      skipDelay: Math.max(0, parseInt(this.modal.querySelector('#skipDelay').value, 10) || 0),
+      showNotifications: isChecked('showNotifications'),
+      showProgressMarkers: isChecked('showProgressMarkers'),
+      showFullVideoLabels: isChecked('showFullVideoLabels')
     };
+    // 只在当前平台显示的选项，没有显示时保留原值
+    ['detectNativeAds', 'showAdBadge', 'showQualityBadge'].forEach(id => {
+      if (this.modal.querySelector(`#${id}`)) {
+        newSettings[id] = isChecked(id);
+      }
+    });
+    if (this.modal.querySelector('#sponsor-quality-tiers')) {
+      newSettings.qualityScoring = this.collectQualityScoring();
+    }
+    if (this.modal.querySelector('#sponsor-feed-filter')) {
+      newSettings.feedFilter = this.collectFeedFilter();
+    }
 
+    // 保存后跳过引擎立即应用新设置
     sponsorBlockConfig.setAll(newSettings);
+    sponsorBlockConfig.setCreatorRules(this.collectRules());
     this.hide();
 
-    // 提示保存成功并刷新页面
-    notification.info('设置已保存！\n\n✅ 勾选的类别 → 自动跳过\n⏸️ 未勾选的类别 → 手动提示（5秒）\n\n页面将刷新以应用新设置。');
-    
-    setTimeout(() => {
-      location.reload();
-    }, 2000);
+    notification.success('设置已保存，播放器中立即生效');
   }
 }
 
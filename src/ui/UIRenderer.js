@@ -5,11 +5,15 @@
 
 import { ICONS } from './styles.js';
 import state from '../state/StateManager.js';
-import { formatTime } from '../utils/helpers.js';
+import { formatTime, formatAIProvider, getSummarySourceNote } from '../utils/helpers.js';
 import config from '../config/ConfigManager.js';
 import shortcutManager from '../config/ShortcutManager.js';
 import logger from '../utils/DebugLogger.js';
-import { AI_API_KEY_URLS } from '../constants.js';
+import { AI_API_KEY_URLS, AI_PROTOCOLS, DANMAKU, SUBTITLE_LANGUAGE } from '../constants.js';
+import { SUBTITLE_FORMATS } from '../utils/SubtitleFormatter.js';
+import aiChatService from '../services/AIChatService.js';
+import commentDigestService from '../services/CommentDigestService.js';
+import platformService from '../services/PlatformService.js';
 
 class UIRenderer {
   constructor() {
@@ -24,18 +28,23 @@ class UIRenderer {
   renderSubtitlePanel(subtitleData) {
     const videoKey = state.getVideoKey();
     const cachedSummary = videoKey ? state.getAISummary(videoKey) : null;
+    const hasDanmaku = platformService.isFeatureAvailable('danmaku');
 
     let html = `
       <div class="subtitle-header">
         <div class="subtitle-header-left">
+          ${this.renderTrackSelect()}
         </div>
         <div class="subtitle-header-right">
           <div class="subtitle-header-actions">
             <span class="ai-icon" title="AI配置">
               ${ICONS.AI}
             </span>
-            <span class="download-icon" title="下载字幕">
-              ${ICONS.DOWNLOAD}
+            <span class="download-wrapper">
+              <span class="download-icon" title="下载字幕">
+                ${ICONS.DOWNLOAD}
+              </span>
+              ${this.renderDownloadFormatMenu()}
             </span>
             <span class="notion-icon ${state.notion.isSending ? 'loading' : ''}" title="Notion">
               ${ICONS.NOTION}
@@ -44,16 +53,227 @@ class UIRenderer {
           </div>
         </div>
       </div>
+      <div class="subtitle-tabs">
+        <div class="subtitle-tab active" data-tab="summary-panel">AI总结</div>
+        <div class="subtitle-tab" data-tab="chat-panel">字幕问答</div>
+        ${hasDanmaku ? '<div class="subtitle-tab" data-tab="danmaku-panel">弹幕</div>' : ''}
+        <div class="subtitle-tab" data-tab="comment-digest-panel">评论区总结</div>
+      </div>
       <div class="subtitle-content">
         <div class="subtitle-panel" id="summary-panel" style="display: block;">
           ${this.renderAISummaryPanel(cachedSummary)}
         </div>
+        <div class="subtitle-panel" id="chat-panel" style="display: none;">
+          ${this.renderChatPanel(aiChatService.getHistory(videoKey))}
+        </div>
+        ${hasDanmaku ? `
+          <div class="subtitle-panel" id="danmaku-panel" style="display: none;">
+            ${this.renderDanmakuPanel()}
+          </div>
+        ` : ''}
+        <div class="subtitle-panel" id="comment-digest-panel" style="display: none;">
+          ${this.renderCommentDigestPanel(commentDigestService.getDigest(videoKey))}
+        </div>
       </div>
     `;
 
       return html;
   }
 
+  /**
+   * 渲染字幕轨道下拉框（没有轨道信息时不显示）
+   * @returns {string} - HTML字符串
+   */
+  renderTrackSelect() {
+    const { tracks, lan } = state.subtitle;
+    if (!tracks || tracks.length === 0) {
+      return '';
+    }
+
+    // 当前字幕由拦截器捕获、无法确定语言时，显示占位选项
+    const placeholder = tracks.some(track => track.lan === lan)
+      ? ''
+      : '<option value="" selected disabled>当前字幕</option>';
+
+    return `
+      <select class="subtitle-track-select" title="切换字幕语言">
+        ${placeholder}
+        ${tracks.map(track => `
+          <option value="${this._escapeHtml(track.lan)}" ${track.lan === lan ? 'selected' : ''}>
+            ${track.isAI ? 'AI' : '人工'} · ${this.escapeHtml(track.label)}
+          </option>
+        `).join('')}
+      </select>
+    `;
+  }
+
+  /**
+   * 更新字幕轨道下拉框（轨道列表在字幕加载后才获取到时）
+   * @param {HTMLElement} container - 字幕容器
+   */
+  updateTrackSelect(container) {
+    const headerLeft = container?.querySelector('.subtitle-header-left');
+    if (headerLeft) {
+      headerLeft.innerHTML = this.renderTrackSelect();
+    }
+  }
+
+  /**
+   * 渲染字幕下载格式菜单
+   * @returns {string} - HTML字符串
+   */
+  renderDownloadFormatMenu() {
+    return `
+      <div class="download-format-menu">
+        ${Object.entries(SUBTITLE_FORMATS).map(([key, info]) => `
+          <div class="download-format-item" data-format="${key}">${info.name}</div>
+        `).join('')}
+        <div class="download-format-divider"></div>
+        <div class="download-format-item" data-export="markdown">Obsidian 笔记 (Markdown)</div>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染字幕问答面板
+   * @param {Array<{role: string, content: string}>} history - 对话历史
+   * @returns {string} - HTML字符串
+   */
+  renderChatPanel(history = []) {
+    return `
+      <div class="chat-messages">
+        ${this.renderChatMessages(history)}
+      </div>
+      <div class="chat-input-area">
+        <textarea class="chat-input" rows="2" placeholder="针对视频内容提问，Enter发送，Shift+Enter换行"></textarea>
+        <div class="chat-input-actions">
+          <button class="chat-clear-btn" title="清空对话">清空</button>
+          <button class="chat-send-btn">发送</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染弹幕面板（切换到弹幕标签页时才加载弹幕）
+   * @returns {string} - HTML字符串
+   */
+  renderDanmakuPanel() {
+    return `
+      <div class="danmaku-toolbar">
+        <input type="text" class="danmaku-search-input" placeholder="搜索弹幕">
+        <span class="danmaku-count"></span>
+      </div>
+      <div class="danmaku-actions">
+        <label class="danmaku-heatmap-toggle">
+          <input type="checkbox" class="danmaku-heatmap-checkbox" ${config.getDanmakuHeatmapEnabled() ? 'checked' : ''}>
+          进度条热力图
+        </label>
+        <button class="danmaku-export-btn" data-format="ass">导出ASS</button>
+        <button class="danmaku-export-btn" data-format="json">导出JSON</button>
+      </div>
+      <div class="danmaku-list">
+        <div class="danmaku-empty">等待加载弹幕...</div>
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染弹幕列表（超出上限时只显示前面的部分）
+   * @param {Array<{time: number, content: string}>} list - 弹幕
+   * @returns {string} - HTML字符串
+   */
+  renderDanmakuItems(list) {
+    if (list.length === 0) {
+      return '<div class="danmaku-empty">没有找到弹幕</div>';
+    }
+
+    const items = list.slice(0, DANMAKU.MAX_RESULTS).map(item => `
+      <div class="danmaku-item" data-time="${item.time}">
+        <span class="danmaku-time">${formatTime(item.time)}</span>
+        <span class="danmaku-content">${this.escapeHtml(item.content)}</span>
+      </div>
+    `).join('');
+
+    return list.length > DANMAKU.MAX_RESULTS
+      ? `${items}<div class="danmaku-empty">仅显示前 ${DANMAKU.MAX_RESULTS} 条，输入关键词缩小范围</div>`
+      : items;
+  }
+
+  /**
+   * 渲染评论区总结面板
+   * @param {{markdown: string, commentCount: number, generatedBy: Object}|null} digest - 已生成的总结
+   * @returns {string} - HTML字符串
+   */
+  renderCommentDigestPanel(digest = null) {
+    return `
+      <div class="comment-digest-actions">
+        <button class="comment-digest-generate-btn">${digest ? '重新生成' : '生成评论区总结'}</button>
+        <span class="comment-digest-status"></span>
+      </div>
+      <div class="comment-digest-content summary-content">
+        ${this.renderCommentDigest(digest)}
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染评论区总结内容
+   * @param {{markdown: string, commentCount: number, generatedBy: Object}|null} digest
+   * @returns {string} - HTML字符串
+   */
+  renderCommentDigest(digest = null) {
+    if (!digest) {
+      return '<div class="comment-digest-empty">获取点赞最多的评论，总结观众的主要观点、争议和纠错</div>';
+    }
+
+    const providerText = formatAIProvider(digest.generatedBy);
+    return `
+      ${this.parseMarkdown(digest.markdown)}
+      <div class="ai-summary-provider">根据 ${digest.commentCount} 条热门评论${providerText ? `，由 ${this.escapeHtml(providerText)} 生成` : ''}</div>
+    `;
+  }
+
+  /**
+   * 渲染对话消息列表
+   * @param {Array<{role: string, content: string}>} history - 对话历史
+   * @returns {string} - HTML字符串
+   */
+  renderChatMessages(history = []) {
+    if (history.length === 0) {
+      return '<div class="chat-empty">可以就视频内容继续提问，回答中的时间点可点击跳转</div>';
+    }
+    return history.map(message => this.renderChatMessage(message.role, message.content)).join('');
+  }
+
+  /**
+   * 渲染单条对话消息
+   * @param {string} role - 角色（user/assistant）
+   * @param {string} content - 消息内容
+   * @returns {string} - HTML字符串
+   */
+  renderChatMessage(role, content) {
+    const body = role === 'user'
+      ? this._escapeHtml(content).replace(/\n/g, '<br>')
+      : this.renderChatAnswer(content);
+    return `<div class="chat-message chat-message-${role}"><div class="chat-message-content summary-content">${body}</div></div>`;
+  }
+
+  /**
+   * 渲染AI回答（Markdown + 可点击的时间戳）
+   * @param {string} content - 回答文本
+   * @returns {string} - HTML字符串
+   */
+  renderChatAnswer(content) {
+    if (!content) {
+      return '<span class="chat-typing">思考中...</span>';
+    }
+    return this.parseMarkdown(content).replace(
+      /\[(\d{1,3}:\d{2}(?::\d{2})?)\]/g,
+      '<a class="chat-timestamp" data-time="$1">[$1]</a>'
+    );
+  }
+
   /**
    * HTML转义
    * @param {string} text - 要转义的文本
@@ -219,6 +439,12 @@ class UIRenderer {
       }
       
       html = '<div class="summary-panel-container">';
+
+      // 根据弹幕生成的总结，在最上方提示可信度较低
+      const sourceNote = getSummarySourceNote(summary.generatedBy);
+      if (sourceNote) {
+        html += `<div class="ai-summary-source-note">⚠️ ${sourceNote}</div>`;
+      }
       
       // 先渲染AI时间戳段落（如果存在）
       if (segments && segments.length > 0) {
@@ -238,6 +464,12 @@ class UIRenderer {
         </div>
       ` : '<div class="ai-summary-empty">暂无总结内容</div>';
       
+      // 显示实际生成总结的服务商和模型（可能是备用配置）
+      const providerText = formatAIProvider(summary.generatedBy);
+      if (providerText) {
+        html += `<div class="ai-summary-provider">由 ${providerText} 生成</div>`;
+      }
+      
       html += '</div>';
     } else {
       html = `
@@ -454,6 +686,93 @@ class UIRenderer {
     return notif;
   }
 
+  /**
+   * 创建Markdown导出设置模态框
+   * @returns {HTMLElement}
+   */
+  createMarkdownExportModal() {
+    const modal = document.createElement('div');
+    modal.id = 'markdown-export-modal';
+    modal.className = 'config-modal';
+    modal.innerHTML = `
+      <div class="config-modal-content">
+        <div class="config-modal-header">
+          <span>Markdown / Obsidian 导出设置</span>
+        </div>
+        <div class="config-modal-body">
+          <div class="config-field">
+            <label>自动发送目标</label>
+            <select id="auto-send-target">
+              <option value="notion">Notion</option>
+              <option value="markdown">Obsidian 笔记 (下载Markdown文件)</option>
+            </select>
+            <div class="config-help">
+              开启自动发送后，AI总结完成时发送到所选目标
+            </div>
+          </div>
+          <div class="config-field">
+            <label>
+              <input type="checkbox" id="markdown-auto-send-enabled">
+              自动发送（与Notion配置中的开关相同）
+            </label>
+          </div>
+          <div class="config-field">
+            <label>标签（逗号分隔，写入front-matter的tags）</label>
+            <input type="text" id="markdown-export-tags" placeholder="bilibili, 视频笔记">
+          </div>
+          <div class="config-field">
+            <label>
+              <input type="checkbox" id="markdown-export-subtitles">
+              包含完整字幕
+            </label>
+          </div>
+          <div id="markdown-export-status"></div>
+        </div>
+        <div class="config-footer">
+          <button class="config-btn config-btn-secondary" id="markdown-export-cancel-btn">取消</button>
+          <button class="config-btn config-btn-primary" id="markdown-export-save-btn">保存配置</button>
+        </div>
+      </div>
+    `;
+
+    return modal;
+  }
+
+  /**
+   * 创建字幕语言偏好模态框
+   * @returns {HTMLElement}
+   */
+  createSubtitleLanguageModal() {
+    const modal = document.createElement('div');
+    modal.id = 'subtitle-language-modal';
+    modal.className = 'config-modal';
+    modal.innerHTML = `
+      <div class="config-modal-content">
+        <div class="config-modal-header">
+          <span>字幕语言偏好</span>
+        </div>
+        <div class="config-modal-body">
+          <div class="config-field">
+            <label>语言优先级（每行一个语言代码，越靠前越优先）</label>
+            <textarea id="subtitle-language-priority" rows="6" placeholder="${SUBTITLE_LANGUAGE.DEFAULT_PRIORITY.join('\n')}"></textarea>
+            <div class="config-help">
+              自动获取字幕时按顺序匹配：先找语言代码完全相同的字幕，再找包含该代码的字幕（如 zh 匹配所有中文字幕），都没有时使用第一条。<br>
+              ai- 开头表示AI/自动生成的字幕，如 ai-zh（B站AI中文字幕）、ai-en（YouTube自动生成的英文字幕）；zh-CN、zh-Hans、en 等为人工字幕。<br>
+              留空恢复默认。获取字幕后也可以在字幕面板左上角切换语言。
+            </div>
+          </div>
+          <div id="subtitle-language-status"></div>
+        </div>
+        <div class="config-footer">
+          <button class="config-btn config-btn-secondary" id="subtitle-language-cancel-btn">取消</button>
+          <button class="config-btn config-btn-primary" id="subtitle-language-save-btn">保存配置</button>
+        </div>
+      </div>
+    `;
+
+    return modal;
+  }
+
   /**
    * 创建Notion配置模态框
    * @returns {HTMLElement}
@@ -518,6 +837,10 @@ class UIRenderer {
               <input type="checkbox" id="notion-content-subtitles" checked>
               <span>📝 字幕内容</span>
             </label>
+            <label style="display: flex; align-items: center; gap: 8px; font-weight: normal;">
+              <input type="checkbox" id="notion-content-comment-digest">
+              <span>💬 评论区总结（需先在面板中生成）</span>
+            </label>
           </div>
           <div class="config-help" style="margin-top: 10px;">
             选择要自动添加到Notion的内容。未勾选的内容不会被发送。
@@ -577,11 +900,22 @@ class UIRenderer {
             <button class="config-btn config-btn-primary" id="ai-start-summary-btn" style="padding: 8px 20px; font-size: 14px; font-weight: 600;">🚀 开始总结</button>
             <button class="config-btn config-btn-secondary" id="ai-new-config-btn" style="padding: 8px 16px; font-size: 13px;">新建配置</button>
           </div>
+          <div class="ai-fallback-section">
+            <div class="ai-fallback-header">备用配置</div>
+            <div class="ai-fallback-hint">当前配置请求失败、限流或超时时，按顺序自动切换到勾选的配置</div>
+            <div class="ai-fallback-list" id="ai-fallback-list"></div>
+          </div>
           <div class="ai-config-form hidden">
           <div class="config-field">
             <label>配置名称</label>
             <input type="text" id="ai-config-name" placeholder="例如：OpenAI GPT-4">
           </div>
+          <div class="config-field">
+            <label>接口协议</label>
+            <select id="ai-config-protocol">
+              ${Object.entries(AI_PROTOCOLS).map(([id, protocol]) => `<option value="${id}">${protocol.name}</option>`).join('')}
+            </select>
+          </div>
           <div class="config-field">
             <label>API URL</label>
             <input type="text" id="ai-config-url" placeholder="https://api.openai.com/v1/chat/completions">
@@ -645,7 +979,7 @@ class UIRenderer {
     const selectedId = config.getSelectedAIConfigId();
 
     listElement.innerHTML = configs.map(cfg => {
-      const hasApiKey = cfg.apiKey && cfg.apiKey.trim() !== '';
+      const hasApiKey = config.hasAICredentials(cfg);
       const statusIcon = hasApiKey ? '✅' : '⚠️';
       const statusText = hasApiKey ? '已配置' : '未配置';
       const statusColor = hasApiKey ? '#4ade80' : '#fbbf24';
@@ -664,6 +998,46 @@ class UIRenderer {
         </div>
       `;
     }).join('');
+
+    // 选中配置变化后备用列表需要同步刷新
+    const fallbackListEl = document.getElementById('ai-fallback-list');
+    if (fallbackListEl) {
+      this.renderAIFallbackList(fallbackListEl);
+    }
+  }
+
+  /**
+   * 渲染备用AI配置列表（已勾选的按尝试顺序排在前面）
+   * @param {HTMLElement} listElement - 列表容器元素
+   */
+  renderAIFallbackList(listElement) {
+    const configs = config.getAIConfigs();
+    const selectedId = config.getSelectedAIConfigId();
+    const fallbackIds = config.getAIFallbackIds().filter(id => id !== selectedId && configs.some(c => c.id === id));
+    const enabled = fallbackIds.map(id => configs.find(c => c.id === id));
+    const others = configs.filter(c => c.id !== selectedId && !fallbackIds.includes(c.id));
+
+    const renderItem = (cfg, index) => {
+      const isEnabled = index !== -1;
+      const hasCredentials = config.hasAICredentials(cfg);
+
+      return `
+        <div class="ai-fallback-item ${hasCredentials ? '' : 'disabled'}" data-id="${cfg.id}">
+          <input type="checkbox" class="ai-fallback-toggle" data-id="${cfg.id}" ${isEnabled ? 'checked' : ''} ${hasCredentials ? '' : 'disabled title="请先配置API Key"'}>
+          <span class="ai-fallback-order">${isEnabled ? index + 1 : ''}</span>
+          <span class="ai-fallback-name">${cfg.name}<span class="ai-fallback-model">${cfg.model}</span></span>
+          ${isEnabled ? `
+            <button class="ai-fallback-move" data-id="${cfg.id}" data-dir="-1" ${index === 0 ? 'disabled' : ''}>↑</button>
+            <button class="ai-fallback-move" data-id="${cfg.id}" data-dir="1" ${index === enabled.length - 1 ? 'disabled' : ''}>↓</button>
+          ` : ''}
+        </div>
+      `;
+    };
+
+    listElement.innerHTML = [
+      ...enabled.map((cfg, index) => renderItem(cfg, index)),
+      ...others.map(cfg => renderItem(cfg, -1))
+    ].join('');
   }
 
   /**
@@ -153,6 +153,27 @@ export const CSS_STYLES = `
     gap: 12px;
   }
 
+  .subtitle-track-select {
+    max-width: 180px;
+    padding: 3px 6px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 6px;
+    background: rgba(255, 255, 255, 0.08);
+    color: #fff;
+    font-size: 12px;
+    cursor: pointer;
+  }
+
+  .subtitle-track-select option {
+    background: #1f2937;
+    color: #fff;
+  }
+
+  .subtitle-track-select:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
   .subtitle-header-right {
     display: flex;
     align-items: center;
@@ -506,6 +527,50 @@ export const CSS_STYLES = `
     transform: scale(1.1);
   }
 
+  .download-wrapper {
+    position: relative;
+    display: inline-flex;
+  }
+
+  .download-format-menu {
+    display: none;
+    position: absolute;
+    top: calc(100% + 8px);
+    right: -8px;
+    min-width: 180px;
+    padding: 6px;
+    background: rgba(20, 20, 20, 0.95);
+    border: 1px solid rgba(254, 235, 234, 0.2);
+    border-radius: 8px;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+    z-index: 10;
+  }
+
+  .download-format-menu.show {
+    display: block;
+  }
+
+  .download-format-item {
+    padding: 8px 10px;
+    border-radius: 6px;
+    color: #e5e7eb;
+    font-size: 13px;
+    cursor: pointer;
+    white-space: nowrap;
+    transition: background 0.2s;
+  }
+
+  .download-format-item:hover {
+    background: rgba(254, 235, 234, 0.15);
+    color: #fff;
+  }
+
+  .download-format-divider {
+    height: 1px;
+    margin: 4px 0;
+    background: rgba(255, 255, 255, 0.1);
+  }
+
   /* ==================== Notion图标样式 ==================== */
   .notion-icon {
     cursor: pointer;
@@ -567,6 +632,25 @@ export const CSS_STYLES = `
     margin-bottom: 20px;
     border: 1px solid rgba(255, 255, 255, 0.08);
   }
+
+  .ai-summary-source-note {
+    margin-bottom: 12px;
+    padding: 8px 12px;
+    border-radius: 8px;
+    background: rgba(250, 204, 21, 0.12);
+    border: 1px solid rgba(250, 204, 21, 0.3);
+    color: #fde68a;
+    font-size: 12px;
+    line-height: 1.5;
+  }
+
+  .ai-summary-provider {
+    margin-top: -12px;
+    margin-bottom: 16px;
+    font-size: 11px;
+    color: rgba(255, 255, 255, 0.4);
+    text-align: right;
+  }
   
   .summary-title {
     font-size: 14px;
@@ -917,1770 +1001,2654 @@ export const CSS_STYLES = `
     to { transform: rotate(360deg); }
   }
 
-  /* ==================== Markdown样式 ==================== */
-  .ai-summary-content h1,
-  .ai-summary-content h2,
-  .ai-summary-content h3 {
-    color: #fff;
-    margin-top: 12px;
-    margin-bottom: 8px;
-    font-weight: 700;
-    word-wrap: break-word;
-    overflow-wrap: break-word;
+  /* ==================== 字幕问答样式 ==================== */
+  #chat-panel {
+    display: flex;
+    flex-direction: column;
+    min-height: 100%;
+    padding-bottom: 0;
   }
 
-  .ai-summary-content h1 { font-size: 17px; }
-  .ai-summary-content h2 { font-size: 16px; }
-  .ai-summary-content h3 { font-size: 15px; }
+  .chat-messages {
+    flex: 1;
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+    padding-bottom: 12px;
+  }
 
-  .ai-summary-content ul,
-  .ai-summary-content ol {
-    margin: 8px 0;
-    padding-left: 20px;
-    max-width: 100%;
+  .chat-empty {
+    padding: 40px 20px;
+    text-align: center;
+    color: rgba(255, 255, 255, 0.4);
+    font-size: 13px;
   }
 
-  .ai-summary-content li {
-    margin: 4px 0;
-    word-wrap: break-word;
-    overflow-wrap: break-word;
-    word-break: break-word;
+  .chat-message {
+    display: flex;
   }
 
-  .ai-summary-content p {
-    margin: 8px 0;
-    word-wrap: break-word;
-    overflow-wrap: break-word;
-    word-break: break-word;
-    white-space: normal;
+  .chat-message-user {
+    justify-content: flex-end;
   }
 
-  .ai-summary-content code {
-    background: rgba(255, 255, 255, 0.1);
-    color: #feebea;
-    padding: 3px 6px;
-    border-radius: 4px;
-    font-family: 'Courier New', monospace;
+  .chat-message-content {
+    max-width: 90%;
+    padding: 8px 12px;
+    border-radius: 10px;
     font-size: 13px;
-    border: 1px solid rgba(254, 235, 234, 0.2);
+    line-height: 1.6;
   }
 
-  .ai-summary-content pre {
-    background: rgba(0, 0, 0, 0.5);
-    padding: 12px;
-    border-radius: 8px;
-    overflow-x: auto;
-    margin: 10px 0;
-    border: 1px solid rgba(254, 235, 234, 0.2);
-    white-space: pre-wrap;
-    word-wrap: break-word;
-    max-width: 100%;
+  .chat-message-user .chat-message-content {
+    background: rgba(254, 235, 234, 0.18);
+    color: #fff;
   }
 
-  .ai-summary-content pre code {
-    background-color: transparent;
-    padding: 0;
-    border: none;
-    white-space: pre-wrap;
-    word-wrap: break-word;
+  .chat-message-assistant .chat-message-content {
+    background: rgba(255, 255, 255, 0.06);
   }
 
-  .ai-summary-content blockquote {
-    border-left: 4px solid #feebea;
-    background: rgba(254, 235, 234, 0.1);
-    padding: 12px;
-    padding-left: 16px;
-    margin: 10px 0;
-    border-radius: 4px;
-    word-wrap: break-word;
-    overflow-wrap: break-word;
+  .chat-timestamp {
+    color: #feebea;
+    font-family: monospace;
+    cursor: pointer;
+    text-decoration: underline dotted;
   }
 
-  .ai-summary-content strong {
+  .chat-timestamp:hover {
     color: #fff;
-    font-weight: 700;
   }
 
-  .ai-summary-content a {
-    color: #feebea;
-    text-decoration: underline;
-    font-weight: 600;
+  .chat-typing {
+    color: rgba(255, 255, 255, 0.5);
   }
-  
-  .ai-summary-content a:hover {
-    color: #fff;
+
+  .chat-error {
+    color: #fca5a5;
   }
 
-  /* ==================== 配置模态框样式 ==================== */
-  .config-modal {
-    position: fixed;
-    top: 0;
-    left: 0;
-    right: 0;
+  .chat-input-area {
+    position: sticky;
     bottom: 0;
-    background-color: rgba(0, 0, 0, 0.7);
-    z-index: ${Z_INDEX.AI_MODAL};
-    display: none;
-    align-items: center;
-    justify-content: center;
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+    padding: 10px 0 16px;
+    background: #141414;
   }
 
-  .config-modal.show {
-    display: flex;
+  .chat-input {
+    width: 100%;
+    box-sizing: border-box;
+    padding: 8px 10px;
+    background: rgba(255, 255, 255, 0.08);
+    border: 1px solid rgba(254, 235, 234, 0.2);
+    border-radius: 8px;
+    color: #fff;
+    font-size: 13px;
+    font-family: inherit;
+    resize: none;
+    outline: none;
   }
-  
-  /* 配置模态框overlay样式（用于快捷键配置等） */
-  .config-modal-overlay {
-    position: fixed;
-    top: 0;
-    left: 0;
-    right: 0;
-    bottom: 0;
-    background-color: rgba(0, 0, 0, 0.7);
-    z-index: ${Z_INDEX.AI_MODAL};
-    display: none;
-    align-items: center;
-    justify-content: center;
+
+  .chat-input:focus {
+    border-color: rgba(254, 235, 234, 0.5);
   }
-  
-  .config-modal-overlay.show {
+
+  .chat-input-actions {
     display: flex;
+    justify-content: flex-end;
+    gap: 8px;
   }
-  
-  /* 快捷键配置模态框 */
-  #shortcut-config-modal {
-    background: rgba(0, 0, 0, 0.85);
-    backdrop-filter: blur(12px);
-    border-radius: 16px;
-    padding: 0;
-    width: 600px;
-    max-width: 90%;
-    max-height: 85vh;
-    overflow: hidden;
-    box-shadow: 0 20px 60px rgba(0,0,0,0.5);
+
+  .chat-send-btn,
+  .chat-clear-btn {
+    padding: 4px 14px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 6px;
+    background: rgba(255, 255, 255, 0.08);
     color: #fff;
-    display: flex;
-    flex-direction: column;
-    border: 1px solid rgba(254, 235, 234, 0.2);
+    font-size: 12px;
+    cursor: pointer;
+    transition: all 0.2s;
   }
 
-  .config-modal-content {
-    background: rgba(0, 0, 0, 0.85);
-    backdrop-filter: blur(12px);
-    border-radius: 16px;
-    padding: 0;
-    width: 700px;
-    max-width: 90%;
-    max-height: 85vh;
-    overflow: hidden;
-    box-shadow: 0 20px 60px rgba(0,0,0,0.5);
-    color: #fff;
-    display: flex;
-    flex-direction: column;
-    border: 1px solid rgba(254, 235, 234, 0.2);
+  .chat-send-btn {
+    background: rgba(254, 235, 234, 0.25);
   }
 
-  .config-modal-header {
-    padding: 24px;
+  .chat-send-btn:hover,
+  .chat-clear-btn:hover {
+    background: rgba(254, 235, 234, 0.35);
+  }
+
+  .chat-send-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+
+  /* ==================== 弹幕面板 ==================== */
+  .danmaku-toolbar {
+    position: sticky;
+    top: 0;
     display: flex;
-    justify-content: space-between;
     align-items: center;
-    background: rgba(254, 235, 234, 0.15);
-    border-bottom: 1px solid rgba(254, 235, 234, 0.2);
-    border-radius: 16px 16px 0 0;
-  }
-  
-  .config-modal-title {
-    font-size: 20px;
-    font-weight: 700;
-    color: white;
+    gap: 8px;
+    padding: 4px 0 8px;
+    background: #141414;
   }
-  
-  .config-modal-close {
-    width: 32px;
-    height: 32px;
-    border-radius: 50%;
-    background: transparent;
-    border: none;
-    color: rgba(255, 255, 255, 0.7);
-    font-size: 24px;
-    cursor: pointer;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    transition: all 0.2s;
-  }
-  
-  .config-modal-close:hover {
-    background: rgba(255, 255, 255, 0.1);
-    color: rgba(255, 255, 255, 0.9);
-  }
-  
-  .config-modal-body {
+
+  .danmaku-search-input {
     flex: 1;
-    overflow-y: auto;
-    padding: 30px;
-    background-color: transparent;
+    min-width: 0;
+    padding: 6px 10px;
+    background: rgba(255, 255, 255, 0.08);
+    border: 1px solid rgba(254, 235, 234, 0.2);
+    border-radius: 8px;
+    color: #fff;
+    font-size: 13px;
+    outline: none;
   }
 
-  .config-field {
-    margin-bottom: 20px;
+  .danmaku-search-input:focus {
+    border-color: rgba(254, 235, 234, 0.5);
   }
 
-  .config-field label {
-    display: block;
-    margin-bottom: 10px;
-    font-weight: 600;
-    color: #e5e7eb;
-    font-size: 14px;
+  .danmaku-count {
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.5);
+    white-space: nowrap;
+  }
+
+  .danmaku-actions {
     display: flex;
     align-items: center;
-    gap: 6px;
+    gap: 8px;
+    margin-bottom: 8px;
   }
-  
-  .config-field label::before {
-    content: '•';
-    color: #feebea;
-    font-size: 18px;
-    font-weight: bold;
+
+  .danmaku-heatmap-toggle {
+    flex: 1;
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.7);
+    cursor: pointer;
   }
 
-  .config-field input,
-  .config-field textarea {
-    width: 100%;
-    padding: 12px 14px;
+  .danmaku-export-btn {
+    padding: 4px 10px;
     border: 1px solid rgba(254, 235, 234, 0.3);
-    border-radius: 10px;
-    font-size: 14px;
-    box-sizing: border-box;
-    transition: all 0.2s;
-    background: rgba(255, 255, 255, 0.1);
+    border-radius: 6px;
+    background: rgba(255, 255, 255, 0.08);
     color: #fff;
+    font-size: 12px;
+    cursor: pointer;
+    transition: all 0.2s;
   }
 
-  .config-field input:hover,
-  .config-field textarea:hover {
-    background: rgba(255, 255, 255, 0.12);
-    border-color: rgba(254, 235, 234, 0.5);
-  }
-
-  .config-field input:focus,
-  .config-field textarea:focus {
-    outline: none;
-    border-color: #feebea;
-    box-shadow: 0 0 0 3px rgba(254, 235, 234, 0.15);
-    background: rgba(255, 255, 255, 0.15);
+  .danmaku-export-btn:hover {
+    background: rgba(254, 235, 234, 0.35);
   }
 
-  .config-field input::placeholder,
-  .config-field textarea::placeholder {
-    color: rgba(255, 255, 255, 0.5);
+  .danmaku-export-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
   }
 
-  .config-field textarea {
-    font-family: inherit;
-    resize: vertical;
-    min-height: 120px;
-    line-height: 1.6;
-  }
-  
-  .config-field input[type="checkbox"] {
-    width: auto;
-    margin-right: 8px;
+  .danmaku-item {
+    display: flex;
+    gap: 8px;
+    padding: 4px 6px;
+    border-radius: 4px;
+    font-size: 13px;
+    line-height: 1.5;
     cursor: pointer;
   }
 
-  .config-help {
-    font-size: 12px;
-    color: rgba(255, 255, 255, 0.6);
-    margin-top: 5px;
+  .danmaku-item:hover {
+    background: rgba(255, 255, 255, 0.06);
   }
 
-  .config-help a {
+  .danmaku-time {
+    flex-shrink: 0;
     color: #feebea;
-    text-decoration: underline;
+    font-family: monospace;
   }
 
-  .config-help code {
-    background-color: rgba(255, 255, 255, 0.1);
-    padding: 2px 6px;
-    border-radius: 3px;
-    font-family: 'Courier New', monospace;
-    font-size: 11px;
-    color: #fff;
+  .danmaku-content {
+    word-break: break-all;
+    color: rgba(255, 255, 255, 0.85);
   }
 
-  .config-help strong {
-    color: #feebea;
+  .danmaku-empty {
+    padding: 20px;
+    text-align: center;
+    color: rgba(255, 255, 255, 0.4);
+    font-size: 13px;
   }
 
-  .config-footer {
+  /* 评论区总结 */
+  .comment-digest-actions {
     display: flex;
-    gap: 12px;
-    justify-content: flex-end;
-    padding: 20px 30px;
-    background-color: rgba(0, 0, 0, 0.3);
-    border-top: 1px solid rgba(254, 235, 234, 0.2);
-    border-radius: 0 0 16px 16px;
+    align-items: center;
+    gap: 10px;
+    margin-bottom: 12px;
   }
 
-  .config-btn {
-    padding: 12px 24px;
-    border: none;
-    border-radius: 10px;
-    font-size: 14px;
-    font-weight: 600;
+  .comment-digest-generate-btn {
+    padding: 4px 12px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 6px;
+    background: rgba(255, 255, 255, 0.08);
+    color: #fff;
+    font-size: 12px;
     cursor: pointer;
     transition: all 0.2s;
-    position: relative;
-    overflow: hidden;
   }
 
-  .config-btn::before {
-    content: '';
-    position: absolute;
-    top: 50%;
-    left: 50%;
-    width: 0;
-    height: 0;
-    border-radius: 50%;
-    background: rgba(255, 255, 255, 0.3);
-    transform: translate(-50%, -50%);
-    transition: width 0.6s, height 0.6s;
+  .comment-digest-generate-btn:hover {
+    background: rgba(254, 235, 234, 0.35);
   }
 
-  .config-btn:hover::before {
-    width: 300px;
-    height: 300px;
+  .comment-digest-generate-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
   }
 
-  .config-btn-primary {
-    background: linear-gradient(135deg, #feebea 0%, #2d2d2d 100%);
-    color: #fff;
-    box-shadow: 0 4px 12px rgba(254, 235, 234, 0.3);
+  .comment-digest-status {
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.5);
   }
 
-  .config-btn-primary:hover {
-    transform: translateY(-2px);
-    box-shadow: 0 6px 20px rgba(254, 235, 234, 0.4);
+  .comment-digest-content .ai-summary-provider {
+    margin-top: 12px;
   }
 
-  .config-btn-primary:active {
-    transform: translateY(0);
+  .comment-digest-empty {
+    padding: 20px;
+    text-align: center;
+    color: rgba(255, 255, 255, 0.4);
+    font-size: 13px;
   }
 
-  .config-btn-secondary {
-    background-color: #f3f4f6;
-    color: #6b7280;
-    border: 2px solid #e5e7eb;
+  .comment-digest-empty.chat-error {
+    color: #fca5a5;
   }
 
-  .config-btn-secondary:hover {
-    background-color: #e5e7eb;
-    color: #374151;
-    border-color: #d1d5db;
+  /* ==================== Markdown样式 ==================== */
+  .ai-summary-content h1,
+  .ai-summary-content h2,
+  .ai-summary-content h3 {
+    color: #fff;
+    margin-top: 12px;
+    margin-bottom: 8px;
+    font-weight: 700;
+    word-wrap: break-word;
+    overflow-wrap: break-word;
   }
 
-  .config-btn-danger {
-    background-color: #fee2e2;
-    color: #dc2626;
-    border: 2px solid #fecaca;
-  }
+  .ai-summary-content h1 { font-size: 17px; }
+  .ai-summary-content h2 { font-size: 16px; }
+  .ai-summary-content h3 { font-size: 15px; }
 
-  .config-btn-danger:hover {
-    background-color: #dc2626;
-    color: white;
-    border-color: #dc2626;
+  .ai-summary-content ul,
+  .ai-summary-content ol {
+    margin: 8px 0;
+    padding-left: 20px;
+    max-width: 100%;
   }
 
-  .config-status {
-    padding: 8px 12px;
-    border-radius: 6px;
-    font-size: 12px;
-    margin-top: 10px;
+  .ai-summary-content li {
+    margin: 4px 0;
+    word-wrap: break-word;
+    overflow-wrap: break-word;
+    word-break: break-word;
   }
 
-  .config-status.success {
-    background-color: #d4edda;
-    color: #155724;
+  .ai-summary-content p {
+    margin: 8px 0;
+    word-wrap: break-word;
+    overflow-wrap: break-word;
+    word-break: break-word;
+    white-space: normal;
   }
 
-  .config-status.error {
-    background-color: #f8d7da;
-    color: #721c24;
+  .ai-summary-content code {
+    background: rgba(255, 255, 255, 0.1);
+    color: #feebea;
+    padding: 3px 6px;
+    border-radius: 4px;
+    font-family: 'Courier New', monospace;
+    font-size: 13px;
+    border: 1px solid rgba(254, 235, 234, 0.2);
   }
 
-  /* ==================== AI配置列表样式 ==================== */
-  .ai-config-list {
-    margin-bottom: 25px;
-    display: grid;
-    grid-template-columns: repeat(2, 1fr);
-    gap: 10px;
+  .ai-summary-content pre {
+    background: rgba(0, 0, 0, 0.5);
+    padding: 12px;
+    border-radius: 8px;
+    overflow-x: auto;
+    margin: 10px 0;
+    border: 1px solid rgba(254, 235, 234, 0.2);
+    white-space: pre-wrap;
+    word-wrap: break-word;
+    max-width: 100%;
+  }
+
+  .ai-summary-content pre code {
+    background-color: transparent;
+    padding: 0;
+    border: none;
+    white-space: pre-wrap;
+    word-wrap: break-word;
+  }
+
+  .ai-summary-content blockquote {
+    border-left: 4px solid #feebea;
+    background: rgba(254, 235, 234, 0.1);
+    padding: 12px;
+    padding-left: 16px;
+    margin: 10px 0;
+    border-radius: 4px;
+    word-wrap: break-word;
+    overflow-wrap: break-word;
+  }
+
+  .ai-summary-content strong {
+    color: #fff;
+    font-weight: 700;
+  }
+
+  .ai-summary-content a {
+    color: #feebea;
+    text-decoration: underline;
+    font-weight: 600;
+  }
+  
+  .ai-summary-content a:hover {
+    color: #fff;
+  }
+
+  /* ==================== 配置模态框样式 ==================== */
+  .config-modal {
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    background-color: rgba(0, 0, 0, 0.7);
+    z-index: ${Z_INDEX.AI_MODAL};
+    display: none;
+    align-items: center;
+    justify-content: center;
+  }
+
+  .config-modal.show {
+    display: flex;
+  }
+  
+  /* 配置模态框overlay样式（用于快捷键配置等） */
+  .config-modal-overlay {
+    position: fixed;
+    top: 0;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    background-color: rgba(0, 0, 0, 0.7);
+    z-index: ${Z_INDEX.AI_MODAL};
+    display: none;
+    align-items: center;
+    justify-content: center;
+  }
+  
+  .config-modal-overlay.show {
+    display: flex;
+  }
+  
+  /* 快捷键配置模态框 */
+  #shortcut-config-modal {
+    background: rgba(0, 0, 0, 0.85);
+    backdrop-filter: blur(12px);
+    border-radius: 16px;
+    padding: 0;
+    width: 600px;
+    max-width: 90%;
+    max-height: 85vh;
+    overflow: hidden;
+    box-shadow: 0 20px 60px rgba(0,0,0,0.5);
+    color: #fff;
+    display: flex;
+    flex-direction: column;
+    border: 1px solid rgba(254, 235, 234, 0.2);
+  }
+
+  .config-modal-content {
+    background: rgba(0, 0, 0, 0.85);
+    backdrop-filter: blur(12px);
+    border-radius: 16px;
+    padding: 0;
+    width: 700px;
+    max-width: 90%;
+    max-height: 85vh;
+    overflow: hidden;
+    box-shadow: 0 20px 60px rgba(0,0,0,0.5);
+    color: #fff;
+    display: flex;
+    flex-direction: column;
+    border: 1px solid rgba(254, 235, 234, 0.2);
+  }
+
+  .config-modal-header {
+    padding: 24px;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    background: rgba(254, 235, 234, 0.15);
+    border-bottom: 1px solid rgba(254, 235, 234, 0.2);
+    border-radius: 16px 16px 0 0;
+  }
+  
+  .config-modal-title {
+    font-size: 20px;
+    font-weight: 700;
+    color: white;
+  }
+  
+  .config-modal-close {
+    width: 32px;
+    height: 32px;
+    border-radius: 50%;
+    background: transparent;
+    border: none;
+    color: rgba(255, 255, 255, 0.7);
+    font-size: 24px;
+    cursor: pointer;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    transition: all 0.2s;
+  }
+  
+  .config-modal-close:hover {
+    background: rgba(255, 255, 255, 0.1);
+    color: rgba(255, 255, 255, 0.9);
+  }
+  
+  .config-modal-body {
+    flex: 1;
+    overflow-y: auto;
+    padding: 30px;
+    background-color: transparent;
+  }
+
+  .config-field {
+    margin-bottom: 20px;
+  }
+
+  .config-field label {
+    display: block;
+    margin-bottom: 10px;
+    font-weight: 600;
+    color: #e5e7eb;
+    font-size: 14px;
+    display: flex;
+    align-items: center;
+    gap: 6px;
+  }
+  
+  .config-field label::before {
+    content: '•';
+    color: #feebea;
+    font-size: 18px;
+    font-weight: bold;
+  }
+
+  .config-field input,
+  .config-field textarea {
+    width: 100%;
+    padding: 12px 14px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 10px;
+    font-size: 14px;
+    box-sizing: border-box;
+    transition: all 0.2s;
+    background: rgba(255, 255, 255, 0.1);
+    color: #fff;
+  }
+
+  .config-field input:hover,
+  .config-field textarea:hover {
+    background: rgba(255, 255, 255, 0.12);
+    border-color: rgba(254, 235, 234, 0.5);
+  }
+
+  .config-field input:focus,
+  .config-field textarea:focus {
+    outline: none;
+    border-color: #feebea;
+    box-shadow: 0 0 0 3px rgba(254, 235, 234, 0.15);
+    background: rgba(255, 255, 255, 0.15);
+  }
+
+  .config-field input::placeholder,
+  .config-field textarea::placeholder {
+    color: rgba(255, 255, 255, 0.5);
+  }
+
+  .config-field textarea {
+    font-family: inherit;
+    resize: vertical;
+    min-height: 120px;
+    line-height: 1.6;
+  }
+  
+  .config-field input[type="checkbox"] {
+    width: auto;
+    margin-right: 8px;
+    cursor: pointer;
+  }
+
+  .config-help {
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.6);
+    margin-top: 5px;
+  }
+
+  .config-help a {
+    color: #feebea;
+    text-decoration: underline;
+  }
+
+  .config-help code {
+    background-color: rgba(255, 255, 255, 0.1);
+    padding: 2px 6px;
+    border-radius: 3px;
+    font-family: 'Courier New', monospace;
+    font-size: 11px;
+    color: #fff;
+  }
+
+  .config-help strong {
+    color: #feebea;
+  }
+
+  .config-footer {
+    display: flex;
+    gap: 12px;
+    justify-content: flex-end;
+    padding: 20px 30px;
+    background-color: rgba(0, 0, 0, 0.3);
+    border-top: 1px solid rgba(254, 235, 234, 0.2);
+    border-radius: 0 0 16px 16px;
+  }
+
+  .config-btn {
+    padding: 12px 24px;
+    border: none;
+    border-radius: 10px;
+    font-size: 14px;
+    font-weight: 600;
+    cursor: pointer;
+    transition: all 0.2s;
+    position: relative;
+    overflow: hidden;
+  }
+
+  .config-btn::before {
+    content: '';
+    position: absolute;
+    top: 50%;
+    left: 50%;
+    width: 0;
+    height: 0;
+    border-radius: 50%;
+    background: rgba(255, 255, 255, 0.3);
+    transform: translate(-50%, -50%);
+    transition: width 0.6s, height 0.6s;
+  }
+
+  .config-btn:hover::before {
+    width: 300px;
+    height: 300px;
+  }
+
+  .config-btn-primary {
+    background: linear-gradient(135deg, #feebea 0%, #2d2d2d 100%);
+    color: #fff;
+    box-shadow: 0 4px 12px rgba(254, 235, 234, 0.3);
+  }
+
+  .config-btn-primary:hover {
+    transform: translateY(-2px);
+    box-shadow: 0 6px 20px rgba(254, 235, 234, 0.4);
+  }
+
+  .config-btn-primary:active {
+    transform: translateY(0);
+  }
+
+  .config-btn-secondary {
+    background-color: #f3f4f6;
+    color: #6b7280;
+    border: 2px solid #e5e7eb;
+  }
+
+  .config-btn-secondary:hover {
+    background-color: #e5e7eb;
+    color: #374151;
+    border-color: #d1d5db;
+  }
+
+  .config-btn-danger {
+    background-color: #fee2e2;
+    color: #dc2626;
+    border: 2px solid #fecaca;
+  }
+
+  .config-btn-danger:hover {
+    background-color: #dc2626;
+    color: white;
+    border-color: #dc2626;
+  }
+
+  .config-status {
+    padding: 8px 12px;
+    border-radius: 6px;
+    font-size: 12px;
+    margin-top: 10px;
+  }
+
+  .config-status.success {
+    background-color: #d4edda;
+    color: #155724;
+  }
+
+  .config-status.error {
+    background-color: #f8d7da;
+    color: #721c24;
+  }
+
+  /* ==================== AI配置列表样式 ==================== */
+  .ai-config-list {
+    margin-bottom: 25px;
+    display: grid;
+    grid-template-columns: repeat(2, 1fr);
+    gap: 10px;
+  }
+
+  .ai-config-item {
+    padding: 10px 14px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 10px;
+    margin-bottom: 0;
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    cursor: pointer;
+    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
+    background: rgba(255, 255, 255, 0.05);
+    position: relative;
+    overflow: hidden;
+  }
+
+  .ai-config-item::before {
+    content: '';
+    position: absolute;
+    left: 0;
+    top: 0;
+    height: 100%;
+    width: 4px;
+    background: linear-gradient(135deg, #feebea 0%, #ffdbdb 100%);
+    transform: scaleY(0);
+    transition: transform 0.3s ease;
+  }
+
+  .ai-config-item:hover {
+    background: rgba(254, 235, 234, 0.15);
+    border-color: #feebea;
+    transform: translateX(4px);
+    box-shadow: 0 4px 12px rgba(254, 235, 234, 0.2);
+  }
+
+  .ai-config-item:hover::before {
+    transform: scaleY(1);
+  }
+
+  .ai-config-item.selected {
+    border-color: #feebea;
+    background: rgba(254, 235, 234, 0.2);
+    box-shadow: 0 4px 16px rgba(254, 235, 234, 0.3);
+  }
+
+  .ai-config-item.selected::before {
+    transform: scaleY(1);
+    width: 4px;
+  }
+
+  .ai-config-item-name {
+    font-weight: 600;
+    font-size: 14px;
+    color: #e5e7eb;
+  }
+
+  .ai-config-item.selected .ai-config-item-name {
+    color: #fff;
+    font-weight: 700;
+  }
+
+  .ai-config-item-actions {
+    display: flex;
+    gap: 8px;
+    z-index: 1;
+  }
+
+  .ai-config-btn-small {
+    padding: 4px 12px;
+    font-size: 12px;
+    border: none;
+    border-radius: 6px;
+    cursor: pointer;
+    transition: all 0.2s;
+    font-weight: 500;
+  }
+
+  .ai-config-btn-small:hover {
+    transform: translateY(-1px);
+    box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+  }
+
+  .ai-config-btn-small.config-btn-primary {
+    background: linear-gradient(135deg, #feebea 0%, #2d2d2d 100%);
+    color: white;
+  }
+
+  .ai-config-btn-small.config-btn-secondary {
+    background-color: #f3f4f6;
+    color: #6b7280;
+  }
+
+  .ai-config-btn-small.config-btn-secondary:hover {
+    background-color: #fee2e2;
+    color: #dc2626;
+  }
+
+  /* AI备用配置（失败时自动切换） */
+  .ai-fallback-section {
+    margin-bottom: 20px;
+    padding: 12px 14px;
+    border: 1px dashed rgba(254, 235, 234, 0.3);
+    border-radius: 10px;
+  }
+
+  .ai-fallback-header {
+    font-size: 13px;
+    font-weight: 600;
+    color: #e5e7eb;
+    margin-bottom: 4px;
+  }
+
+  .ai-fallback-hint {
+    font-size: 11px;
+    color: rgba(255, 255, 255, 0.5);
+    margin-bottom: 10px;
+  }
+
+  .ai-fallback-item {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 6px 0;
+    font-size: 13px;
+    color: #e5e7eb;
+  }
+
+  .ai-fallback-item.disabled {
+    opacity: 0.5;
+  }
+
+  .ai-fallback-order {
+    min-width: 18px;
+    font-size: 11px;
+    color: #feebea;
+    text-align: center;
+  }
+
+  .ai-fallback-name {
+    flex: 1;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
+  }
+
+  .ai-fallback-model {
+    font-size: 11px;
+    color: rgba(255, 255, 255, 0.5);
+    margin-left: 6px;
+  }
+
+  .ai-fallback-move {
+    padding: 2px 8px;
+    font-size: 12px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 4px;
+    background: transparent;
+    color: #e5e7eb;
+    cursor: pointer;
+  }
+
+  .ai-fallback-move:disabled {
+    opacity: 0.3;
+    cursor: default;
+  }
+
+  .ai-config-form {
+    border-top: 1px solid rgba(254, 235, 234, 0.2);
+    padding-top: 25px;
+    margin-top: 10px;
+    background: rgba(0, 0, 0, 0.3);
+    padding: 25px;
+    border-radius: 12px;
+    border: 1px solid rgba(254, 235, 234, 0.2);
+  }
+
+  .ai-config-form.hidden {
+    display: none;
+  }
+
+  .ai-config-form .config-field {
+    margin-bottom: 20px;
+  }
+
+  /* ==================== 模型选择器样式 ==================== */
+  .model-select-wrapper {
+    margin-top: 8px;
+    position: relative;
+  }
+
+  .model-search-input {
+    width: 100%;
+    padding: 10px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 6px;
+    font-size: 14px;
+    box-sizing: border-box;
+    margin-bottom: 8px;
+    background: rgba(255, 255, 255, 0.1);
+    color: #fff;
+  }
+
+  .model-search-input:focus {
+    outline: none;
+    border-color: #feebea;
+    box-shadow: 0 0 0 3px rgba(254, 235, 234, 0.15);
+    background: rgba(255, 255, 255, 0.15);
+  }
+
+  .model-search-input::placeholder {
+    color: rgba(255, 255, 255, 0.5);
+  }
+
+  .model-select-wrapper select {
+    width: 100%;
+    padding: 10px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 6px;
+    font-size: 14px;
+    box-sizing: border-box;
+    max-height: 200px;
+    background: rgba(255, 255, 255, 0.1);
+    color: #fff;
+  }
+
+  .model-select-wrapper select option {
+    padding: 8px;
+    background: rgba(0, 0, 0, 0.9);
+    color: #fff;
+  }
+
+  .model-count-badge {
+    display: inline-block;
+    background: #feebea;
+    color: #1a1a1a;
+    padding: 2px 8px;
+    border-radius: 12px;
+    font-size: 12px;
+    margin-left: 8px;
+    font-weight: 600;
+  }
+
+  .model-field-with-button {
+    display: flex;
+    gap: 8px;
+    align-items: center;
+  }
+
+  .model-field-with-button input {
+    flex: 1;
+  }
+
+  .fetch-models-btn {
+    padding: 12px 20px;
+    font-size: 14px;
+    font-weight: 600;
+    border: none;
+    border-radius: 10px;
+    background: linear-gradient(135deg, #feebea 0%, #2d2d2d 100%);
+    color: white;
+    cursor: pointer;
+    white-space: nowrap;
+    transition: all 0.2s;
+    box-shadow: 0 2px 8px rgba(254, 235, 234, 0.3);
+  }
+
+  .fetch-models-btn:hover {
+    transform: translateY(-2px);
+    box-shadow: 0 4px 12px rgba(254, 235, 234, 0.4);
+  }
+
+  .fetch-models-btn:active {
+    transform: translateY(0);
+  }
+
+  .fetch-models-btn:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+    transform: none !important;
+    box-shadow: none;
+  }
+
+  /* ==================== 速度控制样式 ==================== */
+  .speed-control-section {
+    padding: 12px;
+    margin-bottom: 15px;
+    background: linear-gradient(135deg, #fff5f5 0%, #ffe5e5 100%);
+    border-radius: 12px;
+    border: 2px solid rgba(254, 235, 234, 0.5);
+  }
+
+  .speed-control-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 10px;
+    padding-bottom: 8px;
+    border-bottom: 2px solid rgba(254, 235, 234, 0.5);
+  }
+
+  .speed-control-title {
+    font-size: 14px;
+    font-weight: 700;
+    color: #2d2d2d;
+  }
+
+  .speed-control-display {
+    font-size: 16px;
+    font-weight: 700;
+    color: #1a1a1a;
+    font-family: monospace;
+  }
+
+  .speed-control-buttons {
+    display: flex;
+    gap: 8px;
+    margin-bottom: 10px;
+  }
+
+  .speed-btn {
+    flex: 1;
+    padding: 8px;
+    border: 2px solid #e5e7eb;
+    border-radius: 8px;
+    background: white;
+    color: #1a1a1a;
+    cursor: pointer;
+    font-size: 14px;
+    font-weight: 600;
+    transition: all 0.2s;
+  }
+
+  .speed-btn:hover {
+    background: #feebea;
+    border-color: #feebea;
+    transform: translateY(-1px);
+  }
+
+  .speed-btn-small {
+    flex: 0 0 40px;
+    font-size: 18px;
+  }
+
+  .speed-control-advanced {
+    margin-top: 8px;
+  }
+
+  .speed-toggle-volume-btn {
+    width: 100%;
+    padding: 8px;
+    border: 2px solid #e5e7eb;
+    border-radius: 8px;
+    background: white;
+    color: #6b7280;
+    cursor: pointer;
+    font-size: 12px;
+    transition: all 0.2s;
+  }
+
+  .speed-toggle-volume-btn:hover {
+    background: #fff5f5;
+    border-color: #ffe5e5;
+  }
+
+  /* ==================== 快捷键配置面板样式 ==================== */
+
+  .shortcut-item {
+    display: flex;
+    flex-direction: column;
+    gap: 8px;
+    padding: 12px;
+    background: rgba(255, 255, 255, 0.05);
+    border-radius: 8px;
+    transition: all 0.2s;
+  }
+
+  .shortcut-item:hover {
+    background: rgba(255, 255, 255, 0.08);
+  }
+
+  .shortcut-description {
+    flex: 1;
+    font-size: 14px;
+    color: rgba(255, 255, 255, 0.9);
+  }
+
+  .shortcut-controls {
+    display: flex;
+    gap: 8px;
+    align-items: center;
+  }
+
+  .shortcut-input {
+    padding: 6px 12px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 6px;
+    font-size: 13px;
+    min-width: 180px;
+    text-align: center;
+    background: rgba(255, 255, 255, 0.1);
+    color: #fff;
+    cursor: pointer;
+    transition: all 0.2s;
+  }
+
+  .shortcut-input:hover {
+    background: rgba(255, 255, 255, 0.15);
+    border-color: rgba(254, 235, 234, 0.5);
+  }
+
+  .shortcut-input.recording,
+  .shortcut-input.capturing {
+    background: rgba(254, 235, 234, 0.2);
+    border-color: #feebea;
+    animation: pulse 1.5s infinite;
+  }
+
+  @keyframes pulse {
+    0% { box-shadow: 0 0 0 0 rgba(254, 235, 234, 0.4); }
+    50% { box-shadow: 0 0 0 8px rgba(254, 235, 234, 0); }
+    100% { box-shadow: 0 0 0 0 rgba(254, 235, 234, 0); }
   }
 
-  .ai-config-item {
-    padding: 10px 14px;
-    border: 1px solid rgba(254, 235, 234, 0.3);
-    border-radius: 10px;
-    margin-bottom: 0;
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
+  .shortcut-reset-btn {
+    padding: 6px 12px;
+    background: rgba(255, 255, 255, 0.1);
+    color: rgba(255, 255, 255, 0.7);
+    border: 1px solid rgba(255, 255, 255, 0.2);
+    border-radius: 6px;
+    font-size: 12px;
     cursor: pointer;
-    transition: all 0.3s cubic-bezier(0.4, 0, 0.2, 1);
-    background: rgba(255, 255, 255, 0.05);
-    position: relative;
-    overflow: hidden;
+    transition: all 0.2s;
   }
 
-  .ai-config-item::before {
-    content: '';
-    position: absolute;
-    left: 0;
-    top: 0;
-    height: 100%;
-    width: 4px;
-    background: linear-gradient(135deg, #feebea 0%, #ffdbdb 100%);
-    transform: scaleY(0);
-    transition: transform 0.3s ease;
+  .shortcut-reset-btn:hover {
+    background: rgba(255, 255, 255, 0.15);
+    color: rgba(255, 255, 255, 0.9);
   }
 
-  .ai-config-item:hover {
-    background: rgba(254, 235, 234, 0.15);
-    border-color: #feebea;
-    transform: translateX(4px);
-    box-shadow: 0 4px 12px rgba(254, 235, 234, 0.2);
+  /* 长按和双击模式按钮 */
+  .shortcut-mode-btn {
+    padding: 4px 8px;
+    background: rgba(255, 255, 255, 0.08);
+    color: rgba(255, 255, 255, 0.6);
+    border: 1px solid rgba(255, 255, 255, 0.15);
+    border-radius: 4px;
+    font-size: 11px;
+    cursor: pointer;
+    transition: all 0.2s;
+    white-space: nowrap;
   }
 
-  .ai-config-item:hover::before {
-    transform: scaleY(1);
+  .shortcut-mode-btn:hover {
+    background: rgba(255, 255, 255, 0.12);
+    color: rgba(255, 255, 255, 0.8);
   }
 
-  .ai-config-item.selected {
+  .shortcut-mode-btn.active {
+    background: rgba(254, 235, 234, 0.3);
+    color: #feebea;
     border-color: #feebea;
-    background: rgba(254, 235, 234, 0.2);
-    box-shadow: 0 4px 16px rgba(254, 235, 234, 0.3);
+    box-shadow: 0 0 8px rgba(254, 235, 234, 0.3);
   }
 
-  .ai-config-item.selected::before {
-    transform: scaleY(1);
-    width: 4px;
+  .shortcut-config-footer {
+    margin-top: 16px;
+    padding-top: 16px;
+    border-top: 1px solid rgba(255, 255, 255, 0.1);
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+  }
+  
+  .shortcut-tips {
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.6);
+    display: flex;
+    align-items: center;
+    gap: 4px;
   }
 
-  .ai-config-item-name {
-    font-weight: 600;
-    font-size: 14px;
-    color: #e5e7eb;
+  .shortcuts-icon {
+    cursor: pointer;
+    display: inline-flex;
+    align-items: center;
+    justify-content: center;
+    padding: 4px;
+    transition: all 0.2s;
   }
 
-  .ai-config-item.selected .ai-config-item-name {
-    color: #fff;
-    font-weight: 700;
+  .shortcuts-icon:hover {
+    transform: rotate(45deg);
+    filter: drop-shadow(0 0 8px rgba(254, 235, 234, 0.5));
   }
 
-  .ai-config-item-actions {
+  /* ==================== 笔记面板样式 ==================== */
+  .notes-panel {
+    position: fixed;
+    right: 20px;
+    top: 50%;
+    transform: translateY(-50%);
+    width: 400px;
+    min-width: 350px;
+    max-width: 600px;
+    height: 600px;
+    min-height: 400px;
+    max-height: 80vh;
+    background: rgba(32, 32, 38, 0.95);
+    backdrop-filter: blur(20px) saturate(200%);
+    border-radius: 16px;
+    box-shadow: 
+      0 20px 60px -8px rgba(255, 105, 180, 0.2),
+      0 8px 24px -4px rgba(0, 0, 0, 0.3),
+      inset 0 1px 0 rgba(255, 255, 255, 0.08),
+      inset 0 -1px 0 rgba(0, 0, 0, 0.2);
+    resize: both;
+    overflow: hidden;  /* 改为 hidden，只允许内部 body 滚动 */
+    z-index: ${Z_INDEX.NOTES_PANEL};
+    display: none;
+    flex-direction: column;
+  }
+
+  .notes-panel.show {
     display: flex;
-    gap: 8px;
-    z-index: 1;
   }
 
-  .ai-config-btn-small {
-    padding: 4px 12px;
-    font-size: 12px;
+  .notes-panel-content {
+    display: flex;
+    flex-direction: column;
+    height: 100%;
+  }
+
+  .notes-panel-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 20px;
+    border-bottom: 1px solid rgba(254, 235, 234, 0.2);
+    background: rgba(254, 235, 234, 0.15);
+  }
+
+  .notes-panel-header h2 {
+    margin: 0;
+    font-size: 20px;
+    font-weight: 600;
+    color: #fff;
+  }
+
+  .notes-panel-close {
+    background: none;
     border: none;
-    border-radius: 6px;
+    font-size: 24px;
+    color: rgba(255, 255, 255, 0.6);
     cursor: pointer;
+    padding: 0;
+    width: 30px;
+    height: 30px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border-radius: 50%;
     transition: all 0.2s;
-    font-weight: 500;
   }
 
-  .ai-config-btn-small:hover {
-    transform: translateY(-1px);
-    box-shadow: 0 2px 8px rgba(0,0,0,0.15);
+  .notes-panel-close:hover {
+    background: rgba(255,255,255,0.1);
+    color: #fff;
   }
 
-  .ai-config-btn-small.config-btn-primary {
-    background: linear-gradient(135deg, #feebea 0%, #2d2d2d 100%);
-    color: white;
+  /* 笔记筛选器样式 */
+  .notes-filters {
+    display: flex;
+    gap: 20px;
+    padding: 12px 20px;
+    background: rgba(0, 0, 0, 0.2);
+    border-bottom: 1px solid rgba(255, 255, 255, 0.1);
   }
 
-  .ai-config-btn-small.config-btn-secondary {
-    background-color: #f3f4f6;
-    color: #6b7280;
+  .filter-checkbox {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    cursor: pointer;
+    user-select: none;
   }
 
-  .ai-config-btn-small.config-btn-secondary:hover {
-    background-color: #fee2e2;
-    color: #dc2626;
+  .filter-checkbox input[type="checkbox"] {
+    width: 16px;
+    height: 16px;
+    cursor: pointer;
+    accent-color: #feebea;
   }
 
-  .ai-config-form {
-    border-top: 1px solid rgba(254, 235, 234, 0.2);
-    padding-top: 25px;
-    margin-top: 10px;
-    background: rgba(0, 0, 0, 0.3);
-    padding: 25px;
-    border-radius: 12px;
-    border: 1px solid rgba(254, 235, 234, 0.2);
+  .filter-checkbox span {
+    color: rgba(255, 255, 255, 0.8);
+    font-size: 14px;
   }
 
-  .ai-config-form.hidden {
-    display: none;
+  .filter-checkbox:hover span {
+    color: rgba(255, 255, 255, 0.95);
   }
 
-  .ai-config-form .config-field {
-    margin-bottom: 20px;
+  .notes-group-mode {
+    display: flex;
+    gap: 4px;
+    margin-left: auto;
   }
 
-  /* ==================== 模型选择器样式 ==================== */
-  .model-select-wrapper {
-    margin-top: 8px;
-    position: relative;
+  .notes-group-mode-btn {
+    background: rgba(255, 255, 255, 0.08);
+    border: 1px solid rgba(255, 255, 255, 0.15);
+    border-radius: 4px;
+    color: rgba(255, 255, 255, 0.7);
+    font-size: 12px;
+    padding: 2px 8px;
+    cursor: pointer;
   }
 
-  .model-search-input {
-    width: 100%;
-    padding: 10px;
-    border: 1px solid rgba(254, 235, 234, 0.3);
-    border-radius: 6px;
-    font-size: 14px;
-    box-sizing: border-box;
-    margin-bottom: 8px;
-    background: rgba(255, 255, 255, 0.1);
+  .notes-group-mode-btn.active {
+    background: rgba(254, 235, 234, 0.25);
+    border-color: #feebea;
     color: #fff;
   }
 
-  .model-search-input:focus {
-    outline: none;
-    border-color: #feebea;
-    box-shadow: 0 0 0 3px rgba(254, 235, 234, 0.15);
-    background: rgba(255, 255, 255, 0.15);
+  .note-video-time-chip {
+    background: rgba(254, 235, 234, 0.2);
+    border: none;
+    border-radius: 10px;
+    color: #feebea;
+    font-size: 12px;
+    padding: 1px 8px;
+    margin-right: 6px;
+    cursor: pointer;
+  }
+
+  .note-video-time-chip:hover {
+    background: rgba(254, 235, 234, 0.35);
   }
 
-  .model-search-input::placeholder {
-    color: rgba(255, 255, 255, 0.5);
+  .notes-search {
+    padding: 12px 20px 0;
+    background: rgba(0, 0, 0, 0.2);
   }
 
-  .model-select-wrapper select {
+  .notes-search-input {
     width: 100%;
-    padding: 10px;
-    border: 1px solid rgba(254, 235, 234, 0.3);
-    border-radius: 6px;
-    font-size: 14px;
     box-sizing: border-box;
-    max-height: 200px;
-    background: rgba(255, 255, 255, 0.1);
+    padding: 8px 12px;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+    border-radius: 6px;
+    background: rgba(255, 255, 255, 0.08);
     color: #fff;
+    font-size: 14px;
+    outline: none;
   }
 
-  .model-select-wrapper select option {
-    padding: 8px;
-    background: rgba(0, 0, 0, 0.9);
-    color: #fff;
+  .notes-search-input:focus {
+    border-color: #feebea;
   }
 
-  .model-count-badge {
-    display: inline-block;
-    background: #feebea;
-    color: #1a1a1a;
-    padding: 2px 8px;
-    border-radius: 12px;
-    font-size: 12px;
-    margin-left: 8px;
-    font-weight: 600;
+  .notes-search-input::placeholder {
+    color: rgba(255, 255, 255, 0.5);
   }
 
-  .model-field-with-button {
-    display: flex;
-    gap: 8px;
-    align-items: center;
+  .notes-panel-body {
+    flex: 1;
+    overflow-y: auto;
+    padding: 20px;
   }
 
-  .model-field-with-button input {
-    flex: 1;
+  .notes-panel-body::-webkit-scrollbar {
+    width: 6px;
   }
 
-  .fetch-models-btn {
-    padding: 12px 20px;
-    font-size: 14px;
-    font-weight: 600;
-    border: none;
-    border-radius: 10px;
-    background: linear-gradient(135deg, #feebea 0%, #2d2d2d 100%);
-    color: white;
-    cursor: pointer;
-    white-space: nowrap;
-    transition: all 0.2s;
-    box-shadow: 0 2px 8px rgba(254, 235, 234, 0.3);
+  .notes-panel-body::-webkit-scrollbar-thumb {
+    background-color: rgba(254, 235, 234, 0.4);
+    border-radius: 3px;
+  }
+  
+  .notes-panel-body::-webkit-scrollbar-thumb:hover {
+    background-color: rgba(254, 235, 234, 0.6);
+  }
+  
+  .notes-panel-body::-webkit-scrollbar-track {
+    background-color: rgba(255, 255, 255, 0.05);
   }
 
-  .fetch-models-btn:hover {
-    transform: translateY(-2px);
-    box-shadow: 0 4px 12px rgba(254, 235, 234, 0.4);
+  .notes-empty-state {
+    text-align: center;
+    padding: 60px 20px;
+    color: rgba(255, 255, 255, 0.6);
   }
 
-  .fetch-models-btn:active {
-    transform: translateY(0);
+  .notes-empty-icon {
+    font-size: 48px;
+    margin-bottom: 16px;
   }
 
-  .fetch-models-btn:disabled {
-    opacity: 0.6;
-    cursor: not-allowed;
-    transform: none !important;
-    box-shadow: none;
+  .notes-empty-hint {
+    font-size: 14px;
+    margin-top: 8px;
   }
 
-  /* ==================== 速度控制样式 ==================== */
-  .speed-control-section {
-    padding: 12px;
-    margin-bottom: 15px;
-    background: linear-gradient(135deg, #fff5f5 0%, #ffe5e5 100%);
-    border-radius: 12px;
-    border: 2px solid rgba(254, 235, 234, 0.5);
+  .note-group {
+    margin-bottom: 24px;
   }
 
-  .speed-control-header {
+  .note-group-header {
     display: flex;
     justify-content: space-between;
     align-items: center;
-    margin-bottom: 10px;
+    margin-bottom: 12px;
     padding-bottom: 8px;
-    border-bottom: 2px solid rgba(254, 235, 234, 0.5);
+    border-bottom: 1px solid rgba(254, 235, 234, 0.2);
   }
 
-  .speed-control-title {
+  .note-group-title {
     font-size: 14px;
-    font-weight: 700;
-    color: #2d2d2d;
-  }
-
-  .speed-control-display {
-    font-size: 16px;
-    font-weight: 700;
-    color: #1a1a1a;
-    font-family: monospace;
+    font-weight: 600;
+    color: #e5e7eb;
   }
 
-  .speed-control-buttons {
+  .note-group-actions {
     display: flex;
     gap: 8px;
-    margin-bottom: 10px;
   }
 
-  .speed-btn {
-    flex: 1;
-    padding: 8px;
-    border: 2px solid #e5e7eb;
-    border-radius: 8px;
-    background: white;
-    color: #1a1a1a;
+  .note-group-copy-btn,
+  .note-group-delete-btn {
+    padding: 4px 12px;
+    border-radius: 4px;
     cursor: pointer;
-    font-size: 14px;
-    font-weight: 600;
+    font-size: 12px;
     transition: all 0.2s;
+    border: 1px solid;
   }
 
-  .speed-btn:hover {
-    background: #feebea;
-    border-color: #feebea;
-    transform: translateY(-1px);
-  }
-
-  .speed-btn-small {
-    flex: 0 0 40px;
-    font-size: 18px;
+  .note-group-copy-btn {
+    background: none;
+    border-color: #4A90E2;
+    color: #4A90E2;
   }
 
-  .speed-control-advanced {
-    margin-top: 8px;
+  .note-group-copy-btn:hover {
+    background: #4A90E2;
+    color: white;
   }
 
-  .speed-toggle-volume-btn {
-    width: 100%;
-    padding: 8px;
-    border: 2px solid #e5e7eb;
-    border-radius: 8px;
-    background: white;
-    color: #6b7280;
-    cursor: pointer;
-    font-size: 12px;
-    transition: all 0.2s;
+  .note-group-delete-btn {
+    background: none;
+    border-color: #e74c3c;
+    color: #e74c3c;
   }
 
-  .speed-toggle-volume-btn:hover {
-    background: #fff5f5;
-    border-color: #ffe5e5;
+  .note-group-delete-btn:hover {
+    background: #e74c3c;
+    color: white;
   }
 
-  /* ==================== 快捷键配置面板样式 ==================== */
-
-  .shortcut-item {
-    display: flex;
-    flex-direction: column;
-    gap: 8px;
-    padding: 12px;
+  .note-item {
     background: rgba(255, 255, 255, 0.05);
+    padding: 12px;
     border-radius: 8px;
-    transition: all 0.2s;
+    margin-bottom: 8px;
+    transition: background-color 0.2s;
+    border: 1px solid rgba(254, 235, 234, 0.1);
   }
 
-  .shortcut-item:hover {
-    background: rgba(255, 255, 255, 0.08);
+  .note-item:hover {
+    background: rgba(255, 255, 255, 0.1);
+    border-color: rgba(254, 235, 234, 0.3);
   }
 
-  .shortcut-description {
-    flex: 1;
+  .note-content {
+    color: #e5e7eb;
     font-size: 14px;
-    color: rgba(255, 255, 255, 0.9);
+    line-height: 1.6;
+    margin-bottom: 8px;
+    word-break: break-word;
+    white-space: pre-wrap;
   }
 
-  .shortcut-controls {
+  .note-footer {
     display: flex;
-    gap: 8px;
+    justify-content: space-between;
     align-items: center;
   }
 
-  .shortcut-input {
-    padding: 6px 12px;
-    border: 1px solid rgba(254, 235, 234, 0.3);
-    border-radius: 6px;
-    font-size: 13px;
-    min-width: 180px;
-    text-align: center;
-    background: rgba(255, 255, 255, 0.1);
-    color: #fff;
-    cursor: pointer;
-    transition: all 0.2s;
+  .note-time {
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.5);
   }
 
-  .shortcut-input:hover {
-    background: rgba(255, 255, 255, 0.15);
-    border-color: rgba(254, 235, 234, 0.5);
+  .note-actions {
+    display: flex;
+    gap: 8px;
   }
 
-  .shortcut-input.recording,
-  .shortcut-input.capturing {
-    background: rgba(254, 235, 234, 0.2);
-    border-color: #feebea;
-    animation: pulse 1.5s infinite;
+  .note-copy-btn,
+  .note-delete-btn {
+    background: none;
+    border: none;
+    cursor: pointer;
+    font-size: 12px;
+    padding: 4px 8px;
+    transition: color 0.2s;
   }
 
-  @keyframes pulse {
-    0% { box-shadow: 0 0 0 0 rgba(254, 235, 234, 0.4); }
-    50% { box-shadow: 0 0 0 8px rgba(254, 235, 234, 0); }
-    100% { box-shadow: 0 0 0 0 rgba(254, 235, 234, 0); }
+  .note-copy-btn {
+    color: #4A90E2;
   }
 
-  .shortcut-reset-btn {
-    padding: 6px 12px;
-    background: rgba(255, 255, 255, 0.1);
-    color: rgba(255, 255, 255, 0.7);
-    border: 1px solid rgba(255, 255, 255, 0.2);
-    border-radius: 6px;
-    font-size: 12px;
-    cursor: pointer;
-    transition: all 0.2s;
+  .note-copy-btn:hover {
+    color: #357ABD;
   }
 
-  .shortcut-reset-btn:hover {
-    background: rgba(255, 255, 255, 0.15);
-    color: rgba(255, 255, 255, 0.9);
+  .note-delete-btn {
+    color: #e74c3c;
   }
 
-  /* 长按和双击模式按钮 */
-  .shortcut-mode-btn {
-    padding: 4px 8px;
-    background: rgba(255, 255, 255, 0.08);
-    color: rgba(255, 255, 255, 0.6);
-    border: 1px solid rgba(255, 255, 255, 0.15);
-    border-radius: 4px;
-    font-size: 11px;
-    cursor: pointer;
-    transition: all 0.2s;
-    white-space: nowrap;
+  .note-delete-btn:hover {
+    color: #c0392b;
   }
 
-  .shortcut-mode-btn:hover {
-    background: rgba(255, 255, 255, 0.12);
-    color: rgba(255, 255, 255, 0.8);
+  /* ==================== AI 总结笔记样式 ==================== */
+  .note-item-ai-summary {
+    background: rgba(254, 235, 234, 0.08);
+    border: 1px solid rgba(254, 235, 234, 0.2);
+    padding: 16px;
   }
 
-  .shortcut-mode-btn.active {
-    background: rgba(254, 235, 234, 0.3);
-    color: #feebea;
-    border-color: #feebea;
-    box-shadow: 0 0 8px rgba(254, 235, 234, 0.3);
+  .note-item-ai-summary:hover {
+    background: rgba(254, 235, 234, 0.12);
+    border-color: rgba(254, 235, 234, 0.4);
   }
 
-  .shortcut-config-footer {
-    margin-top: 16px;
-    padding-top: 16px;
-    border-top: 1px solid rgba(255, 255, 255, 0.1);
+  .ai-summary-content-wrapper {
     display: flex;
-    justify-content: space-between;
-    align-items: center;
+    flex-direction: column;
+    gap: 16px;
+    margin-bottom: 12px;
   }
-  
-  .shortcut-tips {
-    font-size: 12px;
-    color: rgba(255, 255, 255, 0.6);
+
+  .ai-summary-section {
     display: flex;
-    align-items: center;
-    gap: 4px;
+    flex-direction: column;
+    gap: 8px;
   }
 
-  .shortcuts-icon {
-    cursor: pointer;
-    display: inline-flex;
-    align-items: center;
-    justify-content: center;
-    padding: 4px;
-    transition: all 0.2s;
+  .ai-summary-title {
+    font-size: 13px;
+    font-weight: 600;
+    color: #feebea;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
   }
 
-  .shortcuts-icon:hover {
-    transform: rotate(45deg);
-    filter: drop-shadow(0 0 8px rgba(254, 235, 234, 0.5));
+  .ai-summary-content {
+    font-size: 13px;
+    color: rgba(255, 255, 255, 0.8);
+    line-height: 1.6;
+    padding: 8px 12px;
+    background: rgba(255, 255, 255, 0.05);
+    border-radius: 4px;
+    border-left: 3px solid rgba(254, 235, 234, 0.3);
   }
 
-  /* ==================== 笔记面板样式 ==================== */
-  .notes-panel {
-    position: fixed;
-    right: 20px;
-    top: 50%;
-    transform: translateY(-50%);
-    width: 400px;
-    min-width: 350px;
-    max-width: 600px;
-    height: 600px;
-    min-height: 400px;
-    max-height: 80vh;
-    background: rgba(32, 32, 38, 0.95);
-    backdrop-filter: blur(20px) saturate(200%);
-    border-radius: 16px;
-    box-shadow: 
-      0 20px 60px -8px rgba(255, 105, 180, 0.2),
-      0 8px 24px -4px rgba(0, 0, 0, 0.3),
-      inset 0 1px 0 rgba(255, 255, 255, 0.08),
-      inset 0 -1px 0 rgba(0, 0, 0, 0.2);
-    resize: both;
-    overflow: hidden;  /* 改为 hidden，只允许内部 body 滚动 */
-    z-index: ${Z_INDEX.NOTES_PANEL};
-    display: none;
+  .ai-summary-segments {
+    display: flex;
     flex-direction: column;
+    gap: 12px;
   }
 
-  .notes-panel.show {
-    display: flex;
+  .segment-item {
+    padding: 12px;
+    background: rgba(255, 255, 255, 0.03);
+    border-radius: 4px;
+    border: 1px solid rgba(254, 235, 234, 0.1);
+    transition: all 0.2s;
   }
 
-  .notes-panel-content {
-    display: flex;
-    flex-direction: column;
-    height: 100%;
+  .segment-item:hover {
+    background: rgba(255, 255, 255, 0.06);
+    border-color: rgba(254, 235, 234, 0.2);
   }
 
-  .notes-panel-header {
+  .segment-header {
     display: flex;
-    justify-content: space-between;
+    gap: 8px;
+    margin-bottom: 8px;
     align-items: center;
-    padding: 20px;
-    border-bottom: 1px solid rgba(254, 235, 234, 0.2);
-    background: rgba(254, 235, 234, 0.15);
   }
 
-  .notes-panel-header h2 {
-    margin: 0;
-    font-size: 20px;
+  .segment-time {
+    font-size: 12px;
     font-weight: 600;
-    color: #fff;
+    color: #feebea;
+    flex-shrink: 0;
   }
 
-  .notes-panel-close {
-    background: none;
-    border: none;
-    font-size: 24px;
-    color: rgba(255, 255, 255, 0.6);
-    cursor: pointer;
-    padding: 0;
-    width: 30px;
-    height: 30px;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    border-radius: 50%;
-    transition: all 0.2s;
+  .segment-title {
+    font-size: 13px;
+    font-weight: 500;
+    color: rgba(255, 255, 255, 0.9);
+    flex: 1;
   }
 
-  .notes-panel-close:hover {
-    background: rgba(255,255,255,0.1);
-    color: #fff;
+  .segment-summary {
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.7);
+    line-height: 1.5;
+    margin-bottom: 8px;
   }
 
-  /* 笔记筛选器样式 */
-  .notes-filters {
-    display: flex;
-    gap: 20px;
-    padding: 12px 20px;
-    background: rgba(0, 0, 0, 0.2);
-    border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+  .segment-screenshot {
+    margin-top: 8px;
+    padding-top: 8px;
+    border-top: 1px solid rgba(254, 235, 234, 0.1);
   }
 
-  .filter-checkbox {
-    display: flex;
-    align-items: center;
-    gap: 8px;
+  .segment-screenshot img {
+    max-width: 100%;
+    border-radius: 4px;
+    display: block;
+  }
+
+  .screenshot-time {
+    font-size: 11px;
+    color: rgba(255, 255, 255, 0.5);
+    margin-top: 4px;
+  }
+
+  /* ==================== 笔记选择保存点样式 ==================== */
+  #note-saver-blue-dot {
+    position: absolute;
     cursor: pointer;
-    user-select: none;
+    z-index: 2147483647; /* Maximum z-index */
+    display: none;
+    transition: transform 0.2s, filter 0.2s;
+    pointer-events: auto !important;
+    width: 24px;
+    height: 24px;
   }
 
-  .filter-checkbox input[type="checkbox"] {
-    width: 16px;
-    height: 16px;
+  #note-saver-blue-dot:hover {
+    transform: scale(1.15);
+    filter: drop-shadow(0 2px 4px rgba(254, 235, 234, 0.5));
+  }
+
+  /* ==================== 字幕项保存按钮样式 ==================== */
+  .save-subtitle-note-btn {
+    background: linear-gradient(135deg, #feebea 0%, #2d2d2d 100%);
+    color: white;
+    border: none;
+    padding: 2px 8px;
+    border-radius: 4px;
+    font-size: 11px;
     cursor: pointer;
-    accent-color: #feebea;
+    transition: all 0.2s;
+    opacity: 0;
+    flex-shrink: 0;
+    margin-left: auto;
   }
 
-  .filter-checkbox span {
-    color: rgba(255, 255, 255, 0.8);
-    font-size: 14px;
+  .subtitle-item:hover .save-subtitle-note-btn {
+    opacity: 1;
   }
 
-  .filter-checkbox:hover span {
-    color: rgba(255, 255, 255, 0.95);
+  .save-subtitle-note-btn:hover {
+    transform: scale(1.05);
+  }
+  
+  .subtitle-follow-btn {
+    position: absolute;
+    bottom: 10px;
+    left: 50%;
+    transform: translateX(-50%);
+    padding: 6px 12px;
+    background: rgba(255, 105, 180, 0.8);
+    color: white;
+    border: none;
+    border-radius: 16px;
+    font-size: 12px;
+    cursor: pointer;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+    transition: all 0.3s;
+    z-index: 10;
   }
 
-  .notes-panel-body {
-    flex: 1;
-    overflow-y: auto;
-    padding: 20px;
+  .subtitle-follow-btn:hover {
+    background: rgba(255, 105, 180, 1);
+    transform: translateX(-50%) translateY(-2px);
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+  }
+
+  /* ==================== 快捷键配置样式 ==================== */
+  .shortcut-list {
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
   }
 
-  .notes-panel-body::-webkit-scrollbar {
-    width: 6px;
+  .shortcut-item {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 12px;
+    background: rgba(255, 255, 255, 0.05);
+    border-radius: 8px;
+    border: 1px solid rgba(254, 235, 234, 0.2);
   }
 
-  .notes-panel-body::-webkit-scrollbar-thumb {
-    background-color: rgba(254, 235, 234, 0.4);
-    border-radius: 3px;
-  }
-  
-  .notes-panel-body::-webkit-scrollbar-thumb:hover {
-    background-color: rgba(254, 235, 234, 0.6);
+  .shortcut-label {
+    font-size: 14px;
+    color: #e5e7eb;
+    font-weight: 500;
   }
-  
-  .notes-panel-body::-webkit-scrollbar-track {
-    background-color: rgba(255, 255, 255, 0.05);
+
+  .shortcut-input-wrapper {
+    display: flex;
+    gap: 8px;
+    align-items: center;
   }
 
-  .notes-empty-state {
+  .shortcut-input {
+    padding: 6px 12px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 6px;
+    font-size: 13px;
+    min-width: 180px;
     text-align: center;
-    padding: 60px 20px;
-    color: rgba(255, 255, 255, 0.6);
+    background: rgba(255, 255, 255, 0.1);
+    color: #fff;
+    cursor: pointer;
+    transition: all 0.2s;
   }
 
-  .notes-empty-icon {
-    font-size: 48px;
-    margin-bottom: 16px;
+  .shortcut-input:focus {
+    outline: none;
+    border-color: #feebea;
+    box-shadow: 0 0 0 3px rgba(254, 235, 234, 0.15);
+    background: rgba(255, 255, 255, 0.15);
   }
 
-  .notes-empty-hint {
-    font-size: 14px;
-    margin-top: 8px;
+  .shortcut-input.capturing {
+    border-color: #feebea;
+    background: rgba(254, 235, 234, 0.2);
+    animation: pulse-border 1s infinite;
   }
 
-  .note-group {
-    margin-bottom: 24px;
+  @keyframes pulse-border {
+    0%, 100% {
+      border-color: #feebea;
+      box-shadow: 0 0 0 3px rgba(254, 235, 234, 0.15);
+    }
+    50% {
+      border-color: #ffc9c9;
+      box-shadow: 0 0 0 3px rgba(254, 235, 234, 0.3);
+    }
   }
 
-  .note-group-header {
+  .shortcut-clear-btn {
+    background: none;
+    border: none;
+    color: #999;
+    font-size: 18px;
+    cursor: pointer;
+    width: 24px;
+    height: 24px;
     display: flex;
-    justify-content: space-between;
     align-items: center;
-    margin-bottom: 12px;
-    padding-bottom: 8px;
-    border-bottom: 1px solid rgba(254, 235, 234, 0.2);
+    justify-content: center;
+    border-radius: 50%;
+    transition: all 0.2s;
   }
 
-  .note-group-title {
-    font-size: 14px;
-    font-weight: 600;
-    color: #e5e7eb;
+  .shortcut-clear-btn:hover {
+    background: #fee2e2;
+    color: #dc2626;
   }
 
-  .note-group-actions {
-    display: flex;
-    gap: 8px;
+  /* ==================== 调整大小手柄样式 ==================== */
+  .subtitle-resize-handle {
+    position: absolute;
+    bottom: 0;
+    right: 0;
+    width: 20px;
+    height: 20px;
+    cursor: nwse-resize;
+    z-index: 10;
   }
 
-  .note-group-copy-btn,
-  .note-group-delete-btn {
-    padding: 4px 12px;
-    border-radius: 4px;
-    cursor: pointer;
-    font-size: 12px;
-    transition: all 0.2s;
-    border: 1px solid;
+  .subtitle-resize-handle::after {
+    content: '';
+    position: absolute;
+    bottom: 4px;
+    right: 4px;
+    width: 12px;
+    height: 12px;
+    border-right: 3px solid rgba(254, 235, 234, 0.6);
+    border-bottom: 3px solid rgba(254, 235, 234, 0.6);
+    border-radius: 0 0 4px 0;
   }
 
-  .note-group-copy-btn {
-    background: none;
-    border-color: #4A90E2;
-    color: #4A90E2;
+  .subtitle-resize-handle:hover::after {
+    border-color: #feebea;
   }
 
-  .note-group-copy-btn:hover {
-    background: #4A90E2;
-    color: white;
+  .sponsor-switch {
+    position: relative;
+    width: 48px;
+    height: 24px;
   }
 
-  .note-group-delete-btn {
-    background: none;
-    border-color: #e74c3c;
-    color: #e74c3c;
+  .sponsor-switch input {
+    opacity: 0;
+    width: 0;
+    height: 0;
   }
 
-  .note-group-delete-btn:hover {
-    background: #e74c3c;
-    color: white;
+  .sponsor-switch-slider {
+    position: absolute;
+    cursor: pointer;
+    top: 0;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    background-color: #cbd5e1;
+    transition: 0.3s;
+    border-radius: 24px;
   }
 
-  .note-item {
-    background: rgba(255, 255, 255, 0.05);
-    padding: 12px;
-    border-radius: 8px;
-    margin-bottom: 8px;
-    transition: background-color 0.2s;
-    border: 1px solid rgba(254, 235, 234, 0.1);
+  .sponsor-switch-slider:before {
+    position: absolute;
+    content: "";
+    height: 18px;
+    width: 18px;
+    left: 3px;
+    bottom: 3px;
+    background-color: white;
+    transition: 0.3s;
+    border-radius: 50%;
   }
 
-  .note-item:hover {
-    background: rgba(255, 255, 255, 0.1);
-    border-color: rgba(254, 235, 234, 0.3);
+  .sponsor-switch input:checked + .sponsor-switch-slider {
+    background-color: #feebea;
   }
 
-  .note-content {
-    color: #e5e7eb;
-    font-size: 14px;
-    line-height: 1.6;
-    margin-bottom: 8px;
-    word-break: break-word;
-    white-space: pre-wrap;
+  .sponsor-switch input:checked + .sponsor-switch-slider:before {
+    transform: translateX(24px);
   }
 
-  .note-footer {
-    display: flex;
-    justify-content: space-between;
+  /* ==================== SponsorBlock 标签样式 ==================== */
+  .bili-quality-tag, .bili-ad-tag {
+    display: inline-flex !important;
     align-items: center;
+    color: white !important;
+    padding: 3px 10px !important;
+    border-radius: 15px !important;
+    margin-right: 6px !important;
+    font-size: 12px !important;
+    animation: badgeSlideIn 0.3s ease-out !important;
+    position: relative;
+    z-index: 2;
+    font-weight: 500;
+    box-shadow: 0 2px 4px rgba(0,0,0,0.2);
+    white-space: nowrap;
+    flex-shrink: 0;
   }
-
-  .note-time {
-    font-size: 12px;
-    color: rgba(255, 255, 255, 0.5);
+  
+  /* 只显示emoji的标签样式 */
+  .bili-quality-tag.emoji-only,
+  .bili-ad-tag.emoji-only {
+    padding: 3px 8px !important;
+    min-width: auto;
   }
 
-  .note-actions {
-    display: flex;
-    gap: 8px;
+  /* 视频卡片标签位置 */
+  .video-page-card-small .bili-quality-tag,
+  .video-page-card-small .bili-ad-tag,
+  .bili-video-card__wrap .bili-quality-tag,
+  .bili-video-card__wrap .bili-ad-tag {
+    position: absolute;
+    left: 8px;
+    top: 8px;
+    transform: scale(0.9);
   }
 
-  .note-copy-btn,
-  .note-delete-btn {
-    background: none;
-    border: none;
-    cursor: pointer;
-    font-size: 12px;
-    padding: 4px 8px;
-    transition: color 0.2s;
+  /* UP主主页视频卡片 */
+  .up-main-video-card .bili-quality-tag,
+  .up-main-video-card .bili-ad-tag,
+  .small-item .bili-quality-tag,
+  .small-item .bili-ad-tag {
+    position: absolute !important;
+    left: 8px !important;
+    top: 8px !important;
+    z-index: 10 !important;
+    transform: scale(0.9);
   }
 
-  .note-copy-btn {
-    color: #4A90E2;
+  .up-main-video-card .cover-container,
+  .up-main-video-card .cover,
+  .small-item .cover {
+    position: relative !important;
   }
 
-  .note-copy-btn:hover {
-    color: #357ABD;
+  /* 多标签容器 */
+  .bili-tags-container {
+    display: flex;
+    flex-wrap: nowrap;
+    gap: 4px;
+    overflow: visible;
+    align-items: center;
   }
 
-  .note-delete-btn {
-    color: #e74c3c;
+  @keyframes badgeSlideIn {
+    0% { opacity: 0; transform: translateX(-15px) scale(0.9); }
+    100% { opacity: 1; transform: translateX(0) scale(0.9); }
   }
 
-  .note-delete-btn:hover {
-    color: #c0392b;
+  /* 跳过提示Toast - 视频右下角，绿色 */
+  .skip-toast {
+    position: absolute;
+    bottom: 60px;
+    right: 20px;
+    background: rgba(0, 212, 0, 0.15);
+    color: #00d400;
+    padding: 8px 16px;
+    border-radius: 4px;
+    font-size: 14px;
+    z-index: 10000;
+    animation: fadeIn 0.3s ease-out;
+    font-weight: 500;
+    backdrop-filter: blur(4px);
+    pointer-events: auto !important;
+    user-select: none;
   }
 
-  /* ==================== AI 总结笔记样式 ==================== */
-  .note-item-ai-summary {
-    background: rgba(254, 235, 234, 0.08);
-    border: 1px solid rgba(254, 235, 234, 0.2);
-    padding: 16px;
+  .skip-toast.hiding {
+    animation: fadeOut 0.3s ease-out forwards;
   }
 
-  .note-item-ai-summary:hover {
-    background: rgba(254, 235, 234, 0.12);
-    border-color: rgba(254, 235, 234, 0.4);
+  /* 手动跳过提示 - 视频右下角 */
+  .skip-prompt {
+    position: absolute;
+    bottom: 80px;
+    right: 20px;
+    background: rgba(0, 0, 0, 0.9);
+    color: white;
+    border-radius: 8px;
+    padding: 12px 16px;
+    box-shadow: 0 4px 12px rgba(0,0,0,0.4);
+    z-index: 10000;
+    min-width: 280px;
+    animation: fadeIn 0.3s ease-out;
+    pointer-events: auto !important;
+    user-select: none;
   }
 
-  .ai-summary-content-wrapper {
+  .skip-prompt-header {
     display: flex;
-    flex-direction: column;
-    gap: 16px;
-    margin-bottom: 12px;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 10px;
+    font-size: 14px;
+    font-weight: 500;
   }
 
-  .ai-summary-section {
-    display: flex;
-    flex-direction: column;
-    gap: 8px;
+  .skip-prompt-icon {
+    width: 20px;
+    height: 20px;
+    flex-shrink: 0;
   }
 
-  .ai-summary-title {
-    font-size: 13px;
-    font-weight: 600;
-    color: #feebea;
-    text-transform: uppercase;
-    letter-spacing: 0.5px;
+  .skip-prompt-icon svg {
+    width: 100%;
+    height: 100%;
   }
 
-  .ai-summary-content {
-    font-size: 13px;
-    color: rgba(255, 255, 255, 0.8);
-    line-height: 1.6;
-    padding: 8px 12px;
-    background: rgba(255, 255, 255, 0.05);
-    border-radius: 4px;
-    border-left: 3px solid rgba(254, 235, 234, 0.3);
+  .skip-prompt-message {
+    flex: 1;
   }
 
-  .ai-summary-segments {
+  .skip-prompt-buttons {
     display: flex;
-    flex-direction: column;
-    gap: 12px;
+    gap: 8px;
+    justify-content: flex-end;
   }
 
-  .segment-item {
-    padding: 12px;
-    background: rgba(255, 255, 255, 0.03);
+  .skip-prompt-btn {
+    padding: 6px 14px;
+    border: none;
     border-radius: 4px;
-    border: 1px solid rgba(254, 235, 234, 0.1);
+    cursor: pointer;
+    font-size: 13px;
     transition: all 0.2s;
   }
 
-  .segment-item:hover {
-    background: rgba(255, 255, 255, 0.06);
-    border-color: rgba(254, 235, 234, 0.2);
+  .skip-prompt-btn-primary {
+    background: #00a1d6;
+    color: white;
   }
 
-  .segment-header {
-    display: flex;
-    gap: 8px;
-    margin-bottom: 8px;
-    align-items: center;
+  .skip-prompt-btn-primary:hover {
+    background: #0087b3;
   }
 
-  .segment-time {
-    font-size: 12px;
-    font-weight: 600;
-    color: #feebea;
-    flex-shrink: 0;
+  .skip-prompt-btn-secondary {
+    background: rgba(255, 255, 255, 0.1);
+    color: white;
   }
 
-  .segment-title {
-    font-size: 13px;
-    font-weight: 500;
-    color: rgba(255, 255, 255, 0.9);
-    flex: 1;
+  .skip-prompt-btn-secondary:hover {
+    background: rgba(255, 255, 255, 0.2);
   }
 
-  .segment-summary {
-    font-size: 12px;
-    color: rgba(255, 255, 255, 0.7);
-    line-height: 1.5;
-    margin-bottom: 8px;
+  .skip-prompt-close {
+    background: none;
+    border: none;
+    color: #999;
+    cursor: pointer;
+    font-size: 18px;
+    padding: 0;
+    width: 20px;
+    height: 20px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    margin-left: 8px;
   }
 
-  .segment-screenshot {
-    margin-top: 8px;
-    padding-top: 8px;
-    border-top: 1px solid rgba(254, 235, 234, 0.1);
+  .skip-prompt-close:hover {
+    color: white;
   }
 
-  .segment-screenshot img {
-    max-width: 100%;
-    border-radius: 4px;
-    display: block;
+  .skip-prompt.hiding {
+    animation: fadeOut 0.3s ease-out forwards;
   }
 
-  .screenshot-time {
-    font-size: 11px;
-    color: rgba(255, 255, 255, 0.5);
-    margin-top: 4px;
+  /* 进度条片段标记 */
+  #sponsorblock-preview-bar {
+    overflow: hidden;
+    padding: 0;
+    margin: 0;
+    position: absolute;
+    width: 100%;
+    height: 100%;
+    z-index: 1;
+    pointer-events: none;
   }
 
-  /* ==================== 笔记选择保存点样式 ==================== */
-  #note-saver-blue-dot {
+  .sponsorblock-segment {
+    display: inline-block;
+    height: 100%;
     position: absolute;
+    min-width: 1px;
+    opacity: 0.7;
+    transition: all 0.2s ease;
+    pointer-events: auto;
     cursor: pointer;
-    z-index: 2147483647; /* Maximum z-index */
-    display: none;
-    transition: transform 0.2s, filter 0.2s;
-    pointer-events: auto !important;
-    width: 24px;
-    height: 24px;
   }
 
-  #note-saver-blue-dot:hover {
-    transform: scale(1.15);
-    filter: drop-shadow(0 2px 4px rgba(254, 235, 234, 0.5));
+  .sponsorblock-segment:hover {
+    opacity: 0.95;
+    transform: scaleY(1.5);
+    z-index: 100;
   }
 
-  /* ==================== 字幕项保存按钮样式 ==================== */
-  .save-subtitle-note-btn {
-    background: linear-gradient(135deg, #feebea 0%, #2d2d2d 100%);
+  /* 片段详情弹窗 */
+  .segment-details-popup {
+    position: fixed;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    background: rgba(0, 0, 0, 0.95);
     color: white;
-    border: none;
-    padding: 2px 8px;
-    border-radius: 4px;
-    font-size: 11px;
-    cursor: pointer;
-    transition: all 0.2s;
-    opacity: 0;
-    flex-shrink: 0;
-    margin-left: auto;
+    border-radius: 12px;
+    padding: 24px;
+    min-width: 350px;
+    max-width: 500px;
+    box-shadow: 0 8px 32px rgba(0,0,0,0.5);
+    z-index: 10002;
+    animation: popupFadeIn 0.2s ease-out;
   }
 
-  .subtitle-item:hover .save-subtitle-note-btn {
-    opacity: 1;
+  @keyframes popupFadeIn {
+    from {
+      opacity: 0;
+      transform: translate(-50%, -45%);
+    }
+    to {
+      opacity: 1;
+      transform: translate(-50%, -50%);
+    }
   }
 
-  .save-subtitle-note-btn:hover {
-    transform: scale(1.05);
+  .segment-details-header {
+    display: flex;
+    align-items: center;
+    justify-content: space-between;
+    margin-bottom: 16px;
+    padding-bottom: 12px;
+    border-bottom: 1px solid rgba(255,255,255,0.2);
   }
-  
-  .subtitle-follow-btn {
-    position: absolute;
-    bottom: 10px;
-    left: 50%;
-    transform: translateX(-50%);
-    padding: 6px 12px;
-    background: rgba(255, 105, 180, 0.8);
-    color: white;
+
+  .segment-details-title {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    font-size: 18px;
+    font-weight: 500;
+  }
+
+  .segment-details-close {
+    background: none;
     border: none;
-    border-radius: 16px;
-    font-size: 12px;
+    color: #999;
+    font-size: 24px;
     cursor: pointer;
-    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
-    transition: all 0.3s;
-    z-index: 10;
+    padding: 0;
+    width: 32px;
+    height: 32px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border-radius: 4px;
+    transition: all 0.2s;
   }
 
-  .subtitle-follow-btn:hover {
-    background: rgba(255, 105, 180, 1);
-    transform: translateX(-50%) translateY(-2px);
-    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+  .segment-details-close:hover {
+    background: rgba(255,255,255,0.1);
+    color: white;
   }
 
-  /* ==================== 快捷键配置样式 ==================== */
-  .shortcut-list {
-    display: flex;
-    flex-direction: column;
-    gap: 12px;
+  .segment-details-content {
+    margin-bottom: 16px;
   }
 
-  .shortcut-item {
+  .segment-details-row {
     display: flex;
     justify-content: space-between;
-    align-items: center;
-    padding: 12px;
-    background: rgba(255, 255, 255, 0.05);
-    border-radius: 8px;
-    border: 1px solid rgba(254, 235, 234, 0.2);
+    padding: 8px 0;
+    font-size: 14px;
   }
 
-  .shortcut-label {
-    font-size: 14px;
-    color: #e5e7eb;
+  .segment-details-label {
+    color: #999;
+  }
+
+  .segment-details-value {
+    color: white;
     font-weight: 500;
   }
 
-  .shortcut-input-wrapper {
-    display: flex;
-    gap: 8px;
+  /* 片段投票 */
+  .segment-vote-buttons,
+  .segment-vote-category {
+    display: inline-flex;
     align-items: center;
+    gap: 6px;
   }
 
-  .shortcut-input {
-    padding: 6px 12px;
-    border: 1px solid rgba(254, 235, 234, 0.3);
-    border-radius: 6px;
-    font-size: 13px;
-    min-width: 180px;
-    text-align: center;
+  .segment-vote-btn {
+    padding: 2px 8px;
+    border: 1px solid rgba(255, 255, 255, 0.3);
+    border-radius: 4px;
     background: rgba(255, 255, 255, 0.1);
-    color: #fff;
+    color: white;
+    font-size: 12px;
     cursor: pointer;
     transition: all 0.2s;
   }
 
-  .shortcut-input:focus {
-    outline: none;
-    border-color: #feebea;
-    box-shadow: 0 0 0 3px rgba(254, 235, 234, 0.15);
-    background: rgba(255, 255, 255, 0.15);
+  .segment-vote-btn:hover:not(:disabled) {
+    background: rgba(255, 255, 255, 0.25);
   }
 
-  .shortcut-input.capturing {
-    border-color: #feebea;
-    background: rgba(254, 235, 234, 0.2);
-    animation: pulse-border 1s infinite;
+  .segment-vote-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
   }
 
-  @keyframes pulse-border {
-    0%, 100% {
-      border-color: #feebea;
-      box-shadow: 0 0 0 3px rgba(254, 235, 234, 0.15);
-    }
-    50% {
-      border-color: #ffc9c9;
-      box-shadow: 0 0 0 3px rgba(254, 235, 234, 0.3);
-    }
+  .segment-vote-category-select {
+    padding: 2px 4px;
+    border-radius: 4px;
+    background: #333;
+    color: white;
+    border: 1px solid rgba(255, 255, 255, 0.3);
+    font-size: 12px;
   }
 
-  .shortcut-clear-btn {
-    background: none;
-    border: none;
+  .segment-vote-status {
     color: #999;
-    font-size: 18px;
-    cursor: pointer;
-    width: 24px;
-    height: 24px;
+    font-size: 12px;
+  }
+
+  .skip-toast .segment-vote-buttons,
+  .skip-toast .segment-vote-status {
+    margin-left: 10px;
+  }
+
+  .skip-prompt-vote {
     display: flex;
-    align-items: center;
-    justify-content: center;
-    border-radius: 50%;
-    transition: all 0.2s;
+    justify-content: flex-end;
+    margin-top: 8px;
   }
 
-  .shortcut-clear-btn:hover {
-    background: #fee2e2;
-    color: #dc2626;
+  /* 适配器在标记上设置了行内透明度，需要覆盖 */
+  .sponsorblock-segment.sponsorblock-segment-downvoted {
+    opacity: 0.25 !important;
+    background-image: repeating-linear-gradient(45deg, transparent 0 3px, rgba(0, 0, 0, 0.5) 3px 6px);
   }
 
-  /* ==================== 调整大小手柄样式 ==================== */
-  .subtitle-resize-handle {
-    position: absolute;
-    bottom: 0;
-    right: 0;
-    width: 20px;
-    height: 20px;
-    cursor: nwse-resize;
-    z-index: 10;
+  .segment-details-actions {
+    display: flex;
+    gap: 12px;
+    justify-content: flex-end;
   }
 
-  .subtitle-resize-handle::after {
-    content: '';
-    position: absolute;
-    bottom: 4px;
-    right: 4px;
-    width: 12px;
-    height: 12px;
-    border-right: 3px solid rgba(254, 235, 234, 0.6);
-    border-bottom: 3px solid rgba(254, 235, 234, 0.6);
-    border-radius: 0 0 4px 0;
+  .segment-details-btn {
+    padding: 8px 16px;
+    border: none;
+    border-radius: 6px;
+    cursor: pointer;
+    font-size: 14px;
+    transition: all 0.2s;
   }
 
-  .subtitle-resize-handle:hover::after {
-    border-color: #feebea;
+  .segment-details-btn-primary {
+    background: #00a1d6;
+    color: white;
   }
 
-  .sponsor-switch {
-    position: relative;
-    width: 48px;
-    height: 24px;
+  .segment-details-btn-primary:hover {
+    background: #0087b3;
   }
 
-  .sponsor-switch input {
-    opacity: 0;
-    width: 0;
-    height: 0;
+  .segment-details-btn-secondary {
+    background: rgba(255,255,255,0.1);
+    color: white;
   }
 
-  .sponsor-switch-slider {
-    position: absolute;
-    cursor: pointer;
+  .segment-details-btn-secondary:hover {
+    background: rgba(255,255,255,0.2);
+  }
+
+  .segment-details-overlay {
+    position: fixed;
     top: 0;
     left: 0;
     right: 0;
     bottom: 0;
-    background-color: #cbd5e1;
-    transition: 0.3s;
-    border-radius: 24px;
+    background: rgba(0,0,0,0.3);
+    z-index: 10001;
   }
 
-  .sponsor-switch-slider:before {
-    position: absolute;
-    content: "";
-    height: 18px;
-    width: 18px;
-    left: 3px;
-    bottom: 3px;
-    background-color: white;
-    transition: 0.3s;
-    border-radius: 50%;
+  /* Notion待发送队列 */
+  .outbox-empty {
+    padding: 30px 0;
+    text-align: center;
+    color: rgba(255, 255, 255, 0.5);
+    font-size: 13px;
   }
 
-  .sponsor-switch input:checked + .sponsor-switch-slider {
-    background-color: #feebea;
+  /* 跳过统计 */
+  .skip-stats-totals {
+    display: grid;
+    grid-template-columns: repeat(4, 1fr);
+    gap: 10px;
+    margin-bottom: 20px;
   }
 
-  .sponsor-switch input:checked + .sponsor-switch-slider:before {
-    transform: translateX(24px);
+  .skip-stats-total {
+    padding: 12px 8px;
+    border-radius: 10px;
+    background: rgba(255, 255, 255, 0.05);
+    border: 1px solid rgba(254, 235, 234, 0.2);
+    text-align: center;
   }
 
-  /* ==================== SponsorBlock 标签样式 ==================== */
-  .bili-quality-tag, .bili-ad-tag {
-    display: inline-flex !important;
-    align-items: center;
-    color: white !important;
-    padding: 3px 10px !important;
-    border-radius: 15px !important;
-    margin-right: 6px !important;
-    font-size: 12px !important;
-    animation: badgeSlideIn 0.3s ease-out !important;
-    position: relative;
-    z-index: 2;
-    font-weight: 500;
-    box-shadow: 0 2px 4px rgba(0,0,0,0.2);
-    white-space: nowrap;
-    flex-shrink: 0;
+  .skip-stats-total-value {
+    font-size: 18px;
+    font-weight: 600;
+    color: #feebea;
   }
-  
-  /* 只显示emoji的标签样式 */
-  .bili-quality-tag.emoji-only,
-  .bili-ad-tag.emoji-only {
-    padding: 3px 8px !important;
-    min-width: auto;
+
+  .skip-stats-total-label {
+    margin-top: 4px;
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.6);
   }
 
-  /* 视频卡片标签位置 */
-  .video-page-card-small .bili-quality-tag,
-  .video-page-card-small .bili-ad-tag,
-  .bili-video-card__wrap .bili-quality-tag,
-  .bili-video-card__wrap .bili-ad-tag {
-    position: absolute;
-    left: 8px;
-    top: 8px;
-    transform: scale(0.9);
+  .skip-stats-chart {
+    display: block;
+    max-width: 100%;
+    height: auto;
   }
 
-  /* UP主主页视频卡片 */
-  .up-main-video-card .bili-quality-tag,
-  .up-main-video-card .bili-ad-tag,
-  .small-item .bili-quality-tag,
-  .small-item .bili-ad-tag {
-    position: absolute !important;
-    left: 8px !important;
-    top: 8px !important;
-    z-index: 10 !important;
-    transform: scale(0.9);
+  .skip-stats-legend {
+    display: flex;
+    gap: 16px;
+    margin-top: 6px;
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.7);
   }
 
-  .up-main-video-card .cover-container,
-  .up-main-video-card .cover,
-  .small-item .cover {
-    position: relative !important;
+  .skip-stats-legend i {
+    display: inline-block;
+    width: 10px;
+    height: 10px;
+    border-radius: 2px;
+    margin-right: 4px;
   }
 
-  /* 多标签容器 */
-  .bili-tags-container {
-    display: flex;
-    flex-wrap: nowrap;
-    gap: 4px;
-    overflow: visible;
-    align-items: center;
+  .skip-stats-table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 13px;
+    color: #e5e7eb;
   }
 
-  @keyframes badgeSlideIn {
-    0% { opacity: 0; transform: translateX(-15px) scale(0.9); }
-    100% { opacity: 1; transform: translateX(0) scale(0.9); }
+  .skip-stats-table th,
+  .skip-stats-table td {
+    padding: 6px 8px;
+    text-align: left;
+    border-bottom: 1px solid rgba(255, 255, 255, 0.08);
   }
 
-  /* 跳过提示Toast - 视频右下角，绿色 */
-  .skip-toast {
-    position: absolute;
-    bottom: 60px;
-    right: 20px;
-    background: rgba(0, 212, 0, 0.15);
-    color: #00d400;
-    padding: 8px 16px;
-    border-radius: 4px;
-    font-size: 14px;
-    z-index: 10000;
-    animation: fadeIn 0.3s ease-out;
+  .skip-stats-table th {
     font-weight: 500;
-    backdrop-filter: blur(4px);
-    pointer-events: auto !important;
-    user-select: none;
+    color: rgba(255, 255, 255, 0.6);
   }
 
-  .skip-toast.hiding {
-    animation: fadeOut 0.3s ease-out forwards;
+  .skip-stats-table small {
+    color: rgba(255, 255, 255, 0.5);
   }
 
-  /* 手动跳过提示 - 视频右下角 */
-  .skip-prompt {
-    position: absolute;
-    bottom: 80px;
-    right: 20px;
-    background: rgba(0, 0, 0, 0.9);
-    color: white;
-    border-radius: 8px;
-    padding: 12px 16px;
-    box-shadow: 0 4px 12px rgba(0,0,0,0.4);
-    z-index: 10000;
-    min-width: 280px;
-    animation: fadeIn 0.3s ease-out;
-    pointer-events: auto !important;
-    user-select: none;
+  .outbox-item {
+    padding: 12px 14px;
+    margin-bottom: 10px;
+    border: 1px solid rgba(254, 235, 234, 0.2);
+    border-radius: 10px;
+    background: rgba(255, 255, 255, 0.05);
   }
 
-  .skip-prompt-header {
+  .outbox-item-header {
     display: flex;
     align-items: center;
     gap: 8px;
-    margin-bottom: 10px;
-    font-size: 14px;
-    font-weight: 500;
+    margin-bottom: 6px;
   }
 
-  .skip-prompt-icon {
-    width: 20px;
-    height: 20px;
+  .outbox-item-type {
+    padding: 1px 6px;
+    border-radius: 4px;
+    background: rgba(254, 235, 234, 0.2);
+    color: #feebea;
+    font-size: 11px;
     flex-shrink: 0;
   }
 
-  .skip-prompt-icon svg {
-    width: 100%;
-    height: 100%;
+  .outbox-item-title {
+    color: #e5e7eb;
+    font-size: 13px;
+    font-weight: 600;
+    overflow: hidden;
+    text-overflow: ellipsis;
+    white-space: nowrap;
   }
 
-  .skip-prompt-message {
-    flex: 1;
+  .outbox-item-reason {
+    color: #fca5a5;
+    font-size: 12px;
+    margin-bottom: 4px;
+    word-break: break-all;
   }
 
-  .skip-prompt-buttons {
-    display: flex;
-    gap: 8px;
-    justify-content: flex-end;
+  .outbox-item-meta {
+    color: rgba(255, 255, 255, 0.5);
+    font-size: 11px;
+    margin-bottom: 8px;
   }
 
-  .skip-prompt-btn {
-    padding: 6px 14px;
-    border: none;
-    border-radius: 4px;
-    cursor: pointer;
-    font-size: 13px;
-    transition: all 0.2s;
+  .outbox-item-actions {
+    display: flex;
+    gap: 8px;
   }
 
-  .skip-prompt-btn-primary {
-    background: #00a1d6;
-    color: white;
+  .outbox-edit-form input,
+  .outbox-edit-form textarea {
+    width: 100%;
+    box-sizing: border-box;
+    margin-bottom: 8px;
+    padding: 8px;
+    border: 1px solid rgba(255, 255, 255, 0.15);
+    border-radius: 6px;
+    background: rgba(0, 0, 0, 0.3);
+    color: #e5e7eb;
+    font-size: 12px;
   }
 
-  .skip-prompt-btn-primary:hover {
-    background: #0087b3;
+  .outbox-edit-form textarea {
+    min-height: 120px;
+    resize: vertical;
   }
 
-  .skip-prompt-btn-secondary {
-    background: rgba(255, 255, 255, 0.1);
-    color: white;
+  /* 片段提交面板样式 */
+  .segment-submit-panel {
+    position: absolute;
+    top: 12px;
+    left: 12px;
+    width: 240px;
+    padding: 12px;
+    border-radius: 8px;
+    background: rgba(0, 0, 0, 0.85);
+    color: #e5e7eb;
+    font-size: 13px;
+    z-index: 10001;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
   }
 
-  .skip-prompt-btn-secondary:hover {
-    background: rgba(255, 255, 255, 0.2);
+  .segment-submit-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 10px;
+    font-weight: 600;
+    color: #feebea;
   }
 
-  .skip-prompt-close {
+  .segment-submit-close {
     background: none;
     border: none;
-    color: #999;
-    cursor: pointer;
+    color: rgba(255, 255, 255, 0.7);
     font-size: 18px;
-    padding: 0;
-    width: 20px;
-    height: 20px;
+    cursor: pointer;
+  }
+
+  .segment-submit-row {
     display: flex;
     align-items: center;
-    justify-content: center;
-    margin-left: 8px;
+    gap: 8px;
+    margin-bottom: 8px;
   }
 
-  .skip-prompt-close:hover {
-    color: white;
+  .segment-submit-label {
+    width: 32px;
+    color: rgba(255, 255, 255, 0.6);
   }
 
-  .skip-prompt.hiding {
-    animation: fadeOut 0.3s ease-out forwards;
+  .segment-submit-time {
+    flex: 1;
+    font-family: monospace;
   }
 
-  /* 进度条片段标记 */
-  #sponsorblock-preview-bar {
-    overflow: hidden;
-    padding: 0;
-    margin: 0;
-    position: absolute;
-    width: 100%;
-    height: 100%;
-    z-index: 1;
-    pointer-events: none;
+  .segment-submit-category {
+    flex: 1;
+    padding: 4px;
+    border-radius: 4px;
+    border: 1px solid rgba(255, 255, 255, 0.2);
+    background: rgba(255, 255, 255, 0.08);
+    color: #e5e7eb;
   }
 
-  .sponsorblock-segment {
-    display: inline-block;
-    height: 100%;
-    position: absolute;
-    min-width: 1px;
-    opacity: 0.7;
-    transition: all 0.2s ease;
-    pointer-events: auto;
+  .segment-submit-category option {
+    color: #000;
+  }
+
+  .segment-submit-status {
+    margin: 4px 0 10px;
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.6);
+  }
+
+  .segment-submit-actions {
+    display: flex;
+    justify-content: flex-end;
+    gap: 8px;
+  }
+
+  .segment-submit-btn {
+    padding: 4px 10px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    border-radius: 4px;
+    background: rgba(255, 255, 255, 0.08);
+    color: #e5e7eb;
+    font-size: 12px;
     cursor: pointer;
   }
 
-  .sponsorblock-segment:hover {
-    opacity: 0.95;
-    transform: scaleY(1.5);
-    z-index: 100;
+  .segment-submit-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
   }
 
-  /* 片段详情弹窗 */
-  .segment-details-popup {
-    position: fixed;
-    top: 50%;
-    left: 50%;
-    transform: translate(-50%, -50%);
-    background: rgba(0, 0, 0, 0.95);
-    color: white;
-    border-radius: 12px;
-    padding: 24px;
-    min-width: 350px;
-    max-width: 500px;
-    box-shadow: 0 8px 32px rgba(0,0,0,0.5);
-    z-index: 10002;
-    animation: popupFadeIn 0.2s ease-out;
+  .segment-submit-primary {
+    background: rgba(254, 235, 234, 0.25);
+    border-color: #feebea;
+    color: #fff;
   }
 
-  @keyframes popupFadeIn {
-    from {
-      opacity: 0;
-      transform: translate(-50%, -45%);
-    }
-    to {
-      opacity: 1;
-      transform: translate(-50%, -50%);
-    }
+  /* AI广告审核面板（播放器内） */
+  .ai-ad-review-panel {
+    position: absolute;
+    top: 12px;
+    right: 12px;
+    width: 280px;
+    max-height: 60%;
+    overflow-y: auto;
+    padding: 12px;
+    border-radius: 8px;
+    background: rgba(0, 0, 0, 0.85);
+    border: 1px solid rgba(168, 85, 247, 0.5);
+    color: #e5e7eb;
+    font-size: 13px;
+    z-index: 10001;
+    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+  }
+
+  .ai-ad-review-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 6px;
+    font-weight: 600;
+    color: #d8b4fe;
+  }
+
+  .ai-ad-review-close {
+    background: none;
+    border: none;
+    color: rgba(255, 255, 255, 0.7);
+    font-size: 18px;
+    cursor: pointer;
+  }
+
+  .ai-ad-review-hint {
+    margin-bottom: 10px;
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.6);
+  }
+
+  .ai-ad-item {
+    padding: 8px;
+    margin-bottom: 8px;
+    border-radius: 6px;
+    background: rgba(255, 255, 255, 0.06);
+    border: 1px solid transparent;
   }
 
-  .segment-details-header {
-    display: flex;
-    align-items: center;
-    justify-content: space-between;
-    margin-bottom: 16px;
-    padding-bottom: 12px;
-    border-bottom: 1px solid rgba(255,255,255,0.2);
+  .ai-ad-item.focused {
+    border-color: #a855f7;
   }
 
-  .segment-details-title {
+  .ai-ad-item-header {
     display: flex;
+    justify-content: space-between;
     align-items: center;
-    gap: 8px;
-    font-size: 18px;
-    font-weight: 500;
+    margin-bottom: 4px;
   }
 
-  .segment-details-close {
-    background: none;
-    border: none;
-    color: #999;
-    font-size: 24px;
-    cursor: pointer;
-    padding: 0;
-    width: 32px;
-    height: 32px;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    border-radius: 4px;
-    transition: all 0.2s;
+  .ai-ad-time {
+    font-family: monospace;
   }
 
-  .segment-details-close:hover {
-    background: rgba(255,255,255,0.1);
-    color: white;
+  .ai-ad-status {
+    font-size: 11px;
+    padding: 1px 6px;
+    border-radius: 8px;
+    background: rgba(255, 255, 255, 0.12);
   }
 
-  .segment-details-content {
-    margin-bottom: 16px;
+  .ai-ad-status-local {
+    background: rgba(0, 212, 0, 0.2);
+    color: #4ade80;
   }
 
-  .segment-details-row {
+  .ai-ad-status-submitted {
+    background: rgba(0, 161, 214, 0.25);
+    color: #7dd3fc;
+  }
+
+  .ai-ad-desc {
+    margin-bottom: 6px;
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.7);
+    word-break: break-all;
+  }
+
+  .ai-ad-actions {
     display: flex;
-    justify-content: space-between;
-    padding: 8px 0;
-    font-size: 14px;
+    flex-wrap: wrap;
+    gap: 6px;
   }
 
-  .segment-details-label {
-    color: #999;
+  /* AI候选片段：斜纹区分社区片段，两端可拖动 */
+  .sponsorblock-segment.sponsorblock-segment-ai {
+    background-image: repeating-linear-gradient(-45deg, transparent 0 4px, rgba(255, 255, 255, 0.35) 4px 8px);
+    outline: 1px dashed rgba(255, 255, 255, 0.8);
   }
 
-  .segment-details-value {
-    color: white;
-    font-weight: 500;
+  .sponsorblock-ai-handle {
+    position: absolute;
+    top: -3px;
+    bottom: -3px;
+    width: 6px;
+    background: #fff;
+    border-radius: 2px;
+    cursor: ew-resize;
+    opacity: 0;
+    transition: opacity 0.2s;
   }
 
-  .segment-details-actions {
-    display: flex;
-    gap: 12px;
-    justify-content: flex-end;
+  .sponsorblock-segment-ai:hover .sponsorblock-ai-handle {
+    opacity: 0.9;
   }
 
-  .segment-details-btn {
-    padding: 8px 16px;
-    border: none;
-    border-radius: 6px;
-    cursor: pointer;
-    font-size: 14px;
-    transition: all 0.2s;
+  .sponsorblock-ai-handle-start {
+    left: -3px;
   }
 
-  .segment-details-btn-primary {
-    background: #00a1d6;
-    color: white;
+  .sponsorblock-ai-handle-end {
+    right: -3px;
   }
 
-  .segment-details-btn-primary:hover {
-    background: #0087b3;
+  .skip-toast.skip-toast-ai {
+    background: rgba(168, 85, 247, 0.2);
+    color: #d8b4fe;
   }
 
-  .segment-details-btn-secondary {
-    background: rgba(255,255,255,0.1);
-    color: white;
+  .skip-prompt.skip-prompt-ai {
+    border: 1px solid rgba(168, 85, 247, 0.6);
   }
 
-  .segment-details-btn-secondary:hover {
-    background: rgba(255,255,255,0.2);
+  /* 精彩时刻跳转提示（放在左下角，避免和跳过提示重叠） */
+  .skip-prompt.skip-prompt-highlight {
+    right: auto;
+    left: 20px;
+    border: 1px solid rgba(255, 22, 132, 0.6);
   }
 
-  .segment-details-overlay {
-    position: fixed;
-    top: 0;
-    left: 0;
-    right: 0;
-    bottom: 0;
-    background: rgba(0,0,0,0.3);
-    z-index: 10001;
+  /* 精彩时刻在进度条上显示为窄条，保证能看到 */
+  .sponsorblock-segment.sponsorblock-segment-highlight {
+    min-width: 3px;
+  }
+
+  /* 整片标签（整个视频属于某个类别） */
+  .segment-full-video-label {
+    position: absolute;
+    top: 12px;
+    left: 12px;
+    display: flex;
+    gap: 6px;
+    z-index: 10000;
+    pointer-events: auto;
+  }
+
+  .segment-full-video-tag {
+    padding: 3px 10px;
+    border-radius: 12px;
+    color: #fff;
+    font-size: 12px;
+    font-weight: 500;
+    text-shadow: 0 1px 2px rgba(0, 0, 0, 0.6);
+    box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3);
+    cursor: pointer;
+    opacity: 0.9;
+  }
+
+  .segment-full-video-tag:hover {
+    opacity: 1;
   }
 
   /* SponsorBlock 设置面板样式 */
@@ -2746,6 +3714,211 @@ export const CSS_STYLES = `
     margin-bottom: 8px;
     color: #e5e7eb;
   }
+
+  .sponsor-rules-hint,
+  .sponsor-rules-empty {
+    font-size: 12px;
+    color: rgba(255, 255, 255, 0.6);
+    margin-bottom: 10px;
+  }
+
+  .sponsor-rule {
+    padding: 12px;
+    border-radius: 6px;
+    background: rgba(255, 255, 255, 0.05);
+    border: 1px solid rgba(254, 235, 234, 0.2);
+    margin-bottom: 8px;
+    color: #e5e7eb;
+  }
+
+  .sponsor-rule-header {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    margin-bottom: 10px;
+    font-size: 14px;
+    font-weight: 500;
+  }
+
+  .sponsor-rule-header small {
+    color: rgba(255, 255, 255, 0.5);
+    font-weight: normal;
+    margin-left: 4px;
+  }
+
+  .sponsor-rule-remove {
+    background: none;
+    border: 1px solid rgba(255, 107, 107, 0.5);
+    color: #ff6b6b;
+    border-radius: 4px;
+    padding: 2px 10px;
+    font-size: 12px;
+    cursor: pointer;
+  }
+
+  .sponsor-rule-grid {
+    display: grid;
+    grid-template-columns: repeat(2, 1fr);
+    gap: 6px 12px;
+  }
+
+  .sponsor-rule-item {
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 8px;
+    font-size: 12px;
+  }
+
+  .sponsor-rule-item .category-color-dot {
+    margin-right: 6px;
+  }
+
+  .sponsor-rule-item select {
+    padding: 2px 4px;
+    border-radius: 4px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    background: #2a2a2a;
+    color: #e5e7eb;
+    font-size: 12px;
+  }
+
+  .sponsor-rule-add {
+    width: 100%;
+  }
+
+  .sponsor-number-input {
+    width: 64px;
+    padding: 4px 8px;
+    border-radius: 6px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    background: rgba(255, 255, 255, 0.08);
+    color: #e5e7eb;
+    font-size: 13px;
+    text-align: center;
+  }
+
+  /* 优质视频评分：标签等级 */
+  #sponsor-quality-tiers {
+    margin-top: 12px;
+  }
+
+  .quality-tier {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 10px;
+    margin-bottom: 8px;
+    border-radius: 6px;
+    background: rgba(255, 255, 255, 0.05);
+    border: 1px solid rgba(254, 235, 234, 0.2);
+    color: #e5e7eb;
+    font-size: 12px;
+  }
+
+  .quality-tier input[type="text"] {
+    padding: 4px 6px;
+    border-radius: 6px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    background: rgba(255, 255, 255, 0.08);
+    color: #e5e7eb;
+    font-size: 13px;
+  }
+
+  .quality-tier-emoji {
+    width: 36px;
+    text-align: center;
+  }
+
+  .quality-tier-name {
+    width: 64px;
+  }
+
+  .quality-tier-color {
+    width: 32px;
+    height: 26px;
+    padding: 0;
+    border: none;
+    background: none;
+    cursor: pointer;
+  }
+
+  .quality-tier .quality-tier-preview {
+    margin-left: auto;
+  }
+
+  /* 推荐流过滤 */
+  .sponsor-select {
+    padding: 4px 8px;
+    border-radius: 6px;
+    border: 1px solid rgba(254, 235, 234, 0.3);
+    background: #2a2a2a;
+    color: #e5e7eb;
+    font-size: 13px;
+  }
+
+  #sponsor-feed-filter .config-field {
+    margin-top: 12px;
+  }
+
+  #sponsor-feed-filter .feed-filter-list {
+    min-height: 70px;
+    font-size: 13px;
+  }
+
+  html:not(.feed-filter-show-all) [data-feed-filtered="hide"] {
+    display: none !important;
+  }
+
+  html:not(.feed-filter-show-all) [data-feed-filtered="dim"] {
+    position: relative;
+    opacity: 0.25;
+    transition: opacity 0.2s;
+  }
+
+  html:not(.feed-filter-show-all) [data-feed-filtered="dim"]:hover {
+    opacity: 0.8;
+  }
+
+  html:not(.feed-filter-show-all) [data-feed-filtered="dim"]::after {
+    content: attr(data-feed-filter-reason);
+    position: absolute;
+    top: 8px;
+    right: 8px;
+    z-index: 10;
+    padding: 2px 8px;
+    border-radius: 10px;
+    background: rgba(0, 0, 0, 0.75);
+    color: #fff;
+    font-size: 12px;
+    pointer-events: none;
+  }
+
+  .feed-filter-counter {
+    position: fixed;
+    left: 20px;
+    bottom: 20px;
+    z-index: 2147483000;
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 8px 12px;
+    border-radius: 20px;
+    background: rgba(0, 0, 0, 0.8);
+    color: #fff;
+    font-size: 13px;
+    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.3);
+  }
+
+  .feed-filter-counter button {
+    background: none;
+    border: 1px solid #feebea;
+    border-radius: 12px;
+    padding: 2px 10px;
+    color: #feebea;
+    font-size: 12px;
+    cursor: pointer;
+  }
 `;
 
 /**
@@ -0,0 +1,187 @@
+/**
+ * AudioContext池模块
+ * 复用AudioContext并为媒体元素提供分析节点，避免重复创建音频上下文
+ *
+ * 注意：同一个媒体元素只能调用一次 createMediaElementSource，
+ * 接入后音频会一直经过该上下文输出，因此源节点按元素缓存，不会重复创建；
+ * 接入过媒体元素的上下文不能关闭（关闭后视频没有声音），清理时只断开分析节点，源节点直接连到输出
+ */
+
+import resourceManager from './ResourceManager.js';
+import logger from './DebugLogger.js';
+
+const POOL_CONFIG = {
+  maxContexts: 2,       // 最多同时存在的AudioContext数量（浏览器对数量有限制）
+  fftSize: 2048,        // 分析节点的FFT大小
+};
+
+class AudioContextPool {
+  constructor() {
+    this.contexts = [];               // [{context, users}]
+    this.graphs = new Map();          // media -> {entry, source, analyser|null}
+    this.cleanupRegistered = false;
+  }
+
+  /**
+   * 获取AudioContext构造函数
+   * @returns {Function|null}
+   */
+  getAudioContextClass() {
+    return window.AudioContext || window.webkitAudioContext || null;
+  }
+
+  /**
+   * 从池中取出一个AudioContext（优先复用负载最低的）
+   * @returns {{context: AudioContext, users: number}}
+   */
+  acquireContext() {
+    this.contexts = this.contexts.filter(entry => entry.context.state !== 'closed');
+
+    if (this.contexts.length < POOL_CONFIG.maxContexts && this.contexts.every(entry => entry.users > 0)) {
+      const AudioContextClass = this.getAudioContextClass();
+      if (!AudioContextClass) {
+        throw new Error('当前浏览器不支持 Web Audio API');
+      }
+      // 不交给ResourceManager关闭上下文，由 clear() 断开分析节点
+      if (!this.cleanupRegistered) {
+        resourceManager.addCleanup(() => this.clear());
+        this.cleanupRegistered = true;
+      }
+      const context = new AudioContextClass();
+      const entry = { context, users: 0 };
+      this.contexts.push(entry);
+      logger.debug('AudioContextPool', `创建AudioContext，当前池大小: ${this.contexts.length}`);
+      return entry;
+    }
+
+    return this.contexts.reduce((min, entry) => (entry.users < min.users ? entry : min));
+  }
+
+  /**
+   * 检查媒体元素是否可以被分析
+   * 跨域且未声明CORS的媒体接入后会被静音，必须拒绝
+   * @param {HTMLMediaElement} media - 媒体元素
+   * @returns {boolean}
+   */
+  canAnalyse(media) {
+    const src = media.currentSrc || media.src;
+    if (!src || src.startsWith('blob:') || src.startsWith('data:')) {
+      return true;
+    }
+    try {
+      const url = new URL(src, location.href);
+      return url.origin === location.origin || media.crossOrigin !== null;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 为媒体元素获取分析节点
+   * @param {HTMLMediaElement} media - 媒体元素
+   * @returns {AnalyserNode}
+   */
+  getAnalyser(media) {
+    const existing = this.graphs.get(media);
+    if (existing) {
+      // 清理后再次开启：复用原来的源节点，重新接入分析节点
+      if (!existing.analyser) {
+        existing.analyser = this.createAnalyser(existing.entry.context, existing.source);
+      }
+      this.resumeContext(existing.entry.context);
+      return existing.analyser;
+    }
+
+    if (!this.canAnalyse(media)) {
+      throw new Error('跨域媒体无法进行音频分析');
+    }
+
+    const entry = this.acquireContext();
+    const { context } = entry;
+    const source = context.createMediaElementSource(media);
+    const analyser = this.createAnalyser(context, source);
+
+    entry.users++;
+    this.graphs.set(media, { entry, source, analyser });
+    this.resumeContext(context);
+
+    return analyser;
+  }
+
+  /**
+   * 在源节点和输出之间接入分析节点：源 -> 分析器 -> 输出，保证正常出声
+   * @param {AudioContext} context - 音频上下文
+   * @param {MediaElementAudioSourceNode} source - 媒体源节点
+   * @returns {AnalyserNode}
+   */
+  createAnalyser(context, source) {
+    const analyser = context.createAnalyser();
+    analyser.fftSize = POOL_CONFIG.fftSize;
+
+    source.disconnect();
+    source.connect(analyser);
+    analyser.connect(context.destination);
+    return analyser;
+  }
+
+  /**
+   * 浏览器自动播放策略可能让上下文处于挂起状态
+   * @param {AudioContext} context - 音频上下文
+   */
+  resumeContext(context) {
+    if (context.state === 'suspended') {
+      context.resume().catch(error => {
+        logger.warn('AudioContextPool', 'AudioContext恢复失败:', error);
+      });
+    }
+  }
+
+  /**
+   * 计算媒体当前的RMS响度
+   * @param {HTMLMediaElement} media - 媒体元素
+   * @returns {number} 0~1之间的RMS值
+   */
+  getRMS(media) {
+    const analyser = this.getAnalyser(media);
+    const buffer = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(buffer);
+
+    let sum = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      sum += buffer[i] * buffer[i];
+    }
+    return Math.sqrt(sum / buffer.length);
+  }
+
+  /**
+   * 断开所有分析节点，源节点直接连到输出（视频继续正常出声）
+   * 接入过媒体元素的上下文保留，没有接入媒体元素的上下文关闭
+   */
+  clear() {
+    this.graphs.forEach((graph) => {
+      if (!graph.analyser) return;
+      try {
+        graph.source.disconnect();
+        graph.analyser.disconnect();
+        graph.source.connect(graph.entry.context.destination);
+      } catch (error) {
+        logger.warn('AudioContextPool', '断开分析节点失败:', error);
+      }
+      graph.analyser = null;
+    });
+
+    this.contexts = this.contexts.filter(({ context, users }) => {
+      if (users > 0) return true;
+      if (context.state !== 'closed') {
+        context.close().catch(error => {
+          logger.warn('AudioContextPool', '关闭AudioContext失败:', error);
+        });
+      }
+      return false;
+    });
+  }
+}
+
+// 创建全局单例
+export const audioContextPool = new AudioContextPool();
+export default audioContextPool;
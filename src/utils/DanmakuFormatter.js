@@ -0,0 +1,128 @@
+/**
+ * 弹幕格式转换模块
+ * 将弹幕数据 [{time, mode, fontsize, color, content, ...}, ...] 转换为ASS（滚动/顶部/底部弹幕，按行排布避免重叠）
+ */
+
+import { formatAssTime } from './SubtitleFormatter.js';
+import { DANMAKU } from '../constants.js';
+
+// 画面尺寸（与字幕导出的ASS一致）
+const PLAY_RES_X = 1920;
+const PLAY_RES_Y = 1080;
+
+// 弹幕模式：1-3滚动，4底部，5顶部，6逆向滚动；7及以上为高级/代码弹幕，无法转换
+const MODE_BOTTOM = 4;
+const MODE_TOP = 5;
+const MODE_REVERSE = 6;
+
+/**
+ * 估算文字宽度（全角字符按一个字号，半角按半个字号）
+ * @param {string} text
+ * @param {number} fontSize
+ * @returns {number}
+ */
+function measureText(text, fontSize) {
+  let width = 0;
+  for (const char of text) {
+    width += char.charCodeAt(0) > 0xff ? fontSize : fontSize * 0.5;
+  }
+  return width;
+}
+
+/**
+ * 把颜色值（0xRRGGBB）转换为ASS颜色（&HBBGGRR&）
+ * @param {number} color
+ * @returns {string}
+ */
+function toAssColor(color) {
+  const hex = (value) => value.toString(16).toUpperCase().padStart(2, '0');
+  return `&H${hex(color & 0xff)}${hex((color >> 8) & 0xff)}${hex((color >> 16) & 0xff)}&`;
+}
+
+/**
+ * 选择空闲的行：没有空闲行时选择最早空闲的行（允许重叠）
+ * @param {Array<number>} rows - 每行的空闲时间
+ * @param {number} time - 弹幕出现时间
+ * @returns {number} 行号
+ */
+function pickRow(rows, time) {
+  let earliest = 0;
+  for (let i = 0; i < rows.length; i++) {
+    if (rows[i] <= time) return i;
+    if (rows[i] < rows[earliest]) earliest = i;
+  }
+  return earliest;
+}
+
+/**
+ * 转换为ASS格式
+ * @param {Array<{time: number, mode: number, fontsize: number, color: number, content: string}>} danmakuList - 弹幕数据
+ * @param {string} title - 视频标题（写入Script Info）
+ * @returns {string}
+ */
+export function toDanmakuASS(danmakuList, title = '') {
+  const { SCROLL_DURATION, FIXED_DURATION, FONT_SIZE, ROW_HEIGHT, MAX_ROWS } = DANMAKU.ASS;
+  const header = [
+    '[Script Info]',
+    `Title: ${title.replace(/[\r\n]+/g, ' ')}`,
+    'ScriptType: v4.00+',
+    'WrapStyle: 2',
+    'ScaledBorderAndShadow: yes',
+    `PlayResX: ${PLAY_RES_X}`,
+    `PlayResY: ${PLAY_RES_Y}`,
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: Danmaku,Microsoft YaHei,${FONT_SIZE},&H33FFFFFF,&H33FFFFFF,&H33000000,&H00000000,1,0,0,0,100,100,0,0,1,1.5,0,7,0,0,0,1`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+  ];
+
+  // 每种弹幕各自的行占用情况
+  const scrollRows = new Array(MAX_ROWS).fill(-Infinity);
+  const topRows = new Array(MAX_ROWS).fill(-Infinity);
+  const bottomRows = new Array(MAX_ROWS).fill(-Infinity);
+
+  const events = [...(danmakuList || [])]
+    .filter(item => item.mode <= MODE_REVERSE && item.content)
+    .sort((a, b) => a.time - b.time)
+    .map(item => {
+      // 花括号会被解析为覆盖标签，换行需要写成 \N
+      const text = item.content
+        .replace(/[{}]/g, match => (match === '{' ? '｛' : '｝'))
+        .replace(/\r?\n/g, '\\N');
+      const fontSize = Math.round(FONT_SIZE * (item.fontsize || 25) / 25);
+      const width = measureText(item.content, fontSize);
+      const color = (item.color ?? 0xffffff) & 0xffffff;
+      const tags = [];
+      if (fontSize !== FONT_SIZE) tags.push(`\\fs${fontSize}`);
+      if (color !== 0xffffff) tags.push(`\\c${toAssColor(color)}`);
+
+      let duration;
+      if (item.mode === MODE_TOP || item.mode === MODE_BOTTOM) {
+        duration = FIXED_DURATION;
+        const rows = item.mode === MODE_TOP ? topRows : bottomRows;
+        const row = pickRow(rows, item.time);
+        rows[row] = item.time + duration;
+        const y = item.mode === MODE_TOP
+          ? row * ROW_HEIGHT
+          : PLAY_RES_Y - (row + 1) * ROW_HEIGHT;
+        tags.unshift(`\\an8\\pos(${PLAY_RES_X / 2},${y})`);
+      } else {
+        duration = SCROLL_DURATION;
+        const row = pickRow(scrollRows, item.time);
+        // 弹幕尾部完全进入画面后，同一行才能出现下一条
+        scrollRows[row] = item.time + duration * (width + ROW_HEIGHT) / (PLAY_RES_X + width);
+        const y = row * ROW_HEIGHT;
+        const [fromX, toX] = item.mode === MODE_REVERSE
+          ? [-width, PLAY_RES_X]
+          : [PLAY_RES_X, -width];
+        tags.unshift(`\\move(${Math.round(fromX)},${y},${Math.round(toX)},${y})`);
+      }
+
+      return `Dialogue: 0,${formatAssTime(item.time)},${formatAssTime(item.time + duration)},Danmaku,,0,0,0,,{${tags.join('')}}${text}`;
+    });
+
+  return [...header, ...events].join('\n') + '\n';
+}
@@ -129,13 +129,13 @@ class LRUCache {
   }
 }
 
-// 创建4个独立的LRU缓存实例
+// 创建独立的LRU缓存实例
 
 /**
- * 字幕数据缓存
- * 缓存键格式: BVxxxx-cid-p1
+ * 字幕数据缓存（每个视频一条当前选择的字幕，外加每个已获取的字幕轨道）
+ * 缓存键格式: BVxxxx-cid-p1（当前选择的字幕）、BVxxxx-cid-p1:ai-zh（按语言的字幕轨道）
  */
-export const subtitleCache = new LRUCache(10, '字幕缓存');
+export const subtitleCache = new LRUCache(30, '字幕缓存');
 
 /**
  * AI Markdown总结缓存
@@ -150,6 +150,13 @@ export const aiMarkdownCache = new LRUCache(10, 'AI-Markdown缓存');
  */
 export const aiSegmentsCache = new LRUCache(10, 'AI-段落缓存');
 
+/**
+ * AI总结来源缓存（实际生成各部分的服务商和模型）
+ * 缓存键格式: BVxxxx-cid-p1
+ * 缓存值格式: {markdown: {id, name, model}|null, segments: {id, name, model}|null}
+ */
+export const aiProviderCache = new LRUCache(10, 'AI-来源缓存');
+
 /**
  * Notion页面ID映射缓存
  * 缓存键格式: BVxxxx-cid-p1
@@ -157,6 +164,20 @@ export const aiSegmentsCache = new LRUCache(10, 'AI-段落缓存');
  */
 export const notionPageCache = new LRUCache(10, 'Notion页面缓存');
 
+/**
+ * 字幕问答对话历史缓存
+ * 缓存键格式: BVxxxx-cid-p1
+ * 缓存值格式: [{role: 'user'|'assistant', content: string}]
+ */
+export const aiChatCache = new LRUCache(10, 'AI-问答缓存');
+
+/**
+ * 评论区总结缓存
+ * 缓存键格式: BVxxxx-cid-p1
+ * 缓存值格式: {markdown: string, commentCount: number, generatedBy: {markdown: {id, name, model}}, createdAt: number}
+ */
+export const commentDigestCache = new LRUCache(10, 'AI-评论区总结缓存');
+
 /**
  * 获取所有缓存的统计信息
  * @returns {Array<Object>}
@@ -166,7 +187,10 @@ export function getAllCacheStats() {
     subtitleCache.getStats(),
     aiMarkdownCache.getStats(),
     aiSegmentsCache.getStats(),
-    notionPageCache.getStats()
+    aiProviderCache.getStats(),
+    notionPageCache.getStats(),
+    aiChatCache.getStats(),
+    commentDigestCache.getStats()
   ];
 }
 
@@ -177,7 +201,10 @@ export function clearAllCaches() {
   subtitleCache.clear();
   aiMarkdownCache.clear();
   aiSegmentsCache.clear();
+  aiProviderCache.clear();
   notionPageCache.clear();
+  aiChatCache.clear();
+  commentDigestCache.clear();
   logger.info('LRUCache', '所有缓存已清空');
 }
 
@@ -0,0 +1,169 @@
+/**
+ * 笔记存储模块
+ * 基于GM存储实现带索引的笔记库：每条笔记单独一个键，并按 createdAt、hostname、type、videoInfo.bvid
+ * 为每条笔记写入索引键（键名中包含索引值、创建时间和笔记ID），查询时按键名前缀列出索引，只读取命中的笔记
+ *
+ * 不使用IndexedDB：IndexedDB按站点隔离，且网页自身的脚本可以读取；
+ * GM存储由脚本管理器保存，在任何网站上读写的都是同一份笔记，网页脚本也无法读取
+ *
+ * 没有需要"读取-修改-写回"的共享键：每次写入都只涉及这条笔记自己的键，
+ * 多个标签页同时保存笔记时不会互相覆盖
+ */
+
+import { NOTES_CONFIG } from '../constants.js';
+
+/**
+ * 索引定义 [索引名, 取值函数]（createdAt索引包含所有笔记）
+ */
+const NOTE_INDEXES = [
+  ['createdAt', () => ''],
+  ['hostname', note => note.hostname],
+  ['type', note => note.type],
+  ['bvid', note => note.videoInfo?.bvid]
+];
+
+/**
+ * 创建时间补齐为定长，按键名排序即按创建时间排序
+ * @param {number} createdAt
+ * @returns {string}
+ */
+function padTime(createdAt) {
+  return String(Math.max(0, Math.floor(Number(createdAt) || 0))).padStart(15, '0');
+}
+
+class NotesStore {
+  /**
+   * [私有] 笔记对应的存储键
+   * @param {string} id - 笔记ID
+   * @returns {string}
+   */
+  _noteKey(id) {
+    return `${NOTES_CONFIG.NOTE_KEY_PREFIX}${id}`;
+  }
+
+  /**
+   * [私有] 索引键前缀
+   * @param {string} indexName - 索引名
+   * @param {*} value - 索引值
+   * @returns {string}
+   */
+  _indexPrefix(indexName, value) {
+    return `${NOTES_CONFIG.INDEX_KEY_PREFIX}${indexName}:${encodeURIComponent(value ?? '')}:`;
+  }
+
+  /**
+   * [私有] 笔记的所有索引键（没有对应字段的索引不写入）
+   * @param {Object} note - 笔记对象
+   * @returns {Array<string>}
+   */
+  _indexKeys(note) {
+    const suffix = `${padTime(note.createdAt)}:${note.id}`;
+    return NOTE_INDEXES
+      .map(([indexName, getValue]) => [indexName, getValue(note)])
+      .filter(([indexName, value]) => indexName === 'createdAt' || (value !== undefined && value !== null && value !== ''))
+      .map(([indexName, value]) => `${this._indexPrefix(indexName, value)}${suffix}`);
+  }
+
+  /**
+   * [私有] 按前缀列出索引中的笔记ID（按创建时间从新到旧）
+   * @param {string} prefix - 索引键前缀
+   * @returns {Promise<Array<string>>}
+   */
+  async _listIds(prefix) {
+    const keys = await GM.listValues();
+    return keys
+      .filter(key => key.startsWith(prefix))
+      .sort()
+      .reverse()
+      .map(key => key.slice(key.indexOf(':', prefix.length) + 1));
+  }
+
+  /**
+   * [私有] 按ID读取笔记（跳过已被其他标签页删除的）
+   * @param {Array<string>} ids
+   * @returns {Promise<Array>}
+   */
+  async _getMany(ids) {
+    const notes = await Promise.all(ids.map(id => this.get(id)));
+    return notes.filter(Boolean);
+  }
+
+  /**
+   * 获取所有笔记（按创建时间从新到旧）
+   * @returns {Promise<Array>}
+   */
+  async getAll() {
+    return this._getMany(await this._listIds(this._indexPrefix('createdAt', '')));
+  }
+
+  /**
+   * 按索引查询笔记（按创建时间从新到旧）
+   * @param {'hostname'|'type'|'bvid'} indexName - 索引名
+   * @param {*} value - 索引值
+   * @returns {Promise<Array>}
+   */
+  async getAllByIndex(indexName, value) {
+    return this._getMany(await this._listIds(this._indexPrefix(indexName, value)));
+  }
+
+  /**
+   * 获取单条笔记
+   * @param {string} id - 笔记ID
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(id) {
+    return (await GM.getValue(this._noteKey(id), undefined)) || undefined;
+  }
+
+  /**
+   * 获取笔记数量
+   * @returns {Promise<number>}
+   */
+  async count() {
+    return (await this._listIds(this._indexPrefix('createdAt', ''))).length;
+  }
+
+  /**
+   * 新增或更新笔记（先写笔记再写索引，索引值变化时删除旧的索引键）
+   * @param {Object} note - 笔记对象（必须包含id）
+   */
+  async put(note) {
+    const previous = await this.get(note.id);
+    await GM.setValue(this._noteKey(note.id), note);
+
+    const keys = this._indexKeys(note);
+    const staleKeys = previous ? this._indexKeys(previous).filter(key => !keys.includes(key)) : [];
+    await Promise.all([
+      ...keys.map(key => GM.setValue(key, 1)),
+      ...staleKeys.map(key => GM.deleteValue(key))
+    ]);
+  }
+
+  /**
+   * 批量新增或更新笔记
+   * @param {Array<Object>} notes - 笔记数组
+   */
+  async putMany(notes) {
+    for (const note of notes) {
+      await this.put(note);
+    }
+  }
+
+  /**
+   * 批量删除笔记（先删索引再删笔记）
+   * @param {Array<string>} ids - 笔记ID数组
+   */
+  async deleteMany(ids) {
+    for (const id of ids) {
+      const note = await this.get(id);
+      if (note) {
+        await Promise.all(this._indexKeys(note).map(key => GM.deleteValue(key)));
+      }
+      await GM.deleteValue(this._noteKey(id));
+    }
+  }
+}
+
+// 创建全局单例
+export const notesStore = new NotesStore();
+export default notesStore;
@@ -1,11 +1,11 @@
 /**
  * 搜索索引
- * 为字幕内容建立倒排索引，提升搜索性能
+ * 为字幕、弹幕等文本内容建立倒排索引，提升搜索性能
  */
 
 import logger from './DebugLogger.js';
 
-class SearchIndex {
+export class SearchIndex {
   constructor() {
     this.index = new Map(); // 词 -> [项索引列表]
     this.items = []; // 原始数据
@@ -27,9 +27,9 @@ class SearchIndex {
         if (!this.index.has(word)) {
           this.index.set(word, []);
         }
-        // 避免重复添加
+        // 避免重复添加（按顺序建立索引，只需和最后一项比较）
         const indices = this.index.get(word);
-        if (!indices.includes(itemIndex)) {
+        if (indices[indices.length - 1] !== itemIndex) {
           indices.push(itemIndex);
         }
       });
@@ -99,8 +99,8 @@ class SearchIndex {
     
     // 与其他词的结果取交集
     for (let i = 1; i < queryWords.length && results.length > 0; i++) {
-      const wordResults = this.index.get(queryWords[i]) || [];
-      results = results.filter(idx => wordResults.includes(idx));
+      const wordResults = new Set(this.index.get(queryWords[i]) || []);
+      results = results.filter(idx => wordResults.has(idx));
     }
 
     return results;
@@ -0,0 +1,403 @@
+/**
+ * 跨标签页共享缓存模块
+ * 基于IndexedDB持久化保存（带有效期，超出容量时淘汰最久未访问的项），内存中保留一份副本供同步读取；
+ * 通过BroadcastChannel协调多个标签页：某个标签页开始请求一个键时广播"认领"，
+ * 其他标签页等待它广播结果，而不是同时请求（避免触发B站的频率限制）
+ *
+ * 注意：IndexedDB和BroadcastChannel都按站点（origin）隔离，只有同一站点的标签页共享缓存
+ */
+
+import logger from './DebugLogger.js';
+import { SHARED_CACHE } from '../constants.js';
+
+// 当前标签页的ID（区分广播消息的来源）
+const TAB_ID = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+let dbPromise = null;
+let channel = null;
+const caches = new Map();
+
+/**
+ * 打开数据库（所有命名空间共用一个连接）
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDB() {
+  if (dbPromise) {
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('当前浏览器不支持 IndexedDB'));
+      return;
+    }
+
+    const request = indexedDB.open(SHARED_CACHE.DB_NAME, SHARED_CACHE.DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(SHARED_CACHE.DB_STORE, { keyPath: 'id' });
+      // 按命名空间+访问时间排序，淘汰时从最久未访问的开始
+      store.createIndex('namespaceAccessed', ['namespace', 'accessedAt'], { unique: false });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error || new Error('打开缓存数据库失败'));
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * 在事务中执行操作，事务完成后返回结果
+ * @param {'readonly'|'readwrite'} mode - 事务模式
+ * @param {Function} executor - 接收objectStore，可返回IDBRequest作为结果
+ * @returns {Promise<*>}
+ */
+async function transaction(mode, executor) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(SHARED_CACHE.DB_STORE, mode);
+    const request = executor(tx.objectStore(SHARED_CACHE.DB_STORE));
+
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('缓存数据库事务已中止'));
+  });
+}
+
+/**
+ * 获取广播频道（所有命名空间共用，按消息中的命名空间分发）
+ * @returns {BroadcastChannel|null} 不支持BroadcastChannel时返回null
+ */
+function getChannel() {
+  if (channel || typeof BroadcastChannel === 'undefined') {
+    return channel;
+  }
+
+  channel = new BroadcastChannel(SHARED_CACHE.CHANNEL_NAME);
+  channel.onmessage = (event) => {
+    const message = event.data;
+    if (message?.tabId !== TAB_ID) {
+      caches.get(message?.namespace)?.handleMessage(message);
+    }
+  };
+  return channel;
+}
+
+class SharedCache {
+  /**
+   * @param {string} namespace - 命名空间（不同数据分开计算容量）
+   * @param {Object} options
+   * @param {number} options.ttl - 有效期（毫秒）
+   * @param {number} options.maxEntries - 最大数量
+   */
+  constructor(namespace, { ttl, maxEntries }) {
+    this.namespace = namespace;
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.memory = new Map();        // key -> {value, expiresAt, accessedAt}
+    this.pending = new Map();       // 当前标签页正在请求的键 -> Promise
+    this.remoteClaims = new Map();  // 其他标签页正在请求的键 -> 认领时间
+    this.waiters = new Map();       // 等待其他标签页结果的键 -> [resolve]
+    this.writeCount = 0;
+    caches.set(namespace, this);
+    // 广播频道在第一次fetch/delete时才打开，脚本在没有用到缓存的网站上不会创建频道
+  }
+
+  /**
+   * 同步读取内存中的缓存（不访问数据库）
+   * @param {string} key
+   * @returns {*} 没有缓存或已过期时返回undefined
+   */
+  peek(key) {
+    const entry = this.memory.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.memory.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * 读取缓存（先查内存，再查数据库）
+   * @param {string} key
+   * @returns {Promise<*>} 没有缓存或已过期时返回undefined
+   */
+  async get(key) {
+    const cached = this.peek(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    try {
+      const record = await transaction('readonly', store => store.get(this.getId(key)));
+      if (!record || record.expiresAt <= Date.now()) {
+        return undefined;
+      }
+
+      this.remember(key, record);
+      // 定期更新访问时间（淘汰时使用）
+      if (Date.now() - record.accessedAt > SHARED_CACHE.TOUCH_INTERVAL) {
+        record.accessedAt = Date.now();
+        transaction('readwrite', store => store.put(record)).catch(() => {});
+      }
+      return record.value;
+    } catch (error) {
+      logger.debug('SharedCache', `${this.namespace} 读取缓存失败:`, error.message);
+      return undefined;
+    }
+  }
+
+  /**
+   * 写入缓存
+   * @param {string} key
+   * @param {*} value - 可结构化克隆的值
+   */
+  async set(key, value) {
+    const now = Date.now();
+    const record = {
+      id: this.getId(key),
+      namespace: this.namespace,
+      key,
+      value,
+      expiresAt: now + this.ttl,
+      accessedAt: now
+    };
+    this.remember(key, record);
+
+    try {
+      await transaction('readwrite', store => store.put(record));
+      // 第一次写入时和之后每N次写入检查一次
+      if (this.writeCount++ % SHARED_CACHE.EVICT_EVERY === 0) {
+        this.evict();
+      }
+    } catch (error) {
+      logger.debug('SharedCache', `${this.namespace} 写入缓存失败:`, error.message);
+    }
+  }
+
+  /**
+   * 删除缓存（同时通知其他标签页删除内存中的副本）
+   * @param {string} key
+   */
+  async delete(key) {
+    this.memory.delete(key);
+    getChannel()?.postMessage({ type: 'delete', namespace: this.namespace, tabId: TAB_ID, key });
+
+    try {
+      await transaction('readwrite', store => store.delete(this.getId(key)));
+    } catch (error) {
+      logger.debug('SharedCache', `${this.namespace} 删除缓存失败:`, error.message);
+    }
+  }
+
+  /**
+   * 读取缓存，没有时调用fetcher获取并保存
+   * 同一个键在所有标签页中同时只请求一次：其他标签页正在请求时等待它的结果
+   * @param {string} key
+   * @param {Function} fetcher - 返回Promise，失败时不写入缓存
+   * @returns {Promise<*>}
+   */
+  async fetch(key, fetcher) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    // 加入广播频道，之后才能收到其他标签页的认领和结果
+    getChannel();
+
+    const promise = (async () => {
+      const cached = await this.get(key);
+      if (cached !== undefined) {
+        return cached;
+      }
+
+      // 其他标签页正在请求：等待结果，超时或失败后自己请求
+      if (this.isClaimedRemotely(key)) {
+        const value = await this.waitForRemote(key);
+        if (value !== undefined) {
+          return value;
+        }
+      }
+
+      const activeChannel = getChannel();
+      activeChannel?.postMessage({ type: 'claim', namespace: this.namespace, tabId: TAB_ID, key });
+      try {
+        const value = await fetcher();
+        await this.set(key, value);
+        activeChannel?.postMessage({ type: 'done', namespace: this.namespace, tabId: TAB_ID, key, value });
+        return value;
+      } catch (error) {
+        activeChannel?.postMessage({ type: 'release', namespace: this.namespace, tabId: TAB_ID, key });
+        throw error;
+      }
+    })();
+
+    this.pending.set(key, promise);
+    return promise.finally(() => {
+      this.pending.delete(key);
+    });
+  }
+
+  /**
+   * 处理其他标签页的广播
+   * @param {{type: 'claim'|'done'|'release'|'delete', key: string, value?: *}} message
+   */
+  handleMessage({ type, key, value }) {
+    switch (type) {
+      case 'claim':
+        this.remoteClaims.set(key, Date.now());
+        break;
+      case 'done':
+        this.remoteClaims.delete(key);
+        this.remember(key, { value, expiresAt: Date.now() + this.ttl, accessedAt: Date.now() });
+        this.resolveWaiters(key, value);
+        break;
+      case 'release':
+        this.remoteClaims.delete(key);
+        this.resolveWaiters(key, undefined);
+        break;
+      case 'delete':
+        this.memory.delete(key);
+        break;
+    }
+  }
+
+  /**
+   * 其他标签页是否正在请求（认领超时视为已放弃）
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isClaimedRemotely(key) {
+    const claimedAt = this.remoteClaims.get(key);
+    if (claimedAt && Date.now() - claimedAt < SHARED_CACHE.CLAIM_TIMEOUT) {
+      return true;
+    }
+    this.remoteClaims.delete(key);
+    return false;
+  }
+
+  /**
+   * 等待其他标签页的请求结果
+   * @param {string} key
+   * @returns {Promise<*>} 超时或对方失败时返回undefined
+   */
+  waitForRemote(key) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.remoteClaims.delete(key);
+        this.resolveWaiters(key, undefined);
+      }, SHARED_CACHE.CLAIM_TIMEOUT - (Date.now() - this.remoteClaims.get(key)));
+
+      const waiters = this.waiters.get(key) || [];
+      waiters.push((value) => {
+        clearTimeout(timer);
+        resolve(value);
+      });
+      this.waiters.set(key, waiters);
+    });
+  }
+
+  /**
+   * 通知等待中的请求
+   * @param {string} key
+   * @param {*} value
+   */
+  resolveWaiters(key, value) {
+    const waiters = this.waiters.get(key) || [];
+    this.waiters.delete(key);
+    waiters.forEach(resolve => resolve(value));
+  }
+
+  /**
+   * 保存到内存（超出容量时删除最早放入的）
+   * @private
+   */
+  remember(key, { value, expiresAt, accessedAt }) {
+    this.memory.delete(key);
+    this.memory.set(key, { value, expiresAt, accessedAt });
+    if (this.memory.size > this.maxEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * 清理过期项，超出容量时淘汰最久未访问的
+   */
+  async evict() {
+    try {
+      const range = IDBKeyRange.bound([this.namespace, 0], [this.namespace, Infinity]);
+      const total = await transaction('readonly', store => store.index('namespaceAccessed').count(range));
+      let overflow = total - this.maxEntries;
+      const now = Date.now();
+      let removed = 0;
+
+      await transaction('readwrite', store => {
+        // 按访问时间从旧到新遍历
+        const request = store.index('namespaceAccessed').openCursor(range);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          if (overflow > 0 || cursor.value.expiresAt <= now) {
+            cursor.delete();
+            overflow--;
+            removed++;
+          }
+          cursor.continue();
+        };
+      });
+
+      if (removed > 0) {
+        logger.debug('SharedCache', `${this.namespace} 清理了 ${removed} 个缓存项`);
+      }
+    } catch (error) {
+      logger.debug('SharedCache', `${this.namespace} 清理缓存失败:`, error.message);
+    }
+  }
+
+  /**
+   * 清空当前命名空间的缓存
+   */
+  async clear() {
+    this.memory.clear();
+    try {
+      const range = IDBKeyRange.bound([this.namespace, 0], [this.namespace, Infinity]);
+      await transaction('readwrite', store => {
+        const request = store.index('namespaceAccessed').openCursor(range);
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+          cursor.delete();
+          cursor.continue();
+        };
+      });
+    } catch (error) {
+      logger.debug('SharedCache', `${this.namespace} 清空缓存失败:`, error.message);
+    }
+  }
+
+  /**
+   * 数据库中的记录ID
+   * @private
+   * @param {string} key
+   * @returns {string}
+   */
+  getId(key) {
+    return `${this.namespace}:${key}`;
+  }
+}
+
+export default SharedCache;
@@ -0,0 +1,192 @@
+/**
+ * 字幕格式转换模块
+ * 将标准化字幕数据 [{from, to, content}, ...] 转换为 TXT/SRT/WebVTT/ASS/JSON
+ * B站（processCapturedSubtitle）与YouTube（parseYouTubeSubtitle）的数据结构一致，可直接复用
+ */
+
+/**
+ * 支持的导出格式
+ * key为格式ID，ext为文件扩展名，mimeType用于生成Blob
+ */
+export const SUBTITLE_FORMATS = {
+  txt: { name: '纯文本 (TXT)', ext: 'txt', mimeType: 'text/plain;charset=utf-8' },
+  srt: { name: 'SubRip (SRT)', ext: 'srt', mimeType: 'application/x-subrip;charset=utf-8' },
+  vtt: { name: 'WebVTT (VTT)', ext: 'vtt', mimeType: 'text/vtt;charset=utf-8' },
+  ass: { name: 'Advanced SubStation (ASS)', ext: 'ass', mimeType: 'text/plain;charset=utf-8' },
+  json: { name: '原始数据 (JSON)', ext: 'json', mimeType: 'application/json;charset=utf-8' }
+};
+
+/**
+ * 补零
+ * @param {number} value - 数值
+ * @param {number} length - 目标长度
+ * @returns {string}
+ */
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+/**
+ * 拆分秒数为时、分、秒、毫秒
+ * @param {number} seconds - 秒数
+ * @returns {{h: number, m: number, s: number, ms: number}}
+ */
+function splitTime(seconds) {
+  const totalMs = Math.max(0, Math.round((Number(seconds) || 0) * 1000));
+  return {
+    h: Math.floor(totalMs / 3600000),
+    m: Math.floor((totalMs % 3600000) / 60000),
+    s: Math.floor((totalMs % 60000) / 1000),
+    ms: totalMs % 1000
+  };
+}
+
+/**
+ * 格式化为SRT时间戳 (HH:MM:SS,mmm)
+ * @param {number} seconds - 秒数
+ * @returns {string}
+ */
+export function formatSrtTime(seconds) {
+  const { h, m, s, ms } = splitTime(seconds);
+  return `${pad(h)}:${pad(m)}:${pad(s)},${pad(ms, 3)}`;
+}
+
+/**
+ * 格式化为WebVTT时间戳 (HH:MM:SS.mmm)
+ * @param {number} seconds - 秒数
+ * @returns {string}
+ */
+export function formatVttTime(seconds) {
+  const { h, m, s, ms } = splitTime(seconds);
+  return `${pad(h)}:${pad(m)}:${pad(s)}.${pad(ms, 3)}`;
+}
+
+/**
+ * 格式化为ASS时间戳 (H:MM:SS.cc，精确到百分之一秒)
+ * @param {number} seconds - 秒数
+ * @returns {string}
+ */
+export function formatAssTime(seconds) {
+  const { h, m, s, ms } = splitTime(seconds);
+  return `${h}:${pad(m)}:${pad(s)}.${pad(Math.floor(ms / 10))}`;
+}
+
+/**
+ * 过滤并规范化字幕条目（保证结束时间不早于开始时间）
+ * @param {Array} subtitleData - 字幕数据
+ * @returns {Array<{from: number, to: number, content: string}>}
+ */
+function normalizeCues(subtitleData) {
+  return (subtitleData || [])
+    .filter(item => item && typeof item.content === 'string' && item.content.trim())
+    .map(item => {
+      const from = Number(item.from) || 0;
+      const to = Math.max(Number(item.to) || 0, from);
+      return { from, to, content: item.content.trim() };
+    });
+}
+
+/**
+ * 转换为纯文本（不含时间轴）
+ * @param {Array} subtitleData - 字幕数据
+ * @returns {string}
+ */
+export function toTXT(subtitleData) {
+  return normalizeCues(subtitleData).map(cue => cue.content).join('\n');
+}
+
+/**
+ * 转换为SRT格式
+ * @param {Array} subtitleData - 字幕数据
+ * @returns {string}
+ */
+export function toSRT(subtitleData) {
+  return normalizeCues(subtitleData).map((cue, index) => [
+    index + 1,
+    `${formatSrtTime(cue.from)} --> ${formatSrtTime(cue.to)}`,
+    cue.content
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+/**
+ * 转换为WebVTT格式
+ * @param {Array} subtitleData - 字幕数据
+ * @returns {string}
+ */
+export function toVTT(subtitleData) {
+  const cues = normalizeCues(subtitleData).map(cue => [
+    `${formatVttTime(cue.from)} --> ${formatVttTime(cue.to)}`,
+    // "-->" 在WebVTT正文中不合法
+    cue.content.replace(/-->/g, '->')
+  ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * 转换为ASS格式
+ * @param {Array} subtitleData - 字幕数据
+ * @param {string} title - 视频标题（写入Script Info）
+ * @returns {string}
+ */
+export function toASS(subtitleData, title = '') {
+  const header = [
+    '[Script Info]',
+    `Title: ${title.replace(/[\r\n]+/g, ' ')}`,
+    'ScriptType: v4.00+',
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    'PlayResX: 1920',
+    'PlayResY: 1080',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    'Style: Default,Microsoft YaHei,54,&H00FFFFFF,&H000000FF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,1,2,20,20,40,1',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text'
+  ];
+
+  const events = normalizeCues(subtitleData).map(cue => {
+    // 花括号会被解析为覆盖标签，换行需要写成 \N
+    const text = cue.content
+      .replace(/[{}]/g, match => (match === '{' ? '｛' : '｝'))
+      .replace(/\r?\n/g, '\\N');
+    return `Dialogue: 0,${formatAssTime(cue.from)},${formatAssTime(cue.to)},Default,,0,0,0,,${text}`;
+  });
+
+  return [...header, ...events].join('\n') + '\n';
+}
+
+/**
+ * 转换为JSON（原样导出字幕数据）
+ * @param {Array} subtitleData - 字幕数据
+ * @returns {string}
+ */
+export function toJSON(subtitleData) {
+  return JSON.stringify(subtitleData || [], null, 2);
+}
+
+/**
+ * 按格式ID转换字幕
+ * @param {Array} subtitleData - 字幕数据
+ * @param {string} format - 格式ID（见 SUBTITLE_FORMATS）
+ * @param {{title?: string}} options - 附加选项
+ * @returns {string}
+ */
+export function formatSubtitles(subtitleData, format, options = {}) {
+  switch (format) {
+    case 'srt':
+      return toSRT(subtitleData);
+    case 'vtt':
+      return toVTT(subtitleData);
+    case 'ass':
+      return toASS(subtitleData, options.title || '');
+    case 'json':
+      return toJSON(subtitleData);
+    case 'txt':
+      return toTXT(subtitleData);
+    default:
+      throw new Error(`不支持的字幕格式: ${format}`);
+  }
+}
@@ -3,7 +3,7 @@
  * 提供各种通用的辅助功能
  */
 
-import { REGEX, SELECTORS } from '../constants.js';
+import { REGEX, SELECTORS, AI_SUMMARY_SOURCES } from '../constants.js';
 
 /**
  * 格式化时间（秒转为 MM:SS 格式）
@@ -16,6 +16,70 @@ export function formatTime(seconds) {
   return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
 }
 
+/**
+ * 解析时间戳（支持 MM:SS、HH:MM:SS，可带方括号）
+ * @param {string} timeStr - 时间字符串，如 "[12:34]"、"1:02:03"
+ * @returns {number|null} - 秒数，无法解析时返回null
+ */
+export function parseTimestamp(timeStr) {
+  const match = String(timeStr || '').match(/^\s*\[?(\d{1,3}):(\d{2})(?::(\d{2}))?\]?\s*$/);
+  if (!match) return null;
+
+  const [, first, second, third] = match;
+  if (third !== undefined) {
+    return parseInt(first) * 3600 + parseInt(second) * 60 + parseInt(third);
+  }
+  return parseInt(first) * 60 + parseInt(second);
+}
+
+/**
+ * 格式化AI总结的来源（服务商和模型）
+ * @param {{markdown?: Object, segments?: Object}|null} generatedBy - 各部分的来源
+ * @returns {string} - 例如 "DeepSeek (deepseek-chat)"，两部分来源不同时分别列出；无来源时返回空字符串
+ */
+export function formatAIProvider(generatedBy) {
+  if (!generatedBy) return '';
+
+  const describe = (provider) => `${provider.name} (${provider.model})`;
+  const { markdown, segments } = generatedBy;
+
+  if (markdown && segments && (markdown.id !== segments.id || markdown.model !== segments.model)) {
+    return `总结: ${describe(markdown)}；段落: ${describe(segments)}`;
+  }
+  const provider = markdown || segments;
+  return provider ? describe(provider) : '';
+}
+
+/**
+ * 获取AI总结的低可信度说明（根据弹幕而不是字幕生成时）
+ * @param {{source?: string}|null} generatedBy - AI总结的来源
+ * @returns {string} - 字幕生成的总结返回空字符串
+ */
+export function getSummarySourceNote(generatedBy) {
+  return generatedBy?.source === AI_SUMMARY_SOURCES.DANMAKU
+    ? '该视频没有字幕，此总结根据弹幕、简介和标签推测，可信度较低'
+    : '';
+}
+
+/**
+ * 按语言优先级选择字幕轨道
+ * 先按顺序找语言代码完全相同的轨道，再找包含该代码的轨道（zh匹配所有中文字幕），都没有时使用第一条
+ * @param {Array<{lan: string}>} tracks - 字幕轨道
+ * @param {Array<string>} priority - 语言优先级
+ * @returns {Object|null} 没有字幕轨道时返回null
+ */
+export function pickSubtitleTrack(tracks, priority) {
+  for (const lan of priority) {
+    const exact = tracks.find(track => track.lan === lan);
+    if (exact) return exact;
+  }
+  for (const lan of priority) {
+    const partial = tracks.find(track => track.lan.includes(lan));
+    if (partial) return partial;
+  }
+  return tracks[0] || null;
+}
+
 /**
  * 格式化文件大小
  * @param {number} bytes - 字节数
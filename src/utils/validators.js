@@ -181,3 +181,13 @@ export function generateCacheKey(videoInfo) {
   return `${videoInfo.bvid}-${videoInfo.cid}-p${p}`;
 }
 
+/**
+ * 生成单条字幕轨道的缓存键（同一视频的不同语言分别缓存）
+ * @param {string|null} videoKey - 视频缓存键
+ * @param {string} lan - 字幕语言代码
+ * @returns {string|null}
+ */
+export function generateSubtitleCacheKey(videoKey, lan) {
+  return videoKey && lan ? `${videoKey}:${lan}` : null;
+}
+